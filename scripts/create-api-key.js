@@ -0,0 +1,37 @@
+/**
+ * Create API Key
+ * - Creates a key for an automation client and prints it once
+ *
+ * Usage: npm run create:api-key -- <name> [operator|admin]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import db from '../src/lib/db.js';
+import logger from '../src/lib/logger.js';
+import ApiKey from '../src/models/ApiKey.js';
+
+async function createApiKey() {
+  const [name, role = 'operator'] = process.argv.slice(2);
+  if (!name) {
+    throw new Error('Usage: npm run create:api-key -- <name> [operator|admin]');
+  }
+
+  await db.connect();
+
+  const { apiKey, key } = await ApiKey.generate({ name, role, createdBy: 'cli' });
+
+  logger.info(`[STAFF] ✓ Created ${apiKey.role} API key "${apiKey.name}"`);
+  // Printed without the logger so the key does not end up in log files
+  console.log(`\n${key}\n\nStore it now, it cannot be shown again.`);
+}
+
+createApiKey()
+  .then(() => db.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logger.error('[STAFF] Could not create API key:', error.message);
+    await db.disconnect().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,59 @@
+/**
+ * Create Staff
+ * - Creates a dashboard account, or resets the password and role of an existing one
+ * - The password is read from STAFF_PASSWORD or prompted for
+ *
+ * Usage: npm run create:staff -- <username> [admin|operator]
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import readline from 'readline/promises';
+import db from '../src/lib/db.js';
+import logger from '../src/lib/logger.js';
+import Staff from '../src/models/Staff.js';
+
+async function readPassword() {
+  if (process.env.STAFF_PASSWORD) return process.env.STAFF_PASSWORD;
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return await rl.question('Password (at least 8 characters): ');
+  } finally {
+    rl.close();
+  }
+}
+
+async function createStaff() {
+  const [username, role = 'admin'] = process.argv.slice(2);
+  if (!username) {
+    throw new Error('Usage: npm run create:staff -- <username> [admin|operator]');
+  }
+
+  const password = await readPassword();
+
+  await db.connect();
+
+  let staff = await Staff.findOne({ username: username.toLowerCase() });
+  const created = !staff;
+  if (!staff) {
+    staff = new Staff({ username });
+  }
+
+  staff.password = password;
+  staff.role = role;
+  staff.isActive = true;
+  await staff.save();
+
+  logger.info(`[STAFF] ✓ ${created ? 'Created' : 'Updated'} ${staff.role} ${staff.username}`);
+}
+
+createStaff()
+  .then(() => db.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logger.error('[STAFF] Could not create staff account:', error.message);
+    await db.disconnect().catch(() => {});
+    process.exit(1);
+  });
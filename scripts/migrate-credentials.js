@@ -0,0 +1,93 @@
+/**
+ * Credential Migration
+ * - Flags bcrypt-only users (no encrypted LMS password) as needing re-entry
+ * - Re-encrypts stored LMS and CalDAV passwords with the primary key after a key rotation
+ * - Drops saved LMS sessions (the next scrape logs in and saves a fresh one)
+ *
+ * Usage: npm run migrate:credentials
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import db from '../src/lib/db.js';
+import logger from '../src/lib/logger.js';
+import { isVaultConfigured, needsRotation, rotateSecret } from '../src/lib/credentialVault.js';
+import User from '../src/models/User.js';
+
+async function migrateCredentials() {
+  if (!isVaultConfigured()) {
+    throw new Error('CREDENTIAL_KEYS is not defined in environment variables');
+  }
+
+  await db.connect();
+
+  // Step 1: Flag legacy users that only have a bcrypt hash
+  const flagged = await User.updateMany(
+    { $or: [{ lmsPassword: null }, { lmsPassword: { $exists: false } }], needsPasswordReentry: { $ne: true } },
+    { $set: { needsPasswordReentry: true } }
+  );
+  logger.info(`[MIGRATE] Flagged ${flagged.modifiedCount} user(s) for password re-entry`);
+
+  // Step 2: Rotate encrypted passwords onto the primary key
+  const users = await User.find({ lmsPassword: { $ne: null } }).select('+lmsPassword');
+  let rotated = 0;
+  let failed = 0;
+
+  for (const user of users) {
+    if (!needsRotation(user.lmsPassword)) continue;
+
+    try {
+      user.lmsPassword = rotateSecret(user.lmsPassword, user._id);
+      await user.save();
+      rotated++;
+    } catch (error) {
+      logger.error(`[MIGRATE] Could not rotate password for ${user.username}: ${error.message}`);
+      user.lmsPassword = null;
+      user.needsPasswordReentry = true;
+      await user.save();
+      failed++;
+    }
+  }
+
+  logger.info(`[MIGRATE] ✓ Rotated ${rotated} password(s), ${failed} flagged for re-entry`);
+
+  // Step 3: Rotate CalDAV passwords; unreadable ones turn calendar sync off
+  const calendarUsers = await User.find({ 'caldav.password': { $ne: null } }).select('+caldav.password');
+  let rotatedCalendars = 0;
+  let disconnected = 0;
+
+  for (const user of calendarUsers) {
+    if (!needsRotation(user.caldav.password)) continue;
+
+    try {
+      user.caldav.password = rotateSecret(user.caldav.password, `${user._id}:caldav`);
+      rotatedCalendars++;
+    } catch (error) {
+      logger.error(`[MIGRATE] Could not rotate CalDAV password for ${user.username}: ${error.message}`);
+      user.caldav.password = null;
+      user.caldav.enabled = false;
+      user.caldav.lastError = 'Password could not be decrypted, please reconnect the calendar';
+      disconnected++;
+    }
+    await user.save();
+  }
+
+  logger.info(`[MIGRATE] ✓ Rotated ${rotatedCalendars} CalDAV password(s), ${disconnected} calendar(s) disconnected`);
+
+  // Step 4: Drop saved LMS sessions; they are short-lived and cheaper to replace than rotate
+  const sessions = await User.updateMany(
+    { lmsSession: { $ne: null } },
+    { $set: { lmsSession: null, lmsSessionSavedAt: null } }
+  );
+  logger.info(`[MIGRATE] ✓ Cleared ${sessions.modifiedCount} saved LMS session(s)`);
+}
+
+migrateCredentials()
+  .then(() => db.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logger.error('[MIGRATE] Migration failed:', error.message);
+    await db.disconnect().catch(() => {});
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+/**
+ * Notification Migration
+ * - Backfills offsetMinutes on notifications created before reminder policies
+ *   (legacy reminders were always 1 day before the due date)
+ * - Backfills dueDate from each notification's activity
+ * - Replaces the old unique indexes with
+ *   { activityId, notificationType, offsetMinutes, dueDate } so an activity can
+ *   have several reminders, scheduled again when its deadline moves
+ * - Builds the activity key index used to track activities across scrapes
+ *
+ * Usage: npm run migrate:notifications
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import db from '../src/lib/db.js';
+import logger from '../src/lib/logger.js';
+import Notification from '../src/models/Notification.js';
+import Activity from '../src/models/Activity.js';
+
+async function migrateNotifications() {
+  await db.connect();
+
+  // Step 1: Backfill offsets
+  const reminders = await Notification.updateMany(
+    { notificationType: 'reminder', offsetMinutes: { $exists: false } },
+    { $set: { offsetMinutes: 24 * 60 } }
+  );
+  const starts = await Notification.updateMany(
+    { notificationType: 'start', offsetMinutes: { $exists: false } },
+    { $set: { offsetMinutes: 0 } }
+  );
+  logger.info(`[MIGRATE] Backfilled offsets on ${reminders.modifiedCount} reminder(s) and ${starts.modifiedCount} start notification(s)`);
+
+  // Step 2: Backfill the deadline each notification was scheduled against
+  const missingDueDate = await Notification.find({ dueDate: null }).populate('activityId', 'dueDate');
+  let backfilled = 0;
+  for (const notification of missingDueDate) {
+    if (!notification.activityId) continue;
+    notification.dueDate = notification.activityId.dueDate;
+    await notification.save();
+    backfilled++;
+  }
+  logger.info(`[MIGRATE] Backfilled dueDate on ${backfilled} notification(s)`);
+
+  // Step 3: Drop indexes no longer in the schema and build the new ones
+  const dropped = await Notification.syncIndexes();
+  logger.info(`[MIGRATE] ✓ Notification indexes synced${dropped.length ? `, dropped: ${dropped.join(', ')}` : ''}`);
+
+  await Activity.syncIndexes();
+  logger.info('[MIGRATE] ✓ Activity indexes synced');
+}
+
+migrateNotifications()
+  .then(() => db.disconnect())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    logger.error('[MIGRATE] Migration failed:', error.message);
+    await db.disconnect().catch(() => {});
+    process.exit(1);
+  });
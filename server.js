@@ -1,70 +1,34 @@
 /**
  * Background Server
- * Initializes WhatsApp client and starts notification auto-processing
+ * Initializes WhatsApp client (with bot commands), starts notification auto-processing,
+ * the scrape job worker and the scheduled LMS scraping cron
  * Runs alongside Next.js server
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
-import http from 'http';
 import whatsappClient from './src/lib/whatsapp.js';
 import scheduler from './src/lib/scheduler.js';
+import autoScraper from './src/lib/autoScraper.js';
+import scrapeWorker from './src/lib/scrapeWorker.js';
+import { handleIncomingMessage } from './src/lib/botCommands.js';
+import { getBridgeAddress, isBridgeConfigured } from './src/lib/bridge.js';
+import { createBridgeServer } from './src/lib/bridgeServer.js';
 import db from './src/lib/db.js';
 import logger from './src/lib/logger.js';
 
-// Simple HTTP server for WhatsApp messaging (port 3001)
+// WhatsApp bridge for the Next.js app (localhost:3001 by default)
 function startWhatsAppServer() {
-  const server = http.createServer(async (req, res) => {
-    // CORS headers
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-    
-    if (req.method === 'OPTIONS') {
-      res.writeHead(200);
-      res.end();
-      return;
-    }
+  if (!isBridgeConfigured()) {
+    logger.warn('[WA-SERVER] WHATSAPP_BRIDGE_SECRET is not set, the bridge will refuse to send messages');
+  }
 
-    if (req.method === 'POST' && req.url === '/send') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', async () => {
-        try {
-          const { phone, message } = JSON.parse(body);
-          
-          if (!whatsappClient.isClientReady()) {
-            res.writeHead(503, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ error: 'WhatsApp not ready' }));
-            return;
-          }
-
-          await whatsappClient.sendMessage(phone, message);
-          logger.info(`[WA-SERVER] ✓ Message sent to ${phone}`);
-          
-          res.writeHead(200, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true }));
-        } catch (error) {
-          logger.error(`[WA-SERVER] Error:`, error.message);
-          res.writeHead(500, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: error.message }));
-        }
-      });
-    } else if (req.method === 'GET' && req.url === '/status') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ 
-        ready: whatsappClient.isClientReady(),
-        status: whatsappClient.getStatus()
-      }));
-    } else {
-      res.writeHead(404);
-      res.end();
-    }
-  });
+  const server = createBridgeServer({ whatsappClient, runCycle: () => scheduler.runCycle() });
+  const { host, port } = getBridgeAddress();
 
-  server.listen(3001, () => {
-    logger.info('[WA-SERVER] WhatsApp API running on http://localhost:3001');
+  server.listen(port, host, () => {
+    logger.info(`[WA-SERVER] WhatsApp API running on http://${host}:${port}`);
   });
 }
 
@@ -79,7 +43,10 @@ async function startBackgroundServices() {
     await db.connect();
     logger.info('[STARTUP] ✓ MongoDB connected');
 
-    // Step 2: Initialize WhatsApp Client
+    // Step 2: Initialize WhatsApp Client (answering bot commands unless disabled)
+    if (process.env.WHATSAPP_BOT_ENABLED !== 'false') {
+      whatsappClient.setMessageHandler(handleIncomingMessage);
+    }
     logger.info('[STARTUP] Initializing WhatsApp client...');
     await whatsappClient.initialize();
     logger.info('[STARTUP] ✓ WhatsApp client initialized');
@@ -99,15 +66,24 @@ async function startBackgroundServices() {
 
     if (whatsappClient.isClientReady()) {
       logger.info('[STARTUP] ✓ WhatsApp is authenticated and ready');
-      
-      // Step 3: Start notification auto-processing
-      logger.info('[STARTUP] Starting notification auto-processing...');
-      scheduler.startAutoProcessing();
-      logger.info('[STARTUP] ✓ Notification auto-processing started (every 5 minutes)');
     } else {
       logger.warn('[STARTUP] WhatsApp not authenticated yet. Scan QR code at: http://localhost:3000/api/whatsapp/qr');
     }
 
+    // Step 3: Start notification auto-processing, with or without WhatsApp
+    // (deliver() skips unavailable channels and falls back to the others)
+    logger.info('[STARTUP] Starting notification auto-processing...');
+    scheduler.startAutoProcessing();
+    logger.info('[STARTUP] ✓ Notification auto-processing started (every 5 minutes)');
+
+    // Step 4: Start scrape job worker
+    logger.info('[STARTUP] Starting scrape job worker...');
+    await scrapeWorker.start();
+
+    // Step 5: Start scheduled LMS scraping
+    logger.info('[STARTUP] Starting scheduled LMS scraping...');
+    autoScraper.start();
+
     logger.info('═══════════════════════════════════════════════════════');
     logger.info('  ✓ Background services started successfully');
     logger.info('═══════════════════════════════════════════════════════');
@@ -136,6 +112,11 @@ function setupGracefulShutdown() {
       scheduler.stopAutoProcessing();
       logger.info('[SHUTDOWN] Notification processing stopped');
 
+      // Stop scheduled scraping and the job worker
+      autoScraper.stop();
+      await scrapeWorker.stop();
+      logger.info('[SHUTDOWN] Scheduled scraping and scrape worker stopped');
+
       // Disconnect WhatsApp
       await whatsappClient.disconnect();
       logger.info('[SHUTDOWN] WhatsApp client disconnected');
@@ -174,4 +155,4 @@ setupGracefulShutdown();
 startBackgroundServices();
 
 // Export for use in other files if needed
-export { whatsappClient, scheduler, db };
+export { whatsappClient, scheduler, autoScraper, scrapeWorker, db };
@@ -0,0 +1,631 @@
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const inputClass = 'w-full px-4 py-3 bg-zinc-900/80 border border-zinc-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition';
+const buttonClass = 'w-full py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-medium rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+const cardClass = 'bg-zinc-800/50 backdrop-blur border border-zinc-700 rounded-xl p-6';
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Editable copy of the account settings
+function toSettings(account) {
+  return {
+    timezone: account.timezone,
+    quietHours: { ...account.quietHours },
+    notifyOnStart: account.reminderPolicy.notifyOnStart,
+    offsets: account.reminderPolicy.offsets.join(', '),
+    digest: { ...account.digest }
+  };
+}
+
+export default function Account() {
+  const [account, setAccount] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const [login, setLogin] = useState({ username: '', password: '' });
+  const [settings, setSettings] = useState(null);
+  const [whatsapp, setWhatsapp] = useState('');
+  const [pendingNumber, setPendingNumber] = useState(null);
+  const [code, setCode] = useState('');
+  const [caldav, setCaldav] = useState({ url: '', username: '', password: '' });
+
+  const showAccount = (data) => {
+    setAccount(data);
+    setSettings(toSettings(data));
+    setWhatsapp(data.whatsapp);
+    setCaldav({ url: data.caldav.url, username: data.caldav.username, password: '' });
+  };
+
+  useEffect(() => {
+    const loadAccount = async () => {
+      try {
+        const response = await fetch('/api/account');
+        const data = await response.json();
+        if (data.success) showAccount(data.account);
+      } catch (error) {
+        setError(`Could not reach the server: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadAccount();
+  }, []);
+
+  // Send a request and show its error, if any; returns the response data on success
+  const request = async (url, method, body) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: body && JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (!data.success) {
+        setError(data.error);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      setError(`Could not reach the server: ${error.message}`);
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/account/login', 'POST', login);
+    if (data) {
+      showAccount(data.account);
+      setLogin({ username: '', password: '' });
+    }
+  };
+
+  const handleLogout = async () => {
+    await request('/api/account/logout', 'POST');
+    setAccount(null);
+    setPendingNumber(null);
+  };
+
+  const saveSettings = async (e) => {
+    e.preventDefault();
+
+    const offsets = settings.offsets
+      .split(',')
+      .map(value => value.trim())
+      .filter(Boolean)
+      .map(Number);
+
+    const data = await request('/api/account', 'PUT', {
+      timezone: settings.timezone,
+      quietHours: settings.quietHours,
+      reminderPolicy: { notifyOnStart: settings.notifyOnStart, offsets },
+      digest: { ...settings.digest, weekday: Number(settings.digest.weekday) }
+    });
+
+    if (data) {
+      showAccount(data.account);
+      setMessage(`✅ Settings saved (${data.scheduled} reminder${data.scheduled !== 1 ? 's' : ''} rescheduled)`);
+    }
+  };
+
+  const changeNumber = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/account', 'PUT', { whatsapp });
+
+    if (data?.verificationId) {
+      setPendingNumber({ verificationId: data.verificationId, whatsapp: data.pendingWhatsapp });
+      setCode('');
+    } else if (data) {
+      setMessage('This is already your WhatsApp number');
+    }
+  };
+
+  const confirmNumber = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/account/verify', 'POST', {
+      verificationId: pendingNumber.verificationId,
+      code
+    });
+
+    if (data) {
+      showAccount(data.account);
+      setPendingNumber(null);
+      setMessage('✅ WhatsApp number updated');
+    }
+  };
+
+  const togglePaused = async () => {
+    const data = await request('/api/account', 'PUT', { paused: !account.paused });
+    if (data) {
+      showAccount(data.account);
+      setMessage(data.account.paused ? '⏸️ Reminders paused' : '▶️ Reminders resumed');
+    }
+  };
+
+  const resetCalendarLink = async () => {
+    if (account.calendarPath && !confirm('Calendars subscribed to the current link will stop updating. Create a new link?')) return;
+
+    const data = await request('/api/account/calendar', 'POST');
+    if (data) {
+      showAccount(data.account);
+      setMessage('📅 Calendar link created');
+    }
+  };
+
+  const removeCalendarLink = async () => {
+    const data = await request('/api/account/calendar', 'DELETE');
+    if (data) {
+      showAccount(data.account);
+      setMessage('Calendar link turned off');
+    }
+  };
+
+  // Summary of a CalDAV sync, e.g. "2 created, 1 updated, 0 deleted"
+  const describeSync = (synced) => `${synced.created} created, ${synced.updated} updated, ${synced.deleted} deleted${synced.failed ? `, ${synced.failed} failed` : ''}`;
+
+  const connectCaldav = async (e) => {
+    e.preventDefault();
+    const data = await request('/api/account/caldav', 'PUT', caldav);
+    if (data) {
+      showAccount(data.account);
+      setMessage(`📆 Calendar connected (${describeSync(data.synced)})`);
+    }
+  };
+
+  const syncCaldav = async () => {
+    const data = await request('/api/account/caldav', 'POST');
+    if (data) setMessage(`📆 Calendar synced (${describeSync(data.synced)})`);
+  };
+
+  const disconnectCaldav = async () => {
+    const data = await request('/api/account/caldav', 'DELETE');
+    if (data) {
+      showAccount(data.account);
+      setMessage('Calendar disconnected; events already in it are kept');
+    }
+  };
+
+  const handleDelete = async () => {
+    const password = prompt('This deletes your account and all your reminders. Enter your LMS password to confirm:');
+    if (!password) return;
+
+    const data = await request('/api/account', 'DELETE', { password });
+    if (data) {
+      setAccount(null);
+      setMessage('Your account has been deleted');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-slate-900 to-zinc-900 text-white p-6">
+        <p className="text-center text-zinc-400 mt-20">Loading...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-slate-900 to-zinc-900 text-white p-6">
+      <div className="max-w-2xl mx-auto">
+        <header className="mb-8 text-center">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            My LMS Reminders
+          </h1>
+          <p className="text-zinc-400">
+            {account ? `Signed in as ${account.username}` : 'Sign in with your VU LMS student id and password'}
+          </p>
+        </header>
+
+        {error && (
+          <div className="mb-4 p-3 bg-red-950/50 border border-red-800 rounded text-sm text-red-300">
+            ❌ {error}
+          </div>
+        )}
+        {message && (
+          <div className="mb-4 p-3 bg-green-950/50 border border-green-800 rounded text-sm text-green-300">
+            {message}
+          </div>
+        )}
+
+        {!account ? (
+          <div className={`${cardClass} max-w-md mx-auto`}>
+            <form onSubmit={handleLogin} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  LMS Student ID
+                </label>
+                <input
+                  type="text"
+                  value={login.username}
+                  onChange={(e) => setLogin({ ...login, username: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g., BC123456789"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  LMS Password
+                </label>
+                <input
+                  type="password"
+                  value={login.password}
+                  onChange={(e) => setLogin({ ...login, password: e.target.value })}
+                  className={inputClass}
+                  placeholder="••••••••"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {busy ? 'Signing in...' : 'Sign In'}
+              </button>
+            </form>
+
+            <p className="mt-6 text-center text-sm text-zinc-400">
+              New here? <a href="/register" className="text-blue-400 hover:text-blue-300">Sign up</a>
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            {/* Last LMS login problem */}
+            {account.lmsLogin.outcome && account.lmsLogin.outcome !== 'success' && (
+              <div className="p-3 bg-yellow-950/50 border border-yellow-800 rounded text-sm text-yellow-300">
+                ⚠️ {account.lmsLogin.message} ({new Date(account.lmsLogin.at).toLocaleString()}).
+                {account.lmsLogin.outcome === 'invalid_credentials' && (
+                  <> If you changed your LMS password, <a href="/register" className="underline">sign up again</a> with the new one.</>
+                )}
+              </div>
+            )}
+
+            {/* WhatsApp number */}
+            <div className={cardClass}>
+              <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <span className="text-2xl">📱</span> WhatsApp Number
+              </h2>
+
+              {!pendingNumber ? (
+                <form onSubmit={changeNumber} className="flex gap-3">
+                  <input
+                    type="tel"
+                    value={whatsapp}
+                    onChange={(e) => setWhatsapp(e.target.value)}
+                    className={inputClass}
+                    required
+                    disabled={busy}
+                  />
+                  <button
+                    type="submit"
+                    disabled={busy || whatsapp === account.whatsapp}
+                    className="px-6 bg-zinc-700 hover:bg-zinc-600 rounded-lg font-medium transition disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    Change
+                  </button>
+                </form>
+              ) : (
+                <form onSubmit={confirmNumber} className="space-y-3">
+                  <p className="text-sm text-zinc-300">
+                    Enter the code we sent to <span className="font-medium text-white">{pendingNumber.whatsapp}</span>.
+                    Reminders keep going to your current number until it is confirmed.
+                  </p>
+                  <div className="flex gap-3">
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      autoComplete="one-time-code"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      className={`${inputClass} tracking-widest text-center`}
+                      placeholder="123456"
+                      required
+                      disabled={busy}
+                    />
+                    <button
+                      type="submit"
+                      disabled={busy}
+                      className="px-6 bg-blue-600 hover:bg-blue-500 rounded-lg font-medium transition disabled:opacity-50"
+                    >
+                      Confirm
+                    </button>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => { setPendingNumber(null); setWhatsapp(account.whatsapp); }}
+                    className="text-sm text-zinc-400 hover:text-zinc-200 transition"
+                  >
+                    Cancel
+                  </button>
+                </form>
+              )}
+
+              {!account.whatsappVerified && (
+                <p className="mt-3 text-xs text-yellow-400">This number has not been confirmed yet. Save it to get a code; reminders stay paused until then.</p>
+              )}
+            </div>
+
+            {/* Reminder settings */}
+            <form onSubmit={saveSettings} className={`${cardClass} space-y-5`}>
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <span className="text-2xl">⏰</span> Reminder Settings
+              </h2>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  Timezone
+                </label>
+                <input
+                  type="text"
+                  value={settings.timezone}
+                  onChange={(e) => setSettings({ ...settings, timezone: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g., Asia/Karachi"
+                  disabled={busy}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  Remind me before a deadline (minutes, comma-separated)
+                </label>
+                <input
+                  type="text"
+                  value={settings.offsets}
+                  onChange={(e) => setSettings({ ...settings, offsets: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g., 1440, 60"
+                  disabled={busy}
+                />
+                <label className="mt-3 flex items-center gap-2 text-sm text-zinc-300">
+                  <input
+                    type="checkbox"
+                    checked={settings.notifyOnStart}
+                    onChange={(e) => setSettings({ ...settings, notifyOnStart: e.target.checked })}
+                    disabled={busy}
+                  />
+                  Tell me when an activity opens
+                </label>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-2 text-sm font-medium text-zinc-300 mb-2">
+                  <input
+                    type="checkbox"
+                    checked={settings.quietHours.enabled}
+                    onChange={(e) => setSettings({ ...settings, quietHours: { ...settings.quietHours, enabled: e.target.checked } })}
+                    disabled={busy}
+                  />
+                  Quiet hours (no messages between)
+                </label>
+                <div className="flex items-center gap-3">
+                  <input
+                    type="time"
+                    value={settings.quietHours.start}
+                    onChange={(e) => setSettings({ ...settings, quietHours: { ...settings.quietHours, start: e.target.value } })}
+                    className={inputClass}
+                    disabled={busy || !settings.quietHours.enabled}
+                  />
+                  <span className="text-zinc-400">and</span>
+                  <input
+                    type="time"
+                    value={settings.quietHours.end}
+                    onChange={(e) => setSettings({ ...settings, quietHours: { ...settings.quietHours, end: e.target.value } })}
+                    className={inputClass}
+                    disabled={busy || !settings.quietHours.enabled}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  Digest
+                </label>
+                <div className="flex gap-3">
+                  <select
+                    value={settings.digest.mode}
+                    onChange={(e) => setSettings({ ...settings, digest: { ...settings.digest, mode: e.target.value } })}
+                    className={inputClass}
+                    disabled={busy}
+                  >
+                    <option value="off">Off - remind me per activity</option>
+                    <option value="daily">Daily summary</option>
+                    <option value="weekly">Weekly summary</option>
+                  </select>
+                  {settings.digest.mode !== 'off' && (
+                    <input
+                      type="time"
+                      value={settings.digest.time}
+                      onChange={(e) => setSettings({ ...settings, digest: { ...settings.digest, time: e.target.value } })}
+                      className={inputClass}
+                      disabled={busy}
+                    />
+                  )}
+                  {settings.digest.mode === 'weekly' && (
+                    <select
+                      value={settings.digest.weekday}
+                      onChange={(e) => setSettings({ ...settings, digest: { ...settings.digest, weekday: e.target.value } })}
+                      className={inputClass}
+                      disabled={busy}
+                    >
+                      {WEEKDAYS.map((day, index) => (
+                        <option key={day} value={index}>{day}</option>
+                      ))}
+                    </select>
+                  )}
+                </div>
+              </div>
+
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {busy ? 'Saving...' : 'Save Settings'}
+              </button>
+            </form>
+
+            {/* Calendar feed */}
+            <div className={cardClass}>
+              <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <span className="text-2xl">📅</span> Calendar Feed
+              </h2>
+              <p className="text-sm text-zinc-400 mb-4">
+                Subscribe to this link in Google Calendar or Outlook to see your deadlines there, with alarms at your reminder times.
+                Anyone with the link can see your activities.
+              </p>
+
+              {account.calendarPath && (
+                <input
+                  type="text"
+                  readOnly
+                  value={`${window.location.origin}${account.calendarPath}`}
+                  onFocus={(e) => e.target.select()}
+                  className={`${inputClass} mb-3 text-sm font-mono`}
+                />
+              )}
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={resetCalendarLink}
+                  disabled={busy}
+                  className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                >
+                  {account.calendarPath ? 'New Link' : 'Create Link'}
+                </button>
+                {account.calendarPath && (
+                  <button
+                    onClick={removeCalendarLink}
+                    disabled={busy}
+                    className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                  >
+                    Turn Off
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {/* CalDAV sync */}
+            <form onSubmit={connectCaldav} className={`${cardClass} space-y-4`}>
+              <h2 className="text-xl font-semibold flex items-center gap-2">
+                <span className="text-2xl">📆</span> Calendar Sync
+              </h2>
+              <p className="text-sm text-zinc-400">
+                Write your activities into your own CalDAV calendar (Nextcloud, Fastmail, iCloud, Radicale, ...) after every scrape,
+                so you can move them and add notes.
+              </p>
+
+              <input
+                type="url"
+                value={caldav.url}
+                onChange={(e) => setCaldav({ ...caldav, url: e.target.value })}
+                className={inputClass}
+                placeholder="Calendar URL, e.g. https://cloud.example.com/remote.php/dav/calendars/me/lms/"
+                required
+                disabled={busy}
+              />
+              <div className="flex gap-3">
+                <input
+                  type="text"
+                  value={caldav.username}
+                  onChange={(e) => setCaldav({ ...caldav, username: e.target.value })}
+                  className={inputClass}
+                  placeholder="Username"
+                  required
+                  disabled={busy}
+                />
+                <input
+                  type="password"
+                  value={caldav.password}
+                  onChange={(e) => setCaldav({ ...caldav, password: e.target.value })}
+                  className={inputClass}
+                  placeholder={account.caldav.enabled ? 'Password (re-enter to change)' : 'Password or app password'}
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              {account.caldav.enabled && (
+                <p className="text-xs text-zinc-400">
+                  {account.caldav.lastSyncAt ? `Last synced ${new Date(account.caldav.lastSyncAt).toLocaleString()}` : 'Not synced yet'}
+                  {account.caldav.lastError && <span className="text-yellow-400"> - {account.caldav.lastError}</span>}
+                </p>
+              )}
+
+              <div className="flex flex-wrap gap-3">
+                <button
+                  type="submit"
+                  disabled={busy}
+                  className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                >
+                  {account.caldav.enabled ? 'Save' : 'Connect'}
+                </button>
+                {account.caldav.enabled && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={syncCaldav}
+                      disabled={busy}
+                      className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                    >
+                      Sync Now
+                    </button>
+                    <button
+                      type="button"
+                      onClick={disconnectCaldav}
+                      disabled={busy}
+                      className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                    >
+                      Disconnect
+                    </button>
+                  </>
+                )}
+              </div>
+            </form>
+
+            {/* Account */}
+            <div className={cardClass}>
+              <h2 className="text-xl font-semibold mb-4 flex items-center gap-2">
+                <span className="text-2xl">👤</span> Account
+              </h2>
+              <div className="flex flex-wrap gap-3">
+                <button
+                  onClick={togglePaused}
+                  disabled={busy}
+                  className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                >
+                  {account.paused ? '▶️ Resume Reminders' : '⏸️ Pause Reminders'}
+                </button>
+                <button
+                  onClick={handleLogout}
+                  disabled={busy}
+                  className="px-4 py-2 bg-zinc-700 hover:bg-zinc-600 rounded-lg text-sm font-medium transition disabled:opacity-50"
+                >
+                  Sign Out
+                </button>
+                <button
+                  onClick={handleDelete}
+                  disabled={busy}
+                  className="px-4 py-2 bg-red-900/60 hover:bg-red-800 border border-red-800 rounded-lg text-sm font-medium text-red-200 transition disabled:opacity-50"
+                >
+                  Delete Account
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
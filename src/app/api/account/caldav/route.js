@@ -0,0 +1,106 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { getSessionUser, toAccount, connectCalendar, disconnectCalendar } from '@/lib/account';
+import { syncCalendar } from '@/lib/calendarSync';
+
+function notSignedIn() {
+  return NextResponse.json({ success: false, error: 'Not signed in' }, { status: 401 });
+}
+
+/**
+ * PUT /api/account/caldav
+ * Connect the signed-in student's CalDAV calendar and write their activities
+ * into it. The credentials are checked against the server first
+ * Body: { url, username, password }
+ */
+export async function PUT(request) {
+  try {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    const result = await connectCalendar(user, body);
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(result.user),
+      synced: result.synced
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json({ success: false, error: error.message }, { status: error.status });
+    }
+
+    logger.error('[API] Error connecting calendar:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/account/caldav
+ * Sync the connected calendar now instead of after the next scrape
+ */
+export async function POST(request) {
+  try {
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    const synced = await syncCalendar(user);
+    if (!synced) {
+      return NextResponse.json({ success: false, error: 'No calendar connected' }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      synced
+    });
+
+  } catch (error) {
+    logger.error('[API] Error syncing calendar:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account/caldav
+ * Stop writing to the signed-in student's calendar (its events are kept)
+ */
+export async function DELETE(request) {
+  try {
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    await disconnectCalendar(user);
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error disconnecting calendar:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
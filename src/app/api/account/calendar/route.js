@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { getSessionUser, toAccount } from '@/lib/account';
+
+function notSignedIn() {
+  return NextResponse.json({ success: false, error: 'Not signed in' }, { status: 401 });
+}
+
+/**
+ * POST /api/account/calendar
+ * Create the signed-in student's calendar feed link, or replace it with a new
+ * one (the old link stops working)
+ */
+export async function POST(request) {
+  try {
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    user.resetCalendarToken();
+    await user.save();
+
+    logger.info(`[ACCOUNT] ${user.username} created a new calendar feed link`);
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error creating calendar link:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account/calendar
+ * Turn off the signed-in student's calendar feed
+ */
+export async function DELETE(request) {
+  try {
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    user.calendarToken = undefined;
+    await user.save();
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error removing calendar link:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { authenticate, toAccount, limitAttempts } from '@/lib/account';
+import { getClientAddress } from '@/lib/rateLimit';
+import { SESSION_COOKIE, createSessionToken, isSessionConfigured, sessionCookieOptions } from '@/lib/session';
+
+/**
+ * POST /api/account/login
+ * Sign a student in with their LMS student id and password
+ * Body: { username, password }
+ */
+export async function POST(request) {
+  try {
+    if (!isSessionConfigured()) {
+      return NextResponse.json({
+        success: false,
+        error: 'Student sign-in is not available (SESSION_SECRET is not set)'
+      }, { status: 503 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { username, password } = body;
+
+    limitAttempts('login', { address: getClientAddress(request), username });
+
+    await db.connect();
+
+    const user = await authenticate({ username, password });
+
+    const response = NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+    response.cookies.set(SESSION_COOKIE, createSessionToken(user._id), sessionCookieOptions());
+
+    return response;
+
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json({ success: false, error: error.message }, {
+        status: error.status,
+        headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : undefined
+      });
+    }
+
+    logger.error('[API] Error signing in student:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
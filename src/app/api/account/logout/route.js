@@ -0,0 +1,12 @@
+import { NextResponse } from 'next/server';
+import { SESSION_COOKIE, sessionCookieOptions } from '@/lib/session';
+
+/**
+ * POST /api/account/logout
+ * Sign the student out
+ */
+export async function POST() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(SESSION_COOKIE, '', sessionCookieOptions(0));
+  return response;
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { startRegistration, limitAttempts } from '@/lib/account';
+import { getClientAddress } from '@/lib/rateLimit';
+import { isSessionConfigured } from '@/lib/session';
+
+/**
+ * POST /api/account/register
+ * Student sign-up: checks the LMS credentials, then sends a code to the
+ * WhatsApp number (confirm it with POST /api/account/verify)
+ * Body: { username, password, whatsapp }
+ */
+export async function POST(request) {
+  try {
+    if (!isSessionConfigured()) {
+      return NextResponse.json({
+        success: false,
+        error: 'Student sign-up is not available (SESSION_SECRET is not set)'
+      }, { status: 503 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { username, password, whatsapp } = body;
+
+    limitAttempts('register', { address: getClientAddress(request), username });
+
+    await db.connect();
+
+    const { verificationId, expiresAt } = await startRegistration({ username, password, whatsapp });
+
+    return NextResponse.json({
+      success: true,
+      verificationId,
+      expiresAt,
+      message: 'A verification code was sent to your WhatsApp number'
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json({ success: false, error: error.message }, {
+        status: error.status,
+        headers: error.retryAfter ? { 'Retry-After': String(error.retryAfter) } : undefined
+      });
+    }
+
+    logger.error('[API] Error registering student:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
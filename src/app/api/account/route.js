@@ -0,0 +1,120 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { getSessionUser, toAccount, updateAccount, deleteAccount } from '@/lib/account';
+import { SESSION_COOKIE, sessionCookieOptions } from '@/lib/session';
+
+function notSignedIn() {
+  return NextResponse.json({ success: false, error: 'Not signed in' }, { status: 401 });
+}
+
+/**
+ * GET /api/account
+ * Get the signed-in student's account
+ */
+export async function GET(request) {
+  try {
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting account:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/account
+ * Update the signed-in student's settings. A new WhatsApp number gets a code
+ * and is applied once confirmed with POST /api/account/verify
+ * Body: { whatsapp, paused, timezone, quietHours, reminderPolicy: { notifyOnStart, offsets },
+ *         digest: { mode, time, weekday } }
+ */
+export async function PUT(request) {
+  try {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    let result;
+    try {
+      result = await updateAccount(user, body);
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    return NextResponse.json({
+      success: true,
+      account: toAccount(result.user),
+      scheduled: result.scheduled,
+      ...(result.verification && {
+        verificationId: result.verification.verificationId,
+        pendingWhatsapp: result.verification.whatsapp
+      })
+    });
+
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json({ success: false, error: error.message }, { status: error.status });
+    }
+
+    logger.error('[API] Error updating account:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/account
+ * Delete the signed-in student's account and everything stored for it
+ * Body: { password } - LMS password, to confirm
+ */
+export async function DELETE(request) {
+  try {
+    const { password } = (await readJsonBody(request)) || {};
+
+    await db.connect();
+
+    const user = await getSessionUser(request);
+    if (!user) return notSignedIn();
+
+    if (!password || !await user.comparePassword(password)) {
+      return NextResponse.json({ success: false, error: 'Incorrect password' }, { status: 401 });
+    }
+
+    await deleteAccount(user);
+
+    const response = NextResponse.json({ success: true });
+    response.cookies.set(SESSION_COOKIE, '', sessionCookieOptions(0));
+    return response;
+
+  } catch (error) {
+    logger.error('[API] Error deleting account:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
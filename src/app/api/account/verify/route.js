@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { confirmVerification, toAccount } from '@/lib/account';
+import { SESSION_COOKIE, createSessionToken, sessionCookieOptions } from '@/lib/session';
+
+/**
+ * POST /api/account/verify
+ * Confirm a WhatsApp code from sign-up (signs the student in) or from a
+ * number change
+ * Body: { verificationId, code }
+ */
+export async function POST(request) {
+  try {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { verificationId, code } = body;
+
+    if (!mongoose.isValidObjectId(verificationId) || !code) {
+      return NextResponse.json({ success: false, error: 'verificationId and code are required' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const { user, purpose } = await confirmVerification(verificationId, code);
+
+    const response = NextResponse.json({
+      success: true,
+      account: toAccount(user)
+    });
+
+    if (purpose === 'register') {
+      response.cookies.set(SESSION_COOKIE, createSessionToken(user._id), sessionCookieOptions());
+    }
+
+    return response;
+
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json({ success: false, error: error.message }, { status: error.status });
+    }
+
+    logger.error('[API] Error verifying code:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
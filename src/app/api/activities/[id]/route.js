@@ -0,0 +1,114 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { setCompleted } from '@/lib/activitySync';
+import Activity from '@/models/Activity';
+
+// Completion sources a request may claim ('whatsapp' and 'lms' are set internally)
+const REQUEST_SOURCES = ['dashboard', 'api'];
+
+function toActivity(activity) {
+  return {
+    id: activity._id,
+    userId: activity.userId,
+    courseCode: activity.courseCode,
+    activityType: activity.activityType,
+    title: activity.title,
+    startDate: activity.startDate,
+    dueDate: activity.dueDate,
+    link: activity.link,
+    completed: Boolean(activity.completedAt),
+    completedAt: activity.completedAt,
+    completionSource: activity.completionSource,
+    removedAt: activity.removedAt
+  };
+}
+
+/**
+ * GET /api/activities/:id
+ * Get a stored activity and its completion state
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid activity id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const activity = await Activity.findById(id);
+    if (!activity) {
+      return NextResponse.json({ success: false, error: 'Activity not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      activity: toActivity(activity)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting activity:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/activities/:id
+ * Mark an activity as done (cancels its pending reminders) or not done
+ * (reschedules them)
+ * Body: { completed: true, source: 'dashboard' | 'api' (default) }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid activity id' }, { status: 400 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { completed, source = 'api' } = body;
+
+    if (typeof completed !== 'boolean') {
+      return NextResponse.json({ success: false, error: 'completed must be true or false' }, { status: 400 });
+    }
+    if (!REQUEST_SOURCES.includes(source)) {
+      return NextResponse.json({
+        success: false,
+        error: `source must be one of: ${REQUEST_SOURCES.join(', ')}`
+      }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const activity = await Activity.findById(id);
+    if (!activity) {
+      return NextResponse.json({ success: false, error: 'Activity not found' }, { status: 404 });
+    }
+
+    const changed = await setCompleted(activity, completed, source);
+
+    return NextResponse.json({
+      success: true,
+      activity: toActivity(activity),
+      changed
+    });
+
+  } catch (error) {
+    logger.error('[API] Error updating activity:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { getRequestIdentity } from '@/lib/auth';
+import ApiKey from '@/models/ApiKey';
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke an API key
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid API key id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      return NextResponse.json({ success: false, error: 'API key not found' }, { status: 404 });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`[AUTH] ${getRequestIdentity(request)?.name} revoked API key "${apiKey.name}"`);
+    }
+
+    return NextResponse.json({
+      success: true,
+      apiKey: apiKey.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('[API] Error revoking API key:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
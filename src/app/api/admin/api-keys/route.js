@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { getRequestIdentity } from '@/lib/auth';
+import ApiKey from '@/models/ApiKey';
+
+/**
+ * GET /api/admin/api-keys
+ * List API keys (without the keys themselves)
+ */
+export async function GET() {
+  try {
+    await db.connect();
+
+    const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+
+    return NextResponse.json({
+      success: true,
+      apiKeys: apiKeys.map(apiKey => apiKey.toSafeObject())
+    });
+
+  } catch (error) {
+    logger.error('[API] Error listing API keys:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/admin/api-keys
+ * Create an API key for an automation client. The key is only returned here.
+ * Body: { name, role: 'operator'|'admin' }
+ */
+export async function POST(request) {
+  try {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { name, role = 'operator' } = body;
+
+    if (!name) {
+      return NextResponse.json({ success: false, error: 'name is required' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const identity = getRequestIdentity(request);
+
+    let result;
+    try {
+      result = await ApiKey.generate({ name, role, createdBy: identity?.name });
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    logger.info(`[AUTH] ${identity?.name} created ${role} API key "${name}"`);
+
+    return NextResponse.json({
+      success: true,
+      apiKey: result.apiKey.toSafeObject(),
+      key: result.key
+    }, { status: 201 });
+
+  } catch (error) {
+    logger.error('[API] Error creating API key:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { STAFF_SESSION_COOKIE, STAFF_SESSION_MAX_AGE, createSessionToken, isSessionConfigured, sessionCookieOptions } from '@/lib/session';
+import { staffSignInLimiter } from '@/lib/auth';
+import { getClientAddress } from '@/lib/rateLimit';
+import Staff from '@/models/Staff';
+
+/**
+ * POST /api/auth/login
+ * Sign an admin or operator in to the dashboard
+ * Body: { username, password }
+ */
+export async function POST(request) {
+  try {
+    if (!isSessionConfigured()) {
+      return NextResponse.json({
+        success: false,
+        error: 'Dashboard sign-in is not available (SESSION_SECRET is not set)'
+      }, { status: 503 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { username, password } = body;
+
+    const retryAfterMs = staffSignInLimiter.take({ address: getClientAddress(request), username });
+    if (retryAfterMs > 0) {
+      logger.warn(`[AUTH] Too many dashboard sign-in attempts for "${username}"`);
+      const minutes = Math.ceil(retryAfterMs / 60000);
+      return NextResponse.json({
+        success: false,
+        error: `Too many attempts. Please try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`
+      }, { status: 429, headers: { 'Retry-After': String(Math.ceil(retryAfterMs / 1000)) } });
+    }
+
+    await db.connect();
+
+    const staff = await Staff.findOne({ username: String(username || '').trim().toLowerCase() });
+
+    if (!staff || !staff.isActive || !password || !await staff.comparePassword(password)) {
+      logger.warn(`[AUTH] Failed dashboard sign-in for "${username}"`);
+      return NextResponse.json({ success: false, error: 'Incorrect username or password' }, { status: 401 });
+    }
+
+    staff.lastLoginAt = new Date();
+    await staff.save();
+
+    logger.info(`[AUTH] ${staff.username} (${staff.role}) signed in`);
+
+    const response = NextResponse.json({
+      success: true,
+      staff: staff.toSafeObject()
+    });
+    response.cookies.set(
+      STAFF_SESSION_COOKIE,
+      createSessionToken(staff._id, staff.role),
+      sessionCookieOptions(STAFF_SESSION_MAX_AGE)
+    );
+
+    return response;
+
+  } catch (error) {
+    logger.error('[API] Error signing in staff:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
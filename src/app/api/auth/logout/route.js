@@ -0,0 +1,12 @@
+import { NextResponse } from 'next/server';
+import { STAFF_SESSION_COOKIE, sessionCookieOptions } from '@/lib/session';
+
+/**
+ * POST /api/auth/logout
+ * Sign an admin or operator out of the dashboard
+ */
+export async function POST() {
+  const response = NextResponse.json({ success: true });
+  response.cookies.set(STAFF_SESSION_COOKIE, '', sessionCookieOptions(0));
+  return response;
+}
@@ -0,0 +1,15 @@
+import { NextResponse } from 'next/server';
+import { getRequestIdentity } from '@/lib/auth';
+
+/**
+ * GET /api/auth/me
+ * Get who the request is signed in as (staff session or API key)
+ */
+export async function GET(request) {
+  const identity = getRequestIdentity(request);
+
+  return NextResponse.json({
+    success: true,
+    identity
+  });
+}
@@ -0,0 +1,135 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import scheduler from '@/lib/scheduler';
+import GroupBroadcast from '@/models/GroupBroadcast';
+
+// Fields editable through PATCH
+const EDITABLE_FIELDS = ['name', 'chatId', 'courseCode', 'cohort', 'reminderOffsets', 'notifyOnStart', 'replacesDirect', 'timezone', 'isActive'];
+
+/**
+ * GET /api/broadcasts/:id
+ * Get a group broadcast
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid broadcast id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const broadcast = await GroupBroadcast.findById(id);
+    if (!broadcast) {
+      return NextResponse.json({ success: false, error: 'Broadcast not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      broadcast: broadcast.toSafeObject()
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting broadcast:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/broadcasts/:id
+ * Edit a group broadcast (pause it with { isActive: false }); pending posts are rebuilt
+ * Body: any of { name, chatId, courseCode, cohort, reminderOffsets, notifyOnStart,
+ *         replacesDirect, timezone, isActive }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid broadcast id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const broadcast = await GroupBroadcast.findById(id);
+    if (!broadcast) {
+      return NextResponse.json({ success: false, error: 'Broadcast not found' }, { status: 404 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const previous = { cohort: broadcast.cohort, replacesDirect: broadcast.replacesDirect };
+
+    for (const field of EDITABLE_FIELDS) {
+      if (body[field] !== undefined) {
+        broadcast[field] = ['courseCode', 'cohort'].includes(field) ? body[field] || null : body[field];
+      }
+    }
+
+    try {
+      await broadcast.save();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    const scheduled = await scheduler.rescheduleBroadcast(broadcast, previous);
+
+    return NextResponse.json({
+      success: true,
+      broadcast: broadcast.toSafeObject(),
+      scheduled
+    });
+
+  } catch (error) {
+    logger.error('[API] Error updating broadcast:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * DELETE /api/broadcasts/:id
+ * Delete a group broadcast and its pending posts
+ */
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid broadcast id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const broadcast = await GroupBroadcast.findById(id);
+    if (!broadcast) {
+      return NextResponse.json({ success: false, error: 'Broadcast not found' }, { status: 404 });
+    }
+
+    await broadcast.deleteOne();
+    await scheduler.rescheduleBroadcast(broadcast, { cohort: broadcast.cohort, replacesDirect: broadcast.replacesDirect });
+
+    return NextResponse.json({ success: true });
+
+  } catch (error) {
+    logger.error('[API] Error deleting broadcast:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
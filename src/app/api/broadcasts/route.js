@@ -0,0 +1,93 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import scheduler from '@/lib/scheduler';
+import { getRequestIdentity } from '@/lib/auth';
+import GroupBroadcast from '@/models/GroupBroadcast';
+
+/**
+ * GET /api/broadcasts
+ * List group broadcasts
+ */
+export async function GET() {
+  try {
+    await db.connect();
+
+    const broadcasts = await GroupBroadcast.find().sort({ name: 1 });
+
+    return NextResponse.json({
+      success: true,
+      broadcasts: broadcasts.map(broadcast => broadcast.toSafeObject())
+    });
+
+  } catch (error) {
+    logger.error('[API] Error listing broadcasts:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * POST /api/broadcasts
+ * Post deadlines of a course and/or cohort (roster group) to a WhatsApp group
+ * Body: { name, chatId: '...@g.us', courseCode, cohort, reminderOffsets: ['1d'],
+ *         notifyOnStart, replacesDirect, timezone }
+ */
+export async function POST(request) {
+  try {
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { name, chatId, courseCode, cohort, reminderOffsets, notifyOnStart, replacesDirect, timezone } = body;
+
+    if (!name || !chatId) {
+      return NextResponse.json({ success: false, error: 'name and chatId are required' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const identity = getRequestIdentity(request);
+    const broadcast = new GroupBroadcast({
+      name,
+      chatId,
+      courseCode: courseCode || null,
+      cohort: cohort || null,
+      reminderOffsets,
+      notifyOnStart,
+      replacesDirect,
+      timezone,
+      createdBy: identity?.name
+    });
+
+    try {
+      await broadcast.save();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    // Post activities the covered students already have
+    const scheduled = await scheduler.rescheduleBroadcast(broadcast);
+
+    logger.info(`[API] ${identity?.name} created group broadcast "${name}"`);
+
+    return NextResponse.json({
+      success: true,
+      broadcast: broadcast.toSafeObject(),
+      scheduled
+    }, { status: 201 });
+
+  } catch (error) {
+    logger.error('[API] Error creating broadcast:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,53 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { buildCalendar } from '@/lib/ical';
+import User from '@/models/User';
+import Activity from '@/models/Activity';
+
+// Activities due this many days ago are still listed (done, missed or removed)
+const FEED_PAST_DAYS = 30;
+
+/**
+ * GET /api/calendar/:token.ics
+ * The student's activities as an iCalendar feed. Public: the token in the URL
+ * is the only credential, so it is reset from the student portal if leaked.
+ */
+export async function GET(request, { params }) {
+  try {
+    const { token } = await params;
+    const calendarToken = token.replace(/\.ics$/i, '');
+
+    if (!/^[\w-]{20,}$/.test(calendarToken)) {
+      return NextResponse.json({ success: false, error: 'Calendar not found' }, { status: 404 });
+    }
+
+    await db.connect();
+
+    const user = await User.findOne({ calendarToken });
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'Calendar not found' }, { status: 404 });
+    }
+
+    const now = new Date();
+    const activities = await Activity.find({
+      userId: user._id,
+      dueDate: { $gte: new Date(now.getTime() - FEED_PAST_DAYS * 24 * 60 * 60 * 1000) }
+    }).sort({ dueDate: 1 });
+
+    return new NextResponse(buildCalendar(user, activities, now), {
+      headers: {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="vu-lms.ics"',
+        'Cache-Control': 'private, max-age=300'
+      }
+    });
+
+  } catch (error) {
+    logger.error('[API] Error building calendar feed:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -1,26 +1,24 @@
 import { NextResponse } from 'next/server';
 import db from '@/lib/db';
-import scheduler from '@/lib/scheduler';
+import { runCycleViaBridge } from '@/lib/bridge';
 import logger from '@/lib/logger';
 
 /**
  * POST /api/notifications/process
- * Manually trigger notification processing
+ * Manually trigger notification processing (and any digests that are due)
  */
 export async function POST() {
   try {
-    // Connect to database
-    await db.connect();
-
     logger.info('[API] Manual notification processing triggered');
 
-    // Process pending notifications
-    const result = await scheduler.processPendingNotifications();
+    // Run in server.js through the bridge: this process has no WhatsApp session
+    // (503 while the bridge is unreachable or not set up)
+    const result = await runCycleViaBridge();
 
     return NextResponse.json({
       success: true,
       ...result,
-      message: `Processed ${result.processed} notifications: ${result.sent} sent, ${result.failed} failed`
+      message: `Processed ${result.processed} notifications: ${result.sent} sent, ${result.failed} failed, ${result.deferred} deferred, ${result.skipped} waiting for a channel, ${result.cancelled} cancelled; ${result.digests.sent} digests sent`
     });
 
   } catch (error) {
@@ -28,7 +26,7 @@ export async function POST() {
     return NextResponse.json({
       success: false,
       error: error.message
-    }, { status: 500 });
+    }, { status: [0, 503].includes(error.status) ? 503 : 500 });
   }
 }
 
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import { cancelJob } from '@/lib/scrapeQueue';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+
+/**
+ * POST /api/scrape/jobs/:id/cancel
+ * Cancel a queued job, or stop a running job before its next student
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid job id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const job = await cancelJob(id);
+    if (!job) {
+      return NextResponse.json({ success: false, error: 'Job not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      job: job.toSummary()
+    });
+
+  } catch (error) {
+    logger.error('[API] Error cancelling scrape job:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import ScrapeJob from '@/models/ScrapeJob';
+
+export const dynamic = 'force-dynamic';
+
+// How often the job document is checked for new events
+const POLL_INTERVAL_MS = 1000;
+
+// Format a Server-Sent Event frame
+function formatEvent(event, data, id = null) {
+  let frame = '';
+  if (id !== null) frame += `id: ${id}\n`;
+  frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  return frame;
+}
+
+/**
+ * GET /api/scrape/jobs/:id/events
+ * Stream per-student progress events of a scrape job as Server-Sent Events.
+ * Emits `progress` for each stage event, `job` whenever the job summary
+ * changes and `done` once the job has finished.
+ */
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    return new Response('Invalid job id', { status: 400 });
+  }
+
+  await db.connect();
+
+  if (!(await ScrapeJob.exists({ _id: id }))) {
+    return new Response('Job not found', { status: 404 });
+  }
+
+  // Resume after the last event the browser saw when it reconnects
+  let lastSeq = parseInt(request.headers.get('last-event-id')) || 0;
+  let lastUpdatedAt = null;
+  let timer = null;
+
+  const encoder = new TextEncoder();
+
+  const stream = new ReadableStream({
+    start(controller) {
+      const close = () => {
+        clearTimeout(timer);
+        try {
+          controller.close();
+        } catch (error) {
+          // Stream already closed by the client
+        }
+      };
+
+      const poll = async () => {
+        try {
+          const job = await ScrapeJob.findById(id);
+          if (!job) {
+            close();
+            return;
+          }
+
+          let sent = false;
+
+          for (const event of job.events) {
+            if (event.seq <= lastSeq) continue;
+            controller.enqueue(encoder.encode(formatEvent('progress', event, event.seq)));
+            lastSeq = event.seq;
+            sent = true;
+          }
+
+          if (!lastUpdatedAt || job.updatedAt.getTime() !== lastUpdatedAt) {
+            lastUpdatedAt = job.updatedAt.getTime();
+            controller.enqueue(encoder.encode(formatEvent('job', job.toSummary())));
+            sent = true;
+          }
+
+          if (job.isFinished()) {
+            controller.enqueue(encoder.encode(formatEvent('done', { status: job.status })));
+            close();
+            return;
+          }
+
+          // Comment line keeps proxies from timing out idle connections
+          if (!sent) {
+            controller.enqueue(encoder.encode(': keep-alive\n\n'));
+          }
+          timer = setTimeout(poll, POLL_INTERVAL_MS);
+        } catch (error) {
+          logger.error('[API] Error streaming scrape job events:', error.message);
+          close();
+        }
+      };
+
+      request.signal.addEventListener('abort', close);
+      poll();
+    },
+    cancel() {
+      clearTimeout(timer);
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive'
+    }
+  });
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import ScrapeJob from '@/models/ScrapeJob';
+
+/**
+ * GET /api/scrape/jobs/:id
+ * Get the state of a scrape job and its per-student tasks
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid job id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const job = await ScrapeJob.findById(id);
+    if (!job) {
+      return NextResponse.json({ success: false, error: 'Job not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      job: job.toSummary()
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting scrape job:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
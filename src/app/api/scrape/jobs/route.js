@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import ScrapeJob from '@/models/ScrapeJob';
+
+/**
+ * GET /api/scrape/jobs
+ * List the most recent scrape jobs (optionally filtered by ?status=)
+ */
+export async function GET(request) {
+  try {
+    await db.connect();
+
+    const { searchParams } = new URL(request.url);
+    const status = searchParams.get('status');
+    const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 20, 1), 100);
+
+    const jobs = await ScrapeJob.find(status ? { status } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return NextResponse.json({
+      success: true,
+      jobs: jobs.map(job => job.toSummary())
+    });
+
+  } catch (error) {
+    logger.error('[API] Error listing scrape jobs:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
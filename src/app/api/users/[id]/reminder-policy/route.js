@@ -0,0 +1,96 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import scheduler from '@/lib/scheduler';
+import User from '@/models/User';
+
+/**
+ * GET /api/users/:id/reminder-policy
+ * Get a user's reminder policy
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const user = await User.findById(id);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      reminderPolicy: user.reminderPolicy
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting reminder policy:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/users/:id/reminder-policy
+ * Replace a user's reminder policy and reschedule pending notifications
+ * Body: { notifyOnStart, offsets: ['3d', '1d', '6h'], overrides: [{ activityType, offsets }] }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { notifyOnStart, offsets, overrides } = body;
+
+    await db.connect();
+
+    const user = await User.findById(id);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    if (notifyOnStart !== undefined) user.reminderPolicy.notifyOnStart = Boolean(notifyOnStart);
+    if (offsets !== undefined) user.reminderPolicy.offsets = offsets;
+    if (overrides !== undefined) user.reminderPolicy.overrides = overrides;
+
+    try {
+      await user.save();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    const scheduled = await scheduler.rescheduleForUser(user);
+
+    return NextResponse.json({
+      success: true,
+      reminderPolicy: user.reminderPolicy,
+      scheduled
+    });
+
+  } catch (error) {
+    logger.error('[API] Error updating reminder policy:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
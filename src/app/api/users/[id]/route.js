@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import { toRosterEntry, updateRosterUser } from '@/lib/roster';
+import User from '@/models/User';
+
+/**
+ * GET /api/users/:id
+ * Get a roster student
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const user = await User.findById(id);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      user: toRosterEntry(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting user:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PATCH /api/users/:id
+ * Edit a roster student, or deactivate them with { isActive: false }
+ * Body: { whatsapp, group, isActive, password }
+ */
+export async function PATCH(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { whatsapp, group, isActive, password } = body;
+
+    await db.connect();
+
+    const user = await User.findById(id).select('+lmsPassword');
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    try {
+      await updateRosterUser(user, { whatsapp, group, isActive, password });
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    return NextResponse.json({
+      success: true,
+      user: toRosterEntry(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error updating user:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
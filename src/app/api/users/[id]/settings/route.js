@@ -0,0 +1,140 @@
+import { NextResponse } from 'next/server';
+import mongoose from 'mongoose';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { readJsonBody, INVALID_BODY } from '@/lib/requestBody';
+import scheduler from '@/lib/scheduler';
+import User from '@/models/User';
+
+// Delivery settings editable through this route
+const CONTACT_FIELDS = ['email', 'telegramChatId', 'webhookUrl'];
+const DIGEST_FIELDS = ['mode', 'time', 'weekday'];
+
+function toSettings(user) {
+  return {
+    timezone: user.timezone,
+    quietHours: user.quietHours,
+    notificationChannels: user.notificationChannels,
+    email: user.email,
+    telegramChatId: user.telegramChatId,
+    webhookUrl: user.webhookUrl,
+    digest: {
+      mode: user.digest.mode,
+      time: user.digest.time,
+      weekday: user.digest.weekday,
+      lastSentAt: user.digest.lastSentAt
+    }
+  };
+}
+
+/**
+ * GET /api/users/:id/settings
+ * Get a user's delivery settings (timezone, quiet hours, channels and digest)
+ */
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    await db.connect();
+
+    const user = await User.findById(id);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      settings: toSettings(user)
+    });
+
+  } catch (error) {
+    logger.error('[API] Error getting user settings:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
+
+/**
+ * PUT /api/users/:id/settings
+ * Update delivery settings and reschedule pending notifications
+ * Body: { timezone: 'Asia/Karachi', quietHours: { enabled, start: '22:00', end: '07:00' },
+ *         notificationChannels: ['whatsapp', 'email'], email, telegramChatId, webhookUrl,
+ *         digest: { mode: 'off' | 'daily' | 'weekly', time: '07:00', weekday: 1 } }
+ */
+export async function PUT(request, { params }) {
+  try {
+    const { id } = await params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return NextResponse.json({ success: false, error: 'Invalid user id' }, { status: 400 });
+    }
+
+    const body = await readJsonBody(request);
+    if (!body) {
+      return NextResponse.json({ success: false, error: INVALID_BODY }, { status: 400 });
+    }
+    const { timezone, quietHours, notificationChannels, digest } = body;
+
+    await db.connect();
+
+    const user = await User.findById(id);
+    if (!user) {
+      return NextResponse.json({ success: false, error: 'User not found' }, { status: 404 });
+    }
+
+    if (notificationChannels !== undefined && !Array.isArray(notificationChannels)) {
+      return NextResponse.json({ success: false, error: 'notificationChannels must be an array' }, { status: 400 });
+    }
+
+    // Switching digest mode on or off replaces or restores individual reminders
+    const reschedule = timezone !== undefined || quietHours !== undefined
+      || (digest?.mode !== undefined && digest.mode !== user.digest.mode);
+
+    if (timezone !== undefined) user.timezone = timezone;
+    if (quietHours !== undefined) {
+      for (const key of ['enabled', 'start', 'end']) {
+        if (quietHours[key] !== undefined) user.quietHours[key] = quietHours[key];
+      }
+    }
+    if (digest !== undefined) {
+      for (const key of DIGEST_FIELDS) {
+        if (digest[key] !== undefined) user.digest[key] = digest[key];
+      }
+    }
+    if (notificationChannels !== undefined) user.notificationChannels = notificationChannels;
+    for (const field of CONTACT_FIELDS) {
+      if (body[field] !== undefined) user[field] = body[field];
+    }
+
+    try {
+      await user.save();
+    } catch (validationError) {
+      if (validationError.name === 'ValidationError') {
+        return NextResponse.json({ success: false, error: validationError.message }, { status: 400 });
+      }
+      throw validationError;
+    }
+
+    // Only timing and digest mode changes affect scheduled notifications
+    const scheduled = reschedule ? await scheduler.rescheduleForUser(user) : 0;
+
+    return NextResponse.json({
+      success: true,
+      settings: toSettings(user),
+      scheduled
+    });
+
+  } catch (error) {
+    logger.error('[API] Error updating user settings:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
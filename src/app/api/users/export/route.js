@@ -0,0 +1,39 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { exportRoster } from '@/lib/roster';
+
+/**
+ * GET /api/users/export
+ * Download roster students as CSV (passwords are never exported)
+ * Query: search, group, status - same filters as GET /api/users
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl;
+
+    await db.connect();
+
+    const csv = await exportRoster({
+      search: searchParams.get('search') || '',
+      group: searchParams.get('group') ?? undefined,
+      status: searchParams.get('status') || 'all'
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    return new NextResponse(csv, {
+      headers: {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="roster-${date}.csv"`
+      }
+    });
+
+  } catch (error) {
+    logger.error('[API] Error exporting users:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,55 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { isVaultConfigured } from '@/lib/credentialVault';
+import { importRoster } from '@/lib/roster';
+
+// Largest CSV accepted (about 5000 rows)
+const MAX_IMPORT_BYTES = 1024 * 1024;
+
+/**
+ * POST /api/users/import
+ * Import students from CSV: username, password, whatsapp, optional group.
+ * A header row is optional; rows for existing students update them.
+ * Body: CSV text (Content-Type: text/csv)
+ */
+export async function POST(request) {
+  try {
+    if (!isVaultConfigured()) {
+      return NextResponse.json({
+        success: false,
+        error: 'CREDENTIAL_KEYS must be configured to import students'
+      }, { status: 503 });
+    }
+
+    const text = await request.text();
+
+    if (!text.trim()) {
+      return NextResponse.json({ success: false, error: 'CSV body is empty' }, { status: 400 });
+    }
+    if (Buffer.byteLength(text) > MAX_IMPORT_BYTES) {
+      return NextResponse.json({ success: false, error: 'CSV is larger than 1 MB' }, { status: 413 });
+    }
+
+    await db.connect();
+
+    let result;
+    try {
+      result = await importRoster(text);
+    } catch (importError) {
+      return NextResponse.json({ success: false, error: importError.message }, { status: 400 });
+    }
+
+    return NextResponse.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('[API] Error importing users:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,37 @@
+import { NextResponse } from 'next/server';
+import db from '@/lib/db';
+import logger from '@/lib/logger';
+import { listRoster } from '@/lib/roster';
+
+/**
+ * GET /api/users
+ * List roster students
+ * Query: search, group, status ('active' | 'inactive' | 'all'), page, limit
+ */
+export async function GET(request) {
+  try {
+    const { searchParams } = request.nextUrl;
+
+    await db.connect();
+
+    const roster = await listRoster({
+      search: searchParams.get('search') || '',
+      group: searchParams.get('group') ?? undefined,
+      status: searchParams.get('status') || 'all',
+      page: searchParams.get('page'),
+      limit: searchParams.get('limit')
+    });
+
+    return NextResponse.json({
+      success: true,
+      ...roster
+    });
+
+  } catch (error) {
+    logger.error('[API] Error listing users:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: 500 });
+  }
+}
@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { listGroupsViaBridge } from '@/lib/bridge';
+
+/**
+ * GET /api/whatsapp/groups
+ * List the WhatsApp group chats of the linked number, for group broadcasts
+ */
+export async function GET() {
+  try {
+    const groups = await listGroupsViaBridge();
+
+    return NextResponse.json({ success: true, groups });
+  } catch (error) {
+    console.error('[WhatsApp Groups] Error:', error);
+    return NextResponse.json({
+      success: false,
+      error: error.message
+    }, { status: error.status === undefined ? 500 : 503 });
+  }
+}
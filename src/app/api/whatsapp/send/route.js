@@ -1,7 +1,11 @@
 import { NextResponse } from 'next/server';
+import { sendViaBridge } from '@/lib/bridge';
 
-// This endpoint is called internally to send WhatsApp messages
-// The actual WhatsApp client runs in server.js, we need to communicate with it
+// The WhatsApp client runs in server.js; messages go through its signed bridge,
+// which only accepts numbers of registered users
+
+// Bridge answers that are about the request itself; anything else means the bridge is unavailable
+const PASSED_THROUGH_STATUSES = [400, 403, 413, 429];
 
 export async function POST(request) {
   try {
@@ -14,25 +18,14 @@ export async function POST(request) {
       );
     }
 
-    // Import whatsapp client dynamically to get the server's instance
-    const whatsappModule = await import('@/lib/whatsapp');
-    const whatsappClient = whatsappModule.default;
-
-    if (!whatsappClient.isClientReady()) {
-      return NextResponse.json(
-        { error: 'WhatsApp client not ready' },
-        { status: 503 }
-      );
-    }
-
-    await whatsappClient.sendMessage(phone, message);
+    await sendViaBridge(phone, message);
 
     return NextResponse.json({ success: true, message: 'Message sent' });
   } catch (error) {
     console.error('[WhatsApp Send] Error:', error);
     return NextResponse.json(
       { error: error.message },
-      { status: 500 }
+      { status: error.status === undefined ? 500 : PASSED_THROUGH_STATUSES.includes(error.status) ? error.status : 503 }
     );
   }
 }
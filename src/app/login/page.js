@@ -0,0 +1,115 @@
+'use client';
+
+import { Suspense, useState } from 'react';
+import { useSearchParams } from 'next/navigation';
+
+const inputClass = 'w-full px-4 py-3 bg-zinc-900/80 border border-zinc-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition';
+
+function LoginForm() {
+  const searchParams = useSearchParams();
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        // Only same-site paths, never another origin
+        const next = searchParams.get('next');
+        window.location.href = next?.startsWith('/') && !next.startsWith('//') ? next : '/';
+      } else {
+        setError(data.error);
+        setBusy(false);
+      }
+    } catch (error) {
+      setError(`Could not reach the server: ${error.message}`);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-zinc-800/50 backdrop-blur border border-zinc-700 rounded-xl p-6 space-y-4">
+      {error && (
+        <div className="p-3 bg-red-950/50 border border-red-800 rounded text-sm text-red-300">
+          ❌ {error}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-zinc-300 mb-2">
+          Username
+        </label>
+        <input
+          type="text"
+          value={form.username}
+          onChange={(e) => setForm({ ...form, username: e.target.value })}
+          className={inputClass}
+          autoComplete="username"
+          required
+          disabled={busy}
+        />
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-zinc-300 mb-2">
+          Password
+        </label>
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          className={inputClass}
+          autoComplete="current-password"
+          required
+          disabled={busy}
+        />
+      </div>
+
+      <button
+        type="submit"
+        disabled={busy}
+        className="w-full py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-medium rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        {busy ? 'Signing in...' : 'Sign In'}
+      </button>
+    </form>
+  );
+}
+
+export default function Login() {
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-slate-900 to-zinc-900 text-white p-6">
+      <div className="max-w-md mx-auto">
+        <header className="mb-8 text-center">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            Dashboard Sign In
+          </h1>
+          <p className="text-zinc-400">For admins and operators</p>
+        </header>
+
+        {/* useSearchParams needs a Suspense boundary */}
+        <Suspense>
+          <LoginForm />
+        </Suspense>
+
+        <p className="mt-6 text-center text-sm text-zinc-400">
+          Student? <a href="/account" className="text-blue-400 hover:text-blue-300">Go to your account</a>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,10 @@
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import RosterPanel from '@/components/RosterPanel';
+
+const JOB_STORAGE_KEY = 'scrapeJobId';
+const MAX_VISIBLE_EVENTS = 8;
 
 export default function Home() {
   const [students, setStudents] = useState([]);
@@ -13,6 +17,97 @@ export default function Home() {
   const [currentStudent, setCurrentStudent] = useState(null);
   const [countdown, setCountdown] = useState(0);
   const [results, setResults] = useState([]);
+  const [jobId, setJobId] = useState(null);
+  const [job, setJob] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [countdownUntil, setCountdownUntil] = useState(null);
+  const [identity, setIdentity] = useState(null);
+  const [rosterRefresh, setRosterRefresh] = useState(0);
+
+  // Who is signed in to the dashboard
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(response => response.json())
+      .then(data => setIdentity(data.identity))
+      .catch(() => {});
+  }, []);
+
+  const handleSignOut = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    window.location.href = '/login';
+  };
+
+  // Resume tracking a job started before the page was reloaded
+  useEffect(() => {
+    const savedJobId = localStorage.getItem(JOB_STORAGE_KEY);
+    if (savedJobId) {
+      setJobId(savedJobId);
+      setProcessing(true);
+    }
+  }, []);
+
+  // Stream live progress of the active job until it finishes
+  useEffect(() => {
+    if (!jobId) return;
+
+    const source = new EventSource(`/api/scrape/jobs/${jobId}/events`);
+
+    const finish = () => {
+      source.close();
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      setJobId(null);
+      setProcessing(false);
+      setCurrentStudent(null);
+      setCountdownUntil(null);
+      setRosterRefresh(count => count + 1);
+    };
+
+    source.addEventListener('progress', (e) => {
+      const event = JSON.parse(e.data);
+      setEvents(prev => [...prev.slice(-(MAX_VISIBLE_EVENTS - 1)), event]);
+
+      if (event.stage === 'waiting') {
+        setCurrentStudent(null);
+        setCountdownUntil(new Date(event.data.until).getTime());
+      } else {
+        setCountdownUntil(null);
+        if (event.username) {
+          setCurrentStudent(event.username);
+        }
+      }
+    });
+
+    source.addEventListener('job', (e) => {
+      const summary = JSON.parse(e.data);
+      setJob(summary);
+      setResults(summary.tasks.filter(task => task.result).map(task => task.result));
+    });
+
+    source.addEventListener('done', finish);
+
+    // The browser reconnects on dropped connections; a closed source means the job is gone
+    source.onerror = () => {
+      if (source.readyState === EventSource.CLOSED) {
+        finish();
+      }
+    };
+
+    return () => source.close();
+  }, [jobId]);
+
+  // Tick the countdown shown while waiting between students
+  useEffect(() => {
+    if (!countdownUntil) {
+      setCountdown(0);
+      return;
+    }
+
+    const tick = () => setCountdown(Math.max(0, Math.ceil((countdownUntil - Date.now()) / 1000)));
+    tick();
+    const interval = setInterval(tick, 1000);
+
+    return () => clearInterval(interval);
+  }, [countdownUntil]);
 
   // Add student to the list
   const addStudent = (e) => {
@@ -32,16 +127,13 @@ export default function Home() {
     setStudents(students.filter((_, i) => i !== index));
   };
 
-  // Start processing
-  const startProcessing = async () => {
-    if (students.length === 0) {
-      alert('Please add at least one student');
-      return;
-    }
-
+  // Queue a scrape job and follow its progress
+  const queueJob = async (body) => {
     setProcessing(true);
     setResults([]);
     setCurrentStudent(null);
+    setJob(null);
+    setEvents([]);
 
     try {
       const response = await fetch('/api/scrape', {
@@ -49,23 +141,79 @@ export default function Home() {
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ students })
+        body: JSON.stringify(body)
       });
 
       const data = await response.json();
 
+      if (data.skipped?.length > 0) {
+        alert(`Skipped (inactive or needs password): ${data.skipped.join(', ')}`);
+      }
+
       if (data.success) {
-        setResults(data.results);
+        localStorage.setItem(JOB_STORAGE_KEY, data.jobId);
+        setJobId(data.jobId);
       } else {
         alert(`Error: ${data.error}`);
-        setResults(data.results || []);
+        setProcessing(false);
       }
     } catch (error) {
       alert(`Fatal error: ${error.message}`);
-    } finally {
       setProcessing(false);
-      setCurrentStudent(null);
-      setCountdown(0);
+    }
+  };
+
+  // Start processing
+  const startProcessing = async () => {
+    if (students.length === 0) {
+      alert('Please add at least one student');
+      return;
+    }
+
+    await queueJob({ students });
+  };
+
+  // Scrape roster students with their stored credentials
+  const scrapeSelected = async (userIds) => {
+    await queueJob({ userIds });
+  };
+
+  // Cancel the active job
+  const cancelProcessing = async () => {
+    if (!jobId) return;
+
+    try {
+      await fetch(`/api/scrape/jobs/${jobId}/cancel`, { method: 'POST' });
+    } catch (error) {
+      alert(`Failed to cancel: ${error.message}`);
+    }
+  };
+
+  // Mark a scraped activity as done (or not done) so its reminders stop
+  const toggleCompleted = async (resultIndex, activityIndex) => {
+    const activity = results[resultIndex].activities[activityIndex];
+
+    try {
+      const response = await fetch(`/api/activities/${activity.activity_id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ completed: !activity.completed, source: 'dashboard' })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setResults(prev => prev.map((result, i) => i !== resultIndex ? result : {
+          ...result,
+          activities: result.activities.map((a, j) => j === activityIndex ? { ...a, completed: data.activity.completed } : a)
+        }));
+      } else {
+        alert(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      alert(`Failed to update activity: ${error.message}`);
     }
   };
 
@@ -78,8 +226,18 @@ export default function Home() {
             VU LMS To-Do Automation
           </h1>
           <p className="text-zinc-400">Automated activity scraping for multiple students</p>
+          {identity && (
+            <p className="mt-2 text-sm text-zinc-500">
+              Signed in as <span className="text-zinc-300">{identity.name}</span> ({identity.role}) ·{' '}
+              <button onClick={handleSignOut} className="text-blue-400 hover:text-blue-300">Sign out</button>
+            </p>
+          )}
         </header>
 
+        <div className="mb-6">
+          <RosterPanel processing={processing} onScrape={scrapeSelected} refreshKey={rosterRefresh} />
+        </div>
+
         <div className="grid lg:grid-cols-2 gap-6">
           {/* Left Column - Input Section */}
           <div className="space-y-6">
@@ -208,12 +366,52 @@ export default function Home() {
                 </h2>
                 <div className="text-center py-4">
                   <div className="animate-pulse text-blue-400 text-lg mb-2">
-                    Processing students...
+                    {currentStudent ? `Processing ${currentStudent}...` : 'Processing students...'}
                   </div>
-                  <p className="text-zinc-400 text-sm">
-                    This may take several minutes
+                  {events.length > 0 && (
+                    <p className="text-zinc-300 text-sm mb-1">
+                      {events[events.length - 1].message}
+                    </p>
+                  )}
+                  {countdown > 0 && (
+                    <p className="text-yellow-400 text-sm mb-1">
+                      Next student in {countdown}s
+                    </p>
+                  )}
+                  {job ? (
+                    <p className="text-zinc-400 text-sm">
+                      {job.total - job.counts.queued - job.counts.running} of {job.total} students done
+                      {job.cancelRequested && ' (cancelling...)'}
+                    </p>
+                  ) : (
+                    <p className="text-zinc-400 text-sm">
+                      This may take several minutes
+                    </p>
+                  )}
+                  <p className="text-zinc-500 text-xs mt-2">
+                    The job keeps running on the server if you close this tab
                   </p>
                 </div>
+                {events.length > 0 && (
+                  <ul className="mb-3 space-y-1 text-xs font-mono text-zinc-400 max-h-40 overflow-y-auto">
+                    {events.map(event => (
+                      <li key={event.seq}>
+                        <span className="text-zinc-500">{new Date(event.at).toLocaleTimeString()}</span>{' '}
+                        {event.username && <span className="text-blue-400">{event.username}</span>}{' '}
+                        {event.message}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {jobId && (
+                  <button
+                    onClick={cancelProcessing}
+                    disabled={job?.cancelRequested}
+                    className="w-full mt-2 py-2 text-sm bg-red-600/20 hover:bg-red-600/40 text-red-400 rounded-lg transition disabled:opacity-50"
+                  >
+                    Cancel Job
+                  </button>
+                )}
               </div>
             )}
 
@@ -275,11 +473,25 @@ export default function Home() {
                           {/* Activity List */}
                           <div className="mt-3 space-y-2">
                             {result.activities.slice(0, 3).map((activity, idx) => (
-                              <div key={idx} className="p-2 bg-zinc-900/50 rounded text-xs border border-zinc-700">
-                                <p className="font-medium text-white">{activity.course_code} - {activity.activity_type}</p>
-                                <p className="text-zinc-400">{activity.title}</p>
-                                {activity.due_date && (
-                                  <p className="text-zinc-500">Due: {activity.due_date}</p>
+                              <div key={idx} className="flex items-start justify-between gap-2 p-2 bg-zinc-900/50 rounded text-xs border border-zinc-700">
+                                <div className={activity.completed ? 'opacity-60' : ''}>
+                                  <p className="font-medium text-white">{activity.course_code} - {activity.activity_type}</p>
+                                  <p className={`text-zinc-400 ${activity.completed ? 'line-through' : ''}`}>{activity.title}</p>
+                                  {activity.due_date && (
+                                    <p className="text-zinc-500">Due: {activity.due_date}</p>
+                                  )}
+                                </div>
+                                {activity.activity_id && (
+                                  <button
+                                    onClick={() => toggleCompleted(index, idx)}
+                                    className={`shrink-0 px-2 py-1 rounded transition ${
+                                      activity.completed
+                                        ? 'bg-zinc-700 hover:bg-zinc-600 text-zinc-300'
+                                        : 'bg-green-600/20 hover:bg-green-600/40 text-green-400'
+                                    }`}
+                                  >
+                                    {activity.completed ? 'Undo' : 'Mark done'}
+                                  </button>
                                 )}
                               </div>
                             ))}
@@ -0,0 +1,190 @@
+'use client';
+
+import { useState } from 'react';
+import { useRouter } from 'next/navigation';
+
+const inputClass = 'w-full px-4 py-3 bg-zinc-900/80 border border-zinc-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition';
+const buttonClass = 'w-full py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-500 hover:to-purple-500 text-white font-medium rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed';
+
+export default function Register() {
+  const router = useRouter();
+  const [form, setForm] = useState({ username: '', password: '', whatsapp: '' });
+  const [verificationId, setVerificationId] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Step 1: check LMS credentials and send a code to WhatsApp
+  const submitDetails = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/account/register', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(form)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setVerificationId(data.verificationId);
+      } else {
+        setError(data.error);
+      }
+    } catch (error) {
+      setError(`Could not reach the server: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // Step 2: confirm the code, which signs the student in
+  const submitCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    try {
+      const response = await fetch('/api/account/verify', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ verificationId, code })
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        router.push('/account');
+      } else {
+        setError(data.error);
+      }
+    } catch (error) {
+      setError(`Could not reach the server: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-zinc-900 via-slate-900 to-zinc-900 text-white p-6">
+      <div className="max-w-md mx-auto">
+        <header className="mb-8 text-center">
+          <h1 className="text-3xl font-bold bg-gradient-to-r from-blue-400 to-purple-500 bg-clip-text text-transparent mb-2">
+            Sign Up for LMS Reminders
+          </h1>
+          <p className="text-zinc-400">Get your VU LMS deadlines on WhatsApp</p>
+        </header>
+
+        <div className="bg-zinc-800/50 backdrop-blur border border-zinc-700 rounded-xl p-6">
+          {error && (
+            <div className="mb-4 p-3 bg-red-950/50 border border-red-800 rounded text-sm text-red-300">
+              ❌ {error}
+            </div>
+          )}
+
+          {!verificationId ? (
+            <form onSubmit={submitDetails} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  LMS Student ID
+                </label>
+                <input
+                  type="text"
+                  value={form.username}
+                  onChange={(e) => setForm({ ...form, username: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g., BC123456789"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  LMS Password
+                </label>
+                <input
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  className={inputClass}
+                  placeholder="••••••••"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  WhatsApp Number
+                </label>
+                <input
+                  type="tel"
+                  value={form.whatsapp}
+                  onChange={(e) => setForm({ ...form, whatsapp: e.target.value })}
+                  className={inputClass}
+                  placeholder="e.g., +923001234567"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {busy ? 'Checking your LMS login...' : 'Continue'}
+              </button>
+              <p className="text-xs text-zinc-500 text-center">
+                We sign in to the LMS once to check your details. This can take a minute.
+              </p>
+            </form>
+          ) : (
+            <form onSubmit={submitCode} className="space-y-4">
+              <p className="text-sm text-zinc-300">
+                We sent a 6-digit code to <span className="font-medium text-white">{form.whatsapp}</span> on WhatsApp.
+              </p>
+
+              <div>
+                <label className="block text-sm font-medium text-zinc-300 mb-2">
+                  Verification Code
+                </label>
+                <input
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className={`${inputClass} tracking-widest text-center text-lg`}
+                  placeholder="123456"
+                  required
+                  disabled={busy}
+                />
+              </div>
+
+              <button type="submit" disabled={busy} className={buttonClass}>
+                {busy ? 'Verifying...' : 'Verify and Finish'}
+              </button>
+              <button
+                type="button"
+                onClick={() => { setVerificationId(null); setCode(''); setError(null); }}
+                disabled={busy}
+                className="w-full py-2 text-sm text-zinc-400 hover:text-zinc-200 transition"
+              >
+                Use a different number
+              </button>
+            </form>
+          )}
+        </div>
+
+        <p className="mt-6 text-center text-sm text-zinc-400">
+          Already signed up? <a href="/account" className="text-blue-400 hover:text-blue-300">Sign in</a>
+        </p>
+      </div>
+    </div>
+  );
+}
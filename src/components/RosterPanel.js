@@ -0,0 +1,310 @@
+'use client';
+
+import { useState, useEffect, useCallback } from 'react';
+
+const inputClass = 'px-3 py-2 bg-zinc-900/80 border border-zinc-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition';
+const smallButtonClass = 'px-3 py-1 text-sm rounded transition disabled:opacity-50';
+
+/**
+ * Stored students: search, edit, activate/deactivate, CSV import/export and
+ * scraping a selection with stored credentials
+ * @param {Object} props - { processing, onScrape(userIds), refreshKey }
+ */
+export default function RosterPanel({ processing, onScrape, refreshKey }) {
+  const [filters, setFilters] = useState({ search: '', group: '', status: 'active' });
+  const [page, setPage] = useState(1);
+  const [roster, setRoster] = useState({ users: [], total: 0, pages: 1, groups: [] });
+  const [selected, setSelected] = useState([]);
+  const [editing, setEditing] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const query = new URLSearchParams({ ...filters, page: String(page) }).toString();
+
+  const loadRoster = useCallback(async () => {
+    try {
+      const response = await fetch(`/api/users?${query}`);
+      const data = await response.json();
+      if (data.success) setRoster(data);
+    } catch (error) {
+      console.error('Failed to load roster:', error);
+    }
+  }, [query]);
+
+  // Debounced so typing a search does not send a request per key
+  useEffect(() => {
+    const timer = setTimeout(loadRoster, 300);
+    return () => clearTimeout(timer);
+  }, [loadRoster, refreshKey]);
+
+  const setFilter = (key, value) => {
+    setFilters({ ...filters, [key]: value });
+    setPage(1);
+    setSelected([]);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(selected.includes(id) ? selected.filter(s => s !== id) : [...selected, id]);
+  };
+
+  const toggleAll = () => {
+    const ids = roster.users.map(user => user.id);
+    setSelected(ids.every(id => selected.includes(id)) ? [] : ids);
+  };
+
+  const updateUser = async (id, changes) => {
+    setBusy(true);
+    try {
+      const response = await fetch(`/api/users/${id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(changes)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setEditing(null);
+        await loadRoster();
+      } else {
+        alert(`Error: ${data.error}`);
+      }
+    } catch (error) {
+      alert(`Failed to update student: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const importCsv = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setBusy(true);
+    setImportResult(null);
+    try {
+      const response = await fetch('/api/users/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'text/csv'
+        },
+        body: await file.text()
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setImportResult(data);
+        await loadRoster();
+      } else {
+        alert(`Import failed: ${data.error}`);
+      }
+    } catch (error) {
+      alert(`Import failed: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const scrapeSelected = async () => {
+    await onScrape(selected);
+    setSelected([]);
+  };
+
+  return (
+    <div className="bg-zinc-800/50 backdrop-blur border border-zinc-700 rounded-xl p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-semibold flex items-center gap-2">
+          <span className="w-2 h-2 bg-yellow-500 rounded-full"></span>
+          Roster ({roster.total})
+        </h2>
+        <div className="flex gap-2">
+          <label className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600 cursor-pointer`}>
+            Import CSV
+            <input type="file" accept=".csv,text/csv" onChange={importCsv} disabled={busy} className="hidden" />
+          </label>
+          <a
+            href={`/api/users/export?${new URLSearchParams(filters).toString()}`}
+            className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600`}
+          >
+            Export CSV
+          </a>
+        </div>
+      </div>
+
+      {importResult && (
+        <div className="mb-4 p-3 bg-zinc-900/60 border border-zinc-700 rounded text-sm">
+          <p className="text-zinc-300">
+            ✅ {importResult.created} added, {importResult.updated} updated
+            {importResult.failed.length > 0 && `, ${importResult.failed.length} failed`}
+          </p>
+          {importResult.failed.length > 0 && (
+            <ul className="mt-2 space-y-1 text-xs text-red-300 max-h-32 overflow-y-auto">
+              {importResult.failed.map(failure => (
+                <li key={failure.row}>Row {failure.row}{failure.username && ` (${failure.username})`}: {failure.error}</li>
+              ))}
+            </ul>
+          )}
+          <button onClick={() => setImportResult(null)} className="mt-2 text-xs text-zinc-500 hover:text-zinc-300">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => setFilter('search', e.target.value)}
+          className={`${inputClass} flex-1 min-w-48`}
+          placeholder="Search username, number or group"
+        />
+        <select value={filters.group} onChange={(e) => setFilter('group', e.target.value)} className={inputClass}>
+          <option value="">All groups</option>
+          {roster.groups.map(group => (
+            <option key={group} value={group}>{group}</option>
+          ))}
+        </select>
+        <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} className={inputClass}>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      {roster.users.length === 0 ? (
+        <p className="text-zinc-500 text-center py-8">No students found</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-zinc-400 border-b border-zinc-700">
+                <th className="py-2 pr-2">
+                  <input
+                    type="checkbox"
+                    checked={roster.users.every(user => selected.includes(user.id))}
+                    onChange={toggleAll}
+                  />
+                </th>
+                <th className="py-2 pr-4">Username</th>
+                <th className="py-2 pr-4">WhatsApp</th>
+                <th className="py-2 pr-4">Group</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {roster.users.map(user => editing?.id === user.id ? (
+                <tr key={user.id} className="border-b border-zinc-800">
+                  <td className="py-2 pr-2"></td>
+                  <td className="py-2 pr-4 font-medium">{user.username}</td>
+                  <td className="py-2 pr-4">
+                    <input
+                      type="text"
+                      value={editing.whatsapp}
+                      onChange={(e) => setEditing({ ...editing, whatsapp: e.target.value })}
+                      className={`${inputClass} w-40`}
+                    />
+                  </td>
+                  <td className="py-2 pr-4">
+                    <input
+                      type="text"
+                      value={editing.group}
+                      onChange={(e) => setEditing({ ...editing, group: e.target.value })}
+                      className={`${inputClass} w-28`}
+                    />
+                  </td>
+                  <td className="py-2 pr-4">
+                    <input
+                      type="password"
+                      value={editing.password}
+                      onChange={(e) => setEditing({ ...editing, password: e.target.value })}
+                      className={`${inputClass} w-36`}
+                      placeholder="New password"
+                    />
+                  </td>
+                  <td className="py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => updateUser(user.id, {
+                        whatsapp: editing.whatsapp,
+                        group: editing.group,
+                        ...(editing.password && { password: editing.password })
+                      })}
+                      disabled={busy}
+                      className={`${smallButtonClass} bg-blue-600 hover:bg-blue-500 mr-2`}
+                    >
+                      Save
+                    </button>
+                    <button onClick={() => setEditing(null)} className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600`}>
+                      Cancel
+                    </button>
+                  </td>
+                </tr>
+              ) : (
+                <tr key={user.id} className="border-b border-zinc-800">
+                  <td className="py-2 pr-2">
+                    <input type="checkbox" checked={selected.includes(user.id)} onChange={() => toggleSelected(user.id)} />
+                  </td>
+                  <td className="py-2 pr-4 font-medium">{user.username}</td>
+                  <td className="py-2 pr-4 text-zinc-400">{user.whatsapp}</td>
+                  <td className="py-2 pr-4 text-zinc-400">{user.group || '—'}</td>
+                  <td className="py-2 pr-4 space-x-1">
+                    {!user.isActive && <span className="px-2 py-0.5 rounded-full text-xs bg-zinc-700 text-zinc-300">inactive</span>}
+                    {user.needsPasswordReentry && <span className="px-2 py-0.5 rounded-full text-xs bg-yellow-600/30 text-yellow-300">needs password</span>}
+                    {user.isActive && !user.needsPasswordReentry && <span className="px-2 py-0.5 rounded-full text-xs bg-green-600/30 text-green-300">active</span>}
+                  </td>
+                  <td className="py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => setEditing({ id: user.id, whatsapp: user.whatsapp, group: user.group, password: '' })}
+                      className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600 mr-2`}
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => updateUser(user.id, { isActive: !user.isActive })}
+                      disabled={busy}
+                      className={`${smallButtonClass} ${user.isActive ? 'bg-red-600/20 hover:bg-red-600/40 text-red-400' : 'bg-green-600/20 hover:bg-green-600/40 text-green-400'}`}
+                    >
+                      {user.isActive ? 'Deactivate' : 'Activate'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-4">
+        <div className="flex items-center gap-2 text-sm text-zinc-400">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600`}
+          >
+            ‹
+          </button>
+          Page {roster.page || page} of {roster.pages}
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= roster.pages}
+            className={`${smallButtonClass} bg-zinc-700 hover:bg-zinc-600`}
+          >
+            ›
+          </button>
+        </div>
+
+        <button
+          onClick={scrapeSelected}
+          disabled={processing || selected.length === 0}
+          className="px-4 py-2 bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-500 hover:to-emerald-500 text-white font-semibold rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          ▶ Scrape Selected ({selected.length})
+        </button>
+      </div>
+    </div>
+  );
+}
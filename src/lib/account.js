@@ -0,0 +1,438 @@
+/**
+ * Student Accounts
+ * Self-service sign-up (LMS credential check + WhatsApp code), sessions and
+ * account settings for the student portal
+ */
+
+import logger from './logger.js';
+import scheduler from './scheduler.js';
+import browserPool from './browserPool.js';
+import { loginToLMS, logout } from './scraper.js';
+import { SESSION_COOKIE, readSessionToken } from './session.js';
+import { sendViaBridge } from './bridge.js';
+import { isVaultConfigured } from './credentialVault.js';
+import { checkCalendar } from './caldav.js';
+import { syncCalendar } from './calendarSync.js';
+import { AttemptLimiter } from './rateLimit.js';
+import { normalizePhoneNumber } from './phone.js';
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+import Notification from '../models/Notification.js';
+import Verification from '../models/Verification.js';
+import LmsItem from '../models/LmsItem.js';
+import CalendarSync from '../models/CalendarSync.js';
+
+// Seconds before another code can be sent for the same purpose
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Attempts allowed per client address and per student id in each window, and
+// from everyone together; a sign-up opens an LMS browser session and a sign-in
+// runs bcrypt
+const attemptLimiters = {
+  login: new AttemptLimiter({ limit: 10, globalLimit: 500, windowMs: 15 * 60 * 1000 }),
+  register: new AttemptLimiter({ limit: 5, globalLimit: 100, windowMs: 60 * 60 * 1000 })
+};
+
+/**
+ * Create an error carrying the HTTP status a route should answer with
+ * @param {string} message - Message shown to the student
+ * @param {number} status - HTTP status
+ * @returns {Error}
+ */
+function accountError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// What a student signing up is told for each failed login outcome
+const LOGIN_ERRORS = {
+  invalid_credentials: ['The LMS did not accept this student id and password', 401],
+  account_locked: ['Your LMS account is locked or blocked. Please contact VU support to unlock it.', 403],
+  captcha: ['The LMS is asking for a captcha. Please log in to the LMS once from your browser, then try again.', 503],
+  maintenance: ['The LMS is down or under maintenance, please try again later', 503],
+  timeout: ['The LMS did not respond in time, please try again later', 504],
+  unexpected_page: ['The LMS showed an unexpected page, please try again later', 502]
+};
+
+/**
+ * Build the error for a failed LMS login
+ * @param {string} outcome - Key of LOGIN_OUTCOMES
+ * @returns {Error}
+ */
+function loginError(outcome) {
+  const [message, status] = LOGIN_ERRORS[outcome] || LOGIN_ERRORS.unexpected_page;
+  const error = accountError(message, status);
+  error.outcome = outcome;
+  return error;
+}
+
+/**
+ * Normalize a WhatsApp number to '+<digits>'
+ * @param {string} whatsapp - Number as typed
+ * @returns {string}
+ * @throws {Error} - 400 when it is not 10-15 digits
+ */
+function normalizeWhatsApp(whatsapp) {
+  const number = normalizePhoneNumber(whatsapp);
+  if (!number) {
+    throw accountError('Enter your WhatsApp number with country code, e.g. +923001234567', 400);
+  }
+  return number;
+}
+
+/**
+ * Check LMS credentials by logging in once in a throwaway browser context
+ * @param {string} username - LMS student id
+ * @param {string} password - LMS password
+ * @returns {Promise<Object>} - Login result { success, outcome, message }
+ */
+export async function verifyLmsCredentials(username, password) {
+  return browserPool.withContext(async (context) => {
+    const page = await context.newPage();
+    const login = await loginToLMS(page, username, password);
+    if (login.success) await logout(page);
+    return login;
+  });
+}
+
+/**
+ * Send a one-time code to a WhatsApp number through the WhatsApp bridge in
+ * server.js, which owns the whatsapp-web.js session
+ * @param {string} phone - Number with country code
+ * @param {string} message - Message text
+ */
+async function sendWhatsApp(phone, message) {
+  try {
+    await sendViaBridge(phone, message);
+  } catch (error) {
+    logger.error(`[ACCOUNT] WhatsApp bridge could not send code: ${error.message}`);
+    if (error.status === 429) {
+      throw accountError('Too many messages were sent to this number. Please try again later.', 429);
+    }
+    throw accountError('WhatsApp is not available right now, please try again later', 503);
+  }
+}
+
+/**
+ * Issue a verification code and send it to the number being confirmed
+ * @param {Object} user - User document
+ * @param {string} purpose - 'register' or 'change_whatsapp'
+ * @param {string} whatsapp - Number to confirm
+ * @returns {Promise<Object>} - { verificationId, whatsapp, expiresAt }
+ */
+async function sendVerificationCode(user, purpose, whatsapp) {
+  const recent = await Verification.findOne({
+    userId: user._id,
+    purpose,
+    createdAt: { $gt: new Date(Date.now() - RESEND_COOLDOWN_SECONDS * 1000) }
+  });
+  if (recent) {
+    throw accountError(`A code was just sent. Please wait ${RESEND_COOLDOWN_SECONDS} seconds before asking for another.`, 429);
+  }
+
+  const { verification, code, ttlMinutes } = await Verification.issue({ userId: user._id, purpose, whatsapp });
+
+  try {
+    await sendWhatsApp(whatsapp, `🔐 *VU LMS VERIFICATION*
+
+Your verification code is *${code}*
+
+It expires in ${ttlMinutes} minutes. If you did not request it, you can ignore this message.
+
+━━━━━━━━━━━━━━━━━━━━━
+*POWERED BY VUEDU*`);
+  } catch (error) {
+    await verification.deleteOne();
+    throw error;
+  }
+
+  logger.info(`[ACCOUNT] Sent ${purpose} code to ${whatsapp} for ${user.username}`);
+  return { verificationId: verification._id, whatsapp, expiresAt: verification.expiresAt };
+}
+
+/**
+ * Start a sign-up: check the LMS credentials, store the student and send a
+ * code to their WhatsApp number. New accounts stay inactive until confirmed;
+ * an existing account keeps its current number until then.
+ * @param {Object} data - { username, password, whatsapp }
+ * @returns {Promise<Object>} - { verificationId, whatsapp, expiresAt }
+ */
+export async function startRegistration({ username, password, whatsapp }) {
+  const studentId = String(username || '').trim();
+  if (!studentId || !password) {
+    throw accountError('Enter your LMS student id and password', 400);
+  }
+  const number = normalizeWhatsApp(whatsapp);
+
+  const login = await verifyLmsCredentials(studentId, password);
+  if (!login.success) {
+    throw loginError(login.outcome);
+  }
+
+  let user = await User.findOne({ username: studentId }).select('+lmsPassword');
+  if (!user) {
+    // The number is only stored on the verification until the code is confirmed
+    logger.info(`[ACCOUNT] Registering new user: ${studentId}`);
+    user = new User({ username: studentId, isActive: false });
+  }
+
+  user.setLmsPassword(password);
+  user.recordLoginOutcome(login.outcome);
+  await user.save();
+
+  return sendVerificationCode(user, 'register', number);
+}
+
+/**
+ * Confirm a code; applies the number and activates new sign-ups
+ * @param {string} verificationId - Verification id
+ * @param {string} code - Code the student received
+ * @returns {Promise<Object>} - { user, purpose }
+ */
+export async function confirmVerification(verificationId, code) {
+  const verification = await Verification.findById(verificationId);
+  if (!verification) {
+    throw accountError('This code has expired. Please request a new one.', 404);
+  }
+
+  if (!await verification.checkCode(code)) {
+    const left = verification.attemptsLeft();
+    throw accountError(
+      left > 0 ? `Incorrect code, ${left} attempt${left !== 1 ? 's' : ''} left` : 'Too many incorrect attempts. Please request a new code.',
+      400
+    );
+  }
+
+  const user = await User.findById(verification.userId);
+  if (!user) {
+    throw accountError('Account not found', 404);
+  }
+
+  user.whatsapp = verification.whatsapp;
+  user.whatsappVerifiedAt = new Date();
+  if (verification.purpose === 'register') user.isActive = true;
+  await user.save();
+  await verification.deleteOne();
+
+  logger.info(`[ACCOUNT] ${user.username} confirmed ${verification.whatsapp} (${verification.purpose})`);
+  return { user, purpose: verification.purpose };
+}
+
+/**
+ * Count a sign-in or sign-up attempt, refusing it when the client address,
+ * the student id or everyone together has made too many recently
+ * @param {string} action - 'login' or 'register'
+ * @param {Object} attempt - { address, username }; address is null without TRUST_PROXY
+ * @throws {Error} - 429 with `retryAfter` in seconds
+ */
+export function limitAttempts(action, { address, username }) {
+  const retryAfterMs = attemptLimiters[action].take({ address, username });
+
+  if (retryAfterMs > 0) {
+    logger.warn(`[ACCOUNT] Too many ${action} attempts from ${address || 'unknown address'} for ${username || 'no student id'}`);
+    const minutes = Math.ceil(retryAfterMs / 60000);
+    const error = accountError(`Too many attempts. Please try again in ${minutes} minute${minutes !== 1 ? 's' : ''}.`, 429);
+    error.retryAfter = Math.ceil(retryAfterMs / 1000);
+    throw error;
+  }
+}
+
+/**
+ * Check a returning student's password
+ * @param {Object} data - { username, password }
+ * @returns {Promise<Object>} - The user
+ */
+export async function authenticate({ username, password }) {
+  const user = await User.findOne({ username: String(username || '').trim() });
+
+  if (!user || !password || !await user.comparePassword(password)) {
+    throw accountError('Incorrect student id or password', 401);
+  }
+  if (!user.whatsapp) {
+    throw accountError('Please finish signing up by confirming the code sent to your WhatsApp', 403);
+  }
+  return user;
+}
+
+/**
+ * Load the user for the request's session cookie
+ * @param {Request} request - NextRequest
+ * @returns {Promise<Object|null>} - User document
+ */
+export async function getSessionUser(request) {
+  const session = readSessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+  return session?.role === 'student' ? User.findById(session.id) : null;
+}
+
+/**
+ * Account fields shown in the portal
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+export function toAccount(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    whatsapp: user.whatsapp,
+    whatsappVerified: Boolean(user.whatsappVerifiedAt),
+    paused: !user.isActive,
+    timezone: user.timezone,
+    quietHours: user.quietHours,
+    reminderPolicy: {
+      notifyOnStart: user.reminderPolicy.notifyOnStart,
+      offsets: user.reminderPolicy.offsets
+    },
+    digest: {
+      mode: user.digest.mode,
+      time: user.digest.time,
+      weekday: user.digest.weekday
+    },
+    // Last LMS login, so the portal can explain why scrapes stopped
+    lmsLogin: {
+      outcome: user.lmsLogin.outcome,
+      message: user.lmsLogin.message,
+      at: user.lmsLogin.at
+    },
+    // Path of the iCalendar feed, null until the student creates one
+    calendarPath: user.calendarToken ? `/api/calendar/${user.calendarToken}.ics` : null,
+    caldav: {
+      enabled: user.caldav.enabled,
+      url: user.caldav.url,
+      username: user.caldav.username,
+      lastSyncAt: user.caldav.lastSyncAt,
+      lastError: user.caldav.lastError
+    }
+  };
+}
+
+/**
+ * Apply portal edits; a new WhatsApp number is only applied once confirmed
+ * @param {Object} user - User document
+ * @param {Object} changes - { whatsapp, paused, timezone, quietHours, reminderPolicy, digest }
+ * @returns {Promise<Object>} - { user, verification, scheduled }
+ * @throws {Error} - Mongoose ValidationError for invalid settings, 403 when
+ *   resuming before the WhatsApp number is confirmed
+ */
+export async function updateAccount(user, { whatsapp, paused, timezone, quietHours, reminderPolicy, digest }) {
+  const number = whatsapp !== undefined ? normalizeWhatsApp(whatsapp) : null;
+  let reschedule = false;
+
+  // Nothing is sent to a number its owner has not confirmed
+  if (paused !== undefined && !paused && !user.isActive && !user.whatsappVerifiedAt) {
+    throw accountError('Please confirm your WhatsApp number before resuming reminders', 403);
+  }
+
+  if (timezone !== undefined) {
+    user.timezone = timezone;
+    reschedule = true;
+  }
+  if (quietHours !== undefined) {
+    for (const key of ['enabled', 'start', 'end']) {
+      if (quietHours[key] !== undefined) user.quietHours[key] = quietHours[key];
+    }
+    reschedule = true;
+  }
+  if (reminderPolicy !== undefined) {
+    if (reminderPolicy.notifyOnStart !== undefined) user.reminderPolicy.notifyOnStart = Boolean(reminderPolicy.notifyOnStart);
+    if (reminderPolicy.offsets !== undefined) user.reminderPolicy.offsets = reminderPolicy.offsets;
+    reschedule = true;
+  }
+  if (digest !== undefined) {
+    if (digest.mode !== undefined && digest.mode !== user.digest.mode) reschedule = true;
+    for (const key of ['mode', 'time', 'weekday']) {
+      if (digest[key] !== undefined) user.digest[key] = digest[key];
+    }
+  }
+  if (paused !== undefined && user.isActive === Boolean(paused)) {
+    user.isActive = !paused;
+    // Reminders that failed while paused are rebuilt on resume
+    if (user.isActive) reschedule = true;
+    logger.info(`[ACCOUNT] ${user.username} ${paused ? 'paused' : 'resumed'} their account`);
+  }
+
+  await user.save();
+
+  const scheduled = reschedule ? await scheduler.rescheduleForUser(user) : 0;
+
+  let verification = null;
+  // An unconfirmed number gets a code even when it is unchanged
+  if (number && (!user.whatsappVerifiedAt || number.replace(/\D/g, '') !== user.whatsapp.replace(/\D/g, ''))) {
+    verification = await sendVerificationCode(user, 'change_whatsapp', number);
+  }
+
+  return { user, verification, scheduled };
+}
+
+/**
+ * Connect a CalDAV calendar after checking it accepts the credentials, then
+ * write the student's activities into it
+ * @param {Object} user - User document
+ * @param {Object} settings - { url, username, password }
+ * @returns {Promise<Object>} - { user, synced } with the sync summary
+ * @throws {Error} - 400 when the calendar cannot be used, 503 without CREDENTIAL_KEYS
+ */
+export async function connectCalendar(user, { url, username, password }) {
+  if (!url || !username || !password) {
+    throw accountError('url, username and password are required', 400);
+  }
+  if (!/^https?:\/\//.test(url)) {
+    throw accountError('CalDAV URL must start with http:// or https://', 400);
+  }
+  if (!isVaultConfigured()) {
+    throw accountError('Calendar sync is not available on this server', 503);
+  }
+
+  try {
+    await checkCalendar({ url, username, password });
+  } catch (error) {
+    throw accountError(`Could not use this calendar: ${error.message}`, 400);
+  }
+
+  // Events written to a previous calendar are not tracked any more
+  if (user.caldav.url !== url) {
+    await CalendarSync.deleteMany({ userId: user._id });
+  }
+
+  user.caldav.url = url;
+  user.caldav.username = username;
+  user.caldav.enabled = true;
+  user.caldav.lastError = null;
+  user.setCaldavPassword(password);
+  await user.save();
+
+  logger.info(`[ACCOUNT] ${user.username} connected a CalDAV calendar`);
+
+  const synced = await syncCalendar(user);
+  return { user: await User.findById(user._id), synced };
+}
+
+/**
+ * Stop writing to the student's CalDAV calendar; events already there are kept
+ * @param {Object} user - User document
+ */
+export async function disconnectCalendar(user) {
+  user.caldav.enabled = false;
+  user.caldav.password = null;
+  await user.save();
+  await CalendarSync.deleteMany({ userId: user._id });
+
+  logger.info(`[ACCOUNT] ${user.username} disconnected their CalDAV calendar`);
+}
+
+/**
+ * Delete an account with its activities, notifications, LMS items and codes
+ * @param {Object} user - User document
+ */
+export async function deleteAccount(user) {
+  await Promise.all([
+    Activity.deleteMany({ userId: user._id }),
+    Notification.deleteMany({ userId: user._id }),
+    LmsItem.deleteMany({ userId: user._id }),
+    CalendarSync.deleteMany({ userId: user._id }),
+    Verification.deleteMany({ userId: user._id })
+  ]);
+  await user.deleteOne();
+
+  logger.info(`[ACCOUNT] Deleted account ${user.username}`);
+}
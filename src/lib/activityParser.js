@@ -20,7 +20,9 @@ export function validateActivities(activities) {
     activity_type: activity.activity_type || 'Unknown',
     title: activity.title || 'Untitled Activity',
     due_date: activity.due_date || '',
-    link: activity.link || ''
+    link: activity.link || '',
+    activity_id: activity.activity_id || null,
+    completed: Boolean(activity.completed)
   }));
 }
 
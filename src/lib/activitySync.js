@@ -0,0 +1,319 @@
+/**
+ * Activity Sync
+ * Diffs each scrape against a user's stored activities: creates new ones,
+ * updates changed deadlines and titles in place, marks activities that left
+ * the LMS to-do tables as removed and tracks completion, keeping
+ * notifications in step
+ */
+
+import logger from './logger.js';
+import scheduler from './scheduler.js';
+import { getLookahead, isWithinLookahead } from './lookahead.js';
+import { LMS_TIMEZONE, daysBetween, parseWallTime, zonedTimeToUtc } from './timezone.js';
+import Activity from '../models/Activity.js';
+
+/**
+ * Deadline instant of a scraped activity: its LMS due date and time
+ * (end of day when the LMS shows no time) in the LMS timezone
+ * @param {Object} activity - Scraped activity object
+ * @returns {Date|null}
+ */
+export function getDeadline(activity) {
+  if (!activity.due_date) return null;
+
+  const [year, month, day] = activity.due_date.split('-').map(Number);
+  const [hour, minute] = (activity.due_time || '23:59').split(':').map(Number);
+
+  return zonedTimeToUtc({ year, month, day, hour, minute }, LMS_TIMEZONE);
+}
+
+function sameTime(a, b) {
+  return (a ? new Date(a).getTime() : null) === (b ? new Date(b).getTime() : null);
+}
+
+/**
+ * Apply a fresh scrape of an activity to its stored document
+ * @param {Object} stored - Activity document
+ * @param {Object} scraped - Scraped activity object
+ * @param {Object} user - Owner
+ * @returns {Promise<Object>} - { changed, scheduled }
+ */
+async function updateActivity(stored, scraped, user) {
+  const dueDate = getDeadline(scraped);
+  const startDate = parseWallTime(scraped.start_date, LMS_TIMEZONE);
+  const previousDueDate = stored.dueDate;
+
+  const dueDateChanged = !sameTime(stored.dueDate, dueDate);
+  const startDateChanged = Boolean(startDate) && !sameTime(stored.startDate, startDate);
+  const renamed = stored.title !== scraped.title;
+  const restored = Boolean(stored.removedAt);
+
+  stored.lastSeenAt = new Date();
+  const changed = dueDateChanged || startDateChanged || renamed || restored;
+
+  if (!changed) {
+    await stored.save();
+    return { changed: false, scheduled: 0 };
+  }
+
+  stored.dueDate = dueDate;
+  if (startDate) stored.startDate = startDate;
+  stored.title = scraped.title;
+  stored.link = scraped.link;
+  stored.removedAt = null;
+  stored.activityHash = Activity.generateHash(user._id, scraped.course_code, scraped.title, new Date(scraped.due_date));
+  await stored.save();
+
+  if (renamed) {
+    logger.info(`[SYNC] Activity renamed for ${user.username}: ${scraped.title}`);
+  }
+  if (restored) {
+    logger.info(`[SYNC] Activity listed again for ${user.username}: ${scraped.title}`);
+  }
+
+  let scheduled = 0;
+  if (dueDateChanged || startDateChanged || restored) {
+    scheduled = (await scheduler.rescheduleActivity(stored, user)).length;
+  }
+
+  if (dueDateChanged) {
+    logger.info(`[SYNC] Deadline changed for ${user.username}: ${scraped.title} (${previousDueDate.toISOString()} → ${dueDate.toISOString()})`);
+    if (!stored.completedAt) {
+      await scheduler.notifyChange(stored, 'deadline_changed', previousDueDate);
+    }
+  }
+
+  return { changed: true, scheduled };
+}
+
+/**
+ * Mark an activity as done or not done, cancelling or restoring its reminders
+ * @param {Object} activity - Activity document
+ * @param {boolean} completed - New state
+ * @param {string} source - 'dashboard', 'api', 'whatsapp' or 'lms'
+ * @param {Object} user - Owner (loaded if omitted when reminders are restored)
+ * @returns {Promise<boolean>} - Whether the state changed
+ */
+export async function setCompleted(activity, completed, source, user = null) {
+  if (Boolean(activity.completedAt) === completed) return false;
+
+  activity.completedAt = completed ? new Date() : null;
+  activity.completionSource = completed ? source : null;
+  await activity.save();
+
+  if (completed) {
+    await scheduler.cancelPending(activity, 'Marked as done');
+  } else {
+    await scheduler.rescheduleActivity(activity, user);
+  }
+
+  logger.info(`[SYNC] Activity marked as ${completed ? 'done' : 'not done'} (${source}): ${activity.title}`);
+  return true;
+}
+
+/**
+ * Follow the submitted state shown by the LMS; only completions the LMS
+ * recorded are undone when it stops showing them
+ * @param {Object} stored - Activity document
+ * @param {Object} scraped - Scraped activity object
+ * @param {Object} user - Owner
+ * @returns {Promise<boolean>} - Whether the activity was newly marked as done
+ */
+async function applySubmittedState(stored, scraped, user) {
+  if (scraped.submitted && !stored.completedAt) {
+    return setCompleted(stored, true, 'lms', user);
+  }
+  if (!scraped.submitted && stored.completionSource === 'lms') {
+    await setCompleted(stored, false, 'lms', user);
+  }
+  return false;
+}
+
+/**
+ * Mark an activity as gone from the LMS and cancel its reminders
+ * @param {Object} activity - Activity document
+ * @param {Object} user - Owner
+ */
+async function removeActivity(activity, user) {
+  activity.removedAt = new Date();
+  await activity.save();
+
+  await scheduler.cancelPending(activity, 'Activity removed from LMS');
+
+  // Done activities are expected to leave the to-do list
+  if (!activity.completedAt) {
+    await scheduler.notifyChange(activity, 'removed');
+  }
+
+  logger.info(`[SYNC] Activity removed for ${user.username}: ${activity.title}`);
+}
+
+/**
+ * Open activities that left the to-do tables early: missing from this scrape
+ * although their type's table was read. A table that did not load (a partial
+ * page) removes nothing.
+ * @param {Array} openActivities - Stored open activities with `activityKey`
+ * @param {Set<string>} seenKeys - Keys of every scraped row
+ * @param {Array<string>|null} scrapedTypes - Activity types whose table was read; null for all
+ * @returns {Array} - Activities to mark removed
+ */
+export function findRemovedActivities(openActivities, seenKeys, scrapedTypes = null) {
+  return openActivities.filter(activity =>
+    !seenKeys.has(activity.activityKey)
+    && (!scrapedTypes || scrapedTypes.includes(activity.activityType))
+  );
+}
+
+/**
+ * Sync a full scrape of the LMS to-do tables with stored activities
+ * @param {Object} user - User document
+ * @param {Array} activities - Every row scraped for the user
+ * @param {Object} options - { scrapedTypes, storage }: the activity types whose
+ *   table was read (all when omitted) and the window for saving new activities
+ *   (STORAGE_LOOKAHEAD_DAYS); stored activities outside it are still kept up to date
+ * @returns {Promise<Object>} - { pastActivities, futureActivities, savedCount,
+ *   updatedCount, removedCount, completedCount, scheduledCount }; future
+ *   activities get their stored `activity_id` and `completed` state
+ */
+export async function syncActivities(user, activities, { scrapedTypes = null, storage = getLookahead('storage') } = {}) {
+  const now = new Date();
+  // Mark activities the LMS shows as submitted as done (see isSubmitted in scraper.js)
+  const detectSubmissions = process.env.LMS_DETECT_SUBMISSIONS === 'true';
+
+  const pastActivities = [];
+  const futureActivities = [];
+  let savedCount = 0;
+  let updatedCount = 0;
+  let removedCount = 0;
+  let completedCount = 0;
+  let scheduledCount = 0;
+
+  // Open activities from earlier scrapes, keyed by their stable identity
+  const openByKey = new Map();
+  const stored = await Activity.find({ userId: user._id, removedAt: null, dueDate: { $gt: now } })
+    .sort({ createdAt: -1 });
+
+  for (const activity of stored) {
+    const activityKey = activity.activityKey || Activity.generateKey(user._id, activity);
+
+    // Older copies of the same activity, saved again by hash when its deadline moved
+    if (openByKey.has(activityKey)) {
+      activity.removedAt = now;
+      await activity.save();
+      await scheduler.cancelPending(activity, 'Duplicate of a newer copy of this activity');
+      continue;
+    }
+
+    if (!activity.activityKey) {
+      activity.activityKey = activityKey;
+      await activity.save();
+    }
+    openByKey.set(activityKey, activity);
+  }
+  const openActivities = [...openByKey.values()];
+  const seenKeys = new Set();
+
+  for (const activity of activities) {
+    try {
+      const activityKey = Activity.generateKey(user._id, {
+        courseCode: activity.course_code,
+        activityType: activity.activity_type,
+        link: activity.link,
+        title: activity.title
+      });
+      // Still on the to-do tables, even when its date is past or unreadable
+      seenKeys.add(activityKey);
+
+      const dueDate = getDeadline(activity);
+
+      // Categorize as past or future (due before today in the user's timezone)
+      const isPast = !dueDate || daysBetween(now, activity.due_date, user.timezone) < 0;
+
+      if (isPast) {
+        pastActivities.push(activity);
+        logger.info(`[SYNC] Past activity: ${activity.title} (due: ${activity.due_date})`);
+        continue; // Don't save past activities
+      }
+
+      futureActivities.push(activity);
+
+      const activityHash = Activity.generateHash(
+        user._id,
+        activity.course_code,
+        activity.title,
+        new Date(activity.due_date)
+      );
+
+      // Known activity: by key, or by hash for documents stored before keys existed
+      const existing = openByKey.get(activityKey)
+        || await Activity.findOne({ userId: user._id, activityKey })
+        || await Activity.findOne({ activityHash });
+
+      if (existing) {
+        if (!existing.activityKey) existing.activityKey = activityKey;
+
+        const { changed, scheduled } = await updateActivity(existing, activity, user);
+        if (changed) updatedCount++;
+        scheduledCount += scheduled;
+
+        if (detectSubmissions && await applySubmittedState(existing, activity, user)) {
+          completedCount++;
+        }
+
+        activity.activity_id = existing._id.toString();
+        activity.completed = Boolean(existing.completedAt);
+        continue;
+      }
+
+      // Seen (so not removed), but not saved until it enters the storage window
+      if (!isWithinLookahead(activity, storage, user.timezone, now)) {
+        continue;
+      }
+
+      const submitted = detectSubmissions && Boolean(activity.submitted);
+
+      // Save new activity to database
+      const created = await Activity.create({
+        userId: user._id,
+        courseCode: activity.course_code,
+        activityType: activity.activity_type,
+        title: activity.title,
+        startDate: parseWallTime(activity.start_date, LMS_TIMEZONE),
+        dueDate: dueDate,
+        link: activity.link,
+        activityHash: activityHash,
+        activityKey: activityKey,
+        lastSeenAt: now,
+        completedAt: submitted ? now : null,
+        completionSource: submitted ? 'lms' : null
+      });
+
+      savedCount++;
+      if (submitted) completedCount++;
+      activity.activity_id = created._id.toString();
+      activity.completed = submitted;
+      logger.info(`[SYNC] Saved new activity: ${activity.title}${submitted ? ' (already submitted)' : ''}`);
+
+      // Schedule notifications for this activity
+      const notifications = await scheduler.scheduleNotifications(created, user);
+      scheduledCount += notifications.length;
+      logger.info(`[SYNC] Scheduled ${notifications.length} notifications for: ${activity.title}`);
+
+    } catch (activityError) {
+      logger.error(`[SYNC] Error processing activity ${activity.title}: ${activityError.message}`);
+    }
+  }
+
+  for (const activity of findRemovedActivities(openActivities, seenKeys, scrapedTypes)) {
+    try {
+      await removeActivity(activity, user);
+      removedCount++;
+    } catch (removeError) {
+      logger.error(`[SYNC] Error removing activity ${activity.title}: ${removeError.message}`);
+    }
+  }
+
+  logger.info(`[SYNC] ${user.username}: ${savedCount} new, ${updatedCount} updated, ${removedCount} removed, ${completedCount} submitted`);
+
+  return { pastActivities, futureActivities, savedCount, updatedCount, removedCount, completedCount, scheduledCount };
+}
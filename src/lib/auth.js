@@ -0,0 +1,134 @@
+/**
+ * Access Control
+ * Roles, the access rules for every route, and how a request is identified
+ * (staff session, student session or API key). Enforced by src/proxy.js.
+ */
+
+import db from './db.js';
+import { SESSION_COOKIE, STAFF_SESSION_COOKIE, readSessionToken } from './session.js';
+import { AttemptLimiter } from './rateLimit.js';
+import Staff from '../models/Staff.js';
+import ApiKey from '../models/ApiKey.js';
+
+// Headers the proxy sets for route handlers (and strips from incoming requests);
+// the name is URI-encoded
+export const IDENTITY_HEADERS = {
+  id: 'x-auth-id',
+  role: 'x-auth-role',
+  via: 'x-auth-via',
+  name: 'x-auth-name'
+};
+
+// Dashboard sign-in attempts per client address and per username every 15
+// minutes, and from everyone together (a staff account can do everything)
+export const staffSignInLimiter = new AttemptLimiter({ limit: 10, globalLimit: 100, windowMs: 15 * 60 * 1000 });
+
+// Roles: 'admin' (everything), 'operator' (dashboard and automation) and
+// 'student' (their own account in the portal)
+const STAFF = ['admin', 'operator'];
+
+// First matching rule wins; `roles: null` means no sign-in is needed
+const ACCESS_RULES = [
+  // Sign-in and sign-up
+  { pattern: /^\/api\/auth\/(login|logout)$/, roles: null },
+  { pattern: /^\/api\/account\/(register|verify|login|logout)$/, roles: null },
+  { pattern: /^\/(login|register|account)$/, roles: null },
+
+  // Calendar feeds are fetched by calendar apps; the token in the URL is the credential
+  { pattern: /^\/api\/calendar\/[^/]+$/, roles: null },
+
+  // Student portal
+  { pattern: /^\/api\/account(\/calendar|\/caldav)?$/, roles: ['student'] },
+
+  // Linking the WhatsApp number, sending arbitrary messages and managing keys
+  { pattern: /^\/api\/whatsapp\/(qr|send)$/, roles: ['admin'] },
+  { pattern: /^\/api\/admin(\/|$)/, roles: ['admin'] },
+
+  // Everything else: dashboard and automation
+  { pattern: /^\//, roles: STAFF }
+];
+
+/**
+ * Get the roles allowed on a path
+ * @param {string} pathname - Request path
+ * @returns {Array<string>|null} - Allowed roles, or null for public paths
+ */
+export function requiredRoles(pathname) {
+  return ACCESS_RULES.find(rule => rule.pattern.test(pathname)).roles;
+}
+
+/**
+ * Read an API key from `Authorization: Bearer <key>` or `X-API-Key`
+ * @param {Request} request - NextRequest
+ * @returns {string|null}
+ */
+export function getApiKey(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : request.headers.get('x-api-key');
+}
+
+/**
+ * Find every identity a request carries. A request can hold both a staff and a
+ * student session, so all are returned and the route's roles pick one.
+ * @param {Request} request - NextRequest
+ * @returns {Promise<Array<Object>>} - [{ id, role, via, name }]
+ */
+export async function getIdentities(request) {
+  const identities = [];
+
+  const key = getApiKey(request);
+  if (key) {
+    await db.connect();
+    const apiKey = await ApiKey.findActiveKey(key);
+    // A wrong key is not silently ignored in favour of a cookie
+    return apiKey ? [{ id: String(apiKey._id), role: apiKey.role, via: 'api_key', name: apiKey.name }] : [];
+  }
+
+  // Staff are looked up so deactivation and role changes apply immediately
+  const staffSession = readSessionToken(request.cookies.get(STAFF_SESSION_COOKIE)?.value);
+  if (staffSession && STAFF.includes(staffSession.role)) {
+    await db.connect();
+    const staff = await Staff.findById(staffSession.id);
+    if (staff?.isActive) {
+      identities.push({ id: String(staff._id), role: staff.role, via: 'session', name: staff.username });
+    }
+  }
+
+  // Student routes load the user themselves, so the signed token is enough here
+  const studentSession = readSessionToken(request.cookies.get(SESSION_COOKIE)?.value);
+  if (studentSession?.role === 'student') {
+    identities.push({ id: studentSession.id, role: 'student', via: 'session', name: null });
+  }
+
+  return identities;
+}
+
+/**
+ * Decide whether identities may use a route
+ * @param {Array<Object>} identities - From getIdentities
+ * @param {Array<string>} roles - From requiredRoles
+ * @returns {Object} - { identity } when allowed, otherwise { status: 401|403 }
+ */
+export function authorize(identities, roles) {
+  const identity = identities.find(i => roles.includes(i.role));
+  if (identity) return { identity };
+  return { status: identities.length > 0 ? 403 : 401 };
+}
+
+/**
+ * Get the identity the proxy attached to a request
+ * @param {Request} request - Request seen by a route handler
+ * @returns {Object|null} - { id, role, via, name }
+ */
+export function getRequestIdentity(request) {
+  const role = request.headers.get(IDENTITY_HEADERS.role);
+  if (!role) return null;
+
+  return {
+    id: request.headers.get(IDENTITY_HEADERS.id),
+    role,
+    via: request.headers.get(IDENTITY_HEADERS.via),
+    name: request.headers.has(IDENTITY_HEADERS.name) ? decodeURIComponent(request.headers.get(IDENTITY_HEADERS.name)) : null
+  };
+}
@@ -0,0 +1,114 @@
+/**
+ * Auto Scraper
+ * Queues a scrape job for every active user on a cron schedule
+ */
+
+import cron from 'node-cron';
+import logger from './logger.js';
+import { enqueueUsers, hasPendingJob } from './scrapeQueue.js';
+import User from '../models/User.js';
+
+const DEFAULT_SCHEDULE = '0 */6 * * *'; // Every 6 hours
+
+class AutoScraper {
+  constructor() {
+    this.task = null;
+  }
+
+  /**
+   * Cron expression, configurable via SCRAPE_CRON
+   * @returns {string}
+   */
+  getSchedule() {
+    return process.env.SCRAPE_CRON || DEFAULT_SCHEDULE;
+  }
+
+  /**
+   * Enqueue a scrape job for every active user with a stored password
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async runOnce() {
+    if (await hasPendingJob('cron')) {
+      logger.info('[CRON] Previous scheduled job still queued or running, skipping...');
+      return { jobId: null, queued: 0, skipped: 0 };
+    }
+
+    const users = await User.find({ isActive: true }).select('+lmsPassword');
+    logger.info(`[CRON] Starting scheduled scrape for ${users.length} active user(s)`);
+
+    const now = new Date();
+    const ready = [];
+    let skipped = 0;
+    for (const user of users) {
+      if (user.needsPasswordReentry || !user.lmsPassword) {
+        logger.warn(`[CRON] Skipping ${user.username}: LMS password needs to be re-entered from the dashboard`);
+        skipped++;
+        continue;
+      }
+      if (user.isLoginBackedOff(now)) {
+        logger.warn(`[CRON] Skipping ${user.username}: last LMS login ended in ${user.lmsLogin.outcome}, retrying after ${user.lmsLogin.retryAfter.toISOString()}`);
+        skipped++;
+        continue;
+      }
+      ready.push(user);
+    }
+
+    if (ready.length === 0) {
+      logger.info('[CRON] No users to scrape');
+      return { jobId: null, queued: 0, skipped };
+    }
+
+    const job = await enqueueUsers(ready, 'cron');
+    logger.info(`[CRON] ✓ Queued job ${job._id}: ${ready.length} user(s), ${skipped} skipped`);
+
+    return { jobId: job._id, queued: ready.length, skipped };
+  }
+
+  /**
+   * Start the cron schedule (disable with SCRAPE_CRON_ENABLED=false)
+   */
+  start() {
+    if (this.task) {
+      logger.warn('[CRON] Auto scraper already running');
+      return;
+    }
+
+    if (process.env.SCRAPE_CRON_ENABLED === 'false') {
+      logger.info('[CRON] Scheduled scraping disabled (SCRAPE_CRON_ENABLED=false)');
+      return;
+    }
+
+    const schedule = this.getSchedule();
+    if (!cron.validate(schedule)) {
+      logger.error(`[CRON] Invalid SCRAPE_CRON expression: "${schedule}", scheduled scraping disabled`);
+      return;
+    }
+
+    this.task = cron.schedule(schedule, () => {
+      this.runOnce().catch(err => {
+        logger.error('[CRON] Error in scheduled scrape:', err);
+      });
+    }, {
+      name: 'lms-scrape',
+      timezone: process.env.SCRAPE_CRON_TIMEZONE || undefined
+    });
+
+    logger.info(`[CRON] Scheduled scraping started (${schedule})`);
+  }
+
+  /**
+   * Stop the cron schedule
+   */
+  stop() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+      logger.info('[CRON] Scheduled scraping stopped');
+    }
+  }
+}
+
+// Singleton instance
+const autoScraper = new AutoScraper();
+
+export default autoScraper;
@@ -0,0 +1,321 @@
+/**
+ * WhatsApp Bot Commands
+ * Answers commands texted to the WhatsApp number by registered students,
+ * resolved against the sender's User and Activity records
+ */
+
+import logger from './logger.js';
+import scheduler from './scheduler.js';
+import { setCompleted } from './activitySync.js';
+import { parseDuration, describeDuration } from './duration.js';
+import { daysBetween } from './timezone.js';
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+
+// Longest list sent in one reply
+const MAX_LIST_ITEMS = 20;
+
+const FOOTER = `━━━━━━━━━━━━━━━━━━━━━
+*POWERED BY VUEDU*`;
+
+const HELP = `🤖 *VU LMS BOT COMMANDS*
+
+📋 *todo* - Everything still pending
+📅 *today* - Due today
+🗓️ *week* - Due in the next 7 days
+📚 *course CS101* - Pending for one course
+😴 *snooze <id> 3h* - Remind me again later
+✅ *done <id>* - Mark an activity as done
+⏸️ *pause* - Stop sending notifications
+▶️ *resume* - Start sending notifications again
+
+The <id> is the code shown in brackets next to each activity.
+
+${FOOTER}`;
+
+const SHARED_NUMBER = `⚠️ *NUMBER SHARED*
+
+This WhatsApp number is registered to more than one student, so commands cannot be answered. Please confirm your number in the student portal, or ask your coordinator to update it.
+
+${FOOTER}`;
+
+/**
+ * Split a message into a command and its arguments
+ * @param {string} text - Message body
+ * @returns {Object} - { command, args }
+ */
+export function parseCommand(text) {
+  const [command = '', ...args] = String(text || '').trim().split(/\s+/);
+  return {
+    command: command.replace(/^[/!]/, '').toLowerCase(),
+    args
+  };
+}
+
+/**
+ * Find the registered users a WhatsApp number could belong to
+ * Compares the last 10 digits so '+92 300 1234567' matches '03001234567'.
+ * Active accounts are preferred over inactive ones, and numbers confirmed with
+ * a code over unconfirmed ones; more than one result means the number is
+ * shared and cannot be told apart.
+ * @param {string} phoneNumber - Sender's number
+ * @returns {Promise<Array>} - User documents, best matches only
+ */
+export async function findUsersByPhone(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (digits.length < 7) return [];
+
+  const tail = digits.slice(-10);
+  const users = (await User.find({ whatsapp: new RegExp(`${tail.split('').join('\\D*')}\\D*$`) })
+    .sort({ isActive: -1, createdAt: 1 }))
+    .filter(user => user.whatsapp.replace(/\D/g, '').endsWith(tail));
+
+  const active = users.some(user => user.isActive) ? users.filter(user => user.isActive) : users;
+  const verified = active.filter(user => user.whatsappVerifiedAt);
+  return verified.length > 0 ? verified : active;
+}
+
+/**
+ * Load a user's open activities (not done, not removed, not past due)
+ * @param {Object} user - User document
+ * @param {Object} filter - Extra query conditions
+ * @returns {Promise<Array>}
+ */
+function findOpenActivities(user, filter = {}) {
+  return Activity.find({
+    userId: user._id,
+    completedAt: null,
+    removedAt: null,
+    dueDate: { $gt: new Date() },
+    ...filter
+  }).sort({ dueDate: 1 });
+}
+
+/**
+ * Resolve a short code to one of the user's open activities
+ * @param {Object} user - User document
+ * @param {string} id - Short code or full activity id
+ * @returns {Promise<Object>} - { activity } or { error } reply text
+ */
+async function resolveActivity(user, id) {
+  const code = String(id || '').toLowerCase();
+  if (!/^[0-9a-f]{4,24}$/.test(code)) {
+    return { error: '❓ Please include the activity code shown in brackets, e.g. *done a1b2c3*. Send *todo* to see the codes.' };
+  }
+
+  const matches = (await findOpenActivities(user)).filter(activity => activity._id.toString().endsWith(code));
+
+  if (matches.length === 0) {
+    return { error: `❓ No pending activity with code *${code}*. Send *todo* to see your activities.` };
+  }
+  if (matches.length > 1) {
+    return { error: `❓ More than one activity matches *${code}*. Please send the full code.` };
+  }
+  return { activity: matches[0] };
+}
+
+/**
+ * Describe how far away a deadline is in calendar days
+ * @param {Date} dueDate - Deadline
+ * @param {string} timezone - User's timezone
+ * @returns {string}
+ */
+function describeDaysLeft(dueDate, timezone) {
+  const days = daysBetween(new Date(), dueDate, timezone);
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * Format activities as a list reply (WhatsApp markup)
+ * @param {string} heading - e.g. '📋 *YOUR TO-DO LIST*'
+ * @param {Array} activities - Activity documents sorted by due date
+ * @param {Object} user - User document
+ * @param {string} emptyText - Shown when there are no activities
+ * @returns {string}
+ */
+function formatActivityList(heading, activities, user, emptyText) {
+  if (activities.length === 0) {
+    return `${heading}
+
+🎉 ${emptyText}
+
+${FOOTER}`;
+  }
+
+  const items = activities.slice(0, MAX_LIST_ITEMS).map(activity => `📚 *${activity.courseCode}* ${activity.activityType} [${activity.getShortId()}]
+📝 ${activity.title}
+📅 ${scheduler.formatDueDate(activity.dueDate, user.timezone, true)} (${describeDaysLeft(activity.dueDate, user.timezone)})`);
+
+  const more = activities.length > MAX_LIST_ITEMS
+    ? `\n\n…and ${activities.length - MAX_LIST_ITEMS} more`
+    : '';
+
+  return `${heading}
+
+${items.join('\n\n')}${more}
+
+Reply *done <id>* when you submit one, or *snooze <id> 3h* to be reminded later.
+
+${FOOTER}`;
+}
+
+/**
+ * Format a single activity confirmation (WhatsApp markup)
+ * @param {string} heading - e.g. '✅ *MARKED AS DONE*'
+ * @param {Object} activity - Activity document
+ * @param {string} text - Closing line
+ * @returns {string}
+ */
+function formatActivityReply(heading, activity, text) {
+  return `${heading}
+
+📚 *Course:* ${activity.courseCode}
+📋 *Type:* ${activity.activityType}
+📝 *Title:* ${activity.title}
+
+${text}
+
+${FOOTER}`;
+}
+
+async function listTodo(user) {
+  const activities = await findOpenActivities(user);
+  return formatActivityList('📋 *YOUR TO-DO LIST*', activities, user, 'Nothing pending. You are all caught up!');
+}
+
+async function listToday(user) {
+  const activities = (await findOpenActivities(user))
+    .filter(activity => daysBetween(new Date(), activity.dueDate, user.timezone) <= 0);
+  return formatActivityList('📅 *DUE TODAY*', activities, user, 'Nothing is due today.');
+}
+
+async function listWeek(user) {
+  const activities = (await findOpenActivities(user))
+    .filter(activity => daysBetween(new Date(), activity.dueDate, user.timezone) <= 7);
+  return formatActivityList('🗓️ *DUE THIS WEEK*', activities, user, 'Nothing is due in the next 7 days.');
+}
+
+async function listCourse(user, [courseCode]) {
+  if (!courseCode) {
+    return '❓ Please include a course code, e.g. *course CS101*.';
+  }
+
+  const code = courseCode.toUpperCase();
+  const activities = await findOpenActivities(user, { courseCode: code });
+  return formatActivityList(`📚 *${code} TO-DO*`, activities, user, `Nothing pending for ${code}.`);
+}
+
+async function snooze(user, [id, duration]) {
+  const { activity, error } = await resolveActivity(user, id);
+  if (error) return error;
+
+  const ms = parseDuration(duration);
+  if (!ms) {
+    return '❓ Please include how long to snooze, e.g. *snooze a1b2c3 3h* (use d, h or m).';
+  }
+
+  const until = new Date(Date.now() + ms);
+  if (until >= new Date(activity.dueDate)) {
+    return formatActivityReply('⚠️ *CANNOT SNOOZE*', activity,
+      `This activity is due ${scheduler.formatDueDate(activity.dueDate, user.timezone, true)}, before the snooze would end.`);
+  }
+
+  activity.snoozedUntil = until;
+  await activity.save();
+  await scheduler.rescheduleActivity(activity, user);
+
+  logger.info(`[BOT] ${user.username} snoozed ${activity.title} for ${describeDuration(ms)}`);
+  return formatActivityReply('😴 *REMINDERS SNOOZED*', activity,
+    `Next reminder: ${scheduler.formatDueDate(until, user.timezone, true)} (in ${describeDuration(ms)}).`);
+}
+
+async function markDone(user, [id]) {
+  const { activity, error } = await resolveActivity(user, id);
+  if (error) return error;
+
+  await setCompleted(activity, true, 'whatsapp', user);
+
+  logger.info(`[BOT] ${user.username} marked ${activity.title} as done`);
+  return formatActivityReply('✅ *MARKED AS DONE*', activity, 'Its remaining reminders have been cancelled.');
+}
+
+async function pause(user) {
+  if (!user.notificationsPausedAt) {
+    user.notificationsPausedAt = new Date();
+    await user.save();
+    logger.info(`[BOT] ${user.username} paused notifications`);
+  }
+
+  return `⏸️ *NOTIFICATIONS PAUSED*
+
+You will not receive reminders until you send *resume*. Commands such as *todo* still work.
+
+${FOOTER}`;
+}
+
+async function resume(user) {
+  if (user.notificationsPausedAt) {
+    user.notificationsPausedAt = null;
+    await user.save();
+    logger.info(`[BOT] ${user.username} resumed notifications`);
+  }
+
+  return `▶️ *NOTIFICATIONS RESUMED*
+
+You will receive reminders again.
+
+${FOOTER}`;
+}
+
+const commands = {
+  todo: listTodo,
+  list: listTodo,
+  today: listToday,
+  week: listWeek,
+  course: listCourse,
+  snooze,
+  done: markDone,
+  pause,
+  resume,
+  help: () => HELP
+};
+
+/**
+ * Handle a message texted to the WhatsApp number
+ * @param {string} phoneNumber - Sender's number
+ * @param {string} text - Message body
+ * @returns {Promise<string|null>} - Reply, or null to stay silent for
+ *   numbers that are not registered
+ */
+export async function handleIncomingMessage(phoneNumber, text) {
+  const users = await findUsersByPhone(phoneNumber);
+  if (users.length === 0) {
+    logger.info(`[BOT] Ignoring message from unregistered number ${phoneNumber}`);
+    return null;
+  }
+
+  // Answering for one of them would show or change another student's activities
+  if (users.length > 1) {
+    logger.warn(`[BOT] ${phoneNumber} is registered to ${users.length} students: ${users.map(user => user.username).join(', ')}`);
+    return SHARED_NUMBER;
+  }
+
+  const [user] = users;
+
+  const { command, args } = parseCommand(text);
+  const handler = commands[command];
+
+  if (!handler) {
+    return HELP;
+  }
+
+  try {
+    logger.info(`[BOT] ${user.username}: ${command}`);
+    return await handler(user, args);
+  } catch (error) {
+    logger.error(`[BOT] Error handling "${command}" for ${user.username}: ${error.message}`);
+    return '⚠️ Something went wrong while handling your command. Please try again later.';
+  }
+}
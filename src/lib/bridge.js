@@ -0,0 +1,148 @@
+/**
+ * WhatsApp Bridge Client
+ * The WhatsApp session lives in server.js, which exposes a small HTTP bridge
+ * (see bridgeServer.js). Requests are signed with WHATSAPP_BRIDGE_SECRET:
+ * X-Bridge-Signature is `sha256=<hex HMAC of "<timestamp>.<body>">`.
+ */
+
+import crypto from 'crypto';
+
+// Seconds a signed request stays valid (allows for clock drift)
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Longest wait for a scheduler cycle, which pauses between group posts
+const CYCLE_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Check whether a bridge secret is configured
+ * @returns {boolean}
+ */
+export function isBridgeConfigured() {
+  return Boolean(process.env.WHATSAPP_BRIDGE_SECRET);
+}
+
+/**
+ * Get the address the bridge listens on (localhost unless configured)
+ * @returns {Object} - { host, port }
+ */
+export function getBridgeAddress() {
+  return {
+    host: process.env.WHATSAPP_BRIDGE_HOST || '127.0.0.1',
+    port: parseInt(process.env.WHATSAPP_BRIDGE_PORT) || 3001
+  };
+}
+
+function hmac(timestamp, body) {
+  return crypto.createHmac('sha256', process.env.WHATSAPP_BRIDGE_SECRET)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Create the signature headers for a request body
+ * @param {string} body - Raw request body
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Headers
+ */
+export function signBridgeRequest(body, now = Date.now()) {
+  const timestamp = String(Math.floor(now / 1000));
+  return {
+    'X-Bridge-Timestamp': timestamp,
+    'X-Bridge-Signature': `sha256=${hmac(timestamp, body)}`
+  };
+}
+
+/**
+ * Verify a request's signature headers
+ * @param {string} body - Raw request body
+ * @param {string} timestamp - X-Bridge-Timestamp
+ * @param {string} signature - X-Bridge-Signature
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean}
+ */
+export function verifyBridgeSignature(body, timestamp, signature, now = Date.now()) {
+  if (!isBridgeConfigured() || !/^\d+$/.test(timestamp || '') || typeof signature !== 'string') {
+    return false;
+  }
+  if (Math.abs(now / 1000 - Number(timestamp)) > SIGNATURE_TOLERANCE_SECONDS) {
+    return false;
+  }
+
+  const expected = Buffer.from(`sha256=${hmac(timestamp, body)}`);
+  const actual = Buffer.from(signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Make a signed request to the bridge
+ * @param {string} path - Bridge path, e.g. '/send'
+ * @param {Object} options - { method, body, timeoutMs }
+ * @returns {Promise<Object>} - Response JSON
+ * @throws {Error} - With `status` set to the bridge's HTTP status (0 when unreachable)
+ */
+async function callBridge(path, { method = 'GET', body = '', timeoutMs = 30000 } = {}) {
+  if (!isBridgeConfigured()) {
+    const error = new Error('WHATSAPP_BRIDGE_SECRET is not set');
+    error.status = 0;
+    throw error;
+  }
+
+  const { host, port } = getBridgeAddress();
+  const bridgeUrl = process.env.WHATSAPP_BRIDGE_URL || `http://${host}:${port}`;
+
+  let response;
+  try {
+    response = await fetch(`${bridgeUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...signBridgeRequest(body) },
+      ...(body ? { body } : {}),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (cause) {
+    const error = new Error(`WhatsApp bridge is not reachable: ${cause.message}`);
+    error.status = 0;
+    throw error;
+  }
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(data.error || `WhatsApp bridge responded with ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Send a WhatsApp message through the bridge
+ * @param {string} phone - Number with country code
+ * @param {string} message - Message text
+ * @throws {Error} - With `status` set to the bridge's HTTP status (0 when unreachable)
+ */
+export async function sendViaBridge(phone, message) {
+  await callBridge('/send', { method: 'POST', body: JSON.stringify({ phone, message }) });
+}
+
+/**
+ * List the WhatsApp group chats of the linked number through the bridge
+ * @returns {Promise<Array<Object>>} - [{ id, name, participants }]
+ * @throws {Error} - With `status` set to the bridge's HTTP status (0 when unreachable)
+ */
+export async function listGroupsViaBridge() {
+  const { groups } = await callBridge('/groups');
+  return groups;
+}
+
+/**
+ * Run a scheduler cycle in server.js, which holds the WhatsApp session
+ * @returns {Promise<Object>} - Cycle summary (see scheduler.runCycle)
+ * @throws {Error} - With `status` set to the bridge's HTTP status (0 when unreachable)
+ */
+export async function runCycleViaBridge() {
+  // A fresh id, so two cycles asked for in the same second are not taken for a replay
+  const body = JSON.stringify({ id: crypto.randomUUID() });
+  const { result } = await callBridge('/cycle', { method: 'POST', body, timeoutMs: CYCLE_TIMEOUT_MS });
+  return result;
+}
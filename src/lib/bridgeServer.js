@@ -0,0 +1,229 @@
+/**
+ * WhatsApp Bridge Server
+ * Small HTTP server run by server.js so the Next.js app can send through the
+ * WhatsApp session. POST /send only accepts signed requests (see bridge.js)
+ * for numbers of registered users, with a body size limit and a per-recipient
+ * rate limit. GET /groups (signed) lists group chats for group broadcasts.
+ * POST /cycle (signed) runs a scheduler cycle here, where the session is.
+ */
+
+import http from 'http';
+import logger from './logger.js';
+import { isBridgeConfigured, verifyBridgeSignature, SIGNATURE_TOLERANCE_SECONDS } from './bridge.js';
+import { RateLimiter } from './rateLimit.js';
+import User from '../models/User.js';
+import Verification from '../models/Verification.js';
+
+// Largest accepted request body
+export const MAX_BODY_BYTES = 64 * 1024;
+
+// Window for the per-recipient limit (WHATSAPP_BRIDGE_RATE_LIMIT messages, default 10)
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+
+/**
+ * Check whether a number belongs to a registered user, or is waiting to be
+ * confirmed by one (sign-up and number change codes)
+ * @param {string} phone - Number with country code
+ * @returns {Promise<boolean>}
+ */
+export async function isRegisteredRecipient(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 10) return false;
+
+  // Same digits, whatever the formatting ('+92 300 1234567' or '923001234567')
+  const pattern = new RegExp(`^\\D*${digits.split('').join('\\D*')}\\D*$`);
+  if (await User.exists({ whatsapp: pattern })) return true;
+
+  return Boolean(await Verification.exists({ whatsapp: `+${digits}`, expiresAt: { $gt: new Date() } }));
+}
+
+function sendJson(res, status, data, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read a request body up to MAX_BODY_BYTES
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<string|null>} - Body, or null when it is too large
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    if (parseInt(req.headers['content-length']) > MAX_BODY_BYTES) {
+      resolve(null);
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        req.resume();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the bridge server (not yet listening)
+ * @param {Object} options - { whatsappClient, isAllowedRecipient, rateLimit, runCycle }
+ * @returns {http.Server}
+ */
+export function createBridgeServer({
+  whatsappClient,
+  isAllowedRecipient = isRegisteredRecipient,
+  rateLimit = parseInt(process.env.WHATSAPP_BRIDGE_RATE_LIMIT) || 10,
+  runCycle = null
+}) {
+  const limiter = new RateLimiter(rateLimit, RATE_WINDOW_MS);
+
+  // Signatures already used, so a captured request cannot be replayed
+  const usedSignatures = new Map();
+
+  /**
+   * Read the body of a signed request, answering the request when it is refused
+   * @returns {Promise<string|null>} - Body, or null when refused
+   */
+  const readSignedBody = async (req, res, now) => {
+    if (!isBridgeConfigured()) {
+      sendJson(res, 503, { error: 'WHATSAPP_BRIDGE_SECRET is not set' });
+      return null;
+    }
+
+    const body = await readBody(req);
+    if (body === null) {
+      sendJson(res, 413, { error: `Request body is larger than ${MAX_BODY_BYTES} bytes` });
+      return null;
+    }
+
+    const signature = req.headers['x-bridge-signature'];
+    if (!verifyBridgeSignature(body, req.headers['x-bridge-timestamp'], signature, now)) {
+      logger.warn(`[WA-SERVER] Rejected unsigned or invalid request from ${req.socket.remoteAddress}`);
+      sendJson(res, 401, { error: 'Invalid signature' });
+      return null;
+    }
+
+    return body;
+  };
+
+  /**
+   * Record a signed request's signature, answering the request when it was
+   * already used
+   * @returns {boolean} - Whether the request is new
+   */
+  const claimSignature = (req, res, now) => {
+    const signature = req.headers['x-bridge-signature'];
+    for (const [used, expiresAt] of usedSignatures) {
+      if (expiresAt <= now) usedSignatures.delete(used);
+    }
+    if (usedSignatures.has(signature)) {
+      sendJson(res, 401, { error: 'Request was already used' });
+      return false;
+    }
+    usedSignatures.set(signature, now + SIGNATURE_TOLERANCE_SECONDS * 2 * 1000);
+    return true;
+  };
+
+  const handleSend = async (req, res) => {
+    const now = Date.now();
+    const body = await readSignedBody(req, res, now);
+    if (body === null || !claimSignature(req, res, now)) return;
+
+    let phone, message;
+    try {
+      ({ phone, message } = JSON.parse(body));
+    } catch (error) {
+      sendJson(res, 400, { error: 'Body must be JSON' });
+      return;
+    }
+
+    if (typeof phone !== 'string' || typeof message !== 'string' || !phone || !message) {
+      sendJson(res, 400, { error: 'Phone and message are required' });
+      return;
+    }
+
+    if (!await isAllowedRecipient(phone)) {
+      logger.warn(`[WA-SERVER] Refused to message unregistered number ${phone}`);
+      sendJson(res, 403, { error: 'Recipient is not a registered user' });
+      return;
+    }
+
+    if (!whatsappClient.isClientReady()) {
+      sendJson(res, 503, { error: 'WhatsApp not ready' });
+      return;
+    }
+
+    const retryAfterMs = limiter.take(phone.replace(/\D/g, ''), now);
+    if (retryAfterMs > 0) {
+      logger.warn(`[WA-SERVER] Rate limit reached for ${phone}`);
+      sendJson(res, 429, { error: 'Too many messages to this number' }, {
+        'Retry-After': String(Math.ceil(retryAfterMs / 1000))
+      });
+      return;
+    }
+
+    await whatsappClient.sendMessage(phone, message);
+    logger.info(`[WA-SERVER] ✓ Message sent to ${phone}`);
+    sendJson(res, 200, { success: true });
+  };
+
+  // Read-only, so a replayed request does no harm
+  const handleGroups = async (req, res) => {
+    if (await readSignedBody(req, res, Date.now()) === null) return;
+
+    if (!whatsappClient.isClientReady()) {
+      sendJson(res, 503, { error: 'WhatsApp not ready' });
+      return;
+    }
+
+    sendJson(res, 200, { groups: await whatsappClient.getGroupChats() });
+  };
+
+  // The Next.js process has no WhatsApp session of its own, so cycles it
+  // triggers run here
+  const handleCycle = async (req, res) => {
+    const now = Date.now();
+    const body = await readSignedBody(req, res, now);
+    if (body === null || !claimSignature(req, res, now)) return;
+
+    if (!runCycle) {
+      sendJson(res, 503, { error: 'The scheduler does not run in this process' });
+      return;
+    }
+
+    sendJson(res, 200, { result: await runCycle() });
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === 'POST' && req.url === '/send') {
+        await handleSend(req, res);
+      } else if (req.method === 'GET' && req.url === '/groups') {
+        await handleGroups(req, res);
+      } else if (req.method === 'POST' && req.url === '/cycle') {
+        await handleCycle(req, res);
+      } else if (req.method === 'GET' && req.url === '/status') {
+        sendJson(res, 200, {
+          ready: whatsappClient.isClientReady(),
+          status: whatsappClient.getStatus()
+        });
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (error) {
+      logger.error(`[WA-SERVER] Error:`, error.message);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error.message });
+      }
+    }
+  });
+}
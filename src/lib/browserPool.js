@@ -0,0 +1,250 @@
+/**
+ * Browser Pool
+ * One shared Puppeteer browser for all scrapes. Each student runs in its own
+ * incognito browser context, so cookies and storage never leak between
+ * students, and at most SCRAPE_CONCURRENCY contexts are open at a time.
+ * New sessions against the same host are started at least
+ * SCRAPE_HOST_DELAY_MS apart to stay polite to the LMS.
+ */
+
+import puppeteer from 'puppeteer';
+import logger from './logger.js';
+
+// Close the shared browser after it has been idle this long
+const IDLE_CLOSE_MS = 60000;
+
+/**
+ * Number of students scraped at once, configurable via SCRAPE_CONCURRENCY
+ * @returns {number}
+ */
+export function getConcurrency() {
+  const value = parseInt(process.env.SCRAPE_CONCURRENCY);
+  return Number.isNaN(value) || value < 1 ? 3 : value;
+}
+
+// Set once the WAIT_TIME_MS deprecation warning was logged
+let warnedWaitTime = false;
+
+/**
+ * Minimum gap between new sessions on one host, configurable via
+ * SCRAPE_HOST_DELAY_MS
+ * WAIT_TIME_MS, which older setups still carry, was the pause of the old
+ * one-student-at-a-time scraper (often 60 seconds) and is no longer read.
+ * @returns {number} - Milliseconds
+ */
+export function getHostDelay() {
+  if (process.env.WAIT_TIME_MS !== undefined && !warnedWaitTime) {
+    warnedWaitTime = true;
+    logger.warn('[BROWSER] WAIT_TIME_MS is deprecated and ignored; set SCRAPE_HOST_DELAY_MS instead');
+  }
+
+  const value = parseInt(process.env.SCRAPE_HOST_DELAY_MS);
+  return Number.isNaN(value) || value < 0 ? 5000 : value;
+}
+
+/**
+ * Launch browser with enhanced stability settings
+ * @returns {Promise<Browser>} - Puppeteer browser instance
+ */
+export async function launchBrowser() {
+  return puppeteer.launch({
+    headless: process.env.HEADLESS === 'true',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--disable-background-timer-throttling',
+      '--disable-backgrounding-occluded-windows',
+      '--disable-renderer-backgrounding',
+      '--disable-web-security',
+      '--disable-features=IsolateOrigins',
+      '--disable-site-isolation-trials',
+      '--disable-features=VizDisplayCompositor',
+      '--window-size=1280,800'
+    ],
+    defaultViewport: {
+      width: 1280,
+      height: 800
+    },
+    ignoreHTTPSErrors: true,
+    timeout: 60000
+  });
+}
+
+/**
+ * Close all pages and the browser, ignoring protocol errors
+ * @param {Browser} browser - Puppeteer browser instance
+ */
+export async function closeBrowser(browser) {
+  if (!browser) return;
+
+  try {
+    // Get all pages before closing
+    const pages = await browser.pages();
+
+    // Close all remaining pages safely
+    for (const page of pages) {
+      try {
+        if (page && !page.isClosed()) {
+          await page.close().catch(() => {});
+        }
+      } catch (pageErr) {
+        // Ignore individual page close errors
+      }
+    }
+
+    // Close the browser
+    await browser.close().catch((err) => {
+      logger.warn('[POOL] Browser close warning:', err.message);
+    });
+
+    logger.info('[POOL] Browser closed');
+  } catch (browserCleanupError) {
+    logger.warn('[POOL] Browser cleanup warning:', browserCleanupError.message);
+  }
+}
+
+export class BrowserPool {
+  /**
+   * @param {Object} options - { launch, close, concurrency, hostDelay, idleCloseMs };
+   *   concurrency and hostDelay are read from the environment when omitted
+   */
+  constructor({ launch = launchBrowser, close = closeBrowser, concurrency, hostDelay, idleCloseMs = IDLE_CLOSE_MS } = {}) {
+    this.launch = launch;
+    this.close = close;
+    this.concurrency = concurrency;
+    this.hostDelay = hostDelay;
+    this.idleCloseMs = idleCloseMs;
+
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.waiters = [];
+    this.nextStartByHost = new Map();
+    this.idleTimer = null;
+  }
+
+  /**
+   * Get the shared browser, launching it (again, after a crash) when needed
+   * @returns {Promise<Browser>}
+   */
+  async getBrowser() {
+    if (this.browser && this.browser.connected !== false) return this.browser;
+
+    if (!this.launching) {
+      this.launching = (async () => {
+        logger.info('[POOL] Launching shared browser');
+        const browser = await this.launch();
+        browser.on?.('disconnected', () => {
+          if (this.browser === browser) {
+            logger.warn('[POOL] Shared browser disconnected');
+            this.browser = null;
+          }
+        });
+        this.browser = browser;
+        return browser;
+      })().finally(() => {
+        this.launching = null;
+      });
+    }
+    return this.launching;
+  }
+
+  /**
+   * Wait for a free slot under the concurrency limit
+   */
+  async acquireSlot() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    if (this.active < (this.concurrency ?? getConcurrency())) {
+      this.active++;
+      return;
+    }
+    // The releasing task hands its slot over directly
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  /**
+   * Free a slot, passing it to the next waiting task or starting the idle timer
+   */
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+      return;
+    }
+
+    this.active--;
+    if (this.active === 0 && this.browser) {
+      this.idleTimer = setTimeout(() => this.shutdown(), this.idleCloseMs);
+      this.idleTimer.unref?.();
+    }
+  }
+
+  /**
+   * Reserve the next start time on a host and wait for it
+   * @param {string} host - Host name (no delay when empty)
+   * @param {Function} onWait - Optional (ms) => void, called before a wait
+   */
+  async waitForHost(host, onWait = null) {
+    if (!host) return;
+
+    const now = Date.now();
+    const startAt = Math.max(now, this.nextStartByHost.get(host) || 0);
+    this.nextStartByHost.set(host, startAt + (this.hostDelay ?? getHostDelay()));
+
+    const waitMs = startAt - now;
+    if (waitMs > 0) {
+      if (onWait) await onWait(waitMs);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+
+  /**
+   * Run a task in a fresh incognito context of the shared browser. The
+   * context (with its cookies) is closed afterwards, even when the task throws.
+   * @param {Function} task - async (context) => result
+   * @param {Object} options - { host, onWait } for the politeness delay
+   * @returns {Promise<*>} - The task's result
+   */
+  async withContext(task, { host = null, onWait = null } = {}) {
+    await this.acquireSlot();
+
+    try {
+      await this.waitForHost(host, onWait);
+
+      const browser = await this.getBrowser();
+      const context = await browser.createBrowserContext();
+
+      try {
+        return await task(context);
+      } finally {
+        await context.close().catch((error) => {
+          logger.warn(`[POOL] Context close warning: ${error.message}`);
+        });
+      }
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  /**
+   * Close the shared browser (the next task launches a new one)
+   */
+  async shutdown() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = null;
+
+    const browser = this.browser;
+    this.browser = null;
+    await this.close(browser);
+  }
+}
+
+// Singleton instance
+const browserPool = new BrowserPool();
+
+export default browserPool;
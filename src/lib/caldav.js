@@ -0,0 +1,183 @@
+/**
+ * CalDAV Client
+ * The few requests needed to write events into a student's own calendar
+ * collection (RFC 4791): check the collection, PUT and DELETE event resources.
+ * Works with servers that accept HTTP Basic auth, e.g. Radicale, Nextcloud,
+ * Fastmail or iCloud (with an app password).
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+// Per-request timeout
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Addresses students may not point the server at: loopback, private,
+// carrier-grade NAT, link-local, unique-local, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * Hosts the operator allows even on a private address, e.g. a Radicale server
+ * on the LAN (CALDAV_ALLOWED_HOSTS, comma-separated)
+ * @returns {Set<string>}
+ */
+function getAllowedHosts() {
+  return new Set((process.env.CALDAV_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean));
+}
+
+/**
+ * Whether an IP address is on a network the server must not be sent to
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+
+  const family = net.isIP(address);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Refuse URLs whose host resolves to a private address, so the server cannot
+ * be used to reach internal services or scan ports
+ * @param {string} url - Resource URL
+ * @throws {Error} - When the URL is not http(s), or its host cannot be used
+ */
+export async function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new Error('CalDAV URL must start with http:// or https://');
+  }
+
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (getAllowedHosts().has(host)) return;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new Error(`CalDAV host ${host} could not be found`);
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`CalDAV host ${host} is on a private network`);
+  }
+}
+
+/**
+ * Send a request to the CalDAV server
+ * Redirects are not followed, since they could lead to a private address.
+ * @param {Object} target - { url, username, password }
+ * @param {string} url - Resource URL
+ * @param {Object} options - { method, headers, body }
+ * @returns {Promise<Response>}
+ */
+async function request(target, url, { method, headers = {}, body } = {}) {
+  await assertPublicUrl(url);
+  const auth = Buffer.from(`${target.username}:${target.password}`).toString('base64');
+
+  return fetch(url, {
+    method,
+    headers: { Authorization: `Basic ${auth}`, ...headers },
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+}
+
+
+/**
+ * Error for an unexpected CalDAV response
+ * @param {string} action - What was attempted
+ * @param {Response} response - Fetch response
+ * @returns {Error} - With `status`
+ */
+function responseError(action, response) {
+  const error = new Error(`CalDAV ${action} failed with ${response.status} ${response.statusText}`.trim());
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * URL of an event resource inside the calendar collection
+ * @param {string} collectionUrl - Calendar collection URL
+ * @param {string} name - Resource name without extension
+ * @returns {string}
+ */
+export function getEventUrl(collectionUrl, name) {
+  const base = collectionUrl.endsWith('/') ? collectionUrl : `${collectionUrl}/`;
+  return new URL(`${encodeURIComponent(name)}.ics`, base).toString();
+}
+
+/**
+ * Check that the URL is a calendar collection the credentials can use
+ * @param {Object} target - { url, username, password }
+ * @throws {Error} - When the server rejects the credentials or the URL is not a calendar
+ */
+export async function checkCalendar(target) {
+  const response = await request(target, target.url, {
+    method: 'PROPFIND',
+    headers: { Depth: '0', 'Content-Type': 'application/xml; charset=utf-8' },
+    body: '<?xml version="1.0" encoding="utf-8"?>'
+      + '<d:propfind xmlns:d="DAV:"><d:prop><d:resourcetype/></d:prop></d:propfind>'
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw responseError('sign-in', response);
+  }
+  if (response.status !== 207) {
+    throw responseError('calendar lookup', response);
+  }
+
+  const text = await response.text();
+  if (!/<([\w-]+:)?calendar\b[^>]*\/?>/i.test(text)) {
+    throw new Error('The URL is not a CalDAV calendar collection');
+  }
+}
+
+/**
+ * Create or replace an event resource
+ * @param {Object} target - { url, username, password }
+ * @param {string} url - Event resource URL
+ * @param {string} body - iCalendar text with one VEVENT
+ */
+export async function putEvent(target, url, body) {
+  const response = await request(target, url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+    body
+  });
+
+  if (!response.ok) {
+    throw responseError('update', response);
+  }
+}
+
+/**
+ * Delete an event resource; one that is already gone counts as deleted
+ * @param {Object} target - { url, username, password }
+ * @param {string} url - Event resource URL
+ */
+export async function deleteEvent(target, url) {
+  const response = await request(target, url, { method: 'DELETE' });
+
+  if (!response.ok && response.status !== 404 && response.status !== 410) {
+    throw responseError('delete', response);
+  }
+}
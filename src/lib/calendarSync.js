@@ -0,0 +1,132 @@
+/**
+ * Calendar Sync
+ * Writes a student's activities into their own CalDAV calendar: creates an
+ * event for each activity, replaces it when the LMS changes it and deletes it
+ * once the activity is removed. CalendarSync records what was last written,
+ * so a re-run only sends what changed and is safe to repeat.
+ */
+
+import crypto from 'crypto';
+import logger from './logger.js';
+import { buildEventResource } from './ical.js';
+import { putEvent, deleteEvent, getEventUrl } from './caldav.js';
+import User from '../models/User.js';
+import Activity from '../models/Activity.js';
+import CalendarSync from '../models/CalendarSync.js';
+
+// Activities due this many days ago are still kept in step (as in the .ics feed)
+const SYNC_PAST_DAYS = 30;
+
+/**
+ * Hash an event resource, leaving out the lines that change on every render
+ * @param {string} body - iCalendar text
+ * @returns {string}
+ */
+export function getEventHash(body) {
+  const lines = body
+    .replace(/\r\n /g, '')
+    .split('\r\n')
+    .filter(line => !/^(DTSTAMP|LAST-MODIFIED)[:;]/.test(line));
+
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+/**
+ * Decide which requests bring the calendar in step with the activities
+ * @param {Object} user - User document (caldav.url set)
+ * @param {Array} activities - Activity documents
+ * @param {Array} records - CalendarSync documents for those activities
+ * @param {Date} now - Current time
+ * @returns {Array<Object>} - [{ action: 'put'|'delete', activity, record, eventUrl, body, contentHash }]
+ */
+export function planCalendarSync(user, activities, records, now = new Date()) {
+  const recordsByActivity = new Map(records.map(record => [String(record.activityId), record]));
+  const plan = [];
+
+  for (const activity of activities) {
+    const record = recordsByActivity.get(String(activity._id)) || null;
+    const eventUrl = record?.eventUrl || getEventUrl(user.caldav.url, String(activity.activityKey || activity._id));
+
+    if (activity.removedAt) {
+      // Never written, or already deleted
+      if (!record || record.status === 'deleted') continue;
+      plan.push({ action: 'delete', activity, record, eventUrl, body: null, contentHash: null });
+      continue;
+    }
+
+    const body = buildEventResource(user, activity, now);
+    const contentHash = getEventHash(body);
+    if (record?.status === 'synced' && record.contentHash === contentHash) continue;
+
+    plan.push({ action: 'put', activity, record, eventUrl, body, contentHash });
+  }
+
+  return plan;
+}
+
+/**
+ * Read the user's CalDAV settings with the decrypted password
+ * @param {Object} user - User document
+ * @returns {Promise<Object|null>} - { owner, target }, null when sync is off
+ */
+async function loadTarget(user) {
+  const owner = await User.findById(user._id).select('+caldav.password');
+  if (!owner?.caldav?.enabled || !owner.caldav.url) return null;
+
+  return {
+    owner,
+    target: { url: owner.caldav.url, username: owner.caldav.username, password: owner.getCaldavPassword() }
+  };
+}
+
+/**
+ * Bring a user's CalDAV calendar in step with their stored activities
+ * @param {Object} user - User document
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - { created, updated, deleted, failed }, null when sync is off
+ */
+export async function syncCalendar(user, now = new Date()) {
+  const loaded = await loadTarget(user);
+  if (!loaded) return null;
+
+  const { owner, target } = loaded;
+  const activities = await Activity.find({
+    userId: owner._id,
+    dueDate: { $gte: new Date(now.getTime() - SYNC_PAST_DAYS * 24 * 60 * 60 * 1000) }
+  });
+  const records = await CalendarSync.find({ userId: owner._id, activityId: { $in: activities.map(a => a._id) } });
+
+  const summary = { created: 0, updated: 0, deleted: 0, failed: 0 };
+  let lastError = null;
+
+  for (const step of planCalendarSync(owner, activities, records, now)) {
+    const record = step.record || new CalendarSync({ userId: owner._id, activityId: step.activity._id, eventUrl: step.eventUrl });
+
+    try {
+      if (step.action === 'put') {
+        await putEvent(target, step.eventUrl, step.body);
+        summary[record.isNew || record.status === 'deleted' ? 'created' : 'updated']++;
+        await record.markAsSynced('synced', step.contentHash);
+      } else {
+        await deleteEvent(target, step.eventUrl);
+        summary.deleted++;
+        await record.markAsSynced('deleted', null);
+      }
+    } catch (error) {
+      summary.failed++;
+      lastError = error.message;
+      await record.markAsFailed(error.message);
+      logger.warn(`[CALDAV] ${step.action} failed for ${owner.username} (${step.activity.title}): ${error.message}`);
+
+      // Wrong credentials fail every request; try again on the next sync
+      if (error.status === 401 || error.status === 403) break;
+    }
+  }
+
+  await User.updateOne({ _id: owner._id }, { $set: { 'caldav.lastSyncAt': now, 'caldav.lastError': lastError } });
+
+  if (summary.created || summary.updated || summary.deleted || summary.failed) {
+    logger.info(`[CALDAV] ${owner.username}: ${summary.created} created, ${summary.updated} updated, ${summary.deleted} deleted, ${summary.failed} failed`);
+  }
+  return summary;
+}
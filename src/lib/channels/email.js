@@ -0,0 +1,69 @@
+/**
+ * Email Channel
+ * Delivers over SMTP with nodemailer (configured via SMTP_* variables)
+ */
+
+import nodemailer from 'nodemailer';
+import logger from '../logger.js';
+import { toPlainText, getSubject } from './format.js';
+
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.transporter = null;
+  }
+
+  /**
+   * Check whether SMTP is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(process.env.SMTP_HOST);
+  }
+
+  /**
+   * Get the user's email address
+   * @param {Object} user - User document
+   * @returns {string|null}
+   */
+  getRecipient(user) {
+    return user.email || null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const port = parseInt(process.env.SMTP_PORT) || 587;
+
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+      logger.info(`[EMAIL] SMTP transport created for ${process.env.SMTP_HOST}:${port}`);
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send a message
+   * @param {string} recipient - Email address
+   * @param {string} message - WhatsApp-formatted message
+   * @param {Object} options - { subject }
+   */
+  async send(recipient, message, { subject } = {}) {
+    await this.getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: recipient,
+      subject: subject || getSubject(message),
+      text: toPlainText(message)
+    });
+  }
+}
+
+// Singleton instance
+const emailChannel = new EmailChannel();
+
+export default emailChannel;
@@ -0,0 +1,25 @@
+/**
+ * Message formatting shared by non-WhatsApp channels
+ */
+
+/**
+ * Strip WhatsApp markup (*bold*, _italic_, ~strike~) for plain-text channels
+ * @param {string} message - WhatsApp-formatted message
+ * @returns {string} - Plain text message
+ */
+export function toPlainText(message) {
+  return String(message)
+    .replace(/\*([^*\n]+)\*/g, '$1')
+    .replace(/(^|\s)_([^_\n]+)_(?=\s|$)/g, '$1$2')
+    .replace(/~([^~\n]+)~/g, '$1');
+}
+
+/**
+ * Use the first non-empty line of a message as its subject
+ * @param {string} message - Message text
+ * @returns {string} - Subject line
+ */
+export function getSubject(message) {
+  const firstLine = toPlainText(message).split('\n').find(line => line.trim()) || 'VU LMS notification';
+  return firstLine.replace(/^[^\p{L}\p{N}]+/u, '').trim() || 'VU LMS notification';
+}
@@ -0,0 +1,91 @@
+/**
+ * Notification Channels
+ * Delivers a message over a user's preferred channels in order, falling back
+ * to the next channel when one is unavailable or its send fails
+ */
+
+import logger from '../logger.js';
+import whatsappChannel from './whatsapp.js';
+import emailChannel from './email.js';
+import telegramChannel from './telegram.js';
+import webhookChannel from './webhook.js';
+
+const channels = {
+  whatsapp: whatsappChannel,
+  email: emailChannel,
+  telegram: telegramChannel,
+  webhook: webhookChannel
+};
+
+// Used when a user has no channel preference stored
+const DEFAULT_CHANNELS = ['whatsapp'];
+
+/**
+ * Get a channel by name
+ * @param {string} name - Channel name
+ * @returns {Object|null}
+ */
+export function getChannel(name) {
+  return channels[name] || null;
+}
+
+/**
+ * Get the user's channels in order of preference
+ * @param {Object} user - User document
+ * @returns {Array<string>}
+ */
+export function getPreferredChannels(user) {
+  const preferred = user.notificationChannels?.length ? user.notificationChannels : DEFAULT_CHANNELS;
+  return [...new Set(preferred)].filter(name => channels[name]);
+}
+
+/**
+ * Send a message over the first channel that succeeds
+ * @param {Object} user - User document
+ * @param {string} message - WhatsApp-formatted message
+ * @param {Object} options - { subject }
+ * @returns {Promise<Object>} - { channel, attempts }
+ * @throws {Error} - With `code` CHANNELS_UNAVAILABLE when no channel could be
+ *   tried, or DELIVERY_FAILED when every attempted send failed; `attempts`
+ *   lists each channel and why it was skipped or failed
+ */
+export async function deliver(user, message, { subject } = {}) {
+  const attempts = [];
+  let tried = false;
+
+  for (const name of getPreferredChannels(user)) {
+    const channel = channels[name];
+
+    if (!channel.isAvailable()) {
+      attempts.push({ channel: name, error: 'not available' });
+      continue;
+    }
+
+    const recipient = channel.getRecipient(user);
+    if (!recipient) {
+      attempts.push({ channel: name, error: 'no recipient configured' });
+      continue;
+    }
+
+    try {
+      tried = true;
+      await channel.send(recipient, message, { subject, user });
+      attempts.push({ channel: name, error: null });
+
+      if (attempts.length > 1) {
+        logger.info(`[CHANNELS] Delivered to ${user.username} via ${name} after ${attempts.length - 1} fallback(s)`);
+      }
+      return { channel: name, attempts };
+    } catch (error) {
+      logger.warn(`[CHANNELS] ${name} delivery to ${user.username} failed: ${error.message}`);
+      attempts.push({ channel: name, error: error.message });
+    }
+  }
+
+  const error = new Error(
+    `No channel delivered the message (${attempts.map(a => `${a.channel}: ${a.error}`).join('; ') || 'no channels configured'})`
+  );
+  error.code = tried ? 'DELIVERY_FAILED' : 'CHANNELS_UNAVAILABLE';
+  error.attempts = attempts;
+  throw error;
+}
@@ -0,0 +1,59 @@
+/**
+ * Telegram Channel
+ * Delivers through the Telegram Bot API (configured via TELEGRAM_BOT_TOKEN)
+ */
+
+import { toPlainText } from './format.js';
+
+const API_URL = 'https://api.telegram.org';
+
+class TelegramChannel {
+  constructor() {
+    this.name = 'telegram';
+  }
+
+  /**
+   * Check whether a bot token is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return Boolean(process.env.TELEGRAM_BOT_TOKEN);
+  }
+
+  /**
+   * Get the user's Telegram chat id
+   * @param {Object} user - User document
+   * @returns {string|null}
+   */
+  getRecipient(user) {
+    return user.telegramChatId || null;
+  }
+
+  /**
+   * Send a message
+   * @param {string} recipient - Telegram chat id
+   * @param {string} message - WhatsApp-formatted message
+   */
+  async send(recipient, message) {
+    const response = await fetch(`${API_URL}/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: recipient,
+        text: toPlainText(message),
+        disable_web_page_preview: true
+      }),
+      signal: AbortSignal.timeout(15000)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.ok) {
+      throw new Error(`Telegram API error: ${data.description || response.status}`);
+    }
+  }
+}
+
+// Singleton instance
+const telegramChannel = new TelegramChannel();
+
+export default telegramChannel;
@@ -0,0 +1,69 @@
+/**
+ * Webhook Channel
+ * POSTs notifications as JSON to the user's webhook URL (or NOTIFICATION_WEBHOOK_URL),
+ * signed with WEBHOOK_SECRET when set
+ */
+
+import crypto from 'crypto';
+import { toPlainText, getSubject } from './format.js';
+
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+  }
+
+  /**
+   * Webhooks need no shared connection, only a URL per recipient
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Get the user's webhook URL, falling back to the global one
+   * @param {Object} user - User document
+   * @returns {string|null}
+   */
+  getRecipient(user) {
+    return user.webhookUrl || process.env.NOTIFICATION_WEBHOOK_URL || null;
+  }
+
+  /**
+   * Send a message
+   * @param {string} recipient - Webhook URL
+   * @param {string} message - WhatsApp-formatted message
+   * @param {Object} options - { subject, user }
+   */
+  async send(recipient, message, { subject, user } = {}) {
+    const body = JSON.stringify({
+      username: user?.username || null,
+      subject: subject || getSubject(message),
+      text: toPlainText(message),
+      message,
+      sentAt: new Date().toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.WEBHOOK_SECRET) {
+      const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex');
+      headers['X-Signature'] = `sha256=${signature}`;
+    }
+
+    const response = await fetch(recipient, {
+      method: 'POST',
+      headers,
+      body,
+      signal: AbortSignal.timeout(15000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with ${response.status}`);
+    }
+  }
+}
+
+// Singleton instance
+const webhookChannel = new WebhookChannel();
+
+export default webhookChannel;
@@ -0,0 +1,43 @@
+/**
+ * WhatsApp Channel
+ * Delivers through the whatsapp-web.js client in src/lib/whatsapp.js
+ */
+
+import whatsappClient from '../whatsapp.js';
+
+class WhatsAppChannel {
+  constructor() {
+    this.name = 'whatsapp';
+  }
+
+  /**
+   * Check whether the WhatsApp session is connected
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return whatsappClient.isClientReady();
+  }
+
+  /**
+   * Get the user's WhatsApp number
+   * @param {Object} user - User document
+   * @returns {string|null}
+   */
+  getRecipient(user) {
+    return user.whatsapp || null;
+  }
+
+  /**
+   * Send a message
+   * @param {string} recipient - Phone number with country code
+   * @param {string} message - WhatsApp-formatted message
+   */
+  async send(recipient, message) {
+    await whatsappClient.sendMessage(recipient, message);
+  }
+}
+
+// Singleton instance
+const whatsappChannel = new WhatsAppChannel();
+
+export default whatsappChannel;
@@ -0,0 +1,116 @@
+/**
+ * Credential Vault
+ * AES-256-GCM encryption for secrets stored at rest (LMS passwords)
+ *
+ * Keys come from CREDENTIAL_KEYS as a comma-separated list of `id:base64key`
+ * pairs. The first key encrypts, every listed key can decrypt, so a key is
+ * rotated by prepending a new one and running `npm run migrate:credentials`.
+ */
+
+import crypto from 'crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const KEY_LENGTH = 32;
+
+/**
+ * Parse configured keys from the environment
+ * @returns {Array<{id: string, key: Buffer}>} - Keys, primary first
+ */
+function loadKeys() {
+  const raw = process.env.CREDENTIAL_KEYS || '';
+
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('CREDENTIAL_KEYS entries must be in the form id:base64key');
+    }
+
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (key.length !== KEY_LENGTH) {
+      throw new Error(`Credential key "${id}" must be ${KEY_LENGTH} bytes (base64 encoded)`);
+    }
+
+    return { id, key };
+  });
+}
+
+/**
+ * Check whether at least one encryption key is configured
+ * @returns {boolean}
+ */
+export function isVaultConfigured() {
+  return Boolean(process.env.CREDENTIAL_KEYS && process.env.CREDENTIAL_KEYS.trim());
+}
+
+/**
+ * Encrypt a secret with the primary key
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} context - Value bound to the ciphertext (e.g. user id)
+ * @returns {string} - Encrypted payload `keyId:iv:tag:ciphertext`
+ */
+export function encryptSecret(plaintext, context = '') {
+  const [primary] = loadKeys();
+  if (!primary) {
+    throw new Error('CREDENTIAL_KEYS is not defined in environment variables');
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, primary.key, iv);
+  cipher.setAAD(Buffer.from(String(context)));
+
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [primary.id, iv.toString('base64'), tag.toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a payload produced by encryptSecret
+ * @param {string} payload - Encrypted payload
+ * @param {string} context - Same context used when encrypting
+ * @returns {string} - Decrypted secret
+ */
+export function decryptSecret(payload, context = '') {
+  const parts = String(payload || '').split(':');
+  if (parts.length !== 4) {
+    throw new Error('Malformed encrypted credential');
+  }
+
+  const [keyId, iv, tag, ciphertext] = parts;
+  const entry = loadKeys().find(k => k.id === keyId);
+  if (!entry) {
+    throw new Error(`Credential key "${keyId}" is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(String(context)));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Check whether a payload was encrypted with a key other than the primary one
+ * @param {string} payload - Encrypted payload
+ * @returns {boolean}
+ */
+export function needsRotation(payload) {
+  const [primary] = loadKeys();
+  return Boolean(primary) && String(payload || '').split(':')[0] !== primary.id;
+}
+
+/**
+ * Re-encrypt a payload with the primary key
+ * @param {string} payload - Encrypted payload
+ * @param {string} context - Context used when encrypting
+ * @returns {string} - Payload encrypted with the primary key
+ */
+export function rotateSecret(payload, context = '') {
+  return encryptSecret(decryptSecret(payload, context), context);
+}
@@ -0,0 +1,81 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reading and writing for roster import/export
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, doubled quotes, embedded newlines, CRLF and a BOM
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows, without blank lines
+ */
+export function parseCsv(text) {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Quote a value for CSV. Values that spreadsheets would run as formulas get a
+ * leading apostrophe (numbers such as +923001234567 are left alone).
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function toField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (/^[=@\t\r]/.test(text) || /^[+-](?![\d\s])/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row => row.map(toField).join(',')).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,120 @@
+/**
+ * Activity Digest
+ * Builds the daily or weekly message that replaces individual reminders for
+ * users who opt in, grouping upcoming activities by course and type
+ */
+
+import { DEFAULT_TIMEZONE, daysBetween, getZonedParts, parseTimeOfDay, toDateKey } from './timezone.js';
+
+// Days ahead covered by a digest (today plus the next 7 days)
+export const DIGEST_DAYS = 7;
+
+/**
+ * Check whether a user's digest should go out now: past its local send time,
+ * on the right weekday for weekly digests, and not already sent today
+ * @param {Object} user - User document (digest, timezone)
+ * @param {Date} now - Current instant
+ * @returns {boolean}
+ */
+export function isDigestDue(user, now = new Date()) {
+  const digest = user.digest;
+  if (!digest || digest.mode === 'off') return false;
+
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const { year, month, day, hour, minute } = getZonedParts(now, timezone);
+
+  if (hour * 60 + minute < (parseTimeOfDay(digest.time) ?? 0)) return false;
+
+  if (digest.mode === 'weekly') {
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    if (weekday !== digest.weekday) return false;
+  }
+
+  return !digest.lastSentAt || toDateKey(digest.lastSentAt, timezone) !== toDateKey(now, timezone);
+}
+
+/**
+ * Format a deadline compactly for digest lines
+ * @param {Date} date - Deadline
+ * @param {string} timezone - Recipient's timezone
+ * @param {boolean} withDay - Include the weekday and date
+ * @returns {string} - e.g. 'Fri, Dec 26, 11:59 PM' or '11:59 PM'
+ */
+function formatDeadline(date, timezone, withDay) {
+  return new Date(date).toLocaleString('en-US', {
+    ...(withDay ? { weekday: 'short', month: 'short', day: 'numeric' } : {}),
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: timezone
+  });
+}
+
+/**
+ * Format activities grouped by course, then type
+ * @param {Array} activities - Activity documents sorted by due date
+ * @param {string} timezone - Recipient's timezone
+ * @param {boolean} withDay - Show the due date, not only the time
+ * @returns {string}
+ */
+function formatGroups(activities, timezone, withDay) {
+  const courses = new Map();
+
+  for (const activity of activities) {
+    if (!courses.has(activity.courseCode)) courses.set(activity.courseCode, new Map());
+    const types = courses.get(activity.courseCode);
+
+    if (!types.has(activity.activityType)) types.set(activity.activityType, []);
+    types.get(activity.activityType).push(activity);
+  }
+
+  return [...courses].map(([courseCode, types]) => {
+    const lines = [...types].map(([activityType, items]) => `📋 _${activityType}_
+${items.map(activity => `• ${activity.title} - ${formatDeadline(activity.dueDate, timezone, withDay)} [${activity.getShortId()}]`).join('\n')}`);
+
+    return `📚 *${courseCode}*
+${lines.join('\n')}`;
+  }).join('\n\n');
+}
+
+/**
+ * Format the digest message (WhatsApp markup)
+ * @param {Object} user - User document (digest, timezone)
+ * @param {Array} activities - Open activities due within DIGEST_DAYS, sorted by due date
+ * @param {Date} now - Current instant
+ * @returns {string}
+ */
+export function formatDigest(user, activities, now = new Date()) {
+  const timezone = user.timezone || DEFAULT_TIMEZONE;
+  const heading = user.digest?.mode === 'weekly' ? '📰 *WEEKLY DIGEST*' : '📰 *DAILY DIGEST*';
+  const date = now.toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric',
+    timeZone: timezone
+  });
+
+  const dueToday = activities.filter(activity => daysBetween(now, activity.dueDate, timezone) <= 0);
+  const dueLater = activities.filter(activity => daysBetween(now, activity.dueDate, timezone) > 0);
+
+  const sections = [];
+  if (dueToday.length > 0) {
+    sections.push(`🔥 *DUE TODAY (${dueToday.length})*
+
+${formatGroups(dueToday, timezone, false)}`);
+  }
+  if (dueLater.length > 0) {
+    sections.push(`🗓️ *NEXT ${DIGEST_DAYS} DAYS (${dueLater.length})*
+
+${formatGroups(dueLater, timezone, true)}`);
+  }
+
+  return `${heading}
+📅 ${date}
+
+${sections.join('\n\n')}
+
+Reply *done <id>* when you submit one, or *snooze <id> 3h* to be reminded later.
+
+━━━━━━━━━━━━━━━━━━━━━
+*POWERED BY VUEDU*`;
+}
@@ -0,0 +1,79 @@
+/**
+ * Duration utilities for reminder offsets and snooze periods
+ * Durations are written as unit sequences: '3d', '6h', '30m', '1d12h'
+ */
+
+const UNITS = {
+  d: 24 * 60 * 60 * 1000,
+  h: 60 * 60 * 1000,
+  m: 60 * 1000
+};
+
+/**
+ * Parse a duration string to milliseconds
+ * @param {string} text - Duration such as '3d', '6h' or '1h30m'
+ * @returns {number|null} - Milliseconds, or null if invalid
+ */
+export function parseDuration(text) {
+  if (typeof text !== 'string') return null;
+
+  const clean = text.trim().toLowerCase();
+  if (!/^(\d+[dhm])+$/.test(clean)) return null;
+
+  let total = 0;
+  for (const [, amount, unit] of clean.matchAll(/(\d+)([dhm])/g)) {
+    total += parseInt(amount) * UNITS[unit];
+  }
+
+  return total;
+}
+
+/**
+ * Check whether a string is a valid, non-negative duration
+ * @param {string} text - Duration string
+ * @returns {boolean}
+ */
+export function isValidDuration(text) {
+  return parseDuration(text) !== null;
+}
+
+/**
+ * Format milliseconds as a compact duration string
+ * @param {number} ms - Milliseconds
+ * @returns {string} - Duration such as '1d12h' ('0m' for zero)
+ */
+export function formatDuration(ms) {
+  let remaining = Math.max(0, Math.round(ms / UNITS.m)) * UNITS.m;
+  let text = '';
+
+  for (const [unit, size] of Object.entries(UNITS)) {
+    const amount = Math.floor(remaining / size);
+    if (amount > 0) {
+      text += `${amount}${unit}`;
+      remaining -= amount * size;
+    }
+  }
+
+  return text || '0m';
+}
+
+/**
+ * Describe a duration in words for messages
+ * @param {number} ms - Milliseconds
+ * @returns {string} - e.g. '3 days', '6 hours', '1 day 12 hours'
+ */
+export function describeDuration(ms) {
+  const names = { d: 'day', h: 'hour', m: 'minute' };
+  const parts = [];
+  let remaining = Math.max(0, Math.round(ms / UNITS.m)) * UNITS.m;
+
+  for (const [unit, size] of Object.entries(UNITS)) {
+    const amount = Math.floor(remaining / size);
+    if (amount > 0) {
+      parts.push(`${amount} ${names[unit]}${amount !== 1 ? 's' : ''}`);
+      remaining -= amount * size;
+    }
+  }
+
+  return parts.join(' ') || '0 minutes';
+}
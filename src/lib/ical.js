@@ -0,0 +1,216 @@
+/**
+ * iCalendar Feed
+ * Renders a student's stored activities as an .ics feed (RFC 5545) for
+ * Google Calendar, Outlook and other calendar apps. Each activity is one
+ * event at its deadline with alarms matching the student's reminders;
+ * activities removed from the LMS stay in the feed as cancelled events so
+ * subscribed calendars drop them.
+ */
+
+import { parseDuration } from './duration.js';
+
+// Identifies this app in PRODID and event UIDs
+const PRODUCT_ID = '-//VUEDU//VU LMS Todo Automation//EN';
+const UID_DOMAIN = 'vulms-todo.vuedu';
+
+// Lines are folded at 75 octets
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line into 75-octet pieces without splitting a character
+ * @param {string} line - Unfolded line
+ * @returns {string}
+ */
+export function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their length
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+    if (octets + size > limit) {
+      pieces.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  pieces.push(current);
+
+  return pieces.join('\r\n ');
+}
+
+/**
+ * Format an instant as a UTC DATE-TIME, e.g. 20260105T185900Z
+ * @param {Date} date - Instant
+ * @returns {string}
+ */
+export function formatDateTime(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Resolve a stored LMS link (usually relative to the LMS) to a full URL
+ * @param {string} link - Stored link
+ * @returns {string|null}
+ */
+function resolveLink(link) {
+  if (!link || link === '#') return null;
+
+  try {
+    return new URL(link, process.env.LMS_URL || 'https://vulms.vu.edu.pk/').toString();
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Event UID, stable across re-scrapes: the activity key stays the same when
+ * the deadline or title changes
+ * @param {Object} activity - Activity document
+ * @returns {string}
+ */
+export function getEventUid(activity) {
+  return `${activity.activityKey || activity._id}@${UID_DOMAIN}`;
+}
+
+/**
+ * Alarms for an activity following the user's reminder policy: one per
+ * reminder offset, plus one when it opens. Digest users, done and removed
+ * activities get none.
+ * @param {Object} activity - Activity document
+ * @param {Object} user - Owner
+ * @param {Date} now - Current time
+ * @returns {Array<string>} - VALARM lines
+ */
+function buildAlarms(activity, user, now) {
+  if (activity.removedAt || activity.completedAt || user.usesDigest()) return [];
+
+  const lines = [];
+  const alarm = (trigger, description) => lines.push(
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    trigger,
+    `DESCRIPTION:${escapeText(description)}`,
+    'END:VALARM'
+  );
+
+  if (user.reminderPolicy?.notifyOnStart !== false && activity.startDate && new Date(activity.startDate) > now) {
+    alarm(`TRIGGER;VALUE=DATE-TIME:${formatDateTime(activity.startDate)}`, `${activity.courseCode} ${activity.activityType} is open`);
+  }
+
+  const minutes = [...new Set(user.getReminderOffsets(activity.activityType)
+    .map(offset => Math.round(parseDuration(offset) / 60000)))];
+
+  for (const offset of minutes) {
+    alarm(`TRIGGER:-PT${offset}M`, `${activity.courseCode} ${activity.activityType} due soon: ${activity.title}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Render one activity as a VEVENT
+ * @param {Object} activity - Activity document
+ * @param {Object} user - Owner
+ * @param {Date} now - Current time
+ * @returns {Array<string>} - Unfolded content lines
+ */
+export function buildEvent(activity, user, now = new Date()) {
+  const link = resolveLink(activity.link);
+  const done = Boolean(activity.completedAt);
+
+  const description = [
+    `${activity.activityType} - ${activity.courseCode}`,
+    activity.startDate && `Opens: ${new Date(activity.startDate).toLocaleString('en-US', { timeZone: user.timezone, dateStyle: 'medium', timeStyle: 'short' })}`,
+    `Due: ${new Date(activity.dueDate).toLocaleString('en-US', { timeZone: user.timezone, dateStyle: 'medium', timeStyle: 'short' })}`,
+    done && 'Marked as done',
+    link
+  ].filter(Boolean).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${getEventUid(activity)}`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `LAST-MODIFIED:${formatDateTime(activity.updatedAt || now)}`,
+    `DTSTART:${formatDateTime(activity.dueDate)}`,
+    `DTEND:${formatDateTime(activity.dueDate)}`,
+    `SUMMARY:${escapeText(`${done ? '✅ ' : ''}${activity.courseCode} ${activity.activityType}: ${activity.title}`)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(activity.activityType)},${escapeText(activity.courseCode)}`,
+    ...(link ? [`URL:${link}`] : []),
+    `STATUS:${activity.removedAt ? 'CANCELLED' : 'CONFIRMED'}`,
+    'TRANSP:TRANSPARENT',
+    ...buildAlarms(activity, user, now),
+    'END:VEVENT'
+  ];
+}
+
+/**
+ * Join content lines into iCalendar text, folding long lines
+ * @param {Array<string>} lines - Unfolded content lines
+ * @returns {string} - Text with CRLF line endings
+ */
+function serialize(lines) {
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * Render a user's activities as a complete calendar
+ * @param {Object} user - User document
+ * @param {Array} activities - Activity documents
+ * @param {Date} now - Current time
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+export function buildCalendar(user, activities, now = new Date()) {
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`VU LMS - ${user.username}`)}`,
+    `X-WR-TIMEZONE:${user.timezone}`,
+    // Suggested refresh interval for subscribed calendars
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...activities.flatMap(activity => buildEvent(activity, user, now)),
+    'END:VCALENDAR'
+  ]);
+}
+
+/**
+ * Render one activity as a CalDAV calendar object resource (no METHOD,
+ * one event per resource as RFC 4791 requires)
+ * @param {Object} user - User document
+ * @param {Object} activity - Activity document
+ * @param {Date} now - Current time
+ * @returns {string} - iCalendar text with CRLF line endings
+ */
+export function buildEventResource(user, activity, now = new Date()) {
+  return serialize([
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    ...buildEvent(activity, user, now),
+    'END:VCALENDAR'
+  ]);
+}
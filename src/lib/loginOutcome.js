@@ -0,0 +1,129 @@
+/**
+ * Login Outcomes
+ * loginToLMS inspects the page it lands on and reports one of these instead of
+ * a bare true/false, so results and student notices can say what went wrong:
+ * - success
+ * - invalid_credentials: the login form came back saying the id or password is wrong
+ * - account_locked: the LMS says the account is locked, blocked or suspended
+ * - captcha: the LMS asks to prove the visitor is human
+ * - maintenance: the LMS is down, unreachable or under maintenance
+ * - timeout: a page or the login form did not load in time
+ * - unexpected_page: anything else, including the form coming back without a reason
+ */
+
+import { formatNotice } from './sections/format.js';
+
+export const LOGIN_OUTCOMES = {
+  success: 'Logged in',
+  invalid_credentials: 'The LMS rejected the student id or password',
+  account_locked: 'The LMS account is locked or blocked',
+  captcha: 'The LMS asked for a captcha',
+  maintenance: 'The LMS is down or under maintenance',
+  timeout: 'The LMS did not respond in time',
+  unexpected_page: 'The LMS showed an unexpected page after login'
+};
+
+// Outcomes only the student can fix; they are told once per new problem
+const ACTION_NEEDED = {
+  invalid_credentials: 'Your LMS password seems to have changed. Please sign up again on the VUEDU portal with your new password; your to-do list is paused until then.',
+  account_locked: 'Your LMS account is locked or blocked. Please contact VU support to unlock it; your to-do list is paused until you can log in to the LMS again.',
+  captcha: 'The LMS is asking for a captcha on your account. Please log in to the LMS once from your browser; your to-do list is paused until then.'
+};
+
+// Shown by the LMS on the pages each outcome stands for (checked in this order)
+const PAGE_PATTERNS = [
+  ['captcha', /captcha|verify (that )?you are (a )?human|i'?m not a robot/i],
+  ['account_locked', /\b(locked|blocked|suspended|deactivated|disabled)\b|too many (failed |unsuccessful )?(login )?attempts/i],
+  ['maintenance', /maintenance|temporarily unavailable|service unavailable|under construction|bad gateway|gateway time-?out|server error/i],
+  ['invalid_credentials', /\b(invalid|incorrect|wrong)\b.{0,30}\b(student ?id|user ?(name|id)|password|credentials)\b|\b(student ?id|user ?(name|id)|password|credentials)\b.{0,30}\b(invalid|incorrect|wrong|does not match|not recogni[sz]ed)\b/i]
+];
+
+// Pages the LMS redirects to after a successful login, relative to LMS_URL
+const SIGNED_IN_PATH = /^(Home\.aspx|StudentPortal(\/|\.aspx)?)$/i;
+
+// How long scheduled scrapes stop logging in after an outcome; retrying a
+// locked account or a captcha only makes the LMS keep the student out longer,
+// and an unexplained page is given a little time before the next try
+export const LOGIN_BACKOFF_HOURS = {
+  account_locked: 24,
+  captcha: 6,
+  unexpected_page: 1
+};
+
+/**
+ * Whether a URL is one of the pages the LMS opens after logging in
+ * @param {string} url - Page URL
+ * @param {string} lmsUrl - LMS base URL, which may include a path
+ * @returns {boolean}
+ */
+function isSignedInUrl(url, lmsUrl) {
+  try {
+    const page = new URL(url);
+    const base = new URL(lmsUrl);
+    const basePath = base.pathname.endsWith('/') ? base.pathname : `${base.pathname}/`;
+
+    if (page.origin !== base.origin || !page.pathname.startsWith(basePath)) return false;
+    return SIGNED_IN_PATH.test(page.pathname.slice(basePath.length));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Decide the login outcome from what the browser shows
+ * @param {Object} page - { url, status, text, hasLoginForm, hasCaptcha, submitted, lmsUrl }
+ *   `status` is the HTTP status of the last document (or null), `submitted`
+ *   whether the credentials were posted and `lmsUrl` the LMS base URL
+ *   (LMS_URL by default)
+ * @returns {string} - Key of LOGIN_OUTCOMES
+ */
+export function classifyLoginPage({
+  url = '', status = null, text = '', hasLoginForm = false, hasCaptcha = false, submitted = true,
+  lmsUrl = process.env.LMS_URL || 'https://vulms.vu.edu.pk/'
+}) {
+  if (hasCaptcha) return 'captcha';
+  if (status >= 500) return 'maintenance';
+
+  if (submitted && !hasLoginForm && isSignedInUrl(url, lmsUrl)) return 'success';
+
+  for (const [outcome, pattern] of PAGE_PATTERNS) {
+    // Error messages are only meaningful next to a submitted login form
+    if (outcome === 'invalid_credentials' && !(submitted && hasLoginForm)) continue;
+    if (pattern.test(text)) return outcome;
+  }
+
+  // The form coming back without a reason may be a slow redirect or a changed
+  // message; only an explicit rejection stops scrapes until the password is re-entered
+  return 'unexpected_page';
+}
+
+/**
+ * Whether the student has to do something before the next scrape can log in
+ * @param {string} outcome - Key of LOGIN_OUTCOMES
+ * @returns {boolean}
+ */
+export function needsAction(outcome) {
+  return Boolean(ACTION_NEEDED[outcome]);
+}
+
+/**
+ * When scheduled scrapes may log in again after an outcome
+ * @param {string} outcome - Key of LOGIN_OUTCOMES
+ * @param {Date} now - Time of the login
+ * @returns {Date|null} - null when the next run may retry straight away
+ */
+export function getLoginRetryAfter(outcome, now = new Date()) {
+  const hours = LOGIN_BACKOFF_HOURS[outcome];
+  return hours ? new Date(now.getTime() + hours * 60 * 60 * 1000) : null;
+}
+
+/**
+ * Build the notice sent to a student whose login needs their action
+ * @param {string} outcome - Key of LOGIN_OUTCOMES that needs action
+ * @returns {string}
+ */
+export function formatLoginNotice(outcome) {
+  return formatNotice('⚠️ *LMS LOGIN PROBLEM*', [
+    ['❗ *Problem:*', LOGIN_OUTCOMES[outcome]]
+  ], { body: ACTION_NEEDED[outcome] });
+}
@@ -0,0 +1,66 @@
+/**
+ * Lookahead Windows
+ * The scraper returns every LMS row; these windows decide which ones are
+ * stored (and get reminders) and which are listed in the WhatsApp message
+ * sent after a scrape. Each has its own settings:
+ * - STORAGE_LOOKAHEAD_DAYS, STORAGE_CURRENT_MONTH_ONLY (default: everything not yet due)
+ * - NOTIFY_LOOKAHEAD_DAYS, NOTIFY_CURRENT_MONTH_ONLY (default: the next 7 days,
+ *   across the end of the month)
+ */
+
+import { DEFAULT_TIMEZONE, daysBetween, toDateKey } from './timezone.js';
+
+// Defaults when the variables are not set; null days means no limit
+const DEFAULT_LOOKAHEAD = {
+  storage: { days: null, currentMonthOnly: false },
+  notify: { days: 7, currentMonthOnly: false }
+};
+
+/**
+ * Parse a lookahead day count ('all' for no limit)
+ * @param {string} value - Environment value
+ * @param {number|null} fallback - Used when unset or invalid
+ * @returns {number|null}
+ */
+function parseDays(value, fallback) {
+  if (value === undefined || value.trim() === '') return fallback;
+  if (value.trim().toLowerCase() === 'all') return null;
+
+  const days = parseInt(value);
+  return Number.isNaN(days) || days < 0 ? fallback : days;
+}
+
+/**
+ * Get the configured window for storing or notifying
+ * @param {string} purpose - 'storage' or 'notify'
+ * @returns {Object} - { days, currentMonthOnly }
+ */
+export function getLookahead(purpose) {
+  const defaults = DEFAULT_LOOKAHEAD[purpose];
+  const prefix = purpose === 'storage' ? 'STORAGE' : 'NOTIFY';
+  const currentMonthOnly = process.env[`${prefix}_CURRENT_MONTH_ONLY`];
+
+  return {
+    days: parseDays(process.env[`${prefix}_LOOKAHEAD_DAYS`], defaults.days),
+    currentMonthOnly: currentMonthOnly === undefined ? defaults.currentMonthOnly : currentMonthOnly === 'true'
+  };
+}
+
+/**
+ * Check whether a scraped activity falls in a window. Its LMS calendar date
+ * is compared with today in the user's timezone; past and undated rows never do.
+ * @param {Object} activity - Scraped activity object
+ * @param {Object} lookahead - { days, currentMonthOnly }
+ * @param {string} timezone - User's timezone defining "today"
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function isWithinLookahead(activity, { days = null, currentMonthOnly = false } = {}, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  if (!activity.due_date) return false;
+
+  const daysLeft = daysBetween(now, activity.due_date, timezone);
+  if (daysLeft < 0) return false;
+  if (days !== null && daysLeft > days) return false;
+
+  return !currentMonthOnly || activity.due_date.slice(0, 7) === toDateKey(now, timezone).slice(0, 7);
+}
@@ -0,0 +1,18 @@
+/**
+ * Phone Numbers
+ * WhatsApp numbers are stored as '+' followed by the country code and number,
+ * whatever formatting they were typed or imported with
+ */
+
+/**
+ * Normalize a phone number to '+<digits>'
+ * @param {string} value - Number with country code, e.g. '+92 300 1234567' or '923001234567'
+ * @returns {string|null} - '+923001234567', or null unless it has 10-15 digits
+ */
+export function normalizePhoneNumber(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length < 10 || digits.length > 15) {
+    return null;
+  }
+  return `+${digits}`;
+}
@@ -0,0 +1,483 @@
+/**
+ * Scrape Pipeline
+ * Shared login → calendar → scrape → sections → logout → save flow run by
+ * the scrape worker in server.js, one incognito browser context per student
+ * (see browserPool.js)
+ */
+
+import { loginToLMS, resumeSession, getSessionCookies, navigateToCalendar, scrapeActivities, logout, wait } from './scraper.js';
+import { formatStudentResult } from './activityParser.js';
+import logger from './logger.js';
+import { syncActivities } from './activitySync.js';
+import { scrapeSections } from './sections/index.js';
+import { syncCalendar } from './calendarSync.js';
+import { getLookahead, isWithinLookahead } from './lookahead.js';
+import { DEFAULT_TIMEZONE, getQuietWindow } from './timezone.js';
+import { isVaultConfigured } from './credentialVault.js';
+import User from '../models/User.js';
+
+/**
+ * Whether LMS sessions are kept between runs instead of logging out,
+ * configurable via LMS_SESSION_REUSE (default: on when CREDENTIAL_KEYS is set)
+ * @returns {boolean}
+ */
+export function isSessionReuseEnabled() {
+  return process.env.LMS_SESSION_REUSE !== 'false' && isVaultConfigured();
+}
+
+/**
+ * Oldest saved session worth trying, configurable via LMS_SESSION_MAX_AGE_HOURS
+ * @returns {number} - Milliseconds
+ */
+export function getSessionMaxAge() {
+  return (parseFloat(process.env.LMS_SESSION_MAX_AGE_HOURS) || 12) * 60 * 60 * 1000;
+}
+
+/**
+ * Read the user's saved LMS session if it is recent enough to try
+ * @param {Object} user - User document with lmsSession selected
+ * @param {Date} now - Current time
+ * @returns {Array|null} - Cookies, or null to log in
+ */
+export function getSavedSession(user, now = new Date()) {
+  if (!isSessionReuseEnabled() || !user.lmsSession || !user.lmsSessionSavedAt) return null;
+  if (now - new Date(user.lmsSessionSavedAt) > getSessionMaxAge()) return null;
+
+  try {
+    return user.getLmsSession();
+  } catch (error) {
+    logger.warn(`[PIPELINE] Could not decrypt saved session for ${user.username}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Keep the page's LMS session for the next run
+ * @param {Object} user - User document
+ * @param {Page} page - Signed-in page
+ */
+async function saveSession(user, page) {
+  user.setLmsSession(await getSessionCookies(page));
+  await User.updateOne({ _id: user._id }, { $set: { lmsSession: user.lmsSession, lmsSessionSavedAt: user.lmsSessionSavedAt } });
+}
+
+/**
+ * Forget the user's saved LMS session so the next run logs in
+ * @param {Object} user - User document
+ */
+async function clearSession(user) {
+  if (!user.lmsSession) return;
+
+  user.lmsSession = null;
+  user.lmsSessionSavedAt = null;
+  await User.updateOne({ _id: user._id }, { $set: { lmsSession: null, lmsSessionSavedAt: null } });
+}
+
+/**
+ * Store the outcome of the user's LMS login (queues a notice when they need to act
+ * and flags a rejected password for re-entry)
+ * @param {Object} user - User document
+ * @param {string} outcome - Key of LOGIN_OUTCOMES
+ */
+async function recordLogin(user, outcome) {
+  user.recordLoginOutcome(outcome);
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { lmsLogin: user.lmsLogin, needsPasswordReentry: user.needsPasswordReentry } }
+  );
+}
+
+/**
+ * Format single activity message for WhatsApp - SIMPLIFIED FORMAT
+ * @param {Object} activity - Scraped activity object
+ * @returns {string} - Formatted message
+ */
+export function formatActivityMessage(activity) {
+  // due_date is a calendar date ('YYYY-MM-DD'), format it without shifting days
+  const dueDate = new Date(activity.due_date);
+  const formattedDueDate = dueDate.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+
+  let message = `*${activity.course_code}*\n`;
+  message += `${activity.activity_type}\n`;
+  message += `Due: ${formattedDueDate}`;
+
+  return message;
+}
+
+/**
+ * Filter activities to the notification window (NOTIFY_LOOKAHEAD_DAYS, default 7 days)
+ * @param {Array} activities - Scraped activities
+ * @param {string} timezone - User's timezone defining "today"
+ * @param {Object} lookahead - { days, currentMonthOnly }
+ * @param {Date} now - Current time
+ * @returns {Array} - Upcoming activities sorted by due date
+ */
+export function getUpcomingActivities(activities, timezone = DEFAULT_TIMEZONE, lookahead = getLookahead('notify'), now = new Date()) {
+  return activities
+    .filter(activity => isWithinLookahead(activity, lookahead, timezone, now))
+    .sort((a, b) => new Date(a.due_date) - new Date(b.due_date)); // Sort by due date
+}
+
+/**
+ * Open a new page with resource blocking for a single student
+ * @param {BrowserContext} context - The student's browser context
+ * @returns {Promise<Page>} - Configured page
+ */
+async function openStudentPage(context) {
+  const page = await context.newPage();
+
+  // Set viewport
+  await page.setViewport({ width: 1280, height: 800 });
+
+  // Block unnecessary resources to reduce memory usage and improve speed
+  await page.setRequestInterception(true);
+  page.on('request', (req) => {
+    try {
+      const resourceType = req.resourceType();
+      if (['image', 'stylesheet', 'font', 'media'].includes(resourceType)) {
+        req.abort().catch(() => {});
+      } else {
+        req.continue().catch(() => {});
+      }
+    } catch (error) {
+      // Ignore interception errors to prevent crashes
+      req.continue().catch(() => {});
+    }
+  });
+
+  return page;
+}
+
+/**
+ * Find the stored user for a student entered on the dashboard, creating it
+ * or updating its WhatsApp number and vault password as needed
+ * @param {Object} student - { username, password, whatsapp }
+ * @returns {Promise<Object>} - User document
+ */
+export async function saveStudent({ username, password, whatsapp }) {
+  let user = await User.findOne({ username }).select('+lmsPassword');
+
+  if (!user) {
+    logger.info(`[PIPELINE] Creating new user: ${username}`);
+    user = new User({
+      username,
+      whatsapp,
+      isActive: true
+    });
+    user.setLmsPassword(password);
+    await user.save();
+    return user;
+  }
+
+  logger.info(`[PIPELINE] User exists: ${username}`);
+
+  // Update WhatsApp number if changed
+  if (user.whatsapp !== whatsapp) {
+    user.whatsapp = whatsapp;
+  }
+
+  // Store the freshly entered password if it differs from the vault copy
+  if (user.needsPasswordReentry || !user.lmsPassword || !storedPasswordMatches(user, password)) {
+    user.setLmsPassword(password);
+  }
+
+  if (user.isModified()) {
+    await user.save();
+  }
+
+  return user;
+}
+
+/**
+ * Compare an entered password against the encrypted copy
+ * @param {Object} user - User document with lmsPassword selected
+ * @param {string} password - Plaintext password
+ * @returns {boolean}
+ */
+function storedPasswordMatches(user, password) {
+  try {
+    return user.getLmsPassword() === password;
+  } catch (error) {
+    logger.warn(`[PIPELINE] Could not decrypt stored password for ${user.username}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Run the full pipeline for a stored user using the vault password
+ * @param {BrowserContext} context - Incognito context for this student (see browserPool.js)
+ * @param {Object} user - User document with lmsPassword selected
+ * @param {Function} onProgress - Optional async ({ stage, message, data }) => void
+ * @returns {Promise<Object>} - Student result (see formatStudentResult), with
+ *   the `loginOutcome` once a login was attempted, and `database` counts,
+ *   `sections` and `calendar` sync summaries and a `whatsappQueue` of upcoming
+ *   activities on success
+ */
+export async function processUser(context, user, onProgress = null) {
+  if (user.needsPasswordReentry || !user.lmsPassword) {
+    return formatStudentResult(
+      user.username,
+      user.whatsapp,
+      [],
+      'error',
+      'No stored LMS password. Please re-enter it from the dashboard.'
+    );
+  }
+
+  let password;
+  try {
+    password = user.getLmsPassword();
+  } catch (error) {
+    logger.error(`[PIPELINE] Could not decrypt password for ${user.username}: ${error.message}`);
+    return formatStudentResult(user.username, user.whatsapp, [], 'error', 'Stored LMS password could not be decrypted.');
+  }
+
+  return runPipeline(context, user, password, onProgress);
+}
+
+/**
+ * Login, scrape and save activities for a user in a fresh page
+ * @param {BrowserContext} context - The student's browser context
+ * @param {Object} user - User document
+ * @param {string} password - Plaintext LMS password
+ * @param {Function} onProgress - Optional progress callback
+ * @returns {Promise<Object>} - Student result
+ */
+async function runPipeline(context, user, password, onProgress) {
+  const { username, whatsapp } = user;
+  const page = await openStudentPage(context);
+
+  // Progress reporting must never break the scrape itself
+  const report = async (stage, message, data = null) => {
+    if (!onProgress) return;
+    try {
+      await onProgress({ stage, message, data });
+    } catch (error) {
+      logger.warn(`[PIPELINE] Progress callback failed: ${error.message}`);
+    }
+  };
+
+  try {
+    // Step 1: Resume the session saved by the last run, or log in
+    let resumed = false;
+    const savedSession = getSavedSession(user);
+    if (savedSession) {
+      await report('resuming', 'Resuming saved LMS session');
+      resumed = await resumeSession(page, savedSession);
+      if (!resumed) {
+        logger.info(`[PIPELINE] Saved session for ${username} has expired, logging in`);
+      }
+    }
+
+    let login = { success: true, outcome: 'success' };
+    if (!resumed) {
+      await report('logging_in', 'Logging in to LMS');
+      login = await loginToLMS(page, username, password);
+    }
+    await recordLogin(user, login.outcome);
+
+    if (!login.success) {
+      await clearSession(user);
+      return {
+        ...formatStudentResult(
+          username,
+          whatsapp,
+          [],
+          'error',
+          `Login failed: ${login.message}.`
+        ),
+        loginOutcome: login.outcome
+      };
+    }
+
+    // Step 2: Navigate to Activity Calendar
+    await report('navigating', 'Opening Activity Calendar');
+    const navSuccess = await navigateToCalendar(page);
+
+    if (!navSuccess) {
+      await clearSession(user);
+      await logout(page);
+      return formatStudentResult(
+        username,
+        whatsapp,
+        [],
+        'error',
+        'Failed to navigate to Activity Calendar.'
+      );
+    }
+
+    // Step 3: Scrape every row (the full list is needed to spot removals)
+    await report('scraping', 'Scraping activities');
+    const { activities: pendingActivities, scrapedTypes } = await scrapeActivities(page);
+    const activities = getUpcomingActivities(pendingActivities, user.timezone);
+    await report('scraped', `Found ${pendingActivities.length} activities, ${activities.length} in the notification window`, {
+      count: pendingActivities.length,
+      upcoming: activities.length
+    });
+
+    // Step 4: Announcements, MDBs, results and date sheet (failures are only logged)
+    const sections = await scrapeSections(page, user, report);
+
+    // Step 5: Keep the session for the next run, or log out
+    if (isSessionReuseEnabled()) {
+      await saveSession(user, page);
+    } else {
+      await clearSession(user);
+      await logout(page);
+    }
+
+    // Step 6: Sync with stored activities
+    await report('saving', 'Saving activities');
+    const {
+      futureActivities, savedCount, updatedCount, removedCount, completedCount, scheduledCount
+    } = await syncActivities(user, pendingActivities, { scrapedTypes });
+    await report('saved', `${savedCount} new, ${updatedCount} updated, ${removedCount} removed, ${scheduledCount} notifications scheduled`, {
+      saved: savedCount,
+      updated: updatedCount,
+      removed: removedCount,
+      completed: completedCount,
+      scheduled: scheduledCount
+    });
+
+    // Step 7: Write changes to the student's CalDAV calendar, if connected
+    let calendar = null;
+    try {
+      calendar = await syncCalendar(user);
+    } catch (calendarError) {
+      logger.warn(`[PIPELINE] Calendar sync failed for ${username}: ${calendarError.message}`);
+      calendar = { error: calendarError.message };
+    }
+
+    // Successful result with the activities in the notification window
+    const result = {
+      ...formatStudentResult(
+        username,
+        whatsapp,
+        activities,
+        'success'
+      ),
+      database: {
+        saved: savedCount,
+        updated: updatedCount,
+        removed: removedCount,
+        completed: completedCount,
+        scheduled: scheduledCount,
+        total: pendingActivities.length,
+        future: futureActivities.length
+      },
+      sections,
+      calendar,
+      session: resumed ? 'resumed' : 'login',
+      loginOutcome: login.outcome
+    };
+
+    logger.info(`[PIPELINE] ✓ Completed processing for ${username}: ${pendingActivities.length} pending, ${savedCount} new, ${updatedCount} updated, ${removedCount} removed, ${scheduledCount} notifications scheduled`);
+
+    // Students who sent *pause* get no messages until they send *resume*
+    if (user.notificationsPausedAt) {
+      logger.info(`[PIPELINE] ${username} paused notifications, not queueing messages`);
+      return result;
+    }
+
+    // Nothing is sent inside quiet hours; scheduled reminders still follow
+    if (getQuietWindow(new Date(), user.quietHours, user.timezone)) {
+      logger.info(`[PIPELINE] ${username} is in quiet hours, not queueing messages`);
+      return result;
+    }
+
+    // Digest users get upcoming activities in their next digest instead
+    if (user.usesDigest()) {
+      logger.info(`[PIPELINE] ${username} receives a ${user.digest.mode} digest, not queueing messages`);
+      return result;
+    }
+
+    // Queue messages for sending once every student is processed
+    const upcomingWeek = getUpcomingActivities(futureActivities.filter(activity => !activity.completed), user.timezone);
+
+    if (upcomingWeek.length > 0) {
+      logger.info(`[PIPELINE] Queueing ${upcomingWeek.length} messages for ${username}`);
+      result.whatsappQueue = upcomingWeek.map(activity => ({
+        phone: whatsapp,
+        activity: activity,
+        studentName: username
+      }));
+    } else {
+      logger.info(`[PIPELINE] No activities due in the notification window for ${username}`);
+    }
+
+    return result;
+
+  } catch (error) {
+    // Log full error details for debugging
+    logger.error(`[PIPELINE] Error processing ${username}:`, {
+      message: error.message || 'Unknown error',
+      stack: error.stack || 'No stack trace available',
+      error: error
+    });
+
+    return formatStudentResult(
+      username,
+      whatsapp,
+      [],
+      'error',
+      `Processing error: ${error.message || error.toString() || 'Unknown error occurred'}`
+    );
+  } finally {
+    // Safe page cleanup to prevent protocol errors
+    try {
+      // Check if page is still valid before cleanup
+      if (page && !page.isClosed()) {
+        // Remove all listeners to prevent memory leaks
+        page.removeAllListeners();
+
+        // Close the page safely
+        await page.close().catch((closeError) => {
+          logger.warn(`[PIPELINE] Page close warning: ${closeError.message}`);
+        });
+      }
+    } catch (cleanupError) {
+      logger.warn(`[PIPELINE] Cleanup warning for ${username}: ${cleanupError.message}`);
+    }
+  }
+}
+
+/**
+ * Send every queued activity message collected by processUser
+ * @param {Array} results - Student results
+ * @param {Function} send - async (queueItem, message) => void, throws on failure
+ * @returns {Promise<Object>} - { queued, sent, failed }
+ */
+export async function deliverMessageQueue(results, send) {
+  let queued = 0;
+  let sent = 0;
+  let failed = 0;
+
+  for (const result of results) {
+    if (!result.whatsappQueue || result.whatsappQueue.length === 0) continue;
+
+    queued += result.whatsappQueue.length;
+
+    for (const queueItem of result.whatsappQueue) {
+      try {
+        await send(queueItem, formatActivityMessage(queueItem.activity));
+        sent++;
+        logger.info(`[PIPELINE] ✓ Sent message to ${queueItem.studentName}: ${queueItem.activity.title}`);
+      } catch (sendError) {
+        failed++;
+        logger.warn(`[PIPELINE] Message send failed for ${queueItem.activity.title}: ${sendError.message}`);
+      }
+
+      // Delay between messages to avoid rate limiting
+      await wait(1500);
+    }
+  }
+
+  logger.info(`[PIPELINE] ✓ Message queue processed: ${sent}/${queued} sent, ${failed} failed`);
+
+  return { queued, sent, failed };
+}
@@ -0,0 +1,136 @@
+/**
+ * Rate Limiting
+ * In-memory sliding-window counters, shared by the WhatsApp bridge (messages
+ * per recipient) and the sign-in and sign-up routes (attempts per client
+ * address and account).
+ * Counts are per process and start over on restart.
+ */
+
+// Keys kept before expired ones are swept, so one-off clients do not pile up
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * Sliding-window counter of events per key
+ */
+export class RateLimiter {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.sent = new Map();
+  }
+
+  /**
+   * Count an event if the key is under the limit
+   * @param {string} key - What is limited, e.g. number digits or a client address
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - 0 when allowed, otherwise milliseconds until the next slot
+   */
+  take(key, now = Date.now()) {
+    if (this.sent.size >= SWEEP_THRESHOLD) {
+      this.sweep(now);
+    }
+
+    const recent = (this.sent.get(key) || []).filter(time => time > now - this.windowMs);
+
+    if (recent.length >= this.limit) {
+      this.sent.set(key, recent);
+      return recent[0] + this.windowMs - now;
+    }
+
+    recent.push(now);
+    this.sent.set(key, recent);
+    return 0;
+  }
+
+  /**
+   * Time until the key may have another event, without counting one
+   * @param {string} key - What is limited
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - 0 when allowed, otherwise milliseconds until the next slot
+   */
+  wait(key, now = Date.now()) {
+    const recent = (this.sent.get(key) || []).filter(time => time > now - this.windowMs);
+    return recent.length >= this.limit ? recent[recent.length - this.limit] + this.windowMs - now : 0;
+  }
+
+  /**
+   * Forget keys without events in the current window
+   * @param {number} now - Current time in milliseconds
+   */
+  sweep(now = Date.now()) {
+    for (const [key, times] of this.sent) {
+      if (times[times.length - 1] <= now - this.windowMs) {
+        this.sent.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Number of reverse proxies in front of the app whose X-Forwarded-For entries
+ * can be trusted (TRUST_PROXY, a hop count; 'true' means one)
+ * @returns {number}
+ */
+export function getTrustedProxyHops() {
+  const value = (process.env.TRUST_PROXY || '').trim().toLowerCase();
+  if (value === 'true') return 1;
+  return Math.max(parseInt(value) || 0, 0);
+}
+
+/**
+ * Address of the client that sent a request, as recorded by the trusted proxies
+ * Each proxy appends the address it was connected from, so the client is the
+ * entry the outermost trusted proxy added; anything before it was sent by the
+ * client and is ignored. Route handlers cannot see the connection itself, so
+ * without TRUST_PROXY the address is unknown.
+ * @param {Request} request - NextRequest
+ * @returns {string|null} - Client address, or null when it cannot be trusted
+ */
+export function getClientAddress(request) {
+  const hops = getTrustedProxyHops();
+  if (hops === 0) return null;
+
+  const entries = (request.headers.get('x-forwarded-for') || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries.length >= hops ? entries[entries.length - hops] : null;
+}
+
+/**
+ * Limits for sign-in style attempts: per client address and per account name,
+ * plus a cap across everyone that holds even when the address is unknown
+ */
+export class AttemptLimiter {
+  /**
+   * @param {Object} options - { limit, globalLimit, windowMs }
+   */
+  constructor({ limit, globalLimit, windowMs }) {
+    this.clients = new RateLimiter(limit, windowMs);
+    this.everyone = new RateLimiter(globalLimit, windowMs);
+  }
+
+  /**
+   * Count an attempt unless one of the limits is reached
+   * @param {Object} attempt - { address, username }; either may be empty
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} - 0 when allowed, otherwise milliseconds until the next slot
+   */
+  take({ address, username }, now = Date.now()) {
+    const name = String(username || '').trim().toLowerCase();
+
+    const counters = [[this.everyone, 'everyone']];
+    if (address) counters.push([this.clients, `address:${address}`]);
+    if (name) counters.push([this.clients, `name:${name}`]);
+
+    // Refused attempts are not counted, so they cannot use up the other limits
+    const waitMs = Math.max(...counters.map(([limiter, key]) => limiter.wait(key, now)));
+    if (waitMs > 0) return waitMs;
+
+    for (const [limiter, key] of counters) {
+      limiter.take(key, now);
+    }
+    return 0;
+  }
+}
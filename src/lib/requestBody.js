@@ -0,0 +1,22 @@
+/**
+ * Request Bodies
+ * JSON bodies for API routes; a body that is not a JSON object is the
+ * client's mistake and answered with 400, never a 500
+ */
+
+// Error message for routes to answer with 400
+export const INVALID_BODY = 'Invalid request: body must be a JSON object';
+
+/**
+ * Parse a request's JSON body
+ * @param {Request} request - NextRequest
+ * @returns {Promise<Object|null>} - The body, or null when it is not a JSON object
+ */
+export async function readJsonBody(request) {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch {
+    return null;
+  }
+}
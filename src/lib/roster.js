@@ -0,0 +1,224 @@
+/**
+ * Roster
+ * Stored students for the dashboard: listing, editing and CSV import/export
+ */
+
+import logger from './logger.js';
+import scheduler from './scheduler.js';
+import { parseCsv, toCsv } from './csv.js';
+import { normalizePhoneNumber } from './phone.js';
+import User from '../models/User.js';
+
+// Columns read from an import when the file has no header row
+const IMPORT_COLUMNS = ['username', 'password', 'whatsapp', 'group'];
+
+// Columns written on export (no passwords); the file can be imported again
+const EXPORT_COLUMNS = ['username', 'whatsapp', 'group', 'active', 'needs_password'];
+
+// Largest import accepted in one request
+const MAX_IMPORT_ROWS = 5000;
+
+// Import and edit error for a number that cannot be normalized
+const INVALID_WHATSAPP = 'whatsapp must be a number with country code, e.g. +923001234567';
+
+/**
+ * Escape text for use inside a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the User query for roster filters
+ * @param {Object} filter - { search, group, status: 'active'|'inactive'|'all' }
+ * @returns {Object} - Mongo query
+ */
+export function buildRosterQuery({ search, group, status = 'all' } = {}) {
+  const query = {};
+
+  if (search && search.trim()) {
+    const pattern = new RegExp(escapeRegExp(search.trim()), 'i');
+    query.$or = [{ username: pattern }, { whatsapp: pattern }, { group: pattern }];
+  }
+  if (group !== undefined && group !== null && group !== '') {
+    query.group = group;
+  }
+  if (status === 'active') query.isActive = true;
+  if (status === 'inactive') query.isActive = false;
+
+  return query;
+}
+
+/**
+ * Roster fields shown in the dashboard
+ * @param {Object} user - User document
+ * @returns {Object}
+ */
+export function toRosterEntry(user) {
+  return {
+    id: user._id,
+    username: user.username,
+    whatsapp: user.whatsapp,
+    group: user.group,
+    isActive: user.isActive,
+    needsPasswordReentry: user.needsPasswordReentry,
+    notificationsPaused: Boolean(user.notificationsPausedAt),
+    createdAt: user.createdAt
+  };
+}
+
+/**
+ * List roster users, sorted by username
+ * @param {Object} options - { search, group, status, page, limit }
+ * @returns {Promise<Object>} - { users, total, page, pages, groups }
+ */
+export async function listRoster({ search, group, status, page = 1, limit = 50 } = {}) {
+  const query = buildRosterQuery({ search, group, status });
+  const perPage = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+  const current = Math.max(parseInt(page) || 1, 1);
+
+  const [users, total, groups] = await Promise.all([
+    User.find(query).sort({ username: 1 }).skip((current - 1) * perPage).limit(perPage),
+    User.countDocuments(query),
+    User.distinct('group')
+  ]);
+
+  return {
+    users: users.map(toRosterEntry),
+    total,
+    page: current,
+    pages: Math.max(Math.ceil(total / perPage), 1),
+    groups: groups.filter(Boolean).sort()
+  };
+}
+
+/**
+ * Apply dashboard edits to a roster user
+ * @param {Object} user - User document (with +lmsPassword selected)
+ * @param {Object} changes - { whatsapp, group, isActive, password }
+ * @returns {Promise<Object>} - The user
+ * @throws {Error} - Mongoose ValidationError for invalid values
+ */
+export async function updateRosterUser(user, { whatsapp, group, isActive, password }) {
+  const reactivated = isActive === true && !user.isActive;
+
+  if (whatsapp !== undefined) {
+    const number = normalizePhoneNumber(whatsapp);
+    if (number) {
+      user.whatsapp = number;
+    } else {
+      user.invalidate('whatsapp', INVALID_WHATSAPP, whatsapp);
+    }
+  }
+  if (group !== undefined) user.group = group;
+  if (isActive !== undefined) user.isActive = Boolean(isActive);
+  if (password) user.setLmsPassword(password);
+
+  await user.save();
+  logger.info(`[ROSTER] Updated ${user.username}`);
+
+  // Reminders that failed while inactive are rebuilt
+  if (reactivated) {
+    await scheduler.rescheduleForUser(user);
+  }
+
+  return user;
+}
+
+/**
+ * Map CSV rows to records using the header row when there is one
+ * @param {Array<Array<string>>} rows - Parsed CSV
+ * @returns {Array<Object>} - [{ row, values: { username, password, whatsapp, group } }]; row counts from 1 including the header
+ */
+function toImportRecords(rows) {
+  const first = rows[0] || [];
+  const hasHeader = first.some(value => value.trim().toLowerCase() === 'username');
+  const columns = hasHeader ? first.map(value => value.trim().toLowerCase()) : IMPORT_COLUMNS;
+
+  return rows.slice(hasHeader ? 1 : 0).map((row, index) => {
+    const values = {};
+    columns.forEach((column, i) => {
+      if (IMPORT_COLUMNS.includes(column) && row[i] !== undefined) {
+        values[column] = row[i].trim();
+      }
+    });
+    return { row: index + (hasHeader ? 2 : 1), values };
+  });
+}
+
+/**
+ * Import students from CSV (username, password, whatsapp, optional group)
+ * New students need every column but group; existing students are updated
+ * with the non-empty columns, so a blank password keeps the stored one.
+ * Numbers are stored as '+<digits>' however they are formatted in the file.
+ * @param {string} text - CSV text
+ * @returns {Promise<Object>} - { created, updated, failed: [{ row, username, error }] }
+ */
+export async function importRoster(text) {
+  const records = toImportRecords(parseCsv(text));
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new Error(`Import has ${records.length} rows, the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  const result = { created: 0, updated: 0, failed: [] };
+
+  for (const { row, values } of records) {
+    const { username, password, whatsapp, group } = values;
+
+    try {
+      if (!username) {
+        throw new Error('username is required');
+      }
+
+      const number = whatsapp ? normalizePhoneNumber(whatsapp) : null;
+      if (whatsapp && !number) {
+        throw new Error(INVALID_WHATSAPP);
+      }
+
+      let user = await User.findOne({ username }).select('+lmsPassword');
+      const isNew = !user;
+
+      if (isNew) {
+        if (!password || !whatsapp) {
+          throw new Error('password and whatsapp are required for new students');
+        }
+        user = new User({ username, whatsapp: number, group: group || '', isActive: true });
+      } else {
+        if (number) user.whatsapp = number;
+        if (group !== undefined) user.group = group;
+      }
+
+      if (password) user.setLmsPassword(password);
+      await user.save();
+
+      result[isNew ? 'created' : 'updated']++;
+    } catch (error) {
+      result.failed.push({ row, username: username || null, error: error.message });
+    }
+  }
+
+  logger.info(`[ROSTER] Import: ${result.created} created, ${result.updated} updated, ${result.failed.length} failed`);
+  return result;
+}
+
+/**
+ * Export roster users as CSV (without passwords)
+ * @param {Object} filter - { search, group, status }
+ * @returns {Promise<string>}
+ */
+export async function exportRoster(filter = {}) {
+  const users = await User.find(buildRosterQuery(filter)).sort({ username: 1 });
+
+  return toCsv([
+    EXPORT_COLUMNS,
+    ...users.map(user => [
+      user.username,
+      user.whatsapp,
+      user.group,
+      user.isActive ? 'yes' : 'no',
+      user.needsPasswordReentry ? 'yes' : 'no'
+    ])
+  ]);
+}
@@ -1,13 +1,29 @@
 /**
  * Notification Scheduler
- * Handles scheduling and processing of WhatsApp notifications
+ * Handles scheduling and processing of notifications, digests and LMS
+ * section notices over each user's channels, and of group broadcast posts
  */
 
 import logger from './logger.js';
 import whatsappClient from './whatsapp.js';
+import { deliver } from './channels/index.js';
+import { parseDuration, formatDuration, describeDuration } from './duration.js';
+import { DIGEST_DAYS, isDigestDue, formatDigest } from './digest.js';
+import { DEFAULT_TIMEZONE, daysBetween, getQuietWindow } from './timezone.js';
+import { getSection } from './sections/index.js';
+import { LOGIN_OUTCOMES, formatLoginNotice } from './loginOutcome.js';
 import User from '../models/User.js';
 import Activity from '../models/Activity.js';
 import Notification from '../models/Notification.js';
+import GroupBroadcast from '../models/GroupBroadcast.js';
+import GroupPost from '../models/GroupPost.js';
+import LmsItem from '../models/LmsItem.js';
+
+// Minutes before a notification no channel could take is tried again
+const CHANNEL_RETRY_MINUTES = 15;
+
+// Attempts before a section or login notice that keeps failing is dropped
+const MAX_NOTICE_ATTEMPTS = 3;
 
 class NotificationScheduler {
   constructor() {
@@ -17,58 +33,116 @@ class NotificationScheduler {
   }
 
   /**
-   * Schedule notifications for a new activity
+   * Create a single notification, ignoring duplicates
+   * @param {Object} activity - Activity document
+   * @param {string} notificationType - 'start', 'reminder', 'deadline_changed' or 'removed'
+   * @param {Date} scheduledFor - When to send
+   * @param {number} offsetMinutes - Minutes before due date (0 for start)
+   * @param {Date} previousDueDate - Old deadline for 'deadline_changed'
+   * @returns {Promise<Object|null>} - Created notification, or null if it already exists
+   */
+  async createNotification(activity, notificationType, scheduledFor, offsetMinutes = 0, previousDueDate = null) {
+    try {
+      const notification = await Notification.create({
+        activityId: activity._id,
+        userId: activity.userId,
+        notificationType,
+        offsetMinutes,
+        dueDate: activity.dueDate,
+        previousDueDate,
+        scheduledFor,
+        status: 'pending'
+      });
+      logger.info(`[SCHEDULER] Scheduled ${notificationType} notification${offsetMinutes ? ` (${formatDuration(offsetMinutes * 60000)} before)` : ''} for activity: ${activity.title}`);
+      return notification;
+    } catch (error) {
+      if (error.code === 11000) {
+        logger.info(`[SCHEDULER] ${notificationType} notification already exists for activity: ${activity.title}`);
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a send time out of the user's quiet hours
+   * @param {Date} date - Planned send time
+   * @param {Object} user - User document (quietHours, timezone)
+   * @param {Date} deadline - Activity due date
+   * @returns {Date} - End of the quiet window, or just before it starts when
+   *   deferring would pass the deadline
+   */
+  adjustForQuietHours(date, user, deadline = null) {
+    if (!user) return date;
+
+    const quietWindow = getQuietWindow(date, user.quietHours, user.timezone);
+    if (!quietWindow) return date;
+
+    if (deadline && quietWindow.end >= deadline) {
+      return new Date(quietWindow.start.getTime() - 60000);
+    }
+    return quietWindow.end;
+  }
+
+  /**
+   * Schedule notifications for a new activity following the user's reminder policy
    * @param {Object} activity - Activity document from MongoDB
+   * @param {Object} user - Owner of the activity (loaded if omitted)
    * @returns {Promise<Array>} - Array of created notification documents
    */
-  async scheduleNotifications(activity) {
+  async scheduleNotifications(activity, user = null) {
     try {
       const notifications = [];
+      if (activity.removedAt || activity.completedAt) return notifications;
+
       const now = new Date();
-      
-      // Notification 1: On activity start date (if it has a start date and it's in the future)
-      if (activity.startDate && new Date(activity.startDate) > now) {
-        try {
-          const startNotification = await Notification.create({
-            activityId: activity._id,
-            userId: activity.userId,
-            notificationType: 'start',
-            scheduledFor: new Date(activity.startDate),
-            status: 'pending'
-          });
-          notifications.push(startNotification);
-          logger.info(`[SCHEDULER] Scheduled start notification for activity: ${activity.title}`);
-        } catch (error) {
-          if (error.code === 11000) {
-            logger.info(`[SCHEDULER] Start notification already exists for activity: ${activity.title}`);
-          } else {
-            throw error;
-          }
-        }
+      const owner = user || await User.findById(activity.userId);
+      const policy = owner?.reminderPolicy || {};
+      const dueDate = new Date(activity.dueDate);
+
+      // Snoozed: hold back everything before the snooze ends, then remind once
+      const snoozedUntil = activity.snoozedUntil
+        && new Date(activity.snoozedUntil) > now
+        && new Date(activity.snoozedUntil) < dueDate
+        ? new Date(activity.snoozedUntil)
+        : null;
+
+      // Class group broadcasts covering this activity post it once for everyone
+      const broadcasts = owner?.isActive ? await GroupBroadcast.findForActivity(activity, owner) : [];
+      await this.scheduleGroupPosts(activity, broadcasts);
+
+      // No start or policy reminders for digest users (they get a digest instead)
+      // or students whose group broadcast replaces private messages
+      const skipDirect = Boolean(owner?.usesDigest()) || broadcasts.some(broadcast => broadcast.replacesDirect);
+
+      // Start notification: on activity start date (if it has one and it's in the future)
+      if (!skipDirect && policy.notifyOnStart !== false && activity.startDate && new Date(activity.startDate) > now
+        && !(snoozedUntil && new Date(activity.startDate) < snoozedUntil)) {
+        const startDate = this.adjustForQuietHours(new Date(activity.startDate), owner, new Date(activity.dueDate));
+        const startNotification = await this.createNotification(activity, 'start', startDate);
+        if (startNotification) notifications.push(startNotification);
       }
 
-      // Notification 2: One day before due date (if due date is more than 1 day away)
-      const dueDate = new Date(activity.dueDate);
-      const reminderDate = new Date(dueDate);
-      reminderDate.setDate(reminderDate.getDate() - 1);
-      
-      if (reminderDate > now) {
-        try {
-          const reminderNotification = await Notification.create({
-            activityId: activity._id,
-            userId: activity.userId,
-            notificationType: 'reminder',
-            scheduledFor: reminderDate,
-            status: 'pending'
-          });
-          notifications.push(reminderNotification);
-          logger.info(`[SCHEDULER] Scheduled reminder notification for activity: ${activity.title}`);
-        } catch (error) {
-          if (error.code === 11000) {
-            logger.info(`[SCHEDULER] Reminder notification already exists for activity: ${activity.title}`);
-          } else {
-            throw error;
-          }
+      // Reminders: one per configured offset before the due date
+      const offsets = skipDirect ? [] : owner ? owner.getReminderOffsets(activity.activityType) : ['1d'];
+      const offsetMinutes = [...new Set(offsets.map(offset => Math.round(parseDuration(offset) / 60000)))];
+
+      for (const minutes of offsetMinutes) {
+        const reminderDate = new Date(dueDate.getTime() - minutes * 60000);
+        if (reminderDate <= now || (snoozedUntil && reminderDate < snoozedUntil)) continue;
+
+        const sendAt = this.adjustForQuietHours(reminderDate, owner, dueDate);
+        const reminderNotification = await this.createNotification(activity, 'reminder', sendAt, minutes);
+        if (reminderNotification) notifications.push(reminderNotification);
+      }
+
+      if (snoozedUntil) {
+        const minutes = Math.round((dueDate.getTime() - snoozedUntil.getTime()) / 60000);
+
+        if (!offsetMinutes.includes(minutes)) {
+          const sendAt = this.adjustForQuietHours(snoozedUntil, owner, dueDate);
+          const snoozeNotification = await this.createNotification(activity, 'reminder', sendAt, minutes);
+          if (snoozeNotification) notifications.push(snoozeNotification);
         }
       }
 
@@ -80,42 +154,278 @@ class NotificationScheduler {
   }
 
   /**
-   * Format activity as WhatsApp message
+   * Schedule a broadcast's start and reminder posts for an activity. Students
+   * with the same activity share the posts; their activity is added to them.
    * @param {Object} activity - Activity document
-   * @param {string} notificationType - 'start' or 'reminder'
-   * @returns {string} - Formatted message
+   * @param {Array<Object>} broadcasts - GroupBroadcast documents covering it
+   * @returns {Promise<number>} - Number of posts created
    */
-  formatMessage(activity, notificationType) {
-    const emoji = notificationType === 'start' ? '🔔 *NEW ACTIVITY*' : '⏰ *DEADLINE REMINDER*';
-    
+  async scheduleGroupPosts(activity, broadcasts) {
+    const now = new Date();
     const dueDate = new Date(activity.dueDate);
-    const dueDateStr = dueDate.toLocaleDateString('en-US', { 
+    let created = 0;
+
+    for (const broadcast of broadcasts) {
+      const posts = [];
+
+      if (broadcast.notifyOnStart && activity.startDate && new Date(activity.startDate) > now) {
+        posts.push({ notificationType: 'start', offsetMinutes: 0, scheduledFor: new Date(activity.startDate) });
+      }
+
+      const offsetMinutes = [...new Set(broadcast.reminderOffsets.map(offset => Math.round(parseDuration(offset) / 60000)))];
+      for (const minutes of offsetMinutes) {
+        const reminderDate = new Date(dueDate.getTime() - minutes * 60000);
+        if (reminderDate > now) {
+          posts.push({ notificationType: 'reminder', offsetMinutes: minutes, scheduledFor: reminderDate });
+        }
+      }
+
+      for (const { notificationType, offsetMinutes: minutes, scheduledFor } of posts) {
+        const filter = {
+          broadcastId: broadcast._id,
+          activityKey: GroupBroadcast.generateActivityKey(activity),
+          notificationType,
+          offsetMinutes: minutes,
+          dueDate
+        };
+        const update = {
+          $setOnInsert: {
+            courseCode: activity.courseCode,
+            activityType: activity.activityType,
+            title: activity.title,
+            link: activity.link,
+            scheduledFor,
+            status: 'pending'
+          },
+          $addToSet: { activityIds: activity._id }
+        };
+
+        let result;
+        try {
+          result = await GroupPost.updateOne(filter, update, { upsert: true });
+        } catch (error) {
+          // Another student's copy created the post at the same moment
+          if (error.code !== 11000) throw error;
+          result = await GroupPost.updateOne(filter, update);
+        }
+
+        if (result.upsertedCount > 0) {
+          created++;
+          logger.info(`[SCHEDULER] Scheduled ${notificationType} group post for "${broadcast.name}": ${activity.title}`);
+        }
+      }
+    }
+
+    return created;
+  }
+
+  /**
+   * Rebuild a broadcast's pending posts after it was created, changed or deleted
+   * @param {Object} broadcast - GroupBroadcast document (saved or deleted)
+   * @param {Object} previous - { cohort, replacesDirect } before the change, if any
+   * @returns {Promise<number>} - Number of posts scheduled
+   */
+  async rescheduleBroadcast(broadcast, previous = null) {
+    await GroupPost.deleteMany({ broadcastId: broadcast._id, status: 'pending' });
+
+    const active = broadcast.isActive && !broadcast.$isDeleted();
+
+    // Private reminders of the covered students change too: rescheduling them
+    // also schedules their group posts
+    if (broadcast.replacesDirect || previous?.replacesDirect) {
+      const cohorts = [broadcast.cohort, ...(previous ? [previous.cohort] : [])];
+      const users = await User.find({
+        isActive: true,
+        ...(cohorts.includes(null) ? {} : { group: { $in: cohorts } })
+      });
+
+      for (const user of users) {
+        await this.rescheduleForUser(user);
+      }
+      return GroupPost.countDocuments({ broadcastId: broadcast._id, status: 'pending' });
+    }
+
+    if (!active) return 0;
+
+    const users = await User.find({ isActive: true, ...(broadcast.cohort ? { group: broadcast.cohort } : {}) }).select('_id');
+    const activities = await Activity.find({
+      userId: { $in: users.map(user => user._id) },
+      ...(broadcast.courseCode ? { courseCode: broadcast.courseCode } : {}),
+      removedAt: null,
+      completedAt: null,
+      dueDate: { $gt: new Date() }
+    });
+
+    let scheduled = 0;
+    for (const activity of activities) {
+      scheduled += await this.scheduleGroupPosts(activity, [broadcast]);
+    }
+
+    logger.info(`[SCHEDULER] Scheduled ${scheduled} group posts for "${broadcast.name}"`);
+    return scheduled;
+  }
+
+  /**
+   * Cancel an activity's pending start and reminder notifications
+   * @param {Object} activity - Activity document
+   * @param {string} reason - Stored as the notification error
+   * @returns {Promise<number>} - Number of notifications cancelled
+   */
+  async cancelPending(activity, reason) {
+    const result = await Notification.updateMany(
+      { activityId: activity._id, status: 'pending', notificationType: { $in: ['start', 'reminder'] } },
+      { $set: { status: 'cancelled', error: reason } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`[SCHEDULER] Cancelled ${result.modifiedCount} pending notification(s) for activity: ${activity.title} (${reason})`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Replace an activity's unsent start and reminder notifications, e.g. after
+   * its deadline moved or it was listed again
+   * @param {Object} activity - Activity document (already updated)
+   * @param {Object} user - Owner of the activity
+   * @returns {Promise<Array>} - Created notification documents
+   */
+  async rescheduleActivity(activity, user = null) {
+    // Cancelled copies would block recreating the same reminders
+    await Notification.deleteMany({
+      activityId: activity._id,
+      notificationType: { $in: ['start', 'reminder'] },
+      status: { $in: ['pending', 'cancelled'] }
+    });
+
+    return this.scheduleNotifications(activity, user);
+  }
+
+  /**
+   * Queue an immediate notice that an activity changed on the LMS
+   * @param {Object} activity - Activity document (already updated)
+   * @param {string} notificationType - 'deadline_changed' or 'removed'
+   * @param {Date} previousDueDate - Old deadline for 'deadline_changed'
+   * @returns {Promise<Object|null>} - Created notification
+   */
+  async notifyChange(activity, notificationType, previousDueDate = null) {
+    return this.createNotification(activity, notificationType, new Date(), 0, previousDueDate);
+  }
+
+  /**
+   * Rebuild pending notifications for a user's upcoming activities after a policy change
+   * @param {Object} user - User document
+   * @returns {Promise<number>} - Number of notifications scheduled
+   */
+  async rescheduleForUser(user) {
+    const activities = await Activity.find({
+      userId: user._id,
+      removedAt: null,
+      completedAt: null,
+      dueDate: { $gt: new Date() }
+    });
+
+    await Notification.deleteMany({
+      userId: user._id,
+      activityId: { $in: activities.map(activity => activity._id) },
+      notificationType: { $in: ['start', 'reminder'] },
+      status: 'pending'
+    });
+
+    let scheduled = 0;
+    for (const activity of activities) {
+      const notifications = await this.scheduleNotifications(activity, user);
+      scheduled += notifications.length;
+    }
+
+    logger.info(`[SCHEDULER] Rescheduled ${scheduled} notifications for ${user.username}`);
+    return scheduled;
+  }
+
+  /**
+   * Format a deadline for messages in the recipient's timezone
+   * @param {Date} date - Deadline
+   * @param {string} timezone - Recipient's timezone
+   * @param {boolean} withTime - Include the time of day
+   * @returns {string}
+   */
+  formatDueDate(date, timezone, withTime = false) {
+    return new Date(date).toLocaleString('en-US', {
       weekday: 'long',
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      ...(withTime ? { hour: 'numeric', minute: '2-digit' } : {}),
+      timeZone: timezone
     });
+  }
 
-    // Calculate days remaining
-    const now = new Date();
-    now.setHours(0, 0, 0, 0);
-    const dueDateClean = new Date(dueDate);
-    dueDateClean.setHours(0, 0, 0, 0);
-    const daysRemaining = Math.ceil((dueDateClean - now) / (1000 * 60 * 60 * 24));
+  /**
+   * Format activity as a notification message (WhatsApp markup)
+   * @param {Object} activity - Activity document
+   * @param {string} notificationType - 'start', 'reminder', 'deadline_changed' or 'removed'
+   * @param {number} offsetMinutes - Reminder offset before the due date
+   * @param {string} timezone - Recipient's timezone for dates and day counts
+   * @param {Date} previousDueDate - Old deadline for 'deadline_changed'
+   * @returns {string} - Formatted message
+   */
+  formatMessage(activity, notificationType, offsetMinutes = 0, timezone = DEFAULT_TIMEZONE, previousDueDate = null) {
+    const dueDate = new Date(activity.dueDate);
+    const details = `📚 *Course:* ${activity.courseCode}
+📋 *Type:* ${activity.activityType}
+📝 *Title:* ${activity.title}`;
+    const footer = `━━━━━━━━━━━━━━━━━━━━━
+*POWERED BY VUEDU*`;
+
+    if (notificationType === 'removed') {
+      return `🗑️ *ACTIVITY REMOVED*
+
+${details}
+
+📅 *Was Due:* ${this.formatDueDate(dueDate, timezone)}
+
+This activity is no longer listed in your LMS to-do list, so its reminders have been cancelled.
+
+${footer}`;
+    }
+
+    // Calculate days remaining (calendar days in the recipient's timezone)
+    const daysRemaining = daysBetween(new Date(), dueDate, timezone);
+    const daysLine = `⏳ *Days Remaining:* ${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}`;
+
+    if (notificationType === 'deadline_changed') {
+      const extended = previousDueDate && dueDate > new Date(previousDueDate);
+
+      return `${extended ? '📅 *DEADLINE EXTENDED*' : '📅 *DEADLINE CHANGED*'}
+
+${details}
+
+❌ *Old Due Date:* ${previousDueDate ? this.formatDueDate(previousDueDate, timezone, true) : 'Unknown'}
+✅ *New Due Date:* ${this.formatDueDate(dueDate, timezone, true)}
+${daysLine}
+
+🔗 ${activity.link}
+
+${footer}`;
+    }
+
+    const emoji = notificationType === 'start' ? '🔔 *NEW ACTIVITY*' : '⏰ *DEADLINE REMINDER*';
+
+    // Same-day reminders show hours left instead of "0 days"
+    const remainingLine = notificationType === 'reminder' && offsetMinutes > 0 && offsetMinutes < 24 * 60
+      ? `⏳ *Time Remaining:* ${describeDuration(offsetMinutes * 60000)}`
+      : daysLine;
 
     return `${emoji}
 
-📚 *Course:* ${activity.courseCode}
-📋 *Type:* ${activity.activityType}
-📝 *Title:* ${activity.title}
+${details}
 
-📅 *Due Date:* ${dueDateStr}
-⏳ *Days Remaining:* ${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}
+📅 *Due Date:* ${this.formatDueDate(dueDate, timezone)}
+${remainingLine}
 
 🔗 ${activity.link}
 
-━━━━━━━━━━━━━━━━━━━━━
-*POWERED BY VUEDU*`;
+${footer}`;
   }
 
   /**
@@ -125,7 +435,7 @@ class NotificationScheduler {
   async processPendingNotifications() {
     if (this.isProcessing) {
       logger.info('[SCHEDULER] Already processing notifications, skipping...');
-      return { processed: 0, sent: 0, failed: 0 };
+      return { processed: 0, sent: 0, failed: 0, deferred: 0, skipped: 0, cancelled: 0 };
     }
 
     try {
@@ -137,6 +447,7 @@ class NotificationScheduler {
         status: 'pending',
         scheduledFor: { $lte: now }
       })
+        .sort({ scheduledFor: 1 })
         .populate('activityId')
         .populate('userId')
         .limit(50); // Process max 50 at a time
@@ -145,15 +456,12 @@ class NotificationScheduler {
 
       let sent = 0;
       let failed = 0;
+      let deferred = 0;
+      let skipped = 0;
+      let cancelled = 0;
 
       for (const notification of pendingNotifications) {
         try {
-          // Check if WhatsApp client is ready
-          if (!whatsappClient.isClientReady()) {
-            logger.warn('[SCHEDULER] WhatsApp client not ready, skipping notification processing');
-            break;
-          }
-
           // Check if user is active
           if (!notification.userId.isActive) {
             logger.info(`[SCHEDULER] User ${notification.userId.username} is inactive, skipping notification`);
@@ -162,19 +470,71 @@ class NotificationScheduler {
             continue;
           }
 
+          // Paused with the 'pause' bot command; dropped so resuming doesn't flood the user
+          if (notification.userId.notificationsPausedAt) {
+            await notification.markAsCancelled('Notifications paused');
+            cancelled++;
+            continue;
+          }
+
+          // Marked as done after this notification was queued
+          if (notification.activityId.completedAt && notification.notificationType !== 'removed') {
+            await notification.markAsCancelled('Marked as done');
+            cancelled++;
+            continue;
+          }
+
+          // Nothing is sent inside the user's quiet hours. Reminders were moved
+          // before the window when scheduled (adjustForQuietHours); one that
+          // would only arrive after the deadline is dropped, anything else waits
+          const quietWindow = getQuietWindow(now, notification.userId.quietHours, notification.userId.timezone);
+          if (quietWindow) {
+            const isReminder = ['start', 'reminder'].includes(notification.notificationType);
+            if (isReminder && quietWindow.end >= new Date(notification.activityId.dueDate)) {
+              await notification.markAsCancelled('Deadline passes during quiet hours');
+              cancelled++;
+              continue;
+            }
+
+            notification.scheduledFor = quietWindow.end;
+            await notification.save();
+            deferred++;
+            logger.info(`[SCHEDULER] Quiet hours for ${notification.userId.username}, deferred notification to ${quietWindow.end.toISOString()}`);
+            continue;
+          }
+
           // Format and send message
           const message = this.formatMessage(
             notification.activityId,
-            notification.notificationType
+            notification.notificationType,
+            notification.offsetMinutes,
+            notification.userId.timezone,
+            notification.previousDueDate
           );
 
-          await whatsappClient.sendMessage(notification.userId.whatsapp, message);
-          
+          let channel;
+          try {
+            ({ channel } = await deliver(notification.userId, message, {
+              subject: `${notification.activityId.courseCode} ${notification.activityId.activityType}: ${notification.activityId.title}`
+            }));
+          } catch (deliveryError) {
+            // Keep it pending until one of the user's channels is back, moved
+            // back so it does not take a place in every batch meanwhile
+            if (deliveryError.code === 'CHANNELS_UNAVAILABLE') {
+              notification.scheduledFor = new Date(now.getTime() + CHANNEL_RETRY_MINUTES * 60 * 1000);
+              await notification.save();
+              skipped++;
+              logger.warn(`[SCHEDULER] No channel available for ${notification.userId.username}, retrying in ${CHANNEL_RETRY_MINUTES} minutes`);
+              continue;
+            }
+            throw deliveryError;
+          }
+
           // Mark as sent
-          await notification.markAsSent();
+          await notification.markAsSent(channel);
           sent++;
           
-          logger.info(`[SCHEDULER] ✓ Sent ${notification.notificationType} notification to ${notification.userId.whatsapp}`);
+          logger.info(`[SCHEDULER] ✓ Sent ${notification.notificationType} notification to ${notification.userId.username} via ${channel}`);
 
           // Small delay between messages to avoid rate limiting
           await new Promise(resolve => setTimeout(resolve, 2000));
@@ -186,12 +546,15 @@ class NotificationScheduler {
         }
       }
 
-      logger.info(`[SCHEDULER] Processing complete: ${sent} sent, ${failed} failed`);
+      logger.info(`[SCHEDULER] Processing complete: ${sent} sent, ${failed} failed, ${deferred} deferred, ${skipped} waiting for a channel, ${cancelled} cancelled`);
 
       return {
         processed: pendingNotifications.length,
         sent,
-        failed
+        failed,
+        deferred,
+        skipped,
+        cancelled
       };
 
     } catch (error) {
@@ -202,6 +565,281 @@ class NotificationScheduler {
     }
   }
 
+  /**
+   * Send group broadcast posts that are due over the WhatsApp session
+   * @returns {Promise<Object>} - { sent, failed, cancelled }
+   */
+  async processGroupPosts() {
+    const now = new Date();
+    let sent = 0;
+    let failed = 0;
+    let cancelled = 0;
+
+    // Kept pending until the session is back
+    if (!whatsappClient.isClientReady()) {
+      return { sent, failed, cancelled };
+    }
+
+    const posts = await GroupPost.find({ status: 'pending', scheduledFor: { $lte: now } })
+      .populate('broadcastId')
+      .limit(50);
+
+    for (const post of posts) {
+      try {
+        const broadcast = post.broadcastId;
+        if (!broadcast?.isActive) {
+          await post.markAsCancelled('Broadcast is inactive');
+          cancelled++;
+          continue;
+        }
+
+        // Dropped once every student's copy was removed, done or moved to another deadline
+        const stillDue = await Activity.exists({
+          _id: { $in: post.activityIds },
+          removedAt: null,
+          completedAt: null,
+          dueDate: post.dueDate
+        });
+        if (!stillDue) {
+          await post.markAsCancelled('No longer due for any student');
+          cancelled++;
+          continue;
+        }
+
+        const message = this.formatMessage(post, post.notificationType, post.offsetMinutes, broadcast.timezone);
+        await whatsappClient.sendToChat(broadcast.chatId, message);
+        await post.markAsSent();
+        sent++;
+
+        logger.info(`[SCHEDULER] ✓ Sent ${post.notificationType} group post to "${broadcast.name}": ${post.title}`);
+
+        // Small delay between messages to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (error) {
+        logger.error(`[SCHEDULER] Failed to send group post:`, error.message);
+        await post.markAsFailed(error.message);
+        failed++;
+      }
+    }
+
+    if (sent > 0 || failed > 0 || cancelled > 0) {
+      logger.info(`[SCHEDULER] Group posts: ${sent} sent, ${failed} failed, ${cancelled} cancelled`);
+    }
+    return { sent, failed, cancelled };
+  }
+
+  /**
+   * Send digests that are due to users who opted in
+   * @returns {Promise<Object>} - { sent, failed }
+   */
+  async processDigests() {
+    const now = new Date();
+    const users = await User.find({
+      isActive: true,
+      notificationsPausedAt: null,
+      'digest.mode': { $in: ['daily', 'weekly'] }
+    });
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const user of users.filter(user => isDigestDue(user, now))) {
+      try {
+        const activities = (await Activity.find({
+          userId: user._id,
+          removedAt: null,
+          completedAt: null,
+          dueDate: { $gt: now }
+        }).sort({ dueDate: 1 })).filter(activity => daysBetween(now, activity.dueDate, user.timezone) <= DIGEST_DAYS);
+
+        // Nothing due: skip today's digest rather than send an empty one
+        if (activities.length > 0) {
+          const { channel } = await deliver(user, formatDigest(user, activities, now), {
+            subject: `${user.digest.mode === 'weekly' ? 'Weekly' : 'Daily'} digest: ${activities.length} activit${activities.length === 1 ? 'y' : 'ies'} due`
+          });
+          sent++;
+          logger.info(`[SCHEDULER] ✓ Sent ${user.digest.mode} digest (${activities.length} activities) to ${user.username} via ${channel}`);
+        }
+
+        await User.updateOne({ _id: user._id }, { $set: { 'digest.lastSentAt': now } });
+      } catch (error) {
+        // Left unsent, so the next run tries again
+        failed++;
+        logger.error(`[SCHEDULER] Failed to send digest to ${user.username}: ${error.message}`);
+      }
+    }
+
+    if (sent > 0 || failed > 0) {
+      logger.info(`[SCHEDULER] Digests: ${sent} sent, ${failed} failed`);
+    }
+    return { sent, failed };
+  }
+
+  /**
+   * Send notices for new and changed LMS section items (announcements, MDBs,
+   * results, date sheet) flagged by sectionSync
+   * @returns {Promise<Object>} - { sent, failed, skipped, dropped }
+   */
+  async processLmsUpdates() {
+    const now = new Date();
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+    let dropped = 0;
+
+    const items = await LmsItem.find({ pendingNotice: { $ne: null } })
+      .populate('userId')
+      .sort({ firstSeenAt: 1 })
+      .limit(50);
+
+    for (const item of items) {
+      const user = item.userId;
+      try {
+        // Nobody to tell; dropped so resuming doesn't flood the user
+        if (!user?.isActive || user.notificationsPausedAt) {
+          item.pendingNotice = null;
+          await item.save();
+          dropped++;
+          continue;
+        }
+
+        // Left pending until the user's quiet hours are over
+        if (getQuietWindow(now, user.quietHours, user.timezone)) {
+          skipped++;
+          continue;
+        }
+
+        const section = getSection(item.section);
+        const message = section.formatNotice(item, item.pendingNotice, user.timezone);
+
+        let channel;
+        try {
+          ({ channel } = await deliver(user, message, {
+            subject: `${section.label}: ${item.courseCode ? `${item.courseCode} ` : ''}${item.title}`
+          }));
+        } catch (deliveryError) {
+          // Keep it pending until one of the user's channels is back
+          if (deliveryError.code === 'CHANNELS_UNAVAILABLE') {
+            skipped++;
+            continue;
+          }
+          throw deliveryError;
+        }
+
+        logger.info(`[SCHEDULER] ✓ Sent ${item.pendingNotice} ${item.section} notice to ${user.username} via ${channel}: ${item.title}`);
+        item.pendingNotice = null;
+        item.noticeAttempts = 0;
+        item.notifiedAt = now;
+        await item.save();
+        sent++;
+
+        // Small delay between messages to avoid rate limiting
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (error) {
+        failed++;
+        item.noticeAttempts += 1;
+        if (item.noticeAttempts >= MAX_NOTICE_ATTEMPTS) {
+          item.pendingNotice = null;
+          logger.error(`[SCHEDULER] Giving up on ${item.section} notice for ${user?.username}: ${error.message}`);
+        } else {
+          logger.warn(`[SCHEDULER] Failed to send ${item.section} notice to ${user?.username}: ${error.message}`);
+        }
+        await item.save();
+      }
+    }
+
+    if (sent > 0 || failed > 0 || dropped > 0) {
+      logger.info(`[SCHEDULER] LMS updates: ${sent} sent, ${failed} failed, ${skipped} waiting, ${dropped} dropped`);
+    }
+    return { sent, failed, skipped, dropped };
+  }
+
+  /**
+   * Tell students about LMS login problems only they can fix (wrong password,
+   * locked account, captcha), queued by User.recordLoginOutcome
+   * @returns {Promise<Object>} - { sent, failed, skipped, dropped }
+   */
+  async processLoginNotices() {
+    const now = new Date();
+    let sent = 0;
+    let failed = 0;
+    let skipped = 0;
+    let dropped = 0;
+
+    const users = await User.find({ 'lmsLogin.pendingNotice': { $ne: null } }).limit(50);
+
+    for (const user of users) {
+      const outcome = user.lmsLogin.pendingNotice;
+      try {
+        if (!user.isActive || user.notificationsPausedAt) {
+          user.lmsLogin.pendingNotice = null;
+          await user.save();
+          dropped++;
+          continue;
+        }
+
+        if (getQuietWindow(now, user.quietHours, user.timezone)) {
+          skipped++;
+          continue;
+        }
+
+        let channel;
+        try {
+          ({ channel } = await deliver(user, formatLoginNotice(outcome), {
+            subject: `LMS login problem: ${LOGIN_OUTCOMES[outcome]}`
+          }));
+        } catch (deliveryError) {
+          if (deliveryError.code === 'CHANNELS_UNAVAILABLE') {
+            skipped++;
+            continue;
+          }
+          throw deliveryError;
+        }
+
+        logger.info(`[SCHEDULER] ✓ Sent ${outcome} login notice to ${user.username} via ${channel}`);
+        user.lmsLogin.pendingNotice = null;
+        user.lmsLogin.noticeAttempts = 0;
+        user.lmsLogin.notifiedOutcome = outcome;
+        user.lmsLogin.notifiedAt = now;
+        await user.save();
+        sent++;
+
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (error) {
+        failed++;
+        user.lmsLogin.noticeAttempts += 1;
+        if (user.lmsLogin.noticeAttempts >= MAX_NOTICE_ATTEMPTS) {
+          // Counted as told so the same problem is not retried on every scrape
+          user.lmsLogin.pendingNotice = null;
+          user.lmsLogin.notifiedOutcome = outcome;
+          logger.error(`[SCHEDULER] Giving up on ${outcome} login notice for ${user.username}: ${error.message}`);
+        } else {
+          logger.warn(`[SCHEDULER] Failed to send ${outcome} login notice to ${user.username}: ${error.message}`);
+        }
+        await user.save();
+      }
+    }
+
+    if (sent > 0 || failed > 0 || dropped > 0) {
+      logger.info(`[SCHEDULER] Login notices: ${sent} sent, ${failed} failed, ${skipped} waiting, ${dropped} dropped`);
+    }
+    return { sent, failed, skipped, dropped };
+  }
+
+  /**
+   * Process pending notifications, then group posts, digests, LMS section and login notices
+   * @returns {Promise<Object>} - Notification summary with `groupPosts`, `digests`,
+   *   `lmsUpdates` and `loginNotices`
+   */
+  async runCycle() {
+    const result = await this.processPendingNotifications();
+    const groupPosts = await this.processGroupPosts();
+    const digests = await this.processDigests();
+    const lmsUpdates = await this.processLmsUpdates();
+    const loginNotices = await this.processLoginNotices();
+    return { ...result, groupPosts, digests, lmsUpdates, loginNotices };
+  }
+
   /**
    * Start automatic notification processing (runs every 5 minutes)
    */
@@ -214,13 +852,13 @@ class NotificationScheduler {
     logger.info('[SCHEDULER] Starting auto-processing (every 5 minutes)');
     
     // Process immediately
-    this.processPendingNotifications().catch(err => {
+    this.runCycle().catch(err => {
       logger.error('[SCHEDULER] Error in initial processing:', err);
     });
 
     // Then process every 5 minutes
     this.processInterval = setInterval(() => {
-      this.processPendingNotifications().catch(err => {
+      this.runCycle().catch(err => {
         logger.error('[SCHEDULER] Error in scheduled processing:', err);
       });
     }, 5 * 60 * 1000); // 5 minutes
@@ -0,0 +1,125 @@
+/**
+ * Scrape Queue
+ * Enqueues and cancels ScrapeJob documents consumed by the scrape worker
+ */
+
+import logger from './logger.js';
+import { isVaultConfigured } from './credentialVault.js';
+import { saveStudent } from './pipeline.js';
+import ScrapeJob from '../models/ScrapeJob.js';
+import User from '../models/User.js';
+
+/**
+ * Build a queued task for a stored user
+ * @param {Object} user - User document
+ * @returns {Object} - Task subdocument data
+ */
+function toTask(user) {
+  return {
+    userId: user._id,
+    username: user.username,
+    whatsapp: user.whatsapp,
+    status: 'queued'
+  };
+}
+
+/**
+ * Enqueue a job for students entered on the dashboard
+ * Credentials are saved to the vault so the worker can log in later.
+ * @param {Array} students - [{ username, password, whatsapp }]
+ * @param {string} source - Job source ('dashboard' or 'api')
+ * @returns {Promise<Object>} - Created ScrapeJob document
+ */
+export async function enqueueStudents(students, source = 'dashboard') {
+  if (!isVaultConfigured()) {
+    throw new Error('CREDENTIAL_KEYS must be configured to queue scrape jobs');
+  }
+
+  const users = [];
+  for (const student of students) {
+    users.push(await saveStudent(student));
+  }
+
+  return enqueueUsers(users, source);
+}
+
+/**
+ * Enqueue a job for stored users
+ * @param {Array} users - User documents
+ * @param {string} source - Job source ('dashboard', 'cron' or 'api')
+ * @returns {Promise<Object>} - Created ScrapeJob document
+ */
+export async function enqueueUsers(users, source = 'dashboard') {
+  const job = await ScrapeJob.create({
+    source,
+    tasks: users.map(toTask)
+  });
+
+  logger.info(`[QUEUE] Enqueued ${source} job ${job._id} with ${users.length} student(s)`);
+  return job;
+}
+
+/**
+ * Enqueue a job for users picked from the roster
+ * Inactive users and users without a usable stored password are skipped.
+ * @param {Array<string>} userIds - User ids
+ * @param {string} source - Job source ('dashboard' or 'api')
+ * @returns {Promise<Object>} - { job, skipped: [username] }; job is null when no one can be scraped
+ */
+export async function enqueueUserIds(userIds, source = 'dashboard') {
+  const users = await User.find({ _id: { $in: userIds } }).select('+lmsPassword');
+
+  const ready = [];
+  const skipped = [];
+  for (const user of users) {
+    if (!user.isActive || user.needsPasswordReentry || !user.lmsPassword) {
+      skipped.push(user.username);
+    } else {
+      ready.push(user);
+    }
+  }
+
+  const job = ready.length > 0 ? await enqueueUsers(ready, source) : null;
+  return { job, skipped };
+}
+
+/**
+ * Cancel a job: queued jobs stop immediately, running jobs after the current student
+ * @param {string} jobId - ScrapeJob id
+ * @returns {Promise<Object|null>} - Updated job, or null if not found
+ */
+export async function cancelJob(jobId) {
+  // Queued jobs have not been claimed by the worker yet, cancel them outright
+  const cancelled = await ScrapeJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, finishedAt: new Date(), 'tasks.$[].status': 'cancelled' } },
+    { new: true }
+  );
+  if (cancelled) {
+    logger.info(`[QUEUE] Cancelled queued job ${jobId}`);
+    return cancelled;
+  }
+
+  // Running jobs are stopped by the worker before the next student
+  const running = await ScrapeJob.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  if (running) {
+    logger.info(`[QUEUE] Cancellation requested for running job ${jobId}`);
+    return running;
+  }
+
+  return ScrapeJob.findById(jobId);
+}
+
+/**
+ * Check whether a job from the given source is still waiting or running
+ * @param {string} source - Job source
+ * @returns {Promise<boolean>}
+ */
+export async function hasPendingJob(source) {
+  const pending = await ScrapeJob.exists({ source, status: { $in: ['queued', 'running'] } });
+  return Boolean(pending);
+}
@@ -0,0 +1,288 @@
+/**
+ * Scrape Worker
+ * Consumes queued ScrapeJob documents in server.js, one job at a time, with
+ * up to SCRAPE_CONCURRENCY students of a job scraped in parallel
+ */
+
+import logger from './logger.js';
+import { deliver } from './channels/index.js';
+import { processUser, deliverMessageQueue } from './pipeline.js';
+import browserPool, { getConcurrency } from './browserPool.js';
+import User from '../models/User.js';
+import ScrapeJob from '../models/ScrapeJob.js';
+
+// Number of progress events kept on a job document
+const MAX_EVENTS = 200;
+
+class ScrapeWorker {
+  constructor() {
+    this.pollInterval = null;
+    this.isProcessing = false;
+    this.lastSeq = 0;
+  }
+
+  /**
+   * Append a progress event to a job for the dashboard stream
+   * @param {string} jobId - ScrapeJob id
+   * @param {Object} event - { stage, username, message, data }
+   */
+  async emit(jobId, { stage, username = null, message = '', data = null }) {
+    try {
+      const event = { seq: ++this.lastSeq, stage, username, message, data, at: new Date() };
+      await ScrapeJob.updateOne(
+        { _id: jobId },
+        { $push: { events: { $each: [event], $slice: -MAX_EVENTS } } }
+      );
+    } catch (error) {
+      logger.warn(`[WORKER] Failed to record progress event: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a single task atomically
+   * @param {Object} job - ScrapeJob document
+   * @param {Object} task - Task subdocument
+   * @param {Object} fields - Task fields to set
+   */
+  async updateTask(job, task, fields) {
+    const update = {};
+    for (const [key, value] of Object.entries(fields)) {
+      update[`tasks.$.${key}`] = value;
+    }
+    await ScrapeJob.updateOne({ _id: job._id, 'tasks._id': task._id }, { $set: update });
+  }
+
+  /**
+   * Check whether cancellation was requested for a job
+   * @param {Object} job - ScrapeJob document
+   * @returns {Promise<boolean>}
+   */
+  async isCancelRequested(job) {
+    const current = await ScrapeJob.findById(job._id).select('cancelRequested');
+    return !current || current.cancelRequested;
+  }
+
+  /**
+   * Scrape one student of a job in its own browser context
+   * @param {Object} job - ScrapeJob document
+   * @param {Object} task - Task subdocument
+   * @param {string} host - LMS host, for the politeness delay
+   */
+  async processTask(job, task, host) {
+    await this.updateTask(job, task, { status: 'running', startedAt: new Date() });
+
+    const user = await User.findById(task.userId).select('+lmsPassword +lmsSession');
+    const onProgress = (event) => this.emit(job._id, { ...event, username: task.username });
+
+    // Sessions on the LMS are started a few seconds apart
+    const onWait = (waitMs) => this.emit(job._id, {
+      stage: 'waiting',
+      username: task.username,
+      message: `Waiting ${Math.round(waitMs / 1000)} seconds before starting ${task.username}`,
+      data: { seconds: Math.round(waitMs / 1000), until: new Date(Date.now() + waitMs) }
+    });
+
+    let result;
+    if (!user) {
+      result = { student: task.username, whatsapp: task.whatsapp, activities: [], status: 'error', error: 'User no longer exists.' };
+    } else {
+      try {
+        result = await browserPool.withContext((context) => processUser(context, user, onProgress), { host, onWait });
+      } catch (error) {
+        // The browser itself failed (launch or crash); the other students carry on
+        logger.error(`[WORKER] Browser error for ${task.username}: ${error.message}`);
+        result = { student: task.username, whatsapp: task.whatsapp, activities: [], status: 'error', error: `Browser error: ${error.message}` };
+      }
+    }
+
+    await this.emit(job._id, {
+      stage: result.status === 'success' ? 'student_succeeded' : 'student_failed',
+      username: task.username,
+      message: result.error || 'Completed'
+    });
+
+    await this.updateTask(job, task, {
+      status: result.status === 'success' ? 'succeeded' : 'failed',
+      result,
+      error: result.error || null,
+      finishedAt: new Date()
+    });
+  }
+
+  /**
+   * Run every pending task of a claimed job, SCRAPE_CONCURRENCY at a time
+   * @param {Object} job - ScrapeJob document in 'running' state
+   */
+  async processJob(job) {
+    const pendingTasks = job.tasks.filter(task => ['queued', 'running'].includes(task.status));
+    const concurrency = Math.min(getConcurrency(), Math.max(pendingTasks.length, 1));
+    const host = new URL(process.env.LMS_URL || 'https://vulms.vu.edu.pk/').host;
+
+    logger.info(`[WORKER] Processing job ${job._id}: ${pendingTasks.length}/${job.tasks.length} student(s) pending, ${concurrency} at a time`);
+
+    this.lastSeq = job.events.length > 0 ? job.events[job.events.length - 1].seq : 0;
+    await this.emit(job._id, { stage: 'job_started', message: `Processing ${pendingTasks.length} student(s), ${concurrency} at a time` });
+
+    try {
+      let next = 0;
+      let cancelled = false;
+
+      // Each runner takes the next student until none are left or the job is cancelled
+      const runner = async () => {
+        while (!cancelled && next < pendingTasks.length) {
+          const index = next++;
+          const task = pendingTasks[index];
+
+          if (await this.isCancelRequested(job)) {
+            if (!cancelled) logger.info(`[WORKER] Job ${job._id} cancelled, skipping remaining students`);
+            cancelled = true;
+            break;
+          }
+
+          logger.info(`[WORKER] Processing student ${index + 1}/${pendingTasks.length}: ${task.username}`);
+          await this.processTask(job, task, host);
+        }
+      };
+
+      await Promise.all(Array.from({ length: concurrency }, runner));
+
+      await this.finishJob(job._id);
+
+    } catch (error) {
+      logger.error(`[WORKER] Fatal error in job ${job._id}:`, error);
+      await this.emit(job._id, { stage: 'job_failed', message: error.message });
+      await ScrapeJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+      );
+    }
+  }
+
+  /**
+   * Send queued messages over each student's channels (not for scheduled jobs)
+   * and settle the job's final state
+   * @param {string} jobId - ScrapeJob id
+   */
+  async finishJob(jobId) {
+    const job = await ScrapeJob.findById(jobId);
+
+    if (job.cancelRequested) {
+      for (const task of job.tasks) {
+        if (['queued', 'running'].includes(task.status)) {
+          task.status = 'cancelled';
+        }
+      }
+    }
+
+    // Scheduled scrapes leave reminders to the scheduler; the per-activity
+    // summary is only sent for scrapes someone asked for
+    if (job.source === 'cron') {
+      logger.info('[WORKER] Scheduled job, not sending the scrape summary');
+      job.delivery = { queued: 0, sent: 0, failed: 0 };
+    } else {
+      const results = job.tasks.filter(task => task.result).map(task => task.result);
+      const users = new Map();
+      for (const task of job.tasks) {
+        if (task.result?.whatsappQueue?.length) {
+          users.set(task.username, await User.findById(task.userId));
+        }
+      }
+
+      logger.info('[WORKER] Processing message queue...');
+      job.delivery = await deliverMessageQueue(results, async (queueItem, message) => {
+        const user = users.get(queueItem.studentName);
+        if (!user) throw new Error('User no longer exists');
+
+        const { channel } = await deliver(user, message, {
+          subject: `${queueItem.activity.course_code} ${queueItem.activity.activity_type} due ${queueItem.activity.due_date}`
+        });
+        await this.emit(job._id, { stage: 'message_sent', username: user.username, message: `Sent ${queueItem.activity.title} via ${channel}` });
+      });
+    }
+
+    const anySucceeded = job.tasks.some(task => task.status === 'succeeded');
+    if (job.cancelRequested) {
+      job.status = 'cancelled';
+    } else {
+      job.status = anySucceeded || job.tasks.length === 0 ? 'succeeded' : 'failed';
+    }
+    job.finishedAt = new Date();
+
+    // Recorded before the final save so streams see it ahead of the status change
+    await this.emit(job._id, { stage: 'job_finished', message: `Job ${job.status}` });
+    await job.save();
+
+    logger.info(`[WORKER] ✓ Job ${job._id} ${job.status}`);
+  }
+
+  /**
+   * Claim and run queued jobs until the queue is empty
+   */
+  async processQueue() {
+    if (this.isProcessing) return;
+
+    try {
+      this.isProcessing = true;
+
+      let job;
+      while ((job = await ScrapeJob.claimNext())) {
+        await this.processJob(job);
+      }
+    } catch (error) {
+      logger.error('[WORKER] Error processing scrape queue:', error);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Requeue jobs left 'running' by a previous crash or restart
+   * @returns {Promise<number>} - Number of jobs requeued
+   */
+  async recoverInterruptedJobs() {
+    const result = await ScrapeJob.updateMany(
+      { status: 'running' },
+      { $set: { status: 'queued' } }
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info(`[WORKER] Requeued ${result.modifiedCount} interrupted job(s)`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Start polling the queue (interval configurable via SCRAPE_WORKER_POLL_MS)
+   */
+  async start() {
+    if (this.pollInterval) {
+      logger.warn('[WORKER] Scrape worker already running');
+      return;
+    }
+
+    await this.recoverInterruptedJobs();
+
+    const pollMs = parseInt(process.env.SCRAPE_WORKER_POLL_MS) || 5000;
+    logger.info(`[WORKER] Starting scrape worker (polling every ${pollMs / 1000} seconds)`);
+
+    this.processQueue();
+    this.pollInterval = setInterval(() => this.processQueue(), pollMs);
+  }
+
+  /**
+   * Stop polling the queue
+   */
+  async stop() {
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+      logger.info('[WORKER] Scrape worker stopped');
+    }
+    await browserPool.shutdown();
+  }
+}
+
+// Singleton instance
+const scrapeWorker = new ScrapeWorker();
+
+export default scrapeWorker;
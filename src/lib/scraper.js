@@ -2,14 +2,49 @@
  * Core scraping utilities for VU LMS automation
  */
 
+import { LOGIN_OUTCOMES, classifyLoginPage } from './loginOutcome.js';
+
+// Elements of the challenge widgets the LMS may put in front of the login form
+const CAPTCHA_SELECTOR = '.g-recaptcha, iframe[src*="recaptcha"], iframe[src*="hcaptcha"], iframe[src*="turnstile"], img[src*="captcha" i], input[name*="captcha" i]';
+
+/**
+ * Read what the browser shows for login classification
+ * @param {Page} page - Puppeteer page instance
+ * @returns {Promise<Object>} - { url, text, hasLoginForm, hasCaptcha }
+ */
+async function readLoginPage(page) {
+  try {
+    return await page.evaluate((captchaSelector) => ({
+      url: location.href,
+      text: (document.body?.innerText || '').slice(0, 3000),
+      hasLoginForm: Boolean(document.querySelector('#txtStudentID')),
+      hasCaptcha: Boolean(document.querySelector(captchaSelector))
+    }), CAPTCHA_SELECTOR);
+  } catch {
+    return { url: page.url(), text: '', hasLoginForm: false, hasCaptcha: false };
+  }
+}
+
 /**
  * Login to VU LMS
  * @param {Page} page - Puppeteer page instance
  * @param {string} username - Student username
  * @param {string} password - Student password
- * @returns {Promise<boolean>} - True if login successful
+ * @returns {Promise<Object>} - { success, outcome, message } where outcome is a
+ *   key of LOGIN_OUTCOMES (see loginOutcome.js)
  */
 export async function loginToLMS(page, username, password) {
+  let response = null;
+  let submitted = false;
+
+  const result = (outcome) => {
+    const success = outcome === 'success';
+    console.log(success
+      ? `[LOGIN] ✓ Login successful for: ${username} - URL: ${page.url()}`
+      : `[LOGIN] ✗ Login failed for: ${username} (${outcome}) - URL: ${page.url()}`);
+    return { success, outcome, message: LOGIN_OUTCOMES[outcome] };
+  };
+
   try {
     console.log(`[LOGIN] Attempting login for user: ${username}`);
     
@@ -17,7 +52,7 @@ export async function loginToLMS(page, username, password) {
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
     
     // Navigate to login page
-    await page.goto(process.env.LMS_URL || 'https://vulms.vu.edu.pk/', {
+    response = await page.goto(process.env.LMS_URL || 'https://vulms.vu.edu.pk/', {
       waitUntil: 'domcontentloaded',
       timeout: 45000
     });
@@ -48,7 +83,8 @@ export async function loginToLMS(page, username, password) {
     console.log('[LOGIN] Clicking login button...');
 
     // Click login button and wait for navigation
-    await Promise.all([
+    submitted = true;
+    [response] = await Promise.all([
       page.waitForNavigation({ waitUntil: 'domcontentloaded', timeout: 20000 }),
       page.click('#ibtnLogin')
     ]);
@@ -56,26 +92,71 @@ export async function loginToLMS(page, username, password) {
     // Wait for page to stabilize
     await wait(2000);
 
-    // Check if we're on the student portal (successful login)
-    const currentUrl = page.url();
-    
-    // VU LMS redirects to Home.aspx or StudentPortal after successful login
-    if (currentUrl.includes('Home.aspx') || 
-        currentUrl.includes('StudentPortal') || 
-        currentUrl.includes('Default') || 
-        currentUrl.includes('Student')) {
-      console.log(`[LOGIN] ✓ Login successful for: ${username} - URL: ${currentUrl}`);
-      return true;
-    } else {
-      console.log(`[LOGIN] ✗ Login failed for: ${username} - URL: ${currentUrl}`);
-      return false;
-    }
+    // VU LMS redirects to Home.aspx or StudentPortal after a successful login,
+    // and back to the form (or a notice page) otherwise
+    return result(classifyLoginPage({ ...await readLoginPage(page), status: response?.status() ?? null, submitted }));
   } catch (error) {
     console.error(`[LOGIN] Error during login for ${username}:`, error.message);
+
+    // The LMS could not be reached at all
+    if (/net::ERR_/.test(error.message)) {
+      return result('maintenance');
+    }
+
+    // A form that never showed up may sit behind a captcha or maintenance page
+    const outcome = classifyLoginPage({ ...await readLoginPage(page), status: response?.status() ?? null, submitted });
+    if (['captcha', 'account_locked', 'maintenance'].includes(outcome)) {
+      return result(outcome);
+    }
+    return result(error.name === 'TimeoutError' ? 'timeout' : 'unexpected_page');
+  }
+}
+
+/**
+ * Resume a saved LMS session: load its cookies into the page's browser context
+ * and open the home page
+ * @param {Page} page - Puppeteer page instance (in a fresh context)
+ * @param {Array} cookies - Cookies saved by getSessionCookies
+ * @returns {Promise<boolean>} - True if the LMS still shows the signed-in sidebar,
+ *   false when it answers with the login form (session expired)
+ */
+export async function resumeSession(page, cookies) {
+  try {
+    console.log('[LOGIN] Resuming saved session...');
+
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.browserContext().setCookie(...cookies);
+
+    await page.goto(new URL('Home.aspx', process.env.LMS_URL || 'https://vulms.vu.edu.pk/').toString(), {
+      waitUntil: 'domcontentloaded',
+      timeout: 45000
+    });
+
+    // Signed in: the sidebar; expired: the LMS redirects to the login form
+    const element = await page.waitForSelector('#lbtnActivityCalendar, #txtStudentID', { timeout: 15000 });
+    const resumed = await element.evaluate(node => node.id === 'lbtnActivityCalendar');
+
+    console.log(resumed ? '[LOGIN] ✓ Saved session is still valid' : '[LOGIN] Saved session has expired');
+    return resumed;
+  } catch (error) {
+    console.error('[LOGIN] Error resuming session:', error.message);
     return false;
   }
 }
 
+/**
+ * Get the cookies of the page's browser context in a form setCookie accepts
+ * @param {Page} page - Puppeteer page instance
+ * @returns {Promise<Array>}
+ */
+export async function getSessionCookies(page) {
+  const cookies = await page.browserContext().cookies();
+
+  return cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+    name, value, domain, path, expires, httpOnly, secure, ...(sameSite && { sameSite })
+  }));
+}
+
 /**
  * Navigate to Activity Calendar by clicking sidebar button
  * @param {Page} page - Puppeteer page instance
@@ -183,61 +264,143 @@ export async function navigateToCalendar(page) {
 }
 
 /**
- * Parse date from Due Date column (handles formats like "Dec 26, 2025 11:59 PM" or "Jan 05, 2026")
- * @param {string} dateText - Date text from table cell (may include "X days left" text)
- * @returns {Date|null} - Parsed date or null if invalid
+ * Extract every row of the tabCClassic tables (Assignments, Quizzes, GDB, Practicals)
+ * Runs inside the browser via page.evaluate, so it must not reference anything
+ * outside its own body. Nothing is filtered by date here; see lookahead.js.
+ * @returns {Object} - { activities, scrapedTypes }: activity objects (`due_date`
+ *   is null when the LMS date cannot be parsed and `raw_cells` holds the text
+ *   of every cell) and the activity types whose table was on the page
  */
-function parseDueDate(dateText) {
-  if (!dateText) return null;
-  
-  try {
-    // Extract just the date part (before any <br> or newline)
-    const datePart = dateText.split('<br>')[0].split('\n')[0].trim();
-    
-    // Parse the date - handles formats like "Dec 26, 2025 11:59 PM" or "Jan 05, 2026"
+export function extractActivities() {
+  const allActivities = [];
+  const scrapedTypes = [];
+
+  // Activity tables and the message shown when nothing is pending (if any)
+  const tables = [
+    { selector: '#MainContent_gvAssignmentsToDo', type: 'Assignment', noPendingText: null },
+    { selector: '#MainContent_gvQuizzesToDo', type: 'Quiz', noPendingText: null },
+    { selector: '#MainContent_gvGDBsToDo', type: 'GDB', noPendingText: 'no gdb is pending' },
+    { selector: '#MainContent_gvPracticalsToDo', type: 'Practical', noPendingText: 'no practical is pending' }
+  ];
+
+  // Helper function to get cell text with <br> and nested elements separated by spaces
+  function getCellText(cell) {
+    return Array.from(cell.childNodes)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Helper function to parse date from table cell
+  function parseDueDate(dateText) {
+    if (!dateText) return null;
+
+    // Remove the "X days left" part if present
+    let datePart = dateText.replace(/\s*\d+\s+days?\s+left.*$/i, '').trim();
+
+    // Remove trailing period if present
+    if (datePart.endsWith('.')) {
+      datePart = datePart.slice(0, -1);
+    }
+
     const parsed = new Date(datePart);
-    
-    // Check if valid
-    if (isNaN(parsed.getTime())) {
-      return null;
+    return isNaN(parsed.getTime()) ? null : parsed;
+  }
+
+  // Helper function to format date as YYYY-MM-DD
+  function formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  // Helper function to get 'HH:mm' when the due date text includes a time
+  function formatTime(date, dateText) {
+    if (!/\d{1,2}:\d{2}/.test(dateText)) return null;
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+  }
+
+  // Helper function to get the activity link from the action cell
+  function getLink(actionCell) {
+    const href = actionCell ? actionCell.querySelector('a')?.getAttribute('href') : null;
+    const urlMatch = href ? href.match(/OpenActivitySection\.aspx\?[^"']+/) : null;
+    return urlMatch ? urlMatch[0] : '#';
+  }
+
+  // Helper function to detect an activity the student already submitted: the
+  // action cell shows a submitted label or a view/resubmit link instead of the open link
+  function isSubmitted(actionCell) {
+    if (!actionCell) return false;
+
+    const titles = Array.from(actionCell.querySelectorAll('[title]')).map(el => el.getAttribute('title'));
+    const text = `${getCellText(actionCell)} ${titles.join(' ')}`;
+
+    if (/not\s+(yet\s+)?(submitted|attempted)/i.test(text)) return false;
+    return /\bsubmitted\b|view\s+submission|re-?submit|\battempted\b/i.test(text);
+  }
+
+  for (const { selector, type, noPendingText } of tables) {
+    try {
+      const table = document.querySelector(selector);
+      if (!table) {
+        console.log(`${type} table not found`);
+        continue;
+      }
+      scrapedTypes.push(type);
+
+      // Check if it's the "no pending" message
+      if (noPendingText && table.textContent.toLowerCase().includes(noPendingText)) continue;
+
+      const rows = table.querySelectorAll('tr');
+      console.log(`Found ${rows.length} rows in ${type} table`);
+
+      rows.forEach(row => {
+        // Skip header row
+        if (row.querySelector('th')) return;
+
+        try {
+          const cells = row.querySelectorAll('td');
+          if (cells.length < 5) return;
+
+          const dueDateText = getCellText(cells[3]);
+          const dueDate = parseDueDate(dueDateText);
+
+          allActivities.push({
+            course_code: cells[0].textContent.trim(),
+            activity_type: type,
+            title: cells[1].textContent.trim(),
+            start_date: getCellText(cells[2]),
+            due_date: dueDate ? formatDate(dueDate) : null,
+            due_time: dueDate ? formatTime(dueDate, dueDateText) : null,
+            due_date_raw: dueDateText,
+            link: getLink(cells[4]),
+            submitted: isSubmitted(cells[4]),
+            raw_cells: Array.from(cells).map(getCellText)
+          });
+        } catch (err) {
+          console.error(`Error parsing ${type} row:`, err);
+        }
+      });
+    } catch (err) {
+      console.error(`Error extracting ${type} table:`, err);
     }
-    
-    return parsed;
-  } catch (error) {
-    console.error('Error parsing date:', dateText, error);
-    return null;
   }
-}
 
-/**
- * Check if a date is within the next 7 days
- * @param {Date} dueDate - Due date to check
- * @param {Date} today - Current date
- * @returns {boolean} - True if within next 7 days
- */
-function isWithinNext7Days(dueDate, today) {
-  if (!dueDate || !(dueDate instanceof Date)) return false;
-  
-  // Set time to start of day for accurate comparison
-  const dueDateStart = new Date(dueDate);
-  dueDateStart.setHours(0, 0, 0, 0);
-  
-  const todayStart = new Date(today);
-  todayStart.setHours(0, 0, 0, 0);
-  
-  // Calculate 7 days from today
-  const sevenDaysLater = new Date(todayStart);
-  sevenDaysLater.setDate(sevenDaysLater.getDate() + 7);
-  
-  // Check if due date is between today and 7 days from now (inclusive)
-  return dueDateStart >= todayStart && dueDateStart <= sevenDaysLater;
+  console.log(`Extracted ${allActivities.length} activities`);
+  return { activities: allActivities, scrapedTypes };
 }
 
 /**
  * Scrape activities from the tabCClassic section (tables view)
- * Extracts from Assignments, Quizzes, GDB, and Practicals tables
+ * Extracts every row from Assignments, Quizzes, GDB, and Practicals tables,
+ * including past and undated ones
  * @param {Page} page - Puppeteer page instance
- * @returns {Promise<Array>} - Array of activity objects (filtered for next 7 days only)
+ * @returns {Promise<Object>} - { activities, scrapedTypes } (see extractActivities);
+ *   only types in `scrapedTypes` were read, a missing table says nothing about its activities
+ * @throws {Error} - When the tables are missing or cannot be read, so callers
+ *   never mistake a failed scrape for an empty to-do list
  */
 export async function scrapeActivities(page) {
   try {
@@ -249,302 +412,29 @@ export async function scrapeActivities(page) {
     // Verify the tabCClassic section is present
     const tabExists = await page.$('#tabCClassic');
     if (!tabExists) {
-      console.error('[SCRAPING] tabCClassic section not found!');
-      return [];
+      throw new Error('Activity Calendar tables (tabCClassic) not found');
     }
 
     console.log('[SCRAPING] tabCClassic section found, parsing tables...');
 
     // Extract activities from all tables in tabCClassic
-    const activities = await page.evaluate(() => {
-      const allActivities = [];
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Helper function to parse date from table cell
-      function parseDueDateInBrowser(dateText) {
-        if (!dateText) return null;
-        
-        try {
-          // Clean up the text - remove extra whitespace and newlines
-          const cleanText = dateText.replace(/\s+/g, ' ').trim();
-          
-          // Extract just the date part (before "X days left" or before <br>)
-          let datePart = cleanText;
-          
-          // Remove the "X days left" part if present
-          const daysLeftIndex = cleanText.toLowerCase().indexOf('days left');
-          if (daysLeftIndex > 0) {
-            datePart = cleanText.substring(0, daysLeftIndex).trim();
-          }
-          
-          // Remove trailing period if present
-          if (datePart.endsWith('.')) {
-            datePart = datePart.slice(0, -1);
-          }
-          
-          // Parse the date
-          const parsed = new Date(datePart);
-          
-          // Check if valid
-          if (isNaN(parsed.getTime())) {
-            return null;
-          }
-          
-          return parsed;
-        } catch (error) {
-          console.error('Error parsing date:', dateText, error);
-          return null;
-        }
-      }
-      
-      // Helper function to check if date is within next 7 days
-      function isWithinNext7DaysInBrowser(dueDate, todayDate) {
-        if (!dueDate || !(dueDate instanceof Date)) return false;
-        
-        const dueDateStart = new Date(dueDate);
-        dueDateStart.setHours(0, 0, 0, 0);
-        
-        const todayStart = new Date(todayDate);
-        todayStart.setHours(0, 0, 0, 0);
-        
-        const sevenDaysLater = new Date(todayStart);
-        sevenDaysLater.setDate(sevenDaysLater.getDate() + 7);
-        
-        return dueDateStart >= todayStart && dueDateStart <= sevenDaysLater;
-      }
-      
-      // Helper function to format date as YYYY-MM-DD
-      function formatDate(date) {
-        if (!date) return '';
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-      }
-      
-      // 1. Extract Assignments from MainContent_gvAssignmentsToDo
-      try {
-        const assignmentTable = document.querySelector('#MainContent_gvAssignmentsToDo');
-        if (assignmentTable) {
-          const rows = assignmentTable.querySelectorAll('tbody tr');
-          console.log(`Found ${rows.length} rows in Assignments table`);
-          
-          rows.forEach((row, index) => {
-            // Skip header row
-            if (index === 0 || row.querySelector('th')) return;
-            
-            try {
-              const cells = row.querySelectorAll('td');
-              if (cells.length >= 5) {
-                const courseCode = cells[0].textContent.trim();
-                const title = cells[1].textContent.trim();
-                const openDate = cells[2].textContent.trim();
-                const dueDateText = cells[3].textContent.trim();
-                const actionCell = cells[4];
-                
-                // Parse due date
-                const dueDate = parseDueDateInBrowser(dueDateText);
-                
-                // Only include if within next 7 days
-                if (dueDate && isWithinNext7DaysInBrowser(dueDate, today)) {
-                  // Extract link from action cell
-                  const linkElement = actionCell.querySelector('a');
-                  let link = '';
-                  if (linkElement) {
-                    // Extract the actual URL from href or onclick
-                    const href = linkElement.getAttribute('href');
-                    if (href && href.includes('OpenActivitySection.aspx')) {
-                      const urlMatch = href.match(/OpenActivitySection\.aspx\?[^"']+/);
-                      if (urlMatch) {
-                        link = urlMatch[0];
-                      }
-                    }
-                  }
-                  
-                  allActivities.push({
-                    course_code: courseCode,
-                    activity_type: 'Assignment',
-                    title: title,
-                    start_date: openDate,
-                    due_date: formatDate(dueDate),
-                    due_date_raw: dueDateText,
-                    link: link || '#'
-                  });
-                }
-              }
-            } catch (err) {
-              console.error('Error parsing assignment row:', err);
-            }
-          });
-        } else {
-          console.log('Assignments table not found');
-        }
-      } catch (err) {
-        console.error('Error extracting assignments:', err);
-      }
-      
-      // 2. Extract Quizzes from MainContent_gvQuizzesToDo
-      try {
-        const quizTable = document.querySelector('#MainContent_gvQuizzesToDo');
-        if (quizTable) {
-          const rows = quizTable.querySelectorAll('tbody tr');
-          console.log(`Found ${rows.length} rows in Quizzes table`);
-          
-          rows.forEach((row, index) => {
-            // Skip header row
-            if (index === 0 || row.querySelector('th')) return;
-            
-            try {
-              const cells = row.querySelectorAll('td');
-              if (cells.length >= 5) {
-                const courseCode = cells[0].textContent.trim();
-                const title = cells[1].textContent.trim();
-                const openDate = cells[2].textContent.trim();
-                const dueDateText = cells[3].textContent.trim();
-                
-                // Parse due date
-                const dueDate = parseDueDateInBrowser(dueDateText);
-                
-                // Only include if within next 7 days
-                if (dueDate && isWithinNext7DaysInBrowser(dueDate, today)) {
-                  allActivities.push({
-                    course_code: courseCode,
-                    activity_type: 'Quiz',
-                    title: title,
-                    start_date: openDate,
-                    due_date: formatDate(dueDate),
-                    due_date_raw: dueDateText,
-                    link: '#'
-                  });
-                }
-              }
-            } catch (err) {
-              console.error('Error parsing quiz row:', err);
-            }
-          });
-        } else {
-          console.log('Quizzes table not found');
-        }
-      } catch (err) {
-        console.error('Error extracting quizzes:', err);
-      }
-      
-      // 3. Extract GDB from MainContent_gvGDBsToDo
-      try {
-        const gdbTable = document.querySelector('#MainContent_gvGDBsToDo');
-        if (gdbTable) {
-          // Check if it's the "no pending" message
-          const noPendingText = gdbTable.textContent.toLowerCase();
-          if (!noPendingText.includes('no gdb is pending')) {
-            const rows = gdbTable.querySelectorAll('tbody tr');
-            console.log(`Found ${rows.length} rows in GDB table`);
-            
-            rows.forEach((row, index) => {
-              // Skip header row
-              if (index === 0 || row.querySelector('th')) return;
-              
-              try {
-                const cells = row.querySelectorAll('td');
-                if (cells.length >= 5) {
-                  const courseCode = cells[0].textContent.trim();
-                  const title = cells[1].textContent.trim();
-                  const openDate = cells[2].textContent.trim();
-                  const dueDateText = cells[3].textContent.trim();
-                  
-                  // Parse due date
-                  const dueDate = parseDueDateInBrowser(dueDateText);
-                  
-                  // Only include if within next 7 days
-                  if (dueDate && isWithinNext7DaysInBrowser(dueDate, today)) {
-                    allActivities.push({
-                      course_code: courseCode,
-                      activity_type: 'GDB',
-                      title: title,
-                      start_date: openDate,
-                      due_date: formatDate(dueDate),
-                      due_date_raw: dueDateText,
-                      link: '#'
-                    });
-                  }
-                }
-              } catch (err) {
-                console.error('Error parsing GDB row:', err);
-              }
-            });
-          }
-        }
-      } catch (err) {
-        console.error('Error extracting GDB:', err);
-      }
-      
-      // 4. Extract Practicals from MainContent_gvPracticalsToDo
-      try {
-        const practicalTable = document.querySelector('#MainContent_gvPracticalsToDo');
-        if (practicalTable) {
-          // Check if it's the "no pending" message
-          const noPendingText = practicalTable.textContent.toLowerCase();
-          if (!noPendingText.includes('no practical is pending')) {
-            const rows = practicalTable.querySelectorAll('tbody tr');
-            console.log(`Found ${rows.length} rows in Practicals table`);
-            
-            rows.forEach((row, index) => {
-              // Skip header row
-              if (index === 0 || row.querySelector('th')) return;
-              
-              try {
-                const cells = row.querySelectorAll('td');
-                if (cells.length >= 5) {
-                  const courseCode = cells[0].textContent.trim();
-                  const title = cells[1].textContent.trim();
-                  const openDate = cells[2].textContent.trim();
-                  const dueDateText = cells[3].textContent.trim();
-                  
-                  // Parse due date
-                  const dueDate = parseDueDateInBrowser(dueDateText);
-                  
-                  // Only include if within next 7 days
-                  if (dueDate && isWithinNext7DaysInBrowser(dueDate, today)) {
-                    allActivities.push({
-                      course_code: courseCode,
-                      activity_type: 'Practical',
-                      title: title,
-                      start_date: openDate,
-                      due_date: formatDate(dueDate),
-                      due_date_raw: dueDateText,
-                      link: '#'
-                    });
-                  }
-                }
-              } catch (err) {
-                console.error('Error parsing practical row:', err);
-              }
-            });
-          }
-        }
-      } catch (err) {
-        console.error('Error extracting practicals:', err);
-      }
-      
-      console.log(`Extracted ${allActivities.length} activities within next 7 days`);
-      return allActivities;
-    });
+    const { activities, scrapedTypes } = await page.evaluate(extractActivities);
 
-    console.log(`[SCRAPING] ✓ Extracted ${activities.length} activities due within next 7 days`);
+    console.log(`[SCRAPING] ✓ Extracted ${activities.length} activities from ${scrapedTypes.length} table(s)`);
     
     // If no activities found, log for debugging
     if (activities.length === 0) {
-      console.warn('[SCRAPING] No activities found within next 7 days.');
+      console.warn('[SCRAPING] No activities found.');
     } else {
       // Log sample activities for debugging
       console.log('[SCRAPING] Sample activities:', JSON.stringify(activities.slice(0, 3), null, 2));
     }
     
-    return activities;
+    return { activities, scrapedTypes };
   } catch (error) {
     console.error('[SCRAPING] Error scraping activities:', error.message);
     console.error('[SCRAPING] Stack trace:', error.stack);
-    return [];
+    throw error;
   }
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Section Sync
+ * Diffs each scrape of an LMS section (see src/lib/sections) against the
+ * user's stored items and flags new and changed ones for a notice. The first
+ * scrape of a section is stored as a baseline so existing items are not sent.
+ */
+
+import logger from './logger.js';
+import LmsItem from '../models/LmsItem.js';
+import User from '../models/User.js';
+
+/**
+ * Sync scraped items of one section with stored items
+ * @param {Object} user - User document
+ * @param {Object} section - Section module
+ * @param {Array} items - Items from scrapeSection
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { newCount, changedCount, baseline }
+ */
+export async function syncSection(user, section, items, now = new Date()) {
+  const baseline = !(user.scrapedSections || []).includes(section.name);
+  let newCount = 0;
+  let changedCount = 0;
+
+  const seenKeys = new Set();
+
+  for (const item of items) {
+    const itemKey = LmsItem.generateKey(user._id, section.name, item.identity);
+    // The same row listed twice (e.g. on two pager pages) is one item
+    if (seenKeys.has(itemKey)) continue;
+    seenKeys.add(itemKey);
+
+    try {
+      const contentHash = LmsItem.hashContent(item.details);
+      const existing = await LmsItem.findOne({ userId: user._id, itemKey });
+
+      if (!existing) {
+        await LmsItem.create({
+          userId: user._id,
+          section: section.name,
+          itemKey,
+          courseCode: item.courseCode,
+          title: item.title,
+          details: item.details,
+          contentHash,
+          link: item.link,
+          firstSeenAt: now,
+          lastSeenAt: now,
+          pendingNotice: baseline ? null : 'new'
+        });
+
+        newCount++;
+        if (!baseline) logger.info(`[SECTIONS] New ${section.name} item for ${user.username}: ${item.title}`);
+        continue;
+      }
+
+      existing.lastSeenAt = now;
+      existing.link = item.link;
+
+      if (existing.contentHash !== contentHash) {
+        existing.previousDetails = existing.details;
+        existing.details = item.details;
+        existing.contentHash = contentHash;
+        existing.changedAt = now;
+
+        // A change before the "new" notice went out is still sent as new
+        if (section.notifyChanges && existing.pendingNotice !== 'new') {
+          existing.pendingNotice = 'changed';
+          existing.noticeAttempts = 0;
+        }
+
+        changedCount++;
+        logger.info(`[SECTIONS] ${section.name} item changed for ${user.username}: ${item.title}`);
+      }
+
+      await existing.save();
+    } catch (itemError) {
+      logger.error(`[SECTIONS] Error syncing ${section.name} item ${item.title}: ${itemError.message}`);
+    }
+  }
+
+  if (baseline) {
+    await User.updateOne({ _id: user._id }, { $addToSet: { scrapedSections: section.name } });
+    user.scrapedSections = [...(user.scrapedSections || []), section.name];
+    logger.info(`[SECTIONS] Stored ${newCount} ${section.name} items for ${user.username} as a baseline`);
+  }
+
+  return { newCount, changedCount, baseline };
+}
@@ -0,0 +1,60 @@
+/**
+ * Announcements Section
+ * Course announcements listed on the LMS announcements page
+ */
+
+import { formatNotice } from './format.js';
+
+class AnnouncementsSection {
+  constructor() {
+    this.name = 'announcements';
+    this.label = 'Announcements';
+    // Page (relative to LMS_URL) and the GridView listing the announcements
+    this.path = 'Announcements/Announcements.aspx';
+    this.tableSelector = '#MainContent_gvAnnouncements';
+    // Header text that identifies each column (first match wins)
+    this.columns = {
+      course: ['course'],
+      title: ['title', 'subject'],
+      posted: ['date', 'posted'],
+      message: ['announcement', 'message', 'detail', 'description']
+    };
+    // An edited announcement is not sent again
+    this.notifyChanges = false;
+  }
+
+  /**
+   * Turn a table row into an item
+   * @param {Object} record - Cell text by column, plus `link`
+   * @returns {Object|null} - { identity, courseCode, title, details, link }, null for empty rows
+   */
+  toItem(record) {
+    if (!record.title) return null;
+
+    return {
+      identity: `${record.course}|${record.title}|${record.posted}`,
+      courseCode: record.course,
+      title: record.title,
+      details: { posted: record.posted, message: record.message },
+      link: record.link
+    };
+  }
+
+  /**
+   * Format the message for a new announcement
+   * @param {Object} item - LmsItem document
+   * @returns {string}
+   */
+  formatNotice(item) {
+    return formatNotice('📢 *NEW ANNOUNCEMENT*', [
+      ['📚 *Course:*', item.courseCode],
+      ['📝 *Title:*', item.title],
+      ['📅 *Posted:*', item.details.posted]
+    ], { body: item.details.message, link: item.link });
+  }
+}
+
+// Singleton instance
+const announcementsSection = new AnnouncementsSection();
+
+export default announcementsSection;
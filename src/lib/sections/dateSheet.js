@@ -0,0 +1,67 @@
+/**
+ * Date Sheet Section
+ * Lecture and exam schedule entries with their date, time and venue
+ */
+
+import { formatNotice, withPrevious } from './format.js';
+
+class DateSheetSection {
+  constructor() {
+    this.name = 'datesheet';
+    this.label = 'Date Sheet';
+    // Page (relative to LMS_URL) and the GridView listing the schedule
+    this.path = 'DateSheet/DateSheet.aspx';
+    this.tableSelector = '#MainContent_gvDateSheet';
+    // Header text that identifies each column (first match wins)
+    this.columns = {
+      course: ['course'],
+      title: ['paper', 'exam', 'lecture', 'type', 'title'],
+      date: ['date', 'day'],
+      time: ['time', 'slot'],
+      venue: ['venue', 'centre', 'center', 'room']
+    };
+    // Rescheduled papers and lectures are announced
+    this.notifyChanges = true;
+  }
+
+  /**
+   * Turn a table row into an item
+   * @param {Object} record - Cell text by column, plus `link`
+   * @returns {Object|null} - { identity, courseCode, title, details, link }, null for empty rows
+   */
+  toItem(record) {
+    if (!record.course || !record.date) return null;
+
+    const title = record.title || 'Exam';
+    return {
+      identity: `${record.course}|${title}`,
+      courseCode: record.course,
+      title,
+      details: { date: record.date, time: record.time, venue: record.venue },
+      link: record.link
+    };
+  }
+
+  /**
+   * Format the message for a new or rescheduled entry
+   * @param {Object} item - LmsItem document
+   * @param {string} change - 'new' or 'changed'
+   * @returns {string}
+   */
+  formatNotice(item, change) {
+    const previous = change === 'changed' ? item.previousDetails || {} : {};
+
+    return formatNotice(change === 'changed' ? '🗓️ *DATE SHEET CHANGED*' : '🗓️ *DATE SHEET*', [
+      ['📚 *Course:*', item.courseCode],
+      ['📝 *Paper:*', item.title],
+      ['📅 *Date:*', withPrevious(item.details.date, previous.date)],
+      ['⏰ *Time:*', withPrevious(item.details.time, previous.time)],
+      ['📍 *Venue:*', withPrevious(item.details.venue, previous.venue)]
+    ], { link: item.link });
+  }
+}
+
+// Singleton instance
+const dateSheetSection = new DateSheetSection();
+
+export default dateSheetSection;
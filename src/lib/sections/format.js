@@ -0,0 +1,45 @@
+/**
+ * Section Notice Formatting
+ * Shared layout of the WhatsApp messages sent for new and changed LMS items
+ */
+
+// Longest body text (announcement messages) included in a notice
+const MAX_BODY_LENGTH = 700;
+
+/**
+ * Build a notice in the same style as activity notifications
+ * @param {string} heading - e.g. '📢 *NEW ANNOUNCEMENT*'
+ * @param {Array<Array<string>>} fields - [label line, value] pairs; empty values are left out
+ * @param {Object} options - { body, link }
+ * @returns {string}
+ */
+export function formatNotice(heading, fields, { body = '', link = null } = {}) {
+  const lines = fields
+    .filter(([, value]) => value)
+    .map(([label, value]) => `${label} ${value}`);
+
+  const text = body && body.length > MAX_BODY_LENGTH
+    ? `${body.slice(0, MAX_BODY_LENGTH).trimEnd()}…`
+    : body;
+
+  return [
+    heading,
+    '',
+    lines.join('\n'),
+    ...(text ? ['', text] : []),
+    ...(link ? ['', `🔗 ${link}`] : []),
+    '',
+    '━━━━━━━━━━━━━━━━━━━━━',
+    '*POWERED BY VUEDU*'
+  ].join('\n');
+}
+
+/**
+ * Describe a changed value, e.g. 'Jan 10, 2026 (was Jan 08, 2026)'
+ * @param {string} value - Current value
+ * @param {string} previous - Value before the change
+ * @returns {string}
+ */
+export function withPrevious(value, previous) {
+  return previous && previous !== value ? `${value || '—'} (was ${previous})` : value;
+}
@@ -0,0 +1,174 @@
+/**
+ * LMS Sections
+ * Scrapes LMS pages beyond the to-do tables (announcements, MDBs, grade book
+ * and date sheet) while the student is still logged in. Each section module
+ * knows its page, table and columns and how to describe its items; syncing
+ * and notices live in sectionSync.js and the scheduler.
+ */
+
+import logger from '../logger.js';
+import { wait } from '../scraper.js';
+import { syncSection } from '../sectionSync.js';
+import announcementsSection from './announcements.js';
+import mdbSection from './mdb.js';
+import resultsSection from './results.js';
+import dateSheetSection from './dateSheet.js';
+
+const sections = {
+  announcements: announcementsSection,
+  mdb: mdbSection,
+  results: resultsSection,
+  datesheet: dateSheetSection
+};
+
+/**
+ * Get a section by name
+ * @param {string} name - Section name
+ * @returns {Object|null}
+ */
+export function getSection(name) {
+  return sections[name] || null;
+}
+
+/**
+ * Get the sections to scrape, configurable via LMS_SECTIONS
+ * (comma-separated names or 'all'). Off by default: the section pages and
+ * tables have not been checked against the live LMS yet.
+ * @returns {Array<Object>}
+ */
+export function getEnabledSections() {
+  const value = (process.env.LMS_SECTIONS || '').trim().toLowerCase();
+  if (!value || value === 'none') return [];
+  if (value === 'all') return Object.values(sections);
+
+  return [...new Set(value.split(',').map(name => name.trim()))]
+    .filter(name => {
+      if (sections[name]) return true;
+      logger.warn(`[SECTIONS] Unknown section in LMS_SECTIONS: ${name}`);
+      return false;
+    })
+    .map(name => sections[name]);
+}
+
+/**
+ * Read the header and body rows of an LMS GridView
+ * Runs inside the browser via page.evaluate, so it must not reference anything
+ * outside its own body.
+ * @param {string} selector - Table selector
+ * @returns {Object|null} - { headers, rows: [{ cells, link }] }, null when the table is missing
+ */
+export function extractTable(selector) {
+  const table = document.querySelector(selector);
+  if (!table) return null;
+
+  // Cell text with <br> and nested elements separated by spaces
+  function getCellText(cell) {
+    return Array.from(cell.childNodes)
+      .map(node => node.textContent)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  const headerRow = table.querySelector('tr th') ? table.querySelector('tr th').parentElement : null;
+  const headers = headerRow ? Array.from(headerRow.querySelectorAll('th')).map(getCellText) : [];
+
+  const rows = [];
+  table.querySelectorAll('tr').forEach(row => {
+    if (row === headerRow) return;
+
+    const cells = Array.from(row.querySelectorAll('td'));
+    // Skip pager rows and the single-cell "no records" row
+    if (cells.length < 2) return;
+
+    const anchor = row.querySelector('a[href]:not([href^="javascript"])');
+    rows.push({
+      cells: cells.map(getCellText),
+      link: anchor ? anchor.href : null
+    });
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Map a table row to named fields using the section's column synonyms
+ * @param {Object} row - { cells, link } from extractTable
+ * @param {Array<string>} headers - Header texts
+ * @param {Object} columns - Field name → header words, e.g. { title: ['title', 'subject'] }
+ * @returns {Object} - Cell text by field name ('' when the column is missing), plus `link`
+ */
+export function toRecord(row, headers, columns) {
+  const normalized = headers.map(header => header.toLowerCase());
+  const used = new Set();
+  const record = { link: row.link || null };
+
+  for (const [field, words] of Object.entries(columns)) {
+    let index = -1;
+    for (const word of words) {
+      index = normalized.findIndex((header, i) => !used.has(i) && header.includes(word));
+      if (index !== -1) break;
+    }
+
+    if (index !== -1) used.add(index);
+    record[field] = index === -1 ? '' : (row.cells[index] || '').trim();
+  }
+
+  return record;
+}
+
+/**
+ * Open a section's page and read its items
+ * @param {Page} page - Logged-in Puppeteer page
+ * @param {Object} section - Section module
+ * @returns {Promise<Array>} - Items (see each section's toItem)
+ * @throws {Error} - When the page or its table cannot be loaded, so a failed
+ *   scrape is never mistaken for an empty section
+ */
+export async function scrapeSection(page, section) {
+  const url = new URL(section.path, process.env.LMS_URL || 'https://vulms.vu.edu.pk/').toString();
+
+  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  await page.waitForSelector(section.tableSelector, { timeout: 15000 });
+
+  const table = await page.evaluate(extractTable, section.tableSelector);
+  if (!table) {
+    throw new Error(`${section.label} table (${section.tableSelector}) not found`);
+  }
+
+  return table.rows
+    .map(row => section.toItem(toRecord(row, table.headers, section.columns)))
+    .filter(Boolean);
+}
+
+/**
+ * Scrape and sync every enabled section for a logged-in student. A failing
+ * section is logged and reported but never fails the student's scrape.
+ * @param {Page} page - Logged-in Puppeteer page
+ * @param {Object} user - User document
+ * @param {Function} report - Optional async (stage, message, data) => void
+ * @returns {Promise<Object>} - Per section { found, new, changed } or { error }
+ */
+export async function scrapeSections(page, user, report = null) {
+  const summary = {};
+
+  for (const section of getEnabledSections()) {
+    try {
+      if (report) await report('sections', `Checking ${section.label}`);
+
+      const items = await scrapeSection(page, section);
+      const { newCount, changedCount } = await syncSection(user, section, items);
+
+      summary[section.name] = { found: items.length, new: newCount, changed: changedCount };
+      logger.info(`[SECTIONS] ${user.username} ${section.name}: ${items.length} items, ${newCount} new, ${changedCount} changed`);
+    } catch (error) {
+      summary[section.name] = { error: error.message };
+      logger.warn(`[SECTIONS] ${section.label} failed for ${user.username}: ${error.message}`);
+    }
+
+    // Be gentle with the LMS between pages
+    await wait(1000);
+  }
+
+  return summary;
+}
@@ -0,0 +1,64 @@
+/**
+ * MDB Section
+ * Moderated discussion boards and their open and close dates
+ */
+
+import { formatNotice, withPrevious } from './format.js';
+
+class MdbSection {
+  constructor() {
+    this.name = 'mdb';
+    this.label = 'Moderated Discussion Boards';
+    // Page (relative to LMS_URL) and the GridView listing the boards
+    this.path = 'MDB/MDBList.aspx';
+    this.tableSelector = '#MainContent_gvMDBs';
+    // Header text that identifies each column (first match wins)
+    this.columns = {
+      course: ['course'],
+      title: ['title', 'topic', 'subject'],
+      opens: ['start', 'open'],
+      closes: ['end', 'close', 'due']
+    };
+    // Moved dates are announced
+    this.notifyChanges = true;
+  }
+
+  /**
+   * Turn a table row into an item
+   * @param {Object} record - Cell text by column, plus `link`
+   * @returns {Object|null} - { identity, courseCode, title, details, link }, null for empty rows
+   */
+  toItem(record) {
+    if (!record.title) return null;
+
+    return {
+      identity: `${record.course}|${record.title}`,
+      courseCode: record.course,
+      title: record.title,
+      details: { opens: record.opens, closes: record.closes },
+      link: record.link
+    };
+  }
+
+  /**
+   * Format the message for a new board or changed dates
+   * @param {Object} item - LmsItem document
+   * @param {string} change - 'new' or 'changed'
+   * @returns {string}
+   */
+  formatNotice(item, change) {
+    const previous = change === 'changed' ? item.previousDetails || {} : {};
+
+    return formatNotice(change === 'changed' ? '💬 *MDB DATES CHANGED*' : '💬 *NEW MDB*', [
+      ['📚 *Course:*', item.courseCode],
+      ['📝 *Topic:*', item.title],
+      ['🟢 *Opens:*', withPrevious(item.details.opens, previous.opens)],
+      ['🔴 *Closes:*', withPrevious(item.details.closes, previous.closes)]
+    ], { link: item.link });
+  }
+}
+
+// Singleton instance
+const mdbSection = new MdbSection();
+
+export default mdbSection;
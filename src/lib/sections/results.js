@@ -0,0 +1,67 @@
+/**
+ * Results Section
+ * Marks published in the LMS grade book
+ */
+
+import { formatNotice, withPrevious } from './format.js';
+
+class ResultsSection {
+  constructor() {
+    this.name = 'results';
+    this.label = 'Grade Book';
+    // Page (relative to LMS_URL) and the GridView listing the marks
+    this.path = 'GradeBook/GradeBook.aspx';
+    this.tableSelector = '#MainContent_gvGradeBook';
+    // Header text that identifies each column (first match wins)
+    this.columns = {
+      course: ['course'],
+      title: ['activity', 'assessment', 'title', 'item'],
+      obtained: ['obtained', 'marks', 'score'],
+      total: ['total', 'max']
+    };
+    // Corrected marks are announced
+    this.notifyChanges = true;
+  }
+
+  /**
+   * Turn a table row into an item; rows without marks are not published yet
+   * @param {Object} record - Cell text by column, plus `link`
+   * @returns {Object|null} - { identity, courseCode, title, details, link }, null when unpublished
+   */
+  toItem(record) {
+    if (!record.title || !record.obtained || record.obtained === '-') return null;
+
+    return {
+      identity: `${record.course}|${record.title}`,
+      courseCode: record.course,
+      title: record.title,
+      details: { obtained: record.obtained, total: record.total },
+      link: record.link
+    };
+  }
+
+  /**
+   * Format the message for a new or corrected result
+   * @param {Object} item - LmsItem document
+   * @param {string} change - 'new' or 'changed'
+   * @returns {string}
+   */
+  formatNotice(item, change) {
+    const previous = change === 'changed' ? item.previousDetails || {} : {};
+    const marks = item.details.total ? `${item.details.obtained} / ${item.details.total}` : item.details.obtained;
+    const previousMarks = previous.obtained
+      ? (previous.total ? `${previous.obtained} / ${previous.total}` : previous.obtained)
+      : null;
+
+    return formatNotice(change === 'changed' ? '📊 *RESULT UPDATED*' : '📊 *RESULT PUBLISHED*', [
+      ['📚 *Course:*', item.courseCode],
+      ['📝 *Activity:*', item.title],
+      ['🎯 *Marks:*', withPrevious(marks, previousMarks)]
+    ], { link: item.link });
+  }
+}
+
+// Singleton instance
+const resultsSection = new ResultsSection();
+
+export default resultsSection;
@@ -0,0 +1,98 @@
+/**
+ * Sessions
+ * Signed session tokens for students (portal) and staff (dashboard), kept in
+ * HTTP-only cookies
+ * Tokens are `<payload>.<signature>` with an HMAC-SHA256 signature over the
+ * base64url JSON payload { uid, role, exp }, keyed by SESSION_SECRET
+ */
+
+import crypto from 'crypto';
+
+// Students and staff use separate cookies so one sign-in does not replace the other
+export const SESSION_COOKIE = 'vu_session';
+export const STAFF_SESSION_COOKIE = 'vu_staff';
+
+// Session lifetimes in seconds
+export const SESSION_MAX_AGE = (parseInt(process.env.SESSION_MAX_AGE_DAYS) || 30) * 24 * 60 * 60;
+export const STAFF_SESSION_MAX_AGE = (parseInt(process.env.STAFF_SESSION_MAX_AGE_HOURS) || 12) * 60 * 60;
+
+/**
+ * Get the session lifetime for a role
+ * @param {string} role - 'student', 'operator' or 'admin'
+ * @returns {number} - Seconds
+ */
+export function sessionMaxAge(role) {
+  return role === 'student' ? SESSION_MAX_AGE : STAFF_SESSION_MAX_AGE;
+}
+
+/**
+ * Check whether a session secret is configured
+ * @returns {boolean}
+ */
+export function isSessionConfigured() {
+  return Boolean(process.env.SESSION_SECRET);
+}
+
+function sign(payload) {
+  if (!isSessionConfigured()) {
+    throw new Error('SESSION_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', process.env.SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed session token
+ * @param {string} subjectId - User id for students, Staff id for staff
+ * @param {string} role - 'student', 'operator' or 'admin'
+ * @param {number} now - Current time in milliseconds
+ * @returns {string}
+ */
+export function createSessionToken(subjectId, role = 'student', now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({
+    uid: String(subjectId),
+    role,
+    exp: Math.floor(now / 1000) + sessionMaxAge(role)
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token from the session cookie
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object|null} - { id, role }, or null if the token is invalid or expired
+ */
+export function readSessionToken(token, now = Date.now()) {
+  if (typeof token !== 'string' || !isSessionConfigured()) return null;
+
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { uid, role, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!uid || !role || !exp || exp * 1000 <= now) return null;
+    return { id: uid, role };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Cookie attributes for the session cookie
+ * @param {number} maxAge - Lifetime in seconds (0 clears the cookie)
+ * @returns {Object} - Options for NextResponse cookies.set
+ */
+export function sessionCookieOptions(maxAge = SESSION_MAX_AGE) {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    maxAge
+  };
+}
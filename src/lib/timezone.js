@@ -0,0 +1,208 @@
+/**
+ * Timezone utilities
+ * Day-boundary math and quiet hours in a user's IANA timezone, independent
+ * of the server's local timezone
+ */
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Karachi';
+
+// Timezone the LMS shows its dates in
+export const LMS_TIMEZONE = process.env.LMS_TIMEZONE || 'Asia/Karachi';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - e.g. 'Asia/Karachi'
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get wall-clock components of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} - { year, month (1-12), day, hour, minute, second }
+ */
+export function getZonedParts(date, timezone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} - Offset in milliseconds (positive east of UTC)
+ */
+function getOffsetMs(date, timezone) {
+  const p = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Convert a wall-clock time in a timezone to an instant
+ * @param {Object} parts - { year, month (1-12), day, hour, minute }
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone = DEFAULT_TIMEZONE) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = getOffsetMs(new Date(guess), timezone);
+  const result = guess - offset;
+
+  // Re-check across DST transitions
+  const correctedOffset = getOffsetMs(new Date(result), timezone);
+  return new Date(guess - correctedOffset);
+}
+
+/**
+ * Start of the calendar day containing an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Date}
+ */
+export function startOfDay(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToUtc({ year, month, day }, timezone);
+}
+
+/**
+ * Calendar date of an instant as 'YYYY-MM-DD'
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+export function toDateKey(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Whole calendar days from one date to another ('YYYY-MM-DD' keys or instants)
+ * @param {Date|string} from - Start date
+ * @param {Date|string} to - End date
+ * @param {string} timezone - IANA timezone used for instants
+ * @returns {number} - e.g. 1 when `to` is tomorrow
+ */
+export function daysBetween(from, to, timezone = DEFAULT_TIMEZONE) {
+  const toUtcMidnight = (value) => {
+    const key = typeof value === 'string' ? value.slice(0, 10) : toDateKey(value, timezone);
+    const [year, month, day] = key.split('-').map(Number);
+    return Date.UTC(year, month - 1, day);
+  };
+  return Math.round((toUtcMidnight(to) - toUtcMidnight(from)) / DAY_MS);
+}
+
+/**
+ * Parse a date string written as wall-clock time in a timezone
+ * (e.g. LMS text "Dec 26, 2025 11:59 PM", which is Pakistan time)
+ * @param {string} text - Date text parseable by Date
+ * @param {string} timezone - Timezone the text is written in
+ * @returns {Date|null}
+ */
+export function parseWallTime(text, timezone = LMS_TIMEZONE) {
+  if (!text) return null;
+
+  const local = new Date(text);
+  if (isNaN(local.getTime())) return null;
+
+  // A bare 'YYYY-MM-DD' is parsed as UTC by Date, read it back the same way
+  const isDateOnlyIso = /^\d{4}-\d{2}-\d{2}$/.test(String(text).trim());
+  return zonedTimeToUtc(isDateOnlyIso ? {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate()
+  } : {
+    year: local.getFullYear(),
+    month: local.getMonth() + 1,
+    day: local.getDate(),
+    hour: local.getHours(),
+    minute: local.getMinutes()
+  }, timezone);
+}
+
+/**
+ * Parse 'HH:mm' to minutes after midnight
+ * @param {string} text - Time of day
+ * @returns {number|null}
+ */
+export function parseTimeOfDay(text) {
+  const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(text || '').trim());
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+/**
+ * Find the quiet-hours window containing an instant
+ * @param {Date} date - Instant
+ * @param {Object} quietHours - { enabled, start: 'HH:mm', end: 'HH:mm' }
+ * @param {string} timezone - IANA timezone
+ * @returns {Object|null} - { start, end } instants, or null if outside quiet hours
+ */
+export function getQuietWindow(date, quietHours, timezone = DEFAULT_TIMEZONE) {
+  if (!quietHours || !quietHours.enabled) return null;
+
+  const startMinutes = parseTimeOfDay(quietHours.start);
+  const endMinutes = parseTimeOfDay(quietHours.end);
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) return null;
+
+  const parts = getZonedParts(date, timezone);
+  const nowMinutes = parts.hour * 60 + parts.minute;
+  const wraps = startMinutes > endMinutes; // e.g. 22:00 → 07:00
+
+  const inside = wraps
+    ? nowMinutes >= startMinutes || nowMinutes < endMinutes
+    : nowMinutes >= startMinutes && nowMinutes < endMinutes;
+  if (!inside) return null;
+
+  const today = startOfDay(date, timezone);
+  const at = (dayStart, minutes) => {
+    const { year, month, day } = getZonedParts(dayStart, timezone);
+    return zonedTimeToUtc({ year, month, day, hour: Math.floor(minutes / 60), minute: minutes % 60 }, timezone);
+  };
+  const yesterday = startOfDay(new Date(today.getTime() - DAY_MS / 2), timezone);
+  const tomorrow = startOfDay(new Date(today.getTime() + DAY_MS * 1.5), timezone);
+
+  if (!wraps) {
+    return { start: at(today, startMinutes), end: at(today, endMinutes) };
+  }
+  if (nowMinutes >= startMinutes) {
+    return { start: at(today, startMinutes), end: at(tomorrow, endMinutes) };
+  }
+  return { start: at(yesterday, startMinutes), end: at(today, endMinutes) };
+}
@@ -1,6 +1,7 @@
 /**
  * WhatsApp Client Manager
- * Handles WhatsApp Web.js connection, authentication, and message sending
+ * Handles WhatsApp Web.js connection, authentication, message sending and
+ * passing incoming messages to a handler
  */
 
 import pkg from 'whatsapp-web.js';
@@ -15,6 +16,7 @@ class WhatsAppClient {
     this.isReady = false;
     this.qrCodeData = null;
     this.qrCodeUrl = null;
+    this.messageHandler = null;
   }
 
   async initialize() {
@@ -100,6 +102,9 @@ class WhatsAppClient {
         logger.error('[WHATSAPP] Client error:', error);
       });
 
+      // Incoming message event - answered by the message handler
+      this.client.on('message', (message) => this.handleMessage(message));
+
       // Initialize the client
       await this.client.initialize();
       logger.info('[WHATSAPP] Client initialization started');
@@ -137,6 +142,85 @@ class WhatsAppClient {
     }
   }
 
+  /**
+   * Send a message to a group chat
+   * @param {string} chatId - Group chat id (e.g., '120363025246125486@g.us')
+   * @param {string} message - Message text to send
+   * @returns {Promise<boolean>} - True if sent successfully
+   */
+  async sendToChat(chatId, message) {
+    if (!this.isReady) {
+      throw new Error('WhatsApp client is not ready. Please authenticate first.');
+    }
+
+    if (!String(chatId).endsWith('@g.us')) {
+      throw new Error(`Not a group chat id: ${chatId}`);
+    }
+
+    try {
+      logger.info(`[WHATSAPP] Sending message to group ${chatId}...`);
+
+      await this.client.sendMessage(chatId, message);
+
+      logger.info(`[WHATSAPP] ✓ Message sent successfully to group ${chatId}`);
+      return true;
+    } catch (error) {
+      logger.error(`[WHATSAPP] Failed to send message to group ${chatId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List the group chats the linked number is in
+   * @returns {Promise<Array<Object>>} - [{ id, name, participants }]
+   */
+  async getGroupChats() {
+    if (!this.isReady) {
+      throw new Error('WhatsApp client is not ready. Please authenticate first.');
+    }
+
+    const chats = await this.client.getChats();
+    return chats
+      .filter(chat => chat.isGroup)
+      .map(chat => ({
+        id: chat.id._serialized,
+        name: chat.name,
+        participants: chat.participants?.length || 0
+      }));
+  }
+
+  /**
+   * Set the function that answers incoming messages
+   * @param {Function} handler - async (phoneNumber, text) => reply text or null
+   */
+  setMessageHandler(handler) {
+    this.messageHandler = handler;
+  }
+
+  /**
+   * Pass a direct text message to the message handler and send its reply
+   * @param {Object} message - whatsapp-web.js Message
+   */
+  async handleMessage(message) {
+    if (!this.messageHandler || message.fromMe || message.isStatus) return;
+
+    // Only one-to-one text chats; groups and media are ignored
+    if (message.from.endsWith('@g.us') || message.type !== 'chat') return;
+
+    try {
+      const contact = await message.getContact();
+      const phoneNumber = contact?.number || message.from.split('@')[0];
+
+      const reply = await this.messageHandler(phoneNumber, message.body);
+      if (reply) {
+        await this.client.sendMessage(message.from, reply);
+        logger.info(`[WHATSAPP] ✓ Replied to ${phoneNumber}`);
+      }
+    } catch (error) {
+      logger.error(`[WHATSAPP] Failed to handle message from ${message.from}:`, error.message);
+    }
+  }
+
   /**
    * Get QR code data URL for browser display
    * @returns {string|null} - QR code data URL or null if not available
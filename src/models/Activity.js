@@ -5,6 +5,9 @@
 import mongoose from 'mongoose';
 import crypto from 'crypto';
 
+// Where a completion was recorded
+const COMPLETION_SOURCES = ['dashboard', 'api', 'whatsapp', 'lms'];
+
 const activitySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -46,6 +49,36 @@ const activitySchema = new mongoose.Schema({
     required: true,
     unique: true,
     index: true
+  },
+  // Stable identity across scrapes (see generateKey), unlike activityHash
+  // which changes with the title or due date
+  activityKey: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the activity disappears from the LMS to-do tables before its deadline
+  removedAt: {
+    type: Date,
+    default: null
+  },
+  // Set when the activity is done (submitted); no more reminders
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completionSource: {
+    type: String,
+    enum: [...COMPLETION_SOURCES, null],
+    default: null
+  },
+  // Reminders before this time are held back and one is sent when it passes
+  snoozedUntil: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -54,6 +87,10 @@ const activitySchema = new mongoose.Schema({
 // Create compound index for efficient queries
 activitySchema.index({ userId: 1, dueDate: 1 });
 activitySchema.index({ userId: 1, activityHash: 1 });
+activitySchema.index(
+  { userId: 1, activityKey: 1 },
+  { unique: true, partialFilterExpression: { activityKey: { $type: 'string' } } }
+);
 
 // Static method to generate activity hash
 activitySchema.statics.generateHash = function(userId, courseCode, title, dueDate) {
@@ -61,6 +98,21 @@ activitySchema.statics.generateHash = function(userId, courseCode, title, dueDat
   return crypto.createHash('sha256').update(data).digest('hex');
 };
 
+// Static method to generate the stable activity key: course, type and the
+// LMS activity link, or the title when the LMS gives no link
+activitySchema.statics.generateKey = function(userId, { courseCode, activityType, link, title }) {
+  const identity = link && link !== '#'
+    ? `link:${link}`
+    : `title:${String(title).trim().toLowerCase()}`;
+  const data = `${userId}|${String(courseCode).trim().toUpperCase()}|${activityType}|${identity}`;
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+// Method to get the short code students use for the activity in WhatsApp messages
+activitySchema.methods.getShortId = function() {
+  return this._id.toString().slice(-6);
+};
+
 const Activity = mongoose.models.Activity || mongoose.model('Activity', activitySchema);
 
 export default Activity;
@@ -0,0 +1,97 @@
+/**
+ * ApiKey Model - Keys for automation clients calling the API
+ * Only a SHA-256 hash of each key is stored; the key itself is shown once
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Prefix that marks a string as one of our keys
+const KEY_PREFIX = 'vuk_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Role the key acts as
+  role: {
+    type: String,
+    enum: ['admin', 'operator'],
+    default: 'operator'
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // First characters of the key, to tell keys apart in listings
+  keyPreview: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to hash a key
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Static method to create a key; returns the plain key, which is not stored
+apiKeySchema.statics.generate = async function({ name, role, createdBy = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = await this.create({
+    name,
+    role,
+    createdBy,
+    keyHash: this.hashKey(key),
+    keyPreview: key.slice(0, KEY_PREFIX.length + 6)
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find the active key matching a plain key
+apiKeySchema.statics.findActiveKey = async function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return null;
+
+  const apiKey = await this.findOne({ keyHash: this.hashKey(key), revokedAt: null });
+  if (apiKey) {
+    // Only needs to be roughly right, so it is not awaited
+    this.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+  }
+  return apiKey;
+};
+
+// Method to get the fields shown in listings
+apiKeySchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    role: this.role,
+    keyPreview: this.keyPreview,
+    createdBy: this.createdBy,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,73 @@
+/**
+ * CalendarSync Model - What was last written to a student's CalDAV calendar
+ * for each activity, so repeated syncs only send changes
+ */
+
+import mongoose from 'mongoose';
+
+const calendarSyncSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  activityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity',
+    required: true
+  },
+  // Event resource on the CalDAV server
+  eventUrl: {
+    type: String,
+    required: true
+  },
+  // Hash of the event last written (see getEventHash in calendarSync.js)
+  contentHash: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['synced', 'deleted', 'failed'],
+    default: 'synced'
+  },
+  syncedAt: {
+    type: Date,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+calendarSyncSchema.index({ userId: 1, activityId: 1 }, { unique: true });
+
+// Method to record a successful write or delete
+calendarSyncSchema.methods.markAsSynced = function(status, contentHash) {
+  this.status = status;
+  this.contentHash = contentHash;
+  this.syncedAt = new Date();
+  this.error = null;
+  this.attempts = 0;
+  return this.save();
+};
+
+// Method to record a failed request (retried on the next sync)
+calendarSyncSchema.methods.markAsFailed = function(errorMessage) {
+  this.status = 'failed';
+  this.error = errorMessage;
+  this.attempts += 1;
+  return this.save();
+};
+
+const CalendarSync = mongoose.models.CalendarSync || mongoose.model('CalendarSync', calendarSyncSchema);
+
+export default CalendarSync;
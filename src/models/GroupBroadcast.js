@@ -0,0 +1,122 @@
+/**
+ * GroupBroadcast Model - Posts deadlines for a course or cohort to a WhatsApp group
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { isValidDuration } from '../lib/duration.js';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../lib/timezone.js';
+
+const groupBroadcastSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // WhatsApp group chat id, e.g. '120363025246125486@g.us'
+  chatId: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: (value) => /^[\d-]+@g\.us$/.test(value),
+      message: 'chatId must be a WhatsApp group id ending in @g.us'
+    }
+  },
+  // Activities of this course (any course when null)
+  courseCode: {
+    type: String,
+    default: null,
+    trim: true,
+    uppercase: true
+  },
+  // Activities of students in this roster group (any student when null)
+  cohort: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  reminderOffsets: {
+    type: [String],
+    default: () => ['1d'],
+    validate: {
+      validator: (offsets) => offsets.every(isValidDuration),
+      message: 'Reminder offsets must be durations such as 3d, 6h or 30m'
+    }
+  },
+  notifyOnStart: {
+    type: Boolean,
+    default: true
+  },
+  // Students covered by this broadcast get no private start and reminder messages
+  replacesDirect: {
+    type: Boolean,
+    default: false
+  },
+  // Timezone for dates in the group messages
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Unknown timezone'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+groupBroadcastSchema.index({ isActive: 1, courseCode: 1, cohort: 1 });
+
+// A broadcast for every activity of every student would flood the group
+groupBroadcastSchema.pre('validate', function() {
+  if (!this.courseCode && !this.cohort) {
+    this.invalidate('courseCode', 'A course code or cohort is required');
+  }
+});
+
+// Static method to find the active broadcasts covering a student's activity
+groupBroadcastSchema.statics.findForActivity = function(activity, user) {
+  return this.find({
+    isActive: true,
+    courseCode: { $in: [null, String(activity.courseCode).toUpperCase()] },
+    cohort: { $in: user?.group ? [null, user.group] : [null] }
+  });
+};
+
+// Static method to generate the key shared by the same activity of different
+// students: course, type and title (LMS links can differ per student)
+groupBroadcastSchema.statics.generateActivityKey = function({ courseCode, activityType, title }) {
+  const data = `${String(courseCode).trim().toUpperCase()}|${activityType}|${String(title).trim().toLowerCase()}`;
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+// Method to get the fields returned by the API
+groupBroadcastSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    chatId: this.chatId,
+    courseCode: this.courseCode,
+    cohort: this.cohort,
+    reminderOffsets: this.reminderOffsets,
+    notifyOnStart: this.notifyOnStart,
+    replacesDirect: this.replacesDirect,
+    timezone: this.timezone,
+    isActive: this.isActive,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+const GroupBroadcast = mongoose.models.GroupBroadcast || mongoose.model('GroupBroadcast', groupBroadcastSchema);
+
+export default GroupBroadcast;
@@ -0,0 +1,113 @@
+/**
+ * GroupPost Model - Tracks scheduled and sent group broadcast messages.
+ * One post covers the same activity for every student in the broadcast.
+ */
+
+import mongoose from 'mongoose';
+
+const groupPostSchema = new mongoose.Schema({
+  broadcastId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GroupBroadcast',
+    required: true,
+    index: true
+  },
+  // Shared activity key (see GroupBroadcast.generateActivityKey)
+  activityKey: {
+    type: String,
+    required: true
+  },
+  // The students' copies of the activity; the post is dropped when none is
+  // still listed, not done and due at dueDate
+  activityIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Activity'
+  }],
+  notificationType: {
+    type: String,
+    required: true,
+    enum: ['start', 'reminder']
+  },
+  // Minutes before the due date for reminders (0 for start posts)
+  offsetMinutes: {
+    type: Number,
+    default: 0
+  },
+  courseCode: {
+    type: String,
+    required: true
+  },
+  activityType: {
+    type: String,
+    default: 'Unknown'
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  link: {
+    type: String,
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  scheduledFor: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'sent', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+groupPostSchema.index(
+  { broadcastId: 1, activityKey: 1, notificationType: 1, offsetMinutes: 1, dueDate: 1 },
+  { unique: true }
+);
+
+// Method to mark post as sent
+groupPostSchema.methods.markAsSent = function() {
+  this.status = 'sent';
+  this.sentAt = new Date();
+  return this.save();
+};
+
+// Method to mark post as failed
+groupPostSchema.methods.markAsFailed = function(errorMessage) {
+  this.status = 'failed';
+  this.error = errorMessage;
+  this.attempts += 1;
+  return this.save();
+};
+
+// Method to mark post as cancelled (never sent)
+groupPostSchema.methods.markAsCancelled = function(reason) {
+  this.status = 'cancelled';
+  this.error = reason;
+  return this.save();
+};
+
+const GroupPost = mongoose.models.GroupPost || mongoose.model('GroupPost', groupPostSchema);
+
+export default GroupPost;
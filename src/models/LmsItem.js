@@ -0,0 +1,103 @@
+/**
+ * LmsItem Model - Announcements, MDBs, results and date sheet entries scraped
+ * from LMS sections other than the to-do tables (see src/lib/sections)
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const lmsItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  section: {
+    type: String,
+    required: true,
+    enum: ['announcements', 'mdb', 'results', 'datesheet']
+  },
+  // Stable identity within the section (see generateKey)
+  itemKey: {
+    type: String,
+    required: true
+  },
+  courseCode: {
+    type: String,
+    default: '',
+    trim: true,
+    uppercase: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Section-specific fields as shown by the LMS (dates, marks, venue, ...)
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({})
+  },
+  // `details` before the last change, shown in change notices
+  previousDetails: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Hash of `details`, compared on every scrape to detect changes
+  contentHash: {
+    type: String,
+    required: true
+  },
+  link: {
+    type: String,
+    default: null
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  changedAt: {
+    type: Date,
+    default: null
+  },
+  // Notice waiting to be sent by the scheduler
+  pendingNotice: {
+    type: String,
+    enum: ['new', 'changed', null],
+    default: null
+  },
+  noticeAttempts: {
+    type: Number,
+    default: 0
+  },
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+lmsItemSchema.index({ userId: 1, itemKey: 1 }, { unique: true });
+lmsItemSchema.index({ userId: 1, section: 1, firstSeenAt: -1 });
+lmsItemSchema.index({ pendingNotice: 1 });
+
+// Static method to generate the item key from its section and identity
+lmsItemSchema.statics.generateKey = function(userId, section, identity) {
+  const data = `${userId}|${section}|${String(identity).trim().toLowerCase()}`;
+  return crypto.createHash('sha256').update(data).digest('hex');
+};
+
+// Static method to hash item details (key order does not matter)
+lmsItemSchema.statics.hashContent = function(details) {
+  const sorted = Object.keys(details || {}).sort().map(key => [key, details[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+};
+
+const LmsItem = mongoose.models.LmsItem || mongoose.model('LmsItem', lmsItemSchema);
+
+export default LmsItem;
@@ -20,9 +20,25 @@ const notificationSchema = new mongoose.Schema({
   notificationType: {
     type: String,
     required: true,
-    enum: ['start', 'reminder'],
+    enum: ['start', 'reminder', 'deadline_changed', 'removed'],
     index: true
   },
+  // Minutes before the due date for reminders (0 for start notifications)
+  offsetMinutes: {
+    type: Number,
+    default: 0
+  },
+  // Activity deadline this notification was scheduled against, so reminders
+  // can be scheduled again after the deadline moves
+  dueDate: {
+    type: Date,
+    default: null
+  },
+  // Old deadline for 'deadline_changed' notifications
+  previousDueDate: {
+    type: Date,
+    default: null
+  },
   scheduledFor: {
     type: Date,
     required: true,
@@ -32,10 +48,15 @@ const notificationSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Channel that delivered the notification
+  channel: {
+    type: String,
+    default: null
+  },
   status: {
     type: String,
     required: true,
-    enum: ['pending', 'sent', 'failed'],
+    enum: ['pending', 'sent', 'failed', 'cancelled'],
     default: 'pending',
     index: true
   },
@@ -53,12 +74,13 @@ const notificationSchema = new mongoose.Schema({
 
 // Compound indexes for efficient queries
 notificationSchema.index({ userId: 1, status: 1, scheduledFor: 1 });
-notificationSchema.index({ activityId: 1, notificationType: 1 }, { unique: true });
+notificationSchema.index({ activityId: 1, notificationType: 1, offsetMinutes: 1, dueDate: 1 }, { unique: true });
 
 // Method to mark notification as sent
-notificationSchema.methods.markAsSent = function() {
+notificationSchema.methods.markAsSent = function(channel = null) {
   this.status = 'sent';
   this.sentAt = new Date();
+  this.channel = channel;
   return this.save();
 };
 
@@ -70,6 +92,13 @@ notificationSchema.methods.markAsFailed = function(errorMessage) {
   return this.save();
 };
 
+// Method to mark notification as cancelled (never sent)
+notificationSchema.methods.markAsCancelled = function(reason) {
+  this.status = 'cancelled';
+  this.error = reason;
+  return this.save();
+};
+
 const Notification = mongoose.models.Notification || mongoose.model('Notification', notificationSchema);
 
 export default Notification;
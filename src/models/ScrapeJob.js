@@ -0,0 +1,174 @@
+/**
+ * ScrapeJob Model - Persistent queue of scrape runs with per-student tasks
+ */
+
+import mongoose from 'mongoose';
+
+const STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const taskSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  whatsapp: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  // Student result as returned by the scrape pipeline
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+});
+
+// Progress event streamed to the dashboard (see /api/scrape/jobs/:id/events)
+const eventSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true
+  },
+  stage: {
+    type: String,
+    required: true
+  },
+  username: {
+    type: String,
+    default: null
+  },
+  message: {
+    type: String,
+    default: ''
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const scrapeJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+    enum: STATUSES,
+    default: 'queued',
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['dashboard', 'cron', 'api'],
+    default: 'dashboard'
+  },
+  tasks: {
+    type: [taskSchema],
+    default: []
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Most recent progress events, capped by the worker
+  events: {
+    type: [eventSchema],
+    default: []
+  },
+  // Messages sent after the scrape (see deliverMessageQueue)
+  delivery: {
+    queued: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scrapeJobSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to atomically claim the oldest queued job
+scrapeJobSchema.statics.claimNext = function() {
+  return this.findOneAndUpdate(
+    { status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Method to check whether the job has reached a final state
+scrapeJobSchema.methods.isFinished = function() {
+  return ['succeeded', 'failed', 'cancelled'].includes(this.status);
+};
+
+// Method to get a client-facing summary of the job
+scrapeJobSchema.methods.toSummary = function() {
+  const counts = STATUSES.reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  for (const task of this.tasks) {
+    counts[task.status]++;
+  }
+
+  return {
+    id: this._id,
+    status: this.status,
+    source: this.source,
+    cancelRequested: this.cancelRequested,
+    total: this.tasks.length,
+    counts,
+    tasks: this.tasks.map(task => ({
+      id: task._id,
+      username: task.username,
+      whatsapp: task.whatsapp,
+      status: task.status,
+      error: task.error,
+      result: task.result ? { ...task.result, whatsappQueue: undefined } : null,
+      startedAt: task.startedAt,
+      finishedAt: task.finishedAt
+    })),
+    delivery: this.delivery,
+    error: this.error,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+const ScrapeJob = mongoose.models.ScrapeJob || mongoose.model('ScrapeJob', scrapeJobSchema);
+
+export default ScrapeJob;
@@ -0,0 +1,66 @@
+/**
+ * Staff Model - Dashboard accounts for admins and operators
+ */
+
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+
+const staffSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: [8, 'Passwords must be at least 8 characters']
+  },
+  // 'admin' can do everything, 'operator' runs scrapes and manages students
+  role: {
+    type: String,
+    enum: ['admin', 'operator'],
+    default: 'operator'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+staffSchema.pre('save', async function() {
+  if (!this.isModified('password')) {
+    return;
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+});
+
+// Method to compare passwords
+staffSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to get the fields shown in the dashboard
+staffSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    role: this.role,
+    lastLoginAt: this.lastLoginAt
+  };
+};
+
+const Staff = mongoose.models.Staff || mongoose.model('Staff', staffSchema);
+
+export default Staff;
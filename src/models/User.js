@@ -4,6 +4,44 @@
 
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { encryptSecret, decryptSecret, isVaultConfigured } from '../lib/credentialVault.js';
+import { isValidDuration } from '../lib/duration.js';
+import { DEFAULT_TIMEZONE, isValidTimezone, parseTimeOfDay } from '../lib/timezone.js';
+import { LOGIN_OUTCOMES, needsAction, getLoginRetryAfter } from '../lib/loginOutcome.js';
+
+// Default reminder offsets before the due date
+const DEFAULT_REMINDER_OFFSETS = ['1d'];
+
+// Delivery channels implemented in src/lib/channels
+const NOTIFICATION_CHANNELS = ['whatsapp', 'email', 'telegram', 'webhook'];
+
+// 'daily' and 'weekly' replace individual reminders with one digest message
+const DIGEST_MODES = ['off', 'daily', 'weekly'];
+
+const offsetsValidator = {
+  validator: (offsets) => offsets.every(isValidDuration),
+  message: 'Reminder offsets must be durations such as 3d, 6h or 30m'
+};
+
+const timeOfDayValidator = {
+  validator: (value) => parseTimeOfDay(value) !== null,
+  message: 'Times must be in HH:mm format'
+};
+
+const reminderOverrideSchema = new mongoose.Schema({
+  activityType: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Replaces the default offsets for this activity type
+  offsets: {
+    type: [String],
+    default: [],
+    validate: offsetsValidator
+  }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -17,14 +55,238 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // LMS password encrypted with the credential vault (never returned by default)
+  lmsPassword: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // Set when no usable LMS password is stored (e.g. bcrypt-only legacy users)
+  needsPasswordReentry: {
+    type: Boolean,
+    default: false
+  },
+  // LMS session cookies saved after the last scrape, encrypted with the
+  // credential vault (never returned by default)
+  lmsSession: {
+    type: String,
+    default: null,
+    select: false
+  },
+  lmsSessionSavedAt: {
+    type: Date,
+    default: null
+  },
+  // Outcome of the last LMS login (see src/lib/loginOutcome.js)
+  lmsLogin: {
+    outcome: {
+      type: String,
+      enum: [...Object.keys(LOGIN_OUTCOMES), null],
+      default: null
+    },
+    message: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: null
+    },
+    // Problem the student still has to be told about (sent by the scheduler)
+    pendingNotice: {
+      type: String,
+      default: null
+    },
+    noticeAttempts: {
+      type: Number,
+      default: 0
+    },
+    // Problem the student was last told about; cleared by a successful login
+    notifiedOutcome: {
+      type: String,
+      default: null
+    },
+    notifiedAt: {
+      type: Date,
+      default: null
+    },
+    // Scheduled scrapes leave the account alone until then (see LOGIN_BACKOFF_HOURS)
+    retryAfter: {
+      type: Date,
+      default: null
+    }
+  },
+  // Empty only for portal sign-ups that have not confirmed their number yet
   whatsapp: {
     type: String,
-    required: true,
+    default: '',
+    required: function() { return this.isActive; },
+    trim: true
+  },
+  // Set when the student confirmed the number with a code (student portal)
+  whatsappVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  email: {
+    type: String,
+    default: '',
+    trim: true,
+    lowercase: true,
+    validate: {
+      validator: (value) => !value || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+      message: 'Invalid email address'
+    }
+  },
+  telegramChatId: {
+    type: String,
+    default: '',
     trim: true
   },
+  webhookUrl: {
+    type: String,
+    default: '',
+    trim: true,
+    validate: {
+      validator: (value) => !value || /^https?:\/\//.test(value),
+      message: 'Webhook URL must start with http:// or https://'
+    }
+  },
+  // Channels tried in order until one delivers
+  notificationChannels: {
+    type: [{ type: String, enum: NOTIFICATION_CHANNELS }],
+    default: () => ['whatsapp']
+  },
+  // Optional label (class, section or batch) for filtering the roster
+  group: {
+    type: String,
+    default: '',
+    trim: true,
+    index: true
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set by the 'pause' bot command; due notifications are cancelled while paused
+  notificationsPausedAt: {
+    type: Date,
+    default: null
+  },
+  // LMS sections (announcements, results, ...) scraped at least once; what the
+  // first scrape finds is stored without notices
+  scrapedSections: {
+    type: [String],
+    default: []
+  },
+  // Secret part of the student's iCalendar feed URL (/api/calendar/<token>.ics)
+  calendarToken: {
+    type: String,
+    default: undefined,
+    index: { unique: true, sparse: true }
+  },
+  // Optional CalDAV calendar the student's activities are written into
+  caldav: {
+    // Calendar collection URL, e.g. 'http://localhost:5232/bc000000001/lms/'
+    url: {
+      type: String,
+      default: '',
+      trim: true,
+      validate: {
+        validator: (value) => !value || /^https?:\/\//.test(value),
+        message: 'CalDAV URL must start with http:// or https://'
+      }
+    },
+    username: {
+      type: String,
+      default: '',
+      trim: true
+    },
+    // Encrypted with the credential vault (never returned by default)
+    password: {
+      type: String,
+      default: null,
+      select: false
+    },
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    lastSyncAt: {
+      type: Date,
+      default: null
+    },
+    lastError: {
+      type: String,
+      default: null
+    }
+  },
+  // IANA timezone used for day boundaries and quiet hours
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
+    }
+  },
+  // Notifications due inside this window are deferred to its end
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    start: {
+      type: String,
+      default: '22:00',
+      validate: timeOfDayValidator
+    },
+    end: {
+      type: String,
+      default: '07:00',
+      validate: timeOfDayValidator
+    }
+  },
+  digest: {
+    mode: {
+      type: String,
+      enum: DIGEST_MODES,
+      default: 'off'
+    },
+    // Local time the digest is sent
+    time: {
+      type: String,
+      default: () => process.env.DIGEST_TIME || '07:00',
+      validate: timeOfDayValidator
+    },
+    // Day of the week for weekly digests (0 = Sunday)
+    weekday: {
+      type: Number,
+      default: 1,
+      min: 0,
+      max: 6
+    },
+    lastSentAt: {
+      type: Date,
+      default: null
+    }
+  },
+  reminderPolicy: {
+    // Notify when an activity opens (its start date)
+    notifyOnStart: {
+      type: Boolean,
+      default: true
+    },
+    // One reminder per offset before the due date, e.g. ['3d', '1d', '6h', '1h']
+    offsets: {
+      type: [String],
+      default: () => [...DEFAULT_REMINDER_OFFSETS],
+      validate: offsetsValidator
+    },
+    overrides: {
+      type: [reminderOverrideSchema],
+      default: []
+    }
   }
 }, {
   timestamps: true
@@ -51,10 +313,111 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Method to store the LMS password (bcrypt hash + encrypted copy for re-login)
+userSchema.methods.setLmsPassword = function(plainPassword) {
+  this.password = plainPassword;
+
+  if (isVaultConfigured()) {
+    this.lmsPassword = encryptSecret(plainPassword, this._id);
+    this.needsPasswordReentry = false;
+  } else {
+    this.lmsPassword = null;
+    this.needsPasswordReentry = true;
+  }
+};
+
+// Method to decrypt the stored LMS password (requires select('+lmsPassword'))
+userSchema.methods.getLmsPassword = function() {
+  if (!this.lmsPassword) {
+    throw new Error('No LMS password stored for this user');
+  }
+  return decryptSecret(this.lmsPassword, this._id);
+};
+
+// Method to store LMS session cookies encrypted with the credential vault
+userSchema.methods.setLmsSession = function(cookies) {
+  this.lmsSession = encryptSecret(JSON.stringify(cookies), `${this._id}:session`);
+  this.lmsSessionSavedAt = new Date();
+};
+
+// Method to decrypt the saved LMS session cookies (requires select('+lmsSession'))
+userSchema.methods.getLmsSession = function() {
+  if (!this.lmsSession) return null;
+  return JSON.parse(decryptSecret(this.lmsSession, `${this._id}:session`));
+};
+
+// Method to record a login outcome; a problem only the student can fix is
+// queued as a notice once, until a later login succeeds. A rejected password
+// is not tried again until the student re-enters it
+userSchema.methods.recordLoginOutcome = function(outcome, now = new Date()) {
+  this.lmsLogin.outcome = outcome;
+  this.lmsLogin.message = LOGIN_OUTCOMES[outcome];
+  this.lmsLogin.at = now;
+  this.lmsLogin.retryAfter = getLoginRetryAfter(outcome, now);
+
+  if (outcome === 'invalid_credentials') {
+    this.needsPasswordReentry = true;
+  }
+
+  if (outcome === 'success') {
+    this.lmsLogin.pendingNotice = null;
+    this.lmsLogin.notifiedOutcome = null;
+  } else if (needsAction(outcome) && outcome !== this.lmsLogin.notifiedOutcome) {
+    this.lmsLogin.pendingNotice = outcome;
+    this.lmsLogin.noticeAttempts = 0;
+  }
+};
+
+// Method to check whether scheduled scrapes should skip the LMS login for now
+userSchema.methods.isLoginBackedOff = function(now = new Date()) {
+  return Boolean(this.lmsLogin?.retryAfter && this.lmsLogin.retryAfter > now);
+};
+
+// Method to store the CalDAV password encrypted with the credential vault
+userSchema.methods.setCaldavPassword = function(plainPassword) {
+  this.caldav.password = encryptSecret(plainPassword, `${this._id}:caldav`);
+};
+
+// Method to decrypt the CalDAV password (requires select('+caldav.password'))
+userSchema.methods.getCaldavPassword = function() {
+  if (!this.caldav?.password) {
+    throw new Error('No CalDAV password stored for this user');
+  }
+  return decryptSecret(this.caldav.password, `${this._id}:caldav`);
+};
+
+// Method to get reminder offsets for an activity type (override or default)
+userSchema.methods.getReminderOffsets = function(activityType) {
+  const policy = this.reminderPolicy || {};
+  const override = (policy.overrides || []).find(
+    o => o.activityType.toLowerCase() === String(activityType || '').toLowerCase()
+  );
+
+  if (override) {
+    return [...override.offsets];
+  }
+  return policy.offsets ? [...policy.offsets] : [...DEFAULT_REMINDER_OFFSETS];
+};
+
+// Method to check whether reminders are replaced by a digest
+userSchema.methods.usesDigest = function() {
+  return Boolean(this.digest && this.digest.mode !== 'off');
+};
+
+// Method to create or replace the calendar feed token (old feed URLs stop working)
+userSchema.methods.resetCalendarToken = function() {
+  this.calendarToken = crypto.randomBytes(24).toString('base64url');
+  return this.calendarToken;
+};
+
 // Method to get safe user object (without password)
 userSchema.methods.toSafeObject = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.lmsPassword;
+  delete obj.lmsSession;
+  delete obj.calendarToken;
+  if (obj.caldav) delete obj.caldav.password;
   return obj;
 };
 
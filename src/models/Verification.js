@@ -0,0 +1,99 @@
+/**
+ * Verification Model - One-time codes sent over WhatsApp to confirm a number
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Minutes a code stays valid
+const CODE_TTL_MINUTES = 10;
+
+// Wrong guesses allowed per code
+const MAX_ATTEMPTS = 5;
+
+const verificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // 'register' activates a new sign-up, 'change_whatsapp' replaces the number
+  purpose: {
+    type: String,
+    enum: ['register', 'change_whatsapp'],
+    required: true
+  },
+  // Number the code was sent to; applied to the user once confirmed
+  whatsapp: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Expired codes are removed by MongoDB
+verificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to hash a code (bound to the verification id)
+verificationSchema.statics.hashCode = function(verificationId, code) {
+  return crypto.createHash('sha256').update(`${verificationId}|${String(code).trim()}`).digest('hex');
+};
+
+// Static method to replace any open code for the same user and purpose with a new one
+verificationSchema.statics.issue = async function({ userId, purpose, whatsapp }) {
+  await this.deleteMany({ userId, purpose });
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const verification = new this({
+    userId,
+    purpose,
+    whatsapp,
+    codeHash: 'pending',
+    expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000)
+  });
+  verification.codeHash = this.hashCode(verification._id, code);
+  await verification.save();
+
+  return { verification, code, ttlMinutes: CODE_TTL_MINUTES };
+};
+
+// Method to check a submitted code, counting wrong guesses
+verificationSchema.methods.checkCode = async function(code) {
+  if (this.expiresAt <= new Date() || this.attempts >= MAX_ATTEMPTS) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.codeHash);
+  const actual = Buffer.from(this.constructor.hashCode(this._id, code));
+  if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+    return true;
+  }
+
+  this.attempts += 1;
+  await this.save();
+  return false;
+};
+
+// Method to get the wrong guesses left
+verificationSchema.methods.attemptsLeft = function() {
+  return Math.max(0, MAX_ATTEMPTS - this.attempts);
+};
+
+const Verification = mongoose.models.Verification || mongoose.model('Verification', verificationSchema);
+
+export default Verification;
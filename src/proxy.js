@@ -0,0 +1,64 @@
+/**
+ * Proxy - Enforces the access rules in src/lib/auth.js on every request
+ * API routes answer 401/403; pages redirect to the matching sign-in page
+ */
+
+import { NextResponse } from 'next/server';
+import logger from '@/lib/logger';
+import { IDENTITY_HEADERS, requiredRoles, getIdentities, authorize } from '@/lib/auth';
+
+export async function proxy(request) {
+  const { pathname } = request.nextUrl;
+
+  // Identity headers only ever come from here
+  const headers = new Headers(request.headers);
+  for (const header of Object.values(IDENTITY_HEADERS)) {
+    headers.delete(header);
+  }
+
+  const roles = requiredRoles(pathname);
+  if (!roles) {
+    return NextResponse.next({ request: { headers } });
+  }
+
+  let identities;
+  try {
+    identities = await getIdentities(request);
+  } catch (error) {
+    logger.error(`[AUTH] Could not check access to ${pathname}:`, error);
+    return NextResponse.json({ success: false, error: 'Could not check access' }, { status: 503 });
+  }
+
+  const result = authorize(identities, roles);
+
+  if (result.identity) {
+    const { id, role, via, name } = result.identity;
+    headers.set(IDENTITY_HEADERS.id, id);
+    headers.set(IDENTITY_HEADERS.role, role);
+    headers.set(IDENTITY_HEADERS.via, via);
+    if (name) headers.set(IDENTITY_HEADERS.name, encodeURIComponent(name));
+
+    return NextResponse.next({ request: { headers } });
+  }
+
+  if (pathname.startsWith('/api/')) {
+    return NextResponse.json({
+      success: false,
+      error: result.status === 401 ? 'Sign-in or API key required' : 'You do not have access to this resource'
+    }, { status: result.status });
+  }
+
+  // Students who open a staff page are sent to their own account page
+  if (identities.some(identity => identity.role === 'student')) {
+    return NextResponse.redirect(new URL('/account', request.url));
+  }
+
+  const url = new URL('/login', request.url);
+  url.searchParams.set('next', pathname);
+  return NextResponse.redirect(url);
+}
+
+export const config = {
+  // Everything except Next.js assets and static files
+  matcher: ['/((?!_next/static|_next/image|favicon.ico|.*\\.(?:png|jpg|jpeg|gif|svg|ico|webp)$).*)']
+};
@@ -0,0 +1,132 @@
+/**
+ * Activity sync tests - which stored activities a scrape marks as removed or
+ * done, against stubbed models and scheduler
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { syncActivities, findRemovedActivities, getDeadline } from '../src/lib/activitySync.js';
+import scheduler from '../src/lib/scheduler.js';
+import Activity from '../src/models/Activity.js';
+
+const USER = { _id: new mongoose.Types.ObjectId(), username: 'bc123456789', timezone: 'Asia/Karachi' };
+const ALL_TYPES = ['Assignment', 'Quiz', 'GDB', 'Practical'];
+
+// A date well inside the future, as the scraper formats it
+const DUE = new Date(Date.now() + 10 * 86400000).toISOString().slice(0, 10);
+
+const row = (type, code, title, dueDate = DUE) => ({
+  course_code: code,
+  activity_type: type,
+  title,
+  start_date: '',
+  due_date: dueDate,
+  due_time: '23:59',
+  link: `OpenActivitySection.aspx?CourseCode=${code}&ActivityType=${type}`
+});
+
+const ASSIGNMENT = row('Assignment', 'CS101', 'Assignment No. 1');
+const QUIZ = row('Quiz', 'MTH101', 'Quiz No. 1');
+
+/**
+ * Stored open activity for a scraped row, saved without a database
+ * @param {Object} scraped - Scraped activity object
+ * @returns {Object} - Activity document
+ */
+function storedActivity(scraped) {
+  const activity = new Activity({
+    userId: USER._id,
+    courseCode: scraped.course_code,
+    activityType: scraped.activity_type,
+    title: scraped.title,
+    dueDate: getDeadline(scraped),
+    link: scraped.link,
+    activityHash: `hash-${scraped.title}`,
+    activityKey: Activity.generateKey(USER._id, {
+      courseCode: scraped.course_code,
+      activityType: scraped.activity_type,
+      link: scraped.link,
+      title: scraped.title
+    })
+  });
+  mock.method(activity, 'save', async () => activity);
+  return activity;
+}
+
+describe('findRemovedActivities', () => {
+  const open = [{ activityKey: 'a', activityType: 'Assignment' }, { activityKey: 'q', activityType: 'Quiz' }];
+
+  it('only removes unseen activities of the types that were read', () => {
+    assert.deepEqual(findRemovedActivities(open, new Set(['a']), ['Assignment']), []);
+    assert.deepEqual(findRemovedActivities(open, new Set(['a']), ['Assignment', 'Quiz']), [open[1]]);
+    assert.deepEqual(findRemovedActivities(open, new Set(), null), open);
+  });
+});
+
+describe('syncActivities removals', () => {
+  let removedNotices;
+
+  beforeEach(() => {
+    removedNotices = [];
+    const stored = [storedActivity(ASSIGNMENT), storedActivity(QUIZ)];
+
+    mock.method(Activity, 'find', () => ({ sort: async () => stored }));
+    mock.method(scheduler, 'cancelPending', async () => 0);
+    mock.method(scheduler, 'notifyChange', async (activity, type) => {
+      removedNotices.push([activity.title, type]);
+    });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('keeps the activities of a table that did not load', async () => {
+    const result = await syncActivities(USER, [ASSIGNMENT], { scrapedTypes: ['Assignment', 'GDB', 'Practical'] });
+
+    assert.equal(result.removedCount, 0);
+    assert.deepEqual(removedNotices, []);
+  });
+
+  it('keeps activities whose due date could not be read', async () => {
+    const result = await syncActivities(USER, [ASSIGNMENT, { ...QUIZ, due_date: null, due_time: null }], { scrapedTypes: ALL_TYPES });
+
+    assert.equal(result.removedCount, 0);
+    assert.equal(result.pastActivities.length, 1);
+    assert.deepEqual(removedNotices, []);
+  });
+
+  it('removes an activity missing from a table that was read', async () => {
+    const result = await syncActivities(USER, [ASSIGNMENT], { scrapedTypes: ALL_TYPES });
+
+    assert.equal(result.removedCount, 1);
+    assert.deepEqual(removedNotices, [['Quiz No. 1', 'removed']]);
+  });
+});
+
+describe('syncActivities submissions', () => {
+  beforeEach(() => {
+    const stored = [storedActivity(ASSIGNMENT)];
+    mock.method(Activity, 'find', () => ({ sort: async () => stored }));
+    mock.method(scheduler, 'cancelPending', async () => 0);
+  });
+
+  afterEach(() => {
+    delete process.env.LMS_DETECT_SUBMISSIONS;
+    mock.restoreAll();
+  });
+
+  it('follows LMS_DETECT_SUBMISSIONS at the time of the sync', async () => {
+    const submitted = { ...ASSIGNMENT, submitted: true };
+
+    let result = await syncActivities(USER, [submitted], { scrapedTypes: ALL_TYPES });
+    assert.equal(result.completedCount, 0);
+
+    process.env.LMS_DETECT_SUBMISSIONS = 'true';
+    result = await syncActivities(USER, [submitted], { scrapedTypes: ALL_TYPES });
+    assert.equal(result.completedCount, 1);
+    assert.equal(result.futureActivities[0].completed, true);
+  });
+});
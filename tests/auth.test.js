@@ -0,0 +1,86 @@
+/**
+ * Access control tests - route rules, role checks and dashboard sign-in limits
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { requiredRoles, authorize, getApiKey, staffSignInLimiter } from '../src/lib/auth.js';
+
+const admin = { id: 'a1', role: 'admin', via: 'session', name: 'root' };
+const operator = { id: 'o1', role: 'operator', via: 'api_key', name: 'cron' };
+const student = { id: 's1', role: 'student', via: 'session', name: null };
+
+describe('requiredRoles', () => {
+  it('leaves sign-in and sign-up open', () => {
+    for (const path of ['/login', '/register', '/account', '/api/auth/login', '/api/account/register', '/api/account/verify']) {
+      assert.equal(requiredRoles(path), null, path);
+    }
+  });
+
+  it('keeps the QR code, raw sends and key management for admins', () => {
+    for (const path of ['/api/whatsapp/qr', '/api/whatsapp/send', '/api/admin/api-keys', '/api/admin/api-keys/123']) {
+      assert.deepEqual(requiredRoles(path), ['admin'], path);
+    }
+  });
+
+  it('lets staff use the dashboard and automation routes', () => {
+    for (const path of ['/', '/api/scrape', '/api/scrape/jobs/1/events', '/api/notifications/process', '/api/whatsapp/status', '/api/auth/me']) {
+      assert.deepEqual(requiredRoles(path), ['admin', 'operator'], path);
+    }
+  });
+
+  it('limits the student account API to students', () => {
+    assert.deepEqual(requiredRoles('/api/account'), ['student']);
+    assert.deepEqual(requiredRoles('/api/account/calendar'), ['student']);
+    assert.deepEqual(requiredRoles('/api/account/caldav'), ['student']);
+  });
+
+  it('leaves calendar feeds to their token', () => {
+    assert.equal(requiredRoles('/api/calendar/abc123.ics'), null);
+    assert.notEqual(requiredRoles('/api/calendar/abc123/../../scrape'), null);
+  });
+
+  it('does not treat look-alike paths as public', () => {
+    assert.notEqual(requiredRoles('/login/../api/scrape'), null);
+    assert.notEqual(requiredRoles('/api/account/registered'), null);
+    assert.notEqual(requiredRoles('/accounts'), null);
+  });
+});
+
+describe('authorize', () => {
+  it('answers 401 without any identity', () => {
+    assert.deepEqual(authorize([], ['admin', 'operator']), { status: 401 });
+  });
+
+  it('answers 403 when no identity has an allowed role', () => {
+    assert.deepEqual(authorize([operator], ['admin']), { status: 403 });
+    assert.deepEqual(authorize([student], ['admin', 'operator']), { status: 403 });
+  });
+
+  it('picks the identity with an allowed role', () => {
+    assert.equal(authorize([admin, student], ['student']).identity, student);
+    assert.equal(authorize([admin, student], ['admin', 'operator']).identity, admin);
+  });
+});
+
+describe('getApiKey', () => {
+  const request = (headers) => ({ headers: new Headers(headers) });
+
+  it('reads bearer tokens and X-API-Key', () => {
+    assert.equal(getApiKey(request({ Authorization: 'Bearer vuk_abc' })), 'vuk_abc');
+    assert.equal(getApiKey(request({ 'X-API-Key': 'vuk_def' })), 'vuk_def');
+    assert.equal(getApiKey(request({})), null);
+  });
+});
+
+describe('staffSignInLimiter', () => {
+  it('stops guessing one username whatever address is claimed', () => {
+    const now = Date.now();
+    let allowed = 0;
+    for (let i = 0; i < 30; i++) {
+      if (staffSignInLimiter.take({ address: null, username: 'Root' }, now + i) === 0) allowed++;
+    }
+    assert.equal(allowed, 10);
+  });
+});
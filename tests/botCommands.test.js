@@ -0,0 +1,228 @@
+/**
+ * WhatsApp bot command tests - parsing, matching the sender to a student and
+ * the command replies, against stubbed users and activities
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { parseCommand, handleIncomingMessage } from '../src/lib/botCommands.js';
+import scheduler from '../src/lib/scheduler.js';
+import Activity from '../src/models/Activity.js';
+import User from '../src/models/User.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Registered student stub
+ * @param {Object} fields - Fields to override
+ * @returns {Object}
+ */
+function student(fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    username: 'bc123456789',
+    whatsapp: '03001234567',
+    isActive: true,
+    whatsappVerifiedAt: null,
+    notificationsPausedAt: null,
+    timezone: 'UTC',
+    save: async () => {},
+    ...fields
+  };
+}
+
+/**
+ * Open activity of a student
+ * @param {Object} user - Owner
+ * @param {Object} fields - courseCode, title, dueDate
+ * @returns {Object} - Activity document
+ */
+function openActivity(user, { courseCode = 'CS101', title, dueDate }) {
+  return new Activity({ userId: user._id, courseCode, activityType: 'Assignment', title, link: 'https://vulms.vu.edu.pk/a', dueDate });
+}
+
+/**
+ * Query stub resolving to the given documents after .sort()
+ * @param {Array} documents - Query result
+ * @returns {Object}
+ */
+function sorted(documents) {
+  return { sort: async () => documents };
+}
+
+describe('parseCommand', () => {
+  it('lowercases the command and keeps its arguments', () => {
+    assert.deepEqual(parseCommand('  Snooze A1B2C3   3h '), { command: 'snooze', args: ['A1B2C3', '3h'] });
+    assert.deepEqual(parseCommand('course cs101'), { command: 'course', args: ['cs101'] });
+  });
+
+  it('accepts slash and bang prefixes', () => {
+    assert.equal(parseCommand('/todo').command, 'todo');
+    assert.equal(parseCommand('!WEEK').command, 'week');
+  });
+
+  it('handles empty messages', () => {
+    assert.deepEqual(parseCommand(''), { command: '', args: [] });
+    assert.deepEqual(parseCommand(undefined), { command: '', args: [] });
+  });
+});
+
+describe('Activity.getShortId', () => {
+  it('uses the last six characters of the activity id', () => {
+    const _id = new mongoose.Types.ObjectId('6765a1b2c3d4e5f601a2b3c4');
+    assert.equal(new Activity({ _id }).getShortId(), 'a2b3c4');
+  });
+});
+
+describe('handleIncomingMessage', () => {
+  let users;
+  let activities;
+
+  beforeEach(() => {
+    users = [];
+    activities = [];
+    mock.method(User, 'find', (query) => sorted(users.filter(user => query.whatsapp.test(user.whatsapp))));
+    mock.method(Activity, 'find', (query) => sorted(activities.filter(activity =>
+      activity.userId.equals(query.userId) && (!query.courseCode || activity.courseCode === query.courseCode))));
+    mock.method(Activity.prototype, 'save', async function() {
+      return this;
+    });
+    mock.method(scheduler, 'cancelPending', async () => 0);
+    mock.method(scheduler, 'rescheduleActivity', async () => []);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  describe('matching the sender', () => {
+    it('matches on the last 10 digits whatever the formatting', async () => {
+      users.push(student({ whatsapp: '0300-1234567' }));
+
+      assert.match(await handleIncomingMessage('923001234567', 'todo'), /YOUR TO-DO LIST/);
+      assert.match(await handleIncomingMessage('+92 300 1234567', 'todo'), /YOUR TO-DO LIST/);
+    });
+
+    it('stays silent for a number that matches no student', async () => {
+      users.push(student());
+
+      assert.equal(await handleIncomingMessage('923009999999', 'todo'), null);
+      assert.equal(await handleIncomingMessage('123', 'todo'), null);
+    });
+
+    it('does not answer for either student when a number matches two', async () => {
+      const first = student({ username: 'bc100000001', whatsapp: '03001234567' });
+      const second = student({ username: 'bc100000002', whatsapp: '+92 300 1234567' });
+      users.push(first, second);
+      activities.push(openActivity(first, { title: 'Assignment No. 1', dueDate: new Date(Date.now() + 3 * DAY) }));
+
+      const reply = await handleIncomingMessage('923001234567', 'todo');
+
+      assert.match(reply, /NUMBER SHARED/);
+      assert.doesNotMatch(reply, /Assignment No\. 1/);
+    });
+
+    it('prefers an active student, then a confirmed number, over the others', async () => {
+      const left = student({ username: 'bc100000001', isActive: false });
+      const unconfirmed = student({ username: 'bc100000002' });
+      const confirmed = student({ username: 'bc100000003', whatsappVerifiedAt: new Date() });
+      users.push(left, confirmed);
+      activities.push(openActivity(confirmed, { title: 'Assignment No. 1', dueDate: new Date(Date.now() + 3 * DAY) }));
+
+      assert.match(await handleIncomingMessage('923001234567', 'todo'), /Assignment No\. 1/);
+
+      users.push(unconfirmed);
+      assert.match(await handleIncomingMessage('923001234567', 'todo'), /Assignment No\. 1/);
+    });
+  });
+
+  describe('commands', () => {
+    let user;
+    let soon;
+    let later;
+
+    beforeEach(() => {
+      user = student();
+      users.push(user);
+
+      const endOfToday = new Date();
+      endOfToday.setUTCHours(23, 59, 59, 0);
+      soon = openActivity(user, { courseCode: 'CS101', title: 'Assignment No. 1', dueDate: endOfToday });
+      const week = openActivity(user, { courseCode: 'MTH101', title: 'Quiz No. 1', dueDate: new Date(Date.now() + 3 * DAY) });
+      later = openActivity(user, { courseCode: 'CS101', title: 'GDB No. 1', dueDate: new Date(Date.now() + 20 * DAY) });
+      activities.push(soon, week, later);
+    });
+
+    it('todo lists every open activity with its code', async () => {
+      const reply = await handleIncomingMessage('03001234567', 'todo');
+
+      assert.match(reply, /Assignment No\. 1/);
+      assert.match(reply, /Quiz No\. 1/);
+      assert.match(reply, /GDB No\. 1/);
+      assert.ok(reply.includes(`[${soon.getShortId()}]`));
+    });
+
+    it('today and week only list what is due in time', async () => {
+      const today = await handleIncomingMessage('03001234567', 'today');
+      assert.match(today, /Assignment No\. 1/);
+      assert.doesNotMatch(today, /Quiz No\. 1/);
+
+      const week = await handleIncomingMessage('03001234567', 'week');
+      assert.match(week, /Quiz No\. 1/);
+      assert.doesNotMatch(week, /GDB No\. 1/);
+    });
+
+    it('course lists one course and asks for a missing code', async () => {
+      const reply = await handleIncomingMessage('03001234567', 'course cs101');
+
+      assert.match(reply, /CS101 TO-DO/);
+      assert.match(reply, /GDB No\. 1/);
+      assert.doesNotMatch(reply, /Quiz No\. 1/);
+      assert.match(await handleIncomingMessage('03001234567', 'course'), /include a course code/);
+    });
+
+    it('snooze holds back reminders and reschedules them', async () => {
+      const reply = await handleIncomingMessage('03001234567', `snooze ${later.getShortId()} 3h`);
+
+      assert.match(reply, /REMINDERS SNOOZED/);
+      assert.ok(Math.abs(later.snoozedUntil - (Date.now() + 3 * HOUR)) < 5000);
+      assert.equal(scheduler.rescheduleActivity.mock.calls[0].arguments[0], later);
+    });
+
+    it('snooze refuses to end after the deadline and needs a valid duration', async () => {
+      assert.match(await handleIncomingMessage('03001234567', `snooze ${soon.getShortId()} 2d`), /CANNOT SNOOZE/);
+      assert.match(await handleIncomingMessage('03001234567', `snooze ${soon.getShortId()} soon`), /how long to snooze/);
+      assert.equal(soon.snoozedUntil, null);
+      assert.equal(scheduler.rescheduleActivity.mock.callCount(), 0);
+    });
+
+    it('done marks the activity as done and cancels its reminders', async () => {
+      const reply = await handleIncomingMessage('03001234567', `done ${soon.getShortId()}`);
+
+      assert.match(reply, /MARKED AS DONE/);
+      assert.ok(soon.completedAt);
+      assert.equal(soon.completionSource, 'whatsapp');
+      assert.equal(scheduler.cancelPending.mock.calls[0].arguments[0], soon);
+    });
+
+    it('done asks for a code it cannot resolve', async () => {
+      assert.match(await handleIncomingMessage('03001234567', 'done'), /include the activity code/);
+      assert.match(await handleIncomingMessage('03001234567', 'done ffffff'), /No pending activity/);
+    });
+
+    it('pause and resume switch notifications off and on', async () => {
+      assert.match(await handleIncomingMessage('03001234567', 'pause'), /NOTIFICATIONS PAUSED/);
+      assert.ok(user.notificationsPausedAt);
+
+      assert.match(await handleIncomingMessage('03001234567', 'resume'), /NOTIFICATIONS RESUMED/);
+      assert.equal(user.notificationsPausedAt, null);
+    });
+
+    it('answers unknown commands with the help text', async () => {
+      assert.match(await handleIncomingMessage('03001234567', 'hello'), /BOT COMMANDS/);
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * WhatsApp bridge tests - request signing and the checks in front of /send
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { signBridgeRequest, verifyBridgeSignature, SIGNATURE_TOLERANCE_SECONDS } from '../src/lib/bridge.js';
+import { createBridgeServer, MAX_BODY_BYTES } from '../src/lib/bridgeServer.js';
+
+const REGISTERED = '+923001234567';
+const OTHER_REGISTERED = '+923007654321';
+const NOW = Date.parse('2025-12-24T10:00:00Z');
+
+describe('bridge signatures', () => {
+  before(() => {
+    process.env.WHATSAPP_BRIDGE_SECRET = 'test-bridge-secret';
+  });
+
+  it('accepts a fresh signature for the same body', () => {
+    const headers = signBridgeRequest('{"a":1}', NOW);
+    assert.equal(verifyBridgeSignature('{"a":1}', headers['X-Bridge-Timestamp'], headers['X-Bridge-Signature'], NOW), true);
+  });
+
+  it('rejects a changed body or an old timestamp', () => {
+    const headers = signBridgeRequest('{"a":1}', NOW);
+    assert.equal(verifyBridgeSignature('{"a":2}', headers['X-Bridge-Timestamp'], headers['X-Bridge-Signature'], NOW), false);
+
+    const later = NOW + (SIGNATURE_TOLERANCE_SECONDS + 1) * 1000;
+    assert.equal(verifyBridgeSignature('{"a":1}', headers['X-Bridge-Timestamp'], headers['X-Bridge-Signature'], later), false);
+  });
+
+  it('rejects missing headers', () => {
+    assert.equal(verifyBridgeSignature('{}', undefined, undefined, NOW), false);
+  });
+});
+
+describe('bridge server', () => {
+  let server;
+  let baseUrl;
+  let sent;
+  let ready;
+
+  const whatsappClient = {
+    isClientReady: () => ready,
+    getStatus: () => (ready ? 'ready' : 'disconnected'),
+    sendMessage: async (phone, message) => sent.push({ phone, message }),
+    getGroupChats: async () => [{ id: '120363025246125486@g.us', name: 'CS101 Class', participants: 40 }]
+  };
+
+  const post = (body, { sign = true, headers = {} } = {}) => fetch(`${baseUrl}/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(sign ? signBridgeRequest(body) : {}), ...headers },
+    body
+  });
+
+  let counter = 0;
+  // Each message differs so no two requests share a signature
+  const send = (phone, options) => post(JSON.stringify({ phone, message: `Hello ${++counter}` }), options);
+
+  let cycles;
+
+  before(async () => {
+    process.env.WHATSAPP_BRIDGE_SECRET = 'test-bridge-secret';
+    server = createBridgeServer({
+      whatsappClient,
+      isAllowedRecipient: async (phone) => [REGISTERED, OTHER_REGISTERED].includes(`+${phone.replace(/\D/g, '')}`),
+      rateLimit: 3,
+      runCycle: async () => ({ processed: ++cycles, sent: 1 })
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    sent = [];
+    ready = true;
+    cycles = 0;
+  });
+
+  it('sends signed requests to registered numbers', async () => {
+    const response = await send(REGISTERED);
+    assert.equal(response.status, 200);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].phone, REGISTERED);
+  });
+
+  it('rejects unsigned and forged requests', async () => {
+    assert.equal((await send(REGISTERED, { sign: false })).status, 401);
+
+    const body = JSON.stringify({ phone: REGISTERED, message: 'forged' });
+    const headers = signBridgeRequest(body);
+    const forged = await post(JSON.stringify({ phone: REGISTERED, message: 'changed' }), { sign: false, headers });
+    assert.equal(forged.status, 401);
+    assert.equal(sent.length, 0);
+  });
+
+  it('rejects replayed requests', async () => {
+    const body = JSON.stringify({ phone: REGISTERED, message: 'once' });
+    const headers = signBridgeRequest(body);
+
+    assert.equal((await post(body, { sign: false, headers })).status, 200);
+    assert.equal((await post(body, { sign: false, headers })).status, 401);
+    assert.equal(sent.length, 1);
+  });
+
+  it('refuses numbers of unregistered users', async () => {
+    const response = await send('+15551234567');
+    assert.equal(response.status, 403);
+    assert.equal(sent.length, 0);
+  });
+
+  it('rejects bodies over the size limit', async () => {
+    const body = JSON.stringify({ phone: REGISTERED, message: 'x'.repeat(MAX_BODY_BYTES) });
+    const response = await post(body);
+    assert.equal(response.status, 413);
+    assert.equal(sent.length, 0);
+  });
+
+  it('answers 503 while WhatsApp is not ready', async () => {
+    ready = false;
+    assert.equal((await send(REGISTERED)).status, 503);
+  });
+
+  it('rate limits each recipient', async () => {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await send(OTHER_REGISTERED)).status, 200);
+    }
+
+    const response = await send(OTHER_REGISTERED);
+    assert.equal(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.equal(sent.length, 3);
+  });
+
+  it('lists group chats for signed requests only', async () => {
+    assert.equal((await fetch(`${baseUrl}/groups`)).status, 401);
+
+    const response = await fetch(`${baseUrl}/groups`, { headers: signBridgeRequest('') });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).groups.map(group => group.id), ['120363025246125486@g.us']);
+  });
+
+  it('runs a scheduler cycle for signed requests and returns its summary', async () => {
+    const body = JSON.stringify({ id: 'cycle-1' });
+    const headers = { 'Content-Type': 'application/json', ...signBridgeRequest(body) };
+
+    assert.equal((await fetch(`${baseUrl}/cycle`, { method: 'POST', body })).status, 401);
+
+    const response = await fetch(`${baseUrl}/cycle`, { method: 'POST', headers, body });
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).result, { processed: 1, sent: 1 });
+
+    assert.equal((await fetch(`${baseUrl}/cycle`, { method: 'POST', headers, body })).status, 401);
+    assert.equal(cycles, 1);
+  });
+
+  it('only listens on the paths it serves', async () => {
+    assert.equal((await fetch(`${baseUrl}/anything`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/send`, { method: 'OPTIONS' })).status, 404);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Browser pool tests - concurrency limit, host politeness delay and context
+ * isolation, using a fake browser so no Chrome is needed
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { BrowserPool, getHostDelay } from '../src/lib/browserPool.js';
+
+/**
+ * Fake Puppeteer browser recording the contexts it creates
+ * @returns {Object}
+ */
+function fakeBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.contexts = [];
+  browser.createBrowserContext = async () => {
+    const context = { id: browser.contexts.length, closed: false, close: async () => { context.closed = true; } };
+    browser.contexts.push(context);
+    return context;
+  };
+  return browser;
+}
+
+function createPool(options = {}) {
+  const launched = [];
+  const pool = new BrowserPool({
+    launch: async () => {
+      const browser = fakeBrowser();
+      launched.push(browser);
+      return browser;
+    },
+    close: async () => {},
+    concurrency: 2,
+    hostDelay: 0,
+    ...options
+  });
+  return { pool, launched };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BrowserPool', () => {
+  it('runs at most `concurrency` tasks at once on one shared browser', async () => {
+    const { pool, launched } = createPool();
+    let running = 0;
+    let peak = 0;
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(n => pool.withContext(async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await sleep(20);
+      running--;
+      return n;
+    })));
+
+    assert.deepEqual(results, [1, 2, 3, 4, 5]);
+    assert.equal(peak, 2);
+    assert.equal(launched.length, 1);
+    await pool.shutdown();
+  });
+
+  it('gives every task its own context and closes it, even on errors', async () => {
+    const { pool, launched } = createPool();
+
+    const ids = await Promise.all([0, 1].map(() => pool.withContext(async (context) => context.id)));
+    await assert.rejects(pool.withContext(async () => { throw new Error('login failed'); }), /login failed/);
+
+    assert.notEqual(ids[0], ids[1]);
+    assert.ok(launched[0].contexts.every(context => context.closed));
+    assert.equal(pool.active, 0);
+    await pool.shutdown();
+  });
+
+  it('starts sessions on the same host at least the delay apart', async () => {
+    const { pool } = createPool({ concurrency: 3, hostDelay: 40 });
+    const starts = [];
+    const waits = [];
+
+    await Promise.all([0, 1, 2].map(() => pool.withContext(async () => {
+      starts.push(Date.now());
+    }, { host: 'vulms.vu.edu.pk', onWait: (ms) => waits.push(ms) })));
+
+    starts.sort((a, b) => a - b);
+    assert.ok(starts[1] - starts[0] >= 35);
+    assert.ok(starts[2] - starts[1] >= 35);
+    assert.equal(waits.length, 2);
+
+    // Another host is not held back
+    const before = Date.now();
+    await pool.withContext(async () => {}, { host: 'example.com' });
+    assert.ok(Date.now() - before < 35);
+    await pool.shutdown();
+  });
+
+  it('launches a new browser after the shared one disconnects', async () => {
+    const { pool, launched } = createPool();
+
+    await pool.withContext(async () => {});
+    launched[0].connected = false;
+    launched[0].emit('disconnected');
+    await pool.withContext(async () => {});
+
+    assert.equal(launched.length, 2);
+    await pool.shutdown();
+  });
+});
+
+describe('getHostDelay', () => {
+  it('ignores the old WAIT_TIME_MS setting', () => {
+    const saved = { SCRAPE_HOST_DELAY_MS: process.env.SCRAPE_HOST_DELAY_MS, WAIT_TIME_MS: process.env.WAIT_TIME_MS };
+    try {
+      delete process.env.SCRAPE_HOST_DELAY_MS;
+      process.env.WAIT_TIME_MS = '60000';
+      assert.equal(getHostDelay(), 5000);
+
+      process.env.SCRAPE_HOST_DELAY_MS = '1000';
+      assert.equal(getHostDelay(), 1000);
+    } finally {
+      for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    }
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * CalDAV sync tests - client requests against an in-process server and the
+ * sync plan that keeps re-runs idempotent. Set CALDAV_TEST_URL (with
+ * CALDAV_TEST_USER and CALDAV_TEST_PASSWORD) to also run against a real
+ * server such as Radicale.
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkCalendar, putEvent, deleteEvent, getEventUrl, assertPublicUrl, isPrivateAddress } from '../src/lib/caldav.js';
+import { planCalendarSync } from '../src/lib/calendarSync.js';
+import { buildEventResource } from '../src/lib/ical.js';
+import User from '../src/models/User.js';
+
+const NOW = new Date('2026-01-05T08:00:00Z');
+const AUTH = `Basic ${Buffer.from('student:secret').toString('base64')}`;
+
+/**
+ * Minimal CalDAV server: one calendar collection at /cal/ holding resources in memory
+ * @returns {Promise<Object>} - { url, events, close }
+ */
+function startCalendarServer() {
+  const events = new Map();
+
+  const server = http.createServer((req, res) => {
+    if (req.headers.authorization !== AUTH) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Basic realm="cal"' }).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'PROPFIND' && req.url === '/cal/') {
+        res.writeHead(207, { 'Content-Type': 'application/xml' }).end(
+          '<d:multistatus xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:response><d:href>/cal/</d:href>'
+          + '<d:propstat><d:prop><d:resourcetype><d:collection/><c:calendar/></d:resourcetype></d:prop></d:propstat></d:response></d:multistatus>'
+        );
+      } else if (req.method === 'PROPFIND') {
+        res.writeHead(207).end('<d:multistatus xmlns:d="DAV:"><d:response><d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat></d:response></d:multistatus>');
+      } else if (req.method === 'PUT') {
+        const created = !events.has(req.url);
+        events.set(req.url, body);
+        res.writeHead(created ? 201 : 204).end();
+      } else if (req.method === 'DELETE') {
+        res.writeHead(events.delete(req.url) ? 204 : 404).end();
+      } else {
+        res.writeHead(405).end();
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/cal/`,
+        events,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('CalDAV client', () => {
+  let calendar;
+
+  before(async () => {
+    // The test server listens on loopback, which is refused unless allowed
+    process.env.CALDAV_ALLOWED_HOSTS = '127.0.0.1';
+    calendar = await startCalendarServer();
+  });
+
+  after(async () => {
+    delete process.env.CALDAV_ALLOWED_HOSTS;
+    await calendar?.close();
+  });
+
+  it('accepts a calendar collection and rejects wrong credentials or plain collections', async () => {
+    await checkCalendar({ url: calendar.url, username: 'student', password: 'secret' });
+    await assert.rejects(checkCalendar({ url: calendar.url, username: 'student', password: 'wrong' }), /401/);
+    await assert.rejects(
+      checkCalendar({ url: calendar.url.replace('/cal/', '/files/'), username: 'student', password: 'secret' }),
+      /not a CalDAV calendar/
+    );
+  });
+
+  it('writes, replaces and deletes event resources', async () => {
+    const target = { url: calendar.url, username: 'student', password: 'secret' };
+    const url = getEventUrl(calendar.url, 'key-1');
+
+    await putEvent(target, url, 'first');
+    await putEvent(target, url, 'second');
+    assert.equal(calendar.events.get('/cal/key-1.ics'), 'second');
+
+    await deleteEvent(target, url);
+    await deleteEvent(target, url);
+    assert.equal(calendar.events.size, 0);
+  });
+});
+
+describe('CalDAV host check', () => {
+  after(() => {
+    delete process.env.CALDAV_ALLOWED_HOSTS;
+  });
+
+  it('recognizes loopback, private, link-local and unique-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '172.32.0.1', '2606:4700::1111', '::ffff:93.184.216.34']) {
+      assert.equal(isPrivateAddress(address), false, address);
+    }
+  });
+
+  it('refuses calendars on private hosts before sending anything', async () => {
+    for (const url of ['http://127.0.0.1:5232/cal/', 'http://localhost:5232/cal/', 'http://[::1]/cal/', 'http://169.254.169.254/latest/meta-data/']) {
+      await assert.rejects(checkCalendar({ url, username: 'student', password: 'secret' }), /private network/, url);
+    }
+    await assert.rejects(assertPublicUrl('ftp://93.184.216.34/cal/'), /http:\/\/ or https:\/\//);
+    await assertPublicUrl('https://93.184.216.34/cal/');
+  });
+
+  it('allows the hosts in CALDAV_ALLOWED_HOSTS', async () => {
+    process.env.CALDAV_ALLOWED_HOSTS = 'radicale.lan, LOCALHOST';
+    await assertPublicUrl('http://localhost:5232/cal/');
+    await assert.rejects(assertPublicUrl('http://127.0.0.1:5232/cal/'), /private network/);
+  });
+});
+
+describe('planCalendarSync', () => {
+  const user = new User({
+    username: 'bc000000001',
+    password: 'secret',
+    whatsapp: '923001234567',
+    caldav: { url: 'http://127.0.0.1:5232/bc000000001/lms', username: 'bc000000001', enabled: true }
+  });
+
+  const activity = (overrides = {}) => ({
+    _id: 'a1',
+    activityKey: 'key-1',
+    courseCode: 'CS101',
+    activityType: 'Quiz',
+    title: 'Quiz No. 1',
+    dueDate: new Date('2026-01-10T18:59:00Z'),
+    link: '#',
+    removedAt: null,
+    completedAt: null,
+    updatedAt: NOW,
+    ...overrides
+  });
+
+  // Record as saved after each step of a plan succeeded
+  const applied = (plan) => plan.map(step => ({
+    activityId: step.activity._id,
+    eventUrl: step.eventUrl,
+    status: step.action === 'put' ? 'synced' : 'deleted',
+    contentHash: step.contentHash
+  }));
+
+  it('writes new activities once and skips them while unchanged', () => {
+    const plan = planCalendarSync(user, [activity()], [], NOW);
+    assert.deepEqual(plan.map(step => step.action), ['put']);
+    assert.equal(plan[0].eventUrl, 'http://127.0.0.1:5232/bc000000001/lms/key-1.ics');
+    assert.match(plan[0].body, /UID:key-1@/);
+
+    // A later scrape only touches lastSeenAt/updatedAt
+    const later = new Date(NOW.getTime() + 60 * 60 * 1000);
+    assert.deepEqual(planCalendarSync(user, [activity({ updatedAt: later })], applied(plan), later), []);
+  });
+
+  it('replaces the event when the deadline moves and retries failed writes', () => {
+    const records = applied(planCalendarSync(user, [activity()], [], NOW));
+
+    const moved = planCalendarSync(user, [activity({ dueDate: new Date('2026-01-12T18:59:00Z') })], records, NOW);
+    assert.deepEqual(moved.map(step => step.action), ['put']);
+    assert.equal(moved[0].eventUrl, records[0].eventUrl);
+
+    const failed = [{ ...records[0], status: 'failed' }];
+    assert.deepEqual(planCalendarSync(user, [activity()], failed, NOW).map(step => step.action), ['put']);
+  });
+
+  it('deletes removed activities once and ignores those never written', () => {
+    const records = applied(planCalendarSync(user, [activity()], [], NOW));
+    const removed = activity({ removedAt: NOW });
+
+    const plan = planCalendarSync(user, [removed], records, NOW);
+    assert.deepEqual(plan.map(step => step.action), ['delete']);
+    assert.deepEqual(planCalendarSync(user, [removed], applied(plan), NOW), []);
+    assert.deepEqual(planCalendarSync(user, [removed], [], NOW), []);
+  });
+});
+
+describe('CalDAV server from CALDAV_TEST_URL', { skip: !process.env.CALDAV_TEST_URL && 'CALDAV_TEST_URL is not set' }, () => {
+  it('stores and deletes an event', async () => {
+    const target = {
+      url: process.env.CALDAV_TEST_URL,
+      username: process.env.CALDAV_TEST_USER || '',
+      password: process.env.CALDAV_TEST_PASSWORD || ''
+    };
+    const user = new User({ username: 'caldav-test', password: 'x', whatsapp: '923001234567' });
+    const url = getEventUrl(target.url, `vulms-test-${Date.now()}`);
+
+    await checkCalendar(target);
+    await putEvent(target, url, buildEventResource(user, {
+      _id: 'test', courseCode: 'CS101', activityType: 'Quiz', title: 'CalDAV test', dueDate: new Date(Date.now() + 86400000), link: '#'
+    }));
+    await deleteEvent(target, url);
+  });
+});
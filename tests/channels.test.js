@@ -0,0 +1,101 @@
+/**
+ * Notification channel tests - fallback order and why a delivery failed
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { deliver, getChannel, getPreferredChannels } from '../src/lib/channels/index.js';
+
+const USER = {
+  username: 'bc123456789',
+  whatsapp: '+923001234567',
+  email: 'student@example.com',
+  telegramChatId: '12345',
+  notificationChannels: ['whatsapp', 'email', 'telegram']
+};
+
+/**
+ * Replace a channel's methods for one test
+ * @param {string} name - Channel name
+ * @param {Object} stub - { available, recipient, send }
+ * @returns {Array} - Recipients the channel was asked to send to
+ */
+function stubChannel(name, { available = true, recipient = `${name}-recipient`, send = async () => {} } = {}) {
+  const channel = getChannel(name);
+  const sent = [];
+
+  mock.method(channel, 'isAvailable', () => available);
+  mock.method(channel, 'getRecipient', () => recipient);
+  mock.method(channel, 'send', async (to, message) => {
+    sent.push(to);
+    await send(to, message);
+  });
+
+  return sent;
+}
+
+describe('getPreferredChannels', () => {
+  it('defaults to WhatsApp and drops unknown or repeated names', () => {
+    assert.deepEqual(getPreferredChannels({}), ['whatsapp']);
+    assert.deepEqual(getPreferredChannels({ notificationChannels: ['email', 'sms', 'email', 'whatsapp'] }), ['email', 'whatsapp']);
+  });
+});
+
+describe('deliver', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('uses the first channel that delivers', async () => {
+    const whatsapp = stubChannel('whatsapp');
+    const email = stubChannel('email');
+
+    const { channel, attempts } = await deliver(USER, 'Hello');
+
+    assert.equal(channel, 'whatsapp');
+    assert.deepEqual(attempts, [{ channel: 'whatsapp', error: null }]);
+    assert.equal(whatsapp.length, 1);
+    assert.equal(email.length, 0);
+  });
+
+  it('falls back past unavailable channels, missing recipients and failed sends', async () => {
+    stubChannel('whatsapp', { available: false });
+    stubChannel('email', { send: async () => { throw new Error('SMTP refused'); } });
+    const telegram = stubChannel('telegram');
+
+    const { channel, attempts } = await deliver(USER, 'Hello');
+
+    assert.equal(channel, 'telegram');
+    assert.deepEqual(attempts.map(a => [a.channel, a.error]), [
+      ['whatsapp', 'not available'],
+      ['email', 'SMTP refused'],
+      ['telegram', null]
+    ]);
+    assert.deepEqual(telegram, ['telegram-recipient']);
+  });
+
+  it('reports CHANNELS_UNAVAILABLE when no channel could be tried', async () => {
+    stubChannel('whatsapp', { available: false });
+    stubChannel('email', { recipient: null });
+    stubChannel('telegram', { available: false });
+
+    await assert.rejects(deliver(USER, 'Hello'), (error) => {
+      assert.equal(error.code, 'CHANNELS_UNAVAILABLE');
+      assert.deepEqual(error.attempts.map(a => a.error), ['not available', 'no recipient configured', 'not available']);
+      return true;
+    });
+  });
+
+  it('reports DELIVERY_FAILED when every attempted send failed', async () => {
+    stubChannel('whatsapp', { send: async () => { throw new Error('Session closed'); } });
+    stubChannel('email', { available: false });
+    stubChannel('telegram', { recipient: null });
+
+    await assert.rejects(deliver(USER, 'Hello'), (error) => {
+      assert.equal(error.code, 'DELIVERY_FAILED');
+      assert.match(error.message, /whatsapp: Session closed/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Credential vault tests - encryption bound to its context, tamper detection
+ * and key rotation
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { encryptSecret, decryptSecret, isVaultConfigured, needsRotation, rotateSecret } from '../src/lib/credentialVault.js';
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+const OLD_KEY = `k1:${newKey()}`;
+const NEW_KEY = `k2:${newKey()}`;
+const USER_ID = '665f1c2a9b1e8a0012345678';
+
+describe('credential vault', () => {
+  afterEach(() => {
+    delete process.env.CREDENTIAL_KEYS;
+  });
+
+  it('round-trips a secret without storing it in the clear', () => {
+    process.env.CREDENTIAL_KEYS = OLD_KEY;
+    const payload = encryptSecret('lms-password', USER_ID);
+
+    assert.match(payload, /^k1:[^:]+:[^:]+:[^:]+$/);
+    assert.ok(!payload.includes('lms-password'));
+    assert.equal(decryptSecret(payload, USER_ID), 'lms-password');
+    assert.notEqual(encryptSecret('lms-password', USER_ID), payload);
+  });
+
+  it('only decrypts with the context it was encrypted for', () => {
+    process.env.CREDENTIAL_KEYS = OLD_KEY;
+    const payload = encryptSecret('lms-password', USER_ID);
+
+    assert.throws(() => decryptSecret(payload, '665f1c2a9b1e8a0087654321'));
+    assert.throws(() => decryptSecret(payload, `${USER_ID}:caldav`));
+  });
+
+  it('rejects tampered and malformed payloads', () => {
+    process.env.CREDENTIAL_KEYS = OLD_KEY;
+    const [keyId, iv, tag, ciphertext] = encryptSecret('lms-password', USER_ID).split(':');
+    const bytes = Buffer.from(ciphertext, 'base64');
+    bytes[0] ^= 1;
+
+    assert.throws(() => decryptSecret([keyId, iv, tag, bytes.toString('base64')].join(':'), USER_ID));
+    assert.throws(() => decryptSecret('not-a-payload', USER_ID), /Malformed/);
+    assert.throws(() => decryptSecret(['k9', iv, tag, ciphertext].join(':'), USER_ID), /"k9" is not configured/);
+  });
+
+  it('rotates payloads onto the primary key', () => {
+    process.env.CREDENTIAL_KEYS = OLD_KEY;
+    const payload = encryptSecret('lms-password', USER_ID);
+    assert.equal(needsRotation(payload), false);
+
+    process.env.CREDENTIAL_KEYS = `${NEW_KEY},${OLD_KEY}`;
+    assert.equal(needsRotation(payload), true);
+    assert.equal(decryptSecret(payload, USER_ID), 'lms-password');
+
+    const rotated = rotateSecret(payload, USER_ID);
+    assert.match(rotated, /^k2:/);
+    assert.equal(needsRotation(rotated), false);
+
+    // The old key can be removed once everything is rotated
+    process.env.CREDENTIAL_KEYS = NEW_KEY;
+    assert.equal(decryptSecret(rotated, USER_ID), 'lms-password');
+    assert.throws(() => decryptSecret(payload, USER_ID), /"k1" is not configured/);
+  });
+
+  it('needs valid keys to encrypt', () => {
+    assert.equal(isVaultConfigured(), false);
+    assert.throws(() => encryptSecret('lms-password'), /CREDENTIAL_KEYS is not defined/);
+
+    process.env.CREDENTIAL_KEYS = 'k1:dG9vLXNob3J0';
+    assert.throws(() => encryptSecret('lms-password'), /must be 32 bytes/);
+  });
+});
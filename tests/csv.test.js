@@ -0,0 +1,59 @@
+/**
+ * CSV tests - roster import parsing, export escaping and search filters
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, toCsv } from '../src/lib/csv.js';
+import { buildRosterQuery } from '../src/lib/roster.js';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('username,password\nbc123,secret\n'), [
+      ['username', 'password'],
+      ['bc123', 'secret']
+    ]);
+  });
+
+  it('handles quotes, doubled quotes and embedded newlines', () => {
+    assert.deepEqual(parseCsv('"a,b","say ""hi""","line1\nline2"'), [
+      ['a,b', 'say "hi"', 'line1\nline2']
+    ]);
+  });
+
+  it('handles CRLF, a BOM and blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFbc1,x\r\n\r\n,\r\nbc2,y'), [
+      ['bc1', 'x'],
+      ['bc2', 'y']
+    ]);
+  });
+});
+
+describe('toCsv', () => {
+  it('quotes fields with separators and quotes', () => {
+    assert.equal(toCsv([['a,b', 'say "hi"', 'plain']]), '"a,b","say ""hi""",plain\r\n');
+  });
+
+  it('guards formula-like values but leaves phone numbers alone', () => {
+    assert.equal(toCsv([['=SUM(A1)', '@cmd', '-x', '+923001234567']]), "'=SUM(A1),'@cmd,'-x,+923001234567\r\n");
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [['bc1', '+923001234567', 'Group "A", morning']];
+    assert.deepEqual(parseCsv(toCsv(rows)), rows);
+  });
+});
+
+describe('buildRosterQuery', () => {
+  it('filters by status and group', () => {
+    assert.deepEqual(buildRosterQuery({ status: 'active', group: 'A' }), { isActive: true, group: 'A' });
+    assert.deepEqual(buildRosterQuery({ status: 'all', group: '' }), {});
+  });
+
+  it('escapes regex characters in the search', () => {
+    const query = buildRosterQuery({ search: 'bc1+' });
+    assert.ok(query.$or[0].username.test('BC1+'));
+    assert.ok(!query.$or[0].username.test('bc11'));
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Digest tests - send-time checks and message grouping
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isDigestDue, formatDigest } from '../src/lib/digest.js';
+import Activity from '../src/models/Activity.js';
+
+// Wednesday, Dec 24, 2025 in Pakistan
+const TIMEZONE = 'Asia/Karachi';
+const at = (time) => new Date(`2025-12-24T${time}:00+05:00`);
+
+function makeUser(digest) {
+  return {
+    timezone: TIMEZONE,
+    digest: { mode: 'daily', time: '07:00', weekday: 1, lastSentAt: null, ...digest }
+  };
+}
+
+function makeActivity(courseCode, activityType, title, dueDate) {
+  return new Activity({ courseCode, activityType, title, dueDate: new Date(dueDate), link: '#' });
+}
+
+describe('isDigestDue', () => {
+  it('waits for the local send time', () => {
+    assert.equal(isDigestDue(makeUser(), at('06:59')), false);
+    assert.equal(isDigestDue(makeUser(), at('07:00')), true);
+    assert.equal(isDigestDue(makeUser(), at('18:30')), true);
+  });
+
+  it('sends once per day', () => {
+    assert.equal(isDigestDue(makeUser({ lastSentAt: at('07:05') }), at('12:00')), false);
+    assert.equal(isDigestDue(makeUser({ lastSentAt: new Date('2025-12-23T07:05:00+05:00') }), at('07:00')), true);
+  });
+
+  it('uses the day in the user\'s timezone', () => {
+    // 9:30 PM in New York on Dec 23 is already 7:30 AM on Dec 24 in Pakistan
+    const user = makeUser({ lastSentAt: new Date('2025-12-23T07:00:00-05:00') });
+    assert.equal(isDigestDue({ ...user, timezone: 'America/New_York' }, new Date('2025-12-23T21:30:00-05:00')), false);
+    assert.equal(isDigestDue(user, new Date('2025-12-23T21:30:00-05:00')), true);
+  });
+
+  it('sends weekly digests only on the chosen weekday', () => {
+    assert.equal(isDigestDue(makeUser({ mode: 'weekly', weekday: 3 }), at('08:00')), true);
+    assert.equal(isDigestDue(makeUser({ mode: 'weekly', weekday: 1 }), at('08:00')), false);
+  });
+
+  it('never sends when digests are off', () => {
+    assert.equal(isDigestDue(makeUser({ mode: 'off' }), at('08:00')), false);
+  });
+});
+
+describe('formatDigest', () => {
+  const now = at('07:00');
+  const activities = [
+    makeActivity('CS101', 'Quiz', 'Quiz No. 1', '2025-12-24T17:00:00+05:00'),
+    makeActivity('CS101', 'Assignment', 'Assignment No. 1', '2025-12-26T23:59:00+05:00'),
+    makeActivity('MTH101', 'Assignment', 'Assignment No. 2', '2025-12-28T23:59:00+05:00'),
+    makeActivity('CS101', 'Assignment', 'Assignment No. 2', '2025-12-30T23:59:00+05:00')
+  ];
+  const message = formatDigest(makeUser(), activities, now);
+
+  it('splits activities due today from the rest of the week', () => {
+    const [today, later] = message.split('🗓️');
+    assert.match(today, /DUE TODAY \(1\)[\s\S]*Quiz No\. 1 - 5:00 PM/);
+    assert.match(later, /NEXT 7 DAYS \(3\)/);
+    assert.doesNotMatch(later, /Quiz No\. 1/);
+  });
+
+  it('groups by course, then type', () => {
+    const later = message.split('🗓️')[1];
+    assert.match(later, /\*CS101\*\n📋 _Assignment_\n• Assignment No\. 1 - Fri, Dec 26, 11:59 PM \[\w{6}\]\n• Assignment No\. 2 - Tue, Dec 30, 11:59 PM/);
+    assert.match(later, /\*MTH101\*\n📋 _Assignment_\n• Assignment No\. 2 - Sun, Dec 28, 11:59 PM/);
+  });
+
+  it('includes the short codes used by bot commands', () => {
+    assert.ok(message.includes(`[${activities[0].getShortId()}]`));
+  });
+
+  it('names weekly digests', () => {
+    assert.match(formatDigest(makeUser({ mode: 'weekly' }), activities, now), /^📰 \*WEEKLY DIGEST\*\n📅 Wednesday, December 24/);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Group broadcast tests - validation, the activity key shared between students,
+ * and how the scheduler plans and sends posts, against stubbed models and session
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import scheduler from '../src/lib/scheduler.js';
+import whatsappClient from '../src/lib/whatsapp.js';
+import GroupBroadcast from '../src/models/GroupBroadcast.js';
+import GroupPost from '../src/models/GroupPost.js';
+import User from '../src/models/User.js';
+import Activity from '../src/models/Activity.js';
+
+const CHAT_ID = '120363025246125486@g.us';
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Due post stub recording what happened to it
+ * @param {Object} broadcast - Populated broadcast
+ * @param {string} title - Activity title
+ * @returns {Object}
+ */
+function duePost(broadcast, title) {
+  const post = {
+    broadcastId: broadcast,
+    activityIds: [new mongoose.Types.ObjectId()],
+    courseCode: 'CS101',
+    activityType: 'Assignment',
+    title,
+    notificationType: 'reminder',
+    offsetMinutes: 1440,
+    dueDate: new Date(Date.now() + 24 * HOUR),
+    status: 'pending',
+    markAsSent: async () => {
+      post.status = 'sent';
+    },
+    markAsFailed: async (reason) => {
+      post.status = 'failed';
+      post.error = reason;
+    },
+    markAsCancelled: async (reason) => {
+      post.status = 'cancelled';
+      post.error = reason;
+    }
+  };
+  return post;
+}
+
+/**
+ * Query stub that resolves to the given documents, with or without .select()
+ * @param {Array} documents - Query result
+ * @returns {Promise<Array>}
+ */
+function query(documents) {
+  const result = Promise.resolve(documents);
+  result.select = () => result;
+  return result;
+}
+
+describe('GroupBroadcast', () => {
+  it('needs a course code or cohort', async () => {
+    await assert.rejects(new GroupBroadcast({ name: 'Everyone', chatId: CHAT_ID }).validate(), /course code or cohort/);
+    await new GroupBroadcast({ name: 'CS101', chatId: CHAT_ID, courseCode: 'cs101' }).validate();
+    await new GroupBroadcast({ name: 'Morning A', chatId: CHAT_ID, cohort: 'Morning A' }).validate();
+  });
+
+  it('only accepts group chat ids', async () => {
+    await assert.rejects(
+      new GroupBroadcast({ name: 'CS101', chatId: '923001234567@c.us', courseCode: 'CS101' }).validate(),
+      /@g\.us/
+    );
+  });
+
+  it('rejects invalid reminder offsets', async () => {
+    await assert.rejects(
+      new GroupBroadcast({ name: 'CS101', chatId: CHAT_ID, courseCode: 'CS101', reminderOffsets: ['soon'] }).validate(),
+      /Reminder offsets/
+    );
+  });
+
+  it('gives the same activity of different students the same key', () => {
+    const first = { courseCode: 'CS101', activityType: 'Assignment', title: 'Assignment 1', link: 'https://vulms.vu.edu.pk/a?id=1' };
+    const second = { courseCode: 'cs101 ', activityType: 'Assignment', title: ' assignment 1', link: 'https://vulms.vu.edu.pk/a?id=2' };
+
+    assert.equal(GroupBroadcast.generateActivityKey(first), GroupBroadcast.generateActivityKey(second));
+    assert.notEqual(
+      GroupBroadcast.generateActivityKey(first),
+      GroupBroadcast.generateActivityKey({ ...first, activityType: 'Quiz' })
+    );
+  });
+});
+
+describe('processGroupPosts', () => {
+  const broadcast = { name: 'CS101 group', chatId: CHAT_ID, isActive: true, timezone: 'Asia/Karachi' };
+  let due;
+  let sentTo;
+
+  beforeEach(() => {
+    due = [];
+    sentTo = [];
+    const posts = { populate: () => posts, limit: async () => due };
+    mock.method(GroupPost, 'find', () => posts);
+    mock.method(Activity, 'exists', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    mock.method(whatsappClient, 'isClientReady', () => true);
+    mock.method(whatsappClient, 'sendToChat', async (chatId, message) => {
+      sentTo.push({ chatId, message });
+    });
+    // Skips the pause between posts
+    mock.method(globalThis, 'setTimeout', (callback) => callback());
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('posts due reminders to the broadcast chat', async () => {
+    const post = duePost(broadcast, 'Assignment No. 1');
+    due.push(post);
+
+    const result = await scheduler.processGroupPosts();
+
+    assert.deepEqual(result, { sent: 1, failed: 0, cancelled: 0 });
+    assert.equal(post.status, 'sent');
+    assert.equal(sentTo.length, 1);
+    assert.equal(sentTo[0].chatId, CHAT_ID);
+    assert.match(sentTo[0].message, /Assignment No\. 1/);
+  });
+
+  it('marks a post failed when the chat cannot be reached and goes on with the rest', async () => {
+    const failing = duePost(broadcast, 'Assignment No. 1');
+    const next = duePost(broadcast, 'Quiz No. 1');
+    due.push(failing, next);
+    let calls = 0;
+    whatsappClient.sendToChat.mock.mockImplementation(async () => {
+      if (calls++ === 0) throw new Error('Chat not found');
+    });
+
+    const result = await scheduler.processGroupPosts();
+
+    assert.deepEqual(result, { sent: 1, failed: 1, cancelled: 0 });
+    assert.equal(failing.status, 'failed');
+    assert.equal(failing.error, 'Chat not found');
+    assert.equal(next.status, 'sent');
+  });
+
+  it('keeps posts pending while the session is not ready', async () => {
+    whatsappClient.isClientReady.mock.mockImplementation(() => false);
+    const post = duePost(broadcast, 'Assignment No. 1');
+    due.push(post);
+
+    const result = await scheduler.processGroupPosts();
+
+    assert.deepEqual(result, { sent: 0, failed: 0, cancelled: 0 });
+    assert.equal(post.status, 'pending');
+    assert.equal(GroupPost.find.mock.callCount(), 0);
+  });
+
+  it('cancels posts of inactive broadcasts and of activities no longer due', async () => {
+    const inactive = duePost({ ...broadcast, isActive: false }, 'Assignment No. 1');
+    const done = duePost(broadcast, 'Quiz No. 1');
+    due.push(inactive, done);
+    Activity.exists.mock.mockImplementation(async () => null);
+
+    const result = await scheduler.processGroupPosts();
+
+    assert.deepEqual(result, { sent: 0, failed: 0, cancelled: 2 });
+    assert.equal(inactive.error, 'Broadcast is inactive');
+    assert.equal(done.error, 'No longer due for any student');
+    assert.equal(sentTo.length, 0);
+  });
+});
+
+describe('rescheduleBroadcast', () => {
+  let upserts;
+
+  beforeEach(() => {
+    upserts = [];
+    mock.method(GroupPost, 'deleteMany', async () => ({ deletedCount: 0 }));
+    mock.method(GroupPost, 'updateOne', async (filter, update) => {
+      upserts.push({ ...filter, ...update.$setOnInsert });
+      return { upsertedCount: 1 };
+    });
+    mock.method(User, 'find', () => query([{ _id: new mongoose.Types.ObjectId() }]));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('replaces pending posts with reminders for upcoming activities', async () => {
+    const broadcast = new GroupBroadcast({ name: 'CS101', chatId: CHAT_ID, courseCode: 'CS101', reminderOffsets: ['1d', '1h'] });
+    mock.method(Activity, 'find', async () => [{
+      _id: new mongoose.Types.ObjectId(),
+      courseCode: 'CS101',
+      activityType: 'Assignment',
+      title: 'Assignment No. 1',
+      // The 1 day reminder is already past
+      dueDate: new Date(Date.now() + 3 * HOUR)
+    }]);
+
+    const scheduled = await scheduler.rescheduleBroadcast(broadcast);
+
+    assert.equal(scheduled, 1);
+    assert.deepEqual(GroupPost.deleteMany.mock.calls[0].arguments[0], { broadcastId: broadcast._id, status: 'pending' });
+    assert.equal(upserts.length, 1);
+    assert.equal(upserts[0].offsetMinutes, 60);
+    assert.equal(upserts[0].status, 'pending');
+    assert.equal(Activity.find.mock.calls[0].arguments[0].courseCode, 'CS101');
+  });
+
+  it('only clears the pending posts of an inactive broadcast', async () => {
+    const broadcast = new GroupBroadcast({ name: 'CS101', chatId: CHAT_ID, courseCode: 'CS101', isActive: false });
+    mock.method(Activity, 'find', async () => []);
+
+    const scheduled = await scheduler.rescheduleBroadcast(broadcast);
+
+    assert.equal(scheduled, 0);
+    assert.equal(GroupPost.deleteMany.mock.callCount(), 1);
+    assert.equal(Activity.find.mock.callCount(), 0);
+  });
+
+  it('reschedules the students of the old and new cohort when it replaces private reminders', async () => {
+    const broadcast = new GroupBroadcast({ name: 'Morning B', chatId: CHAT_ID, cohort: 'Morning B', replacesDirect: true });
+    const students = [{ username: 'bc100000001' }, { username: 'bc100000002' }];
+    User.find.mock.mockImplementation(() => query(students));
+    const rescheduled = [];
+    mock.method(scheduler, 'rescheduleForUser', async (user) => {
+      rescheduled.push(user.username);
+    });
+    mock.method(GroupPost, 'countDocuments', async () => 4);
+
+    const scheduled = await scheduler.rescheduleBroadcast(broadcast, { cohort: 'Morning A', replacesDirect: false });
+
+    assert.equal(scheduled, 4);
+    assert.deepEqual(User.find.mock.calls[0].arguments[0], { isActive: true, group: { $in: ['Morning B', 'Morning A'] } });
+    assert.deepEqual(rescheduled, ['bc100000001', 'bc100000002']);
+  });
+});
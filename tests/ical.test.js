@@ -0,0 +1,87 @@
+/**
+ * iCalendar feed tests - text escaping, line folding and events per activity
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, buildCalendar, getEventUid } from '../src/lib/ical.js';
+import User from '../src/models/User.js';
+
+const NOW = new Date('2026-01-05T08:00:00Z');
+
+const user = new User({
+  username: 'bc000000001',
+  password: 'secret',
+  whatsapp: '923001234567',
+  reminderPolicy: { notifyOnStart: true, offsets: ['1d', '1h'] }
+});
+
+function activity(overrides = {}) {
+  return {
+    _id: 'a1',
+    activityKey: 'key-1',
+    courseCode: 'CS101',
+    activityType: 'Assignment',
+    title: 'Assignment No. 1',
+    startDate: new Date('2026-01-06T04:00:00Z'),
+    dueDate: new Date('2026-01-10T18:59:00Z'),
+    link: 'OpenActivitySection.aspx?CourseCode=CS101&Id=1',
+    removedAt: null,
+    completedAt: null,
+    updatedAt: NOW,
+    ...overrides
+  };
+}
+
+// Unfold the feed and split it into content lines
+const unfold = (text) => text.replace(/\r\n /g, '').split('\r\n');
+
+describe('escapeText', () => {
+  it('escapes separators, backslashes and newlines', () => {
+    assert.equal(escapeText('a,b;c\\d\ne'), 'a\\,b\\;c\\\\d\\ne');
+  });
+});
+
+describe('foldLine', () => {
+  it('keeps every line within 75 octets without splitting characters', () => {
+    const folded = foldLine(`SUMMARY:${'📚 Quiz '.repeat(30)}`);
+
+    for (const line of folded.split('\r\n')) {
+      assert.ok(Buffer.byteLength(line) <= 75);
+    }
+    assert.equal(folded.replace(/\r\n /g, ''), `SUMMARY:${'📚 Quiz '.repeat(30)}`);
+  });
+});
+
+describe('buildCalendar', () => {
+  it('renders an event at the deadline with alarms for the reminders and the start', () => {
+    const lines = unfold(buildCalendar(user, [activity()], NOW));
+
+    assert.equal(lines[0], 'BEGIN:VCALENDAR');
+    assert.ok(lines.includes('UID:key-1@vulms-todo.vuedu'));
+    assert.ok(lines.includes('DTSTART:20260110T185900Z'));
+    assert.ok(lines.includes('SUMMARY:CS101 Assignment: Assignment No. 1'));
+    assert.ok(lines.includes('URL:https://vulms.vu.edu.pk/OpenActivitySection.aspx?CourseCode=CS101&Id=1'));
+    assert.ok(lines.includes('STATUS:CONFIRMED'));
+    assert.ok(lines.includes('TRIGGER:-PT1440M'));
+    assert.ok(lines.includes('TRIGGER:-PT60M'));
+    assert.ok(lines.includes('TRIGGER;VALUE=DATE-TIME:20260106T040000Z'));
+  });
+
+  it('keeps the UID when the deadline and title change', () => {
+    assert.equal(getEventUid(activity()), getEventUid(activity({ title: 'Assignment 1 (updated)', dueDate: new Date('2026-01-12T18:59:00Z') })));
+  });
+
+  it('cancels removed activities without alarms', () => {
+    const lines = unfold(buildCalendar(user, [activity({ removedAt: NOW })], NOW));
+
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+    assert.ok(!lines.includes('BEGIN:VALARM'));
+  });
+
+  it('adds no alarms for digest users', () => {
+    const digestUser = new User({ username: 'bc2', password: 'x', whatsapp: '923001234568', digest: { mode: 'daily' } });
+    assert.ok(!unfold(buildCalendar(digestUser, [activity()], NOW)).includes('BEGIN:VALARM'));
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * End-to-end scraper tests against the mock LMS (tests/mock-lms.js)
+ * Run with: npm test
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import puppeteer from 'puppeteer';
+import { loginToLMS, resumeSession, getSessionCookies, navigateToCalendar, scrapeActivities, logout } from '../src/lib/scraper.js';
+import { scrapeSection, getSection } from '../src/lib/sections/index.js';
+import { startMockLms, DEFAULT_STUDENTS } from './mock-lms.js';
+
+const [USERNAME, PASSWORD] = Object.entries(DEFAULT_STUDENTS)[0];
+
+let browser = null;
+let launchError = null;
+
+try {
+  browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+} catch (error) {
+  launchError = error;
+}
+
+describe('scraper against mock LMS', { skip: launchError && `Chrome could not be launched: ${launchError.message}` }, () => {
+  let mock;
+  let page;
+
+  before(async () => {
+    mock = await startMockLms();
+    process.env.LMS_URL = mock.url;
+  });
+
+  after(async () => {
+    await mock?.close();
+    if (browser) await browser.close();
+  });
+
+  beforeEach(async () => {
+    mock.resetScenario();
+    page = await browser.newPage();
+  });
+
+  afterEach(async () => {
+    await page.close();
+  });
+
+  it('logs in, scrapes the calendar and logs out', { timeout: 120000 }, async () => {
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).success, true);
+    assert.match(page.url(), /Home\.aspx/);
+
+    assert.equal(await navigateToCalendar(page), true);
+
+    const { activities, scrapedTypes } = await scrapeActivities(page);
+    assert.deepEqual(
+      activities.map(a => [a.activity_type, a.course_code]).sort(),
+      [['Assignment', 'CS101'], ['Assignment', 'MTH101'], ['GDB', 'ENG101'], ['Practical', 'CS201P'], ['Quiz', 'CS101']]
+    );
+    assert.equal(activities.find(a => a.activity_type === 'Quiz').due_time, '17:00');
+    assert.match(activities.find(a => a.activity_type === 'Assignment').link, /^OpenActivitySection\.aspx\?/);
+    assert.deepEqual(scrapedTypes, ['Assignment', 'Quiz', 'GDB', 'Practical']);
+
+    await logout(page);
+    assert.equal(mock.stats.logouts, 1);
+  });
+
+  it('reports a failed login for a wrong password', { timeout: 60000 }, async () => {
+    const login = await loginToLMS(page, USERNAME, 'wrong-password');
+    assert.equal(login.success, false);
+    assert.equal(login.outcome, 'invalid_credentials');
+  });
+
+  it('reports a failed login when the LMS rejects credentials', { timeout: 60000 }, async () => {
+    mock.setScenario({ badCredentials: true });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).outcome, 'invalid_credentials');
+  });
+
+  it('tells a locked account, a captcha and maintenance apart', { timeout: 180000 }, async () => {
+    mock.setScenario({ locked: true });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).outcome, 'account_locked');
+
+    mock.setScenario({ locked: false, captcha: true });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).outcome, 'captcha');
+
+    mock.setScenario({ captcha: false, maintenance: true });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).outcome, 'maintenance');
+  });
+
+  it('waits for slow pages', { timeout: 120000 }, async () => {
+    mock.setScenario({ slowMs: 3000 });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).success, true);
+    assert.equal(await navigateToCalendar(page), true);
+  });
+
+  it('resumes a saved session in a new browser context until it is logged out', { timeout: 180000 }, async () => {
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).success, true);
+    const cookies = await getSessionCookies(page);
+
+    const resumeIn = async () => {
+      const context = await browser.createBrowserContext();
+      try {
+        const fresh = await context.newPage();
+        return await resumeSession(fresh, cookies) && await navigateToCalendar(fresh);
+      } finally {
+        await context.close();
+      }
+    };
+
+    const logins = mock.stats.logins;
+    assert.equal(await resumeIn(), true);
+    assert.equal(mock.stats.logins, logins);
+
+    await logout(page);
+    assert.equal(await resumeIn(), false);
+  });
+
+  it('scrapes a calendar loaded by AJAX without navigation', { timeout: 180000 }, async () => {
+    mock.setScenario({ ajaxCalendar: true });
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).success, true);
+    assert.equal(await navigateToCalendar(page), true);
+
+    const { activities } = await scrapeActivities(page);
+    assert.equal(activities.length, 5);
+  });
+
+  it('scrapes every LMS section page after logging in', { timeout: 180000 }, async () => {
+    assert.equal((await loginToLMS(page, USERNAME, PASSWORD)).success, true);
+
+    const counts = {};
+    for (const name of ['announcements', 'mdb', 'results', 'datesheet']) {
+      counts[name] = (await scrapeSection(page, getSection(name))).length;
+    }
+    assert.deepEqual(counts, { announcements: 2, mdb: 1, results: 2, datesheet: 2 });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Saved LMS session tests - which saved cookies the pipeline tries before logging in
+ * Run with: npm test
+ */
+
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { getSavedSession } from '../src/lib/pipeline.js';
+import User from '../src/models/User.js';
+
+const NOW = new Date('2026-01-05T08:00:00Z');
+const COOKIES = [{ name: 'ASP.NET_SessionId', value: 'abc123', domain: 'vulms.vu.edu.pk', path: '/' }];
+
+function userWithSession(savedAt) {
+  const user = new User({ username: 'bc123456789', whatsapp: '+923001234567' });
+  user.setLmsSession(COOKIES);
+  user.lmsSessionSavedAt = savedAt;
+  return user;
+}
+
+describe('getSavedSession', () => {
+  before(() => {
+    process.env.CREDENTIAL_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+  });
+
+  afterEach(() => {
+    delete process.env.LMS_SESSION_REUSE;
+    delete process.env.LMS_SESSION_MAX_AGE_HOURS;
+  });
+
+  it('returns the decrypted cookies of a recent session', () => {
+    const user = userWithSession(new Date(NOW - 60 * 60 * 1000));
+    assert.notEqual(user.lmsSession, JSON.stringify(COOKIES));
+    assert.deepEqual(getSavedSession(user, NOW), COOKIES);
+  });
+
+  it('skips sessions older than LMS_SESSION_MAX_AGE_HOURS', () => {
+    const user = userWithSession(new Date(NOW - 13 * 60 * 60 * 1000));
+    assert.equal(getSavedSession(user, NOW), null);
+
+    process.env.LMS_SESSION_MAX_AGE_HOURS = '24';
+    assert.deepEqual(getSavedSession(user, NOW), COOKIES);
+  });
+
+  it('skips saved sessions when reuse is turned off', () => {
+    process.env.LMS_SESSION_REUSE = 'false';
+    assert.equal(getSavedSession(userWithSession(NOW), NOW), null);
+  });
+
+  it('skips sessions that cannot be decrypted', () => {
+    const user = userWithSession(NOW);
+    const other = userWithSession(NOW);
+    user.lmsSession = other.lmsSession;
+    assert.equal(getSavedSession(user, NOW), null);
+  });
+});
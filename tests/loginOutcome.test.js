@@ -0,0 +1,145 @@
+/**
+ * Login outcome tests - classifying the page the LMS shows after login and
+ * queueing notices for problems the student has to fix
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyLoginPage, formatLoginNotice, needsAction, getLoginRetryAfter } from '../src/lib/loginOutcome.js';
+import User from '../src/models/User.js';
+
+const LOGIN_URL = 'https://vulms.vu.edu.pk/';
+const HOME_URL = 'https://vulms.vu.edu.pk/Home.aspx';
+
+describe('classifyLoginPage', () => {
+  it('recognizes the signed-in home page', () => {
+    assert.equal(classifyLoginPage({ url: HOME_URL, status: 200, text: 'Welcome' }), 'success');
+    assert.equal(classifyLoginPage({ url: 'https://vulms.vu.edu.pk/StudentPortal/', text: 'Welcome' }), 'success');
+  });
+
+  it('does not take other pages for the home page', () => {
+    assert.equal(classifyLoginPage({ url: 'https://vulms.vu.edu.pk/StudentLogin.aspx', text: 'Session expired' }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: 'https://vulms.vu.edu.pk/Default.aspx', text: 'Welcome' }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: 'https://vulms.vu.edu.pk/Error.aspx?from=/Home.aspx', text: 'Oops' }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: 'not a url', text: 'Welcome' }), 'unexpected_page');
+  });
+
+  it('only blames the credentials when the LMS says they were rejected', () => {
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'Invalid Student ID or Password.', hasLoginForm: true }), 'invalid_credentials');
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'The password you entered is incorrect', hasLoginForm: true }), 'invalid_credentials');
+
+    // The form coming back on its own, or with an unrelated message, is not proof
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'Sign In', hasLoginForm: true }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'Invalid request, please try again', hasLoginForm: true }), 'unexpected_page');
+  });
+
+  it('matches the home page below the path of LMS_URL', () => {
+    const lmsUrl = 'https://lms.example.edu/vulms/';
+    assert.equal(classifyLoginPage({ url: 'https://lms.example.edu/vulms/Home.aspx', lmsUrl }), 'success');
+    assert.equal(classifyLoginPage({ url: 'https://lms.example.edu/vulms/StudentPortal/', lmsUrl: 'https://lms.example.edu/vulms' }), 'success');
+    assert.equal(classifyLoginPage({ url: 'https://lms.example.edu/Home.aspx', lmsUrl }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: 'https://other.example.edu/vulms/Home.aspx', lmsUrl }), 'unexpected_page');
+  });
+
+  it('reads locked accounts, captchas and maintenance from the page', () => {
+    assert.equal(
+      classifyLoginPage({ url: LOGIN_URL, text: 'Your account has been locked due to too many failed login attempts.', hasLoginForm: true }),
+      'account_locked'
+    );
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'Please verify you are human', submitted: false }), 'captcha');
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, hasCaptcha: true, hasLoginForm: true }), 'captcha');
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, status: 503, submitted: false }), 'maintenance');
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'The site is under maintenance', submitted: false }), 'maintenance');
+  });
+
+  it('does not blame credentials before they were submitted', () => {
+    assert.equal(classifyLoginPage({ url: LOGIN_URL, text: 'Invalid request', hasLoginForm: true, submitted: false }), 'unexpected_page');
+    assert.equal(classifyLoginPage({ url: 'https://vulms.vu.edu.pk/Error.aspx', text: 'Something went wrong' }), 'unexpected_page');
+  });
+});
+
+describe('login notices', () => {
+  const newUser = () => new User({ username: 'bc123456789', whatsapp: '+923001234567' });
+
+  it('only asks for action on problems the student can fix', () => {
+    assert.equal(needsAction('invalid_credentials'), true);
+    assert.equal(needsAction('captcha'), true);
+    assert.equal(needsAction('maintenance'), false);
+    assert.equal(needsAction('timeout'), false);
+    assert.match(formatLoginNotice('account_locked'), /locked or blocked/);
+  });
+
+  it('queues one notice per problem until a login succeeds', () => {
+    const user = newUser();
+
+    user.recordLoginOutcome('timeout');
+    assert.equal(user.lmsLogin.pendingNotice, null);
+
+    user.recordLoginOutcome('invalid_credentials');
+    assert.equal(user.lmsLogin.pendingNotice, 'invalid_credentials');
+    assert.equal(user.lmsLogin.message, 'The LMS rejected the student id or password');
+
+    // Sent by the scheduler; the same problem again is not repeated
+    user.lmsLogin.pendingNotice = null;
+    user.lmsLogin.notifiedOutcome = 'invalid_credentials';
+    user.recordLoginOutcome('invalid_credentials');
+    assert.equal(user.lmsLogin.pendingNotice, null);
+
+    user.recordLoginOutcome('success');
+    user.recordLoginOutcome('invalid_credentials');
+    assert.equal(user.lmsLogin.pendingNotice, 'invalid_credentials');
+  });
+});
+
+describe('retrying failed logins', () => {
+  const newUser = () => new User({ username: 'bc123456789', whatsapp: '+923001234567' });
+  const now = new Date('2026-01-10T10:00:00Z');
+
+  it('stops using a rejected password until it is re-entered', () => {
+    const user = newUser();
+
+    user.recordLoginOutcome('invalid_credentials', now);
+    assert.equal(user.needsPasswordReentry, true);
+
+    // Signing up again stores the new password
+    process.env.CREDENTIAL_KEYS = `k1:${Buffer.alloc(32, 1).toString('base64')}`;
+    try {
+      user.setLmsPassword('new-password');
+    } finally {
+      delete process.env.CREDENTIAL_KEYS;
+    }
+    assert.equal(user.needsPasswordReentry, false);
+  });
+
+  it('backs off scheduled logins after a locked account or a captcha', () => {
+    const user = newUser();
+
+    user.recordLoginOutcome('account_locked', now);
+    assert.deepEqual(user.lmsLogin.retryAfter, new Date('2026-01-11T10:00:00Z'));
+    assert.equal(user.isLoginBackedOff(new Date('2026-01-11T09:59:00Z')), true);
+    assert.equal(user.isLoginBackedOff(new Date('2026-01-11T10:00:00Z')), false);
+    assert.equal(user.needsPasswordReentry, false);
+
+    user.recordLoginOutcome('captcha', now);
+    assert.deepEqual(user.lmsLogin.retryAfter, new Date('2026-01-10T16:00:00Z'));
+
+    user.recordLoginOutcome('success', now);
+    assert.equal(user.lmsLogin.retryAfter, null);
+    assert.equal(user.isLoginBackedOff(now), false);
+  });
+
+  it('waits an hour after an unexpected page without asking for the password', () => {
+    const user = newUser();
+
+    user.recordLoginOutcome('unexpected_page', now);
+    assert.deepEqual(user.lmsLogin.retryAfter, new Date('2026-01-10T11:00:00Z'));
+    assert.equal(user.needsPasswordReentry, false);
+    assert.equal(user.lmsLogin.pendingNotice, null);
+  });
+
+  it('retries outages on the next run', () => {
+    assert.equal(getLoginRetryAfter('maintenance', now), null);
+    assert.equal(getLoginRetryAfter('timeout', now), null);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Lookahead tests - storage and notification windows over scraped rows
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLookahead, isWithinLookahead } from '../src/lib/lookahead.js';
+import { getUpcomingActivities } from '../src/lib/pipeline.js';
+
+// Dec 28, 2025 10:00 AM in Pakistan
+const NOW = new Date('2025-12-28T10:00:00+05:00');
+const TIMEZONE = 'Asia/Karachi';
+
+const due = (dueDate) => ({ course_code: 'CS101', due_date: dueDate });
+
+describe('isWithinLookahead', () => {
+  it('keeps today up to the window and drops past and undated rows', () => {
+    const week = { days: 7, currentMonthOnly: false };
+    assert.equal(isWithinLookahead(due('2025-12-28'), week, TIMEZONE, NOW), true);
+    assert.equal(isWithinLookahead(due('2026-01-04'), week, TIMEZONE, NOW), true);
+    assert.equal(isWithinLookahead(due('2026-01-05'), week, TIMEZONE, NOW), false);
+    assert.equal(isWithinLookahead(due('2025-12-27'), week, TIMEZONE, NOW), false);
+    assert.equal(isWithinLookahead(due(null), week, TIMEZONE, NOW), false);
+  });
+
+  it('crosses the end of the month unless limited to the current month', () => {
+    assert.equal(isWithinLookahead(due('2026-01-02'), { days: 7, currentMonthOnly: false }, TIMEZONE, NOW), true);
+    assert.equal(isWithinLookahead(due('2026-01-02'), { days: 7, currentMonthOnly: true }, TIMEZONE, NOW), false);
+    assert.equal(isWithinLookahead(due('2025-12-31'), { days: 7, currentMonthOnly: true }, TIMEZONE, NOW), true);
+  });
+
+  it('has no upper limit when days is null', () => {
+    assert.equal(isWithinLookahead(due('2026-06-01'), { days: null }, TIMEZONE, NOW), true);
+  });
+
+  it('counts days from today in the user\'s timezone', () => {
+    // Dec 25, 2:00 AM in Pakistan but still Dec 24 in New York
+    const lateNight = new Date('2025-12-24T21:00:00Z');
+    const week = { days: 7 };
+
+    assert.equal(isWithinLookahead(due('2025-12-24'), week, TIMEZONE, lateNight), false);
+    assert.equal(isWithinLookahead(due('2026-01-01'), week, TIMEZONE, lateNight), true);
+    assert.equal(isWithinLookahead(due('2025-12-24'), week, 'America/New_York', lateNight), true);
+    assert.equal(isWithinLookahead(due('2026-01-01'), week, 'America/New_York', lateNight), false);
+  });
+});
+
+describe('getLookahead', () => {
+  const VARIABLES = ['STORAGE_LOOKAHEAD_DAYS', 'STORAGE_CURRENT_MONTH_ONLY', 'NOTIFY_LOOKAHEAD_DAYS', 'NOTIFY_CURRENT_MONTH_ONLY'];
+
+  afterEach(() => {
+    for (const name of VARIABLES) delete process.env[name];
+  });
+
+  it('stores everything and notifies for 7 days by default', () => {
+    assert.deepEqual(getLookahead('storage'), { days: null, currentMonthOnly: false });
+    assert.deepEqual(getLookahead('notify'), { days: 7, currentMonthOnly: false });
+  });
+
+  it('reads each window from its own variables', () => {
+    process.env.STORAGE_LOOKAHEAD_DAYS = '60';
+    process.env.NOTIFY_LOOKAHEAD_DAYS = '3';
+    process.env.NOTIFY_CURRENT_MONTH_ONLY = 'true';
+
+    assert.deepEqual(getLookahead('storage'), { days: 60, currentMonthOnly: false });
+    assert.deepEqual(getLookahead('notify'), { days: 3, currentMonthOnly: true });
+  });
+
+  it('accepts "all" and ignores invalid values', () => {
+    process.env.NOTIFY_LOOKAHEAD_DAYS = 'all';
+    process.env.STORAGE_LOOKAHEAD_DAYS = 'soon';
+
+    assert.equal(getLookahead('notify').days, null);
+    assert.equal(getLookahead('storage').days, null);
+  });
+});
+
+describe('getUpcomingActivities', () => {
+  it('includes next month\'s activities in the window, sorted by due date', () => {
+    const activities = [due('2026-01-02'), due('2025-12-29'), due('2026-02-01'), due('2025-12-20')];
+
+    assert.deepEqual(
+      getUpcomingActivities(activities, TIMEZONE, { days: 7, currentMonthOnly: false }, NOW).map(a => a.due_date),
+      ['2025-12-29', '2026-01-02']
+    );
+  });
+});
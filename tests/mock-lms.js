@@ -0,0 +1,344 @@
+/**
+ * Mock VU LMS server for end-to-end tests
+ * Serves the pages the scraper relies on (login form, Home.aspx, Activity
+ * Calendar tables, LMS section pages, logout) with scenario toggles for failure modes.
+ *
+ * Standalone: npm run mock:lms, then start the app with
+ * LMS_URL=http://127.0.0.1:4010/
+ * Scenarios: MOCK_LMS_SCENARIO=bad-credentials,locked,captcha,maintenance,slow,ajax-calendar
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { randomUUID } from 'node:crypto';
+
+export const DEFAULT_STUDENTS = {
+  bc000000001: 'secret'
+};
+
+// Due dates are relative to the moment the calendar is rendered
+export const DEFAULT_ACTIVITIES = [
+  { type: 'Assignment', course: 'CS101', title: 'Assignment No. 1', dueInDays: 2, link: 'OpenActivitySection.aspx?CourseCode=CS101&ActivityType=Assignment&Id=1' },
+  { type: 'Assignment', course: 'MTH101', title: 'Assignment No. 2', dueInDays: 12 },
+  { type: 'Quiz', course: 'CS101', title: 'Quiz No. 1', dueInDays: 3, dueTime: '05:00 PM' },
+  { type: 'GDB', course: 'ENG101', title: 'Graded Discussion Board', dueInDays: 5 },
+  { type: 'Practical', course: 'CS201P', title: 'Lab Task 4', dueInDays: 1 }
+];
+
+const DEFAULT_SCENARIO = {
+  badCredentials: false, // Reject every login
+  locked: false,         // Reject every login with an account locked message
+  captcha: false,        // Show a captcha instead of the login form
+  maintenance: false,    // Answer every page with 503 Service Unavailable
+  slowMs: 0,             // Delay before every response
+  ajaxCalendar: false    // Load the calendar into Home.aspx without navigating
+};
+
+const TABLES = {
+  Assignment: { id: 'MainContent_gvAssignmentsToDo', heading: 'Assignments', noPending: 'No Assignment is pending.' },
+  Quiz: { id: 'MainContent_gvQuizzesToDo', heading: 'Quizzes', noPending: 'No Quiz is pending.' },
+  GDB: { id: 'MainContent_gvGDBsToDo', heading: 'GDB', noPending: 'No GDB is pending.' },
+  Practical: { id: 'MainContent_gvPracticalsToDo', heading: 'Practicals', noPending: 'No Practical is pending.' }
+};
+
+const SESSION_COOKIE = 'ASP.NET_SessionId';
+
+// LMS section pages, served from tests/fixtures (see src/lib/sections)
+const SECTION_PAGES = {
+  '/Announcements/Announcements.aspx': 'section-announcements.html',
+  '/MDB/MDBList.aspx': 'section-mdb.html',
+  '/GradeBook/GradeBook.aspx': 'section-results.html',
+  '/DateSheet/DateSheet.aspx': 'section-datesheet.html'
+};
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Format a date the way the LMS shows it, e.g. "Dec 26, 2025"
+ * @param {Date} date - Instant
+ * @param {string} timezone - LMS timezone
+ * @returns {string}
+ */
+function formatLmsDate(date, timezone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    month: 'short',
+    day: '2-digit',
+    year: 'numeric'
+  }).format(date);
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html>
+<head><title>${escapeHtml(title)}</title></head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+const LOGIN_ERRORS = {
+  invalid: 'Invalid Student ID or Password.',
+  locked: 'Your account has been locked due to too many failed login attempts.'
+};
+
+function loginPage(error) {
+  return page('Virtual University LMS', `
+<form method="post" action="/Login.aspx" id="form1">
+  <input name="txtStudentID" type="text" id="txtStudentID" placeholder="Student ID">
+  <input name="txtPassword" type="password" id="txtPassword" placeholder="Password">
+  <input type="submit" name="ibtnLogin" id="ibtnLogin" value="Sign In">
+  ${LOGIN_ERRORS[error] ? `<span id="lblError" class="text-danger">${LOGIN_ERRORS[error]}</span>` : ''}
+</form>`);
+}
+
+function captchaPage() {
+  return page('Security Check', `
+<h3>Please verify you are human to continue</h3>
+<div class="g-recaptcha" data-sitekey="mock"></div>`);
+}
+
+function sidebar(ajaxCalendar) {
+  const calendarLink = ajaxCalendar
+    ? `<a id="lbtnActivityCalendar" href="#" onclick="loadCalendar(); return false;">Activity Calendar</a>`
+    : '<a id="lbtnActivityCalendar" href="/ActivityCalendar.aspx">Activity Calendar</a>';
+
+  return `
+<div id="sidebar">
+  <a id="lbtnHome" href="/Home.aspx">Home</a>
+  ${calendarLink}
+  <a id="lnkLogout" href="/Logout.aspx">Logout</a>
+</div>`;
+}
+
+function calendarTables(activities, timezone) {
+  const now = Date.now();
+
+  const sections = Object.entries(TABLES).map(([type, table]) => {
+    const rows = activities.filter(activity => activity.type === type).map(activity => {
+      const dueDate = new Date(now + activity.dueInDays * 24 * 60 * 60 * 1000);
+      const openDate = new Date(now - 3 * 24 * 60 * 60 * 1000);
+      const action = activity.link
+        ? `<a href="../ActivitySection/${escapeHtml(activity.link)}" class="btn btn-sm btn-primary">View</a>`
+        : `<a href="javascript:void(0)">Open</a>`;
+
+      return `
+          <tr>
+            <td>${escapeHtml(activity.course)}</td>
+            <td>${escapeHtml(activity.title)}</td>
+            <td>${formatLmsDate(openDate, timezone)} 12:00 AM</td>
+            <td>${formatLmsDate(dueDate, timezone)} ${activity.dueTime || '11:59 PM'}<br><span class="text-danger">${activity.dueInDays} days left</span></td>
+            <td>${action}</td>
+          </tr>`;
+    });
+
+    const body = rows.length > 0
+      ? rows.join('')
+      : `<tr><td colspan="5">${table.noPending}</td></tr>`;
+
+    return `
+    <h4>${table.heading}</h4>
+    <table class="table table-bordered" cellspacing="0" rules="all" border="1" id="${table.id}" style="border-collapse:collapse;">
+      <tbody>
+        <tr>
+          <th scope="col">Course</th><th scope="col">Title</th><th scope="col">Open Date</th><th scope="col">Due Date</th><th scope="col">Action</th>
+        </tr>${body}
+      </tbody>
+    </table>`;
+  });
+
+  return `
+<div id="MainContent_divMain">
+  <div id="tabCClassic" class="tab-pane active">${sections.join('')}
+  </div>
+</div>`;
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header.split(';')
+      .map(part => part.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+  );
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start a mock LMS server
+ * @param {Object} options - { port, host, students, activities, timezone, scenario }
+ * @returns {Promise<Object>} - { url, stats, setScenario, resetScenario, close }
+ */
+export async function startMockLms({
+  port = 0,
+  host = '127.0.0.1',
+  students = DEFAULT_STUDENTS,
+  activities = DEFAULT_ACTIVITIES,
+  timezone = 'Asia/Karachi',
+  scenario = {}
+} = {}) {
+  const sessions = new Map();
+  const stats = { logins: 0, failedLogins: 0, calendarViews: 0, sectionViews: 0, logouts: 0 };
+  let current = { ...DEFAULT_SCENARIO, ...scenario };
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end(body);
+  };
+  const redirect = (res, location, headers = {}) => {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+  };
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+      const username = sessions.get(sessionId);
+
+      // Scenario control for standalone runs
+      if (url.pathname === '/__mock/scenario') {
+        if (req.method === 'POST') {
+          current = { ...DEFAULT_SCENARIO, ...JSON.parse(await readBody(req) || '{}') };
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ scenario: current, stats }));
+      }
+
+      if (current.slowMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, current.slowMs));
+      }
+
+      if (current.maintenance) {
+        return send(res, 503, page('Service Unavailable', '<h1>The LMS is under maintenance. Please try again later.</h1>'));
+      }
+
+      if (req.method === 'POST' && url.pathname === '/Login.aspx') {
+        const form = new URLSearchParams(await readBody(req));
+        const studentId = form.get('txtStudentID');
+
+        if (current.locked) {
+          stats.failedLogins++;
+          return redirect(res, '/?error=locked');
+        }
+
+        if (current.badCredentials || !students[studentId] || students[studentId] !== form.get('txtPassword')) {
+          stats.failedLogins++;
+          return redirect(res, '/?error=invalid');
+        }
+
+        const newSessionId = randomUUID();
+        sessions.set(newSessionId, studentId);
+        stats.logins++;
+        return redirect(res, '/Home.aspx', { 'Set-Cookie': `${SESSION_COOKIE}=${newSessionId}; Path=/; HttpOnly` });
+      }
+
+      if (url.pathname === '/' || url.pathname === '/Login.aspx') {
+        return send(res, 200, current.captcha ? captchaPage() : loginPage(url.searchParams.get('error')));
+      }
+
+      if (!username) {
+        return redirect(res, '/');
+      }
+
+      if (url.pathname === '/Home.aspx') {
+        const script = current.ajaxCalendar ? `
+<script>
+  function loadCalendar() {
+    fetch('/ActivityCalendar.aspx?partial=1')
+      .then(response => response.text())
+      .then(html => { document.getElementById('content').innerHTML = html; });
+  }
+</script>` : '';
+
+        return send(res, 200, page('Home', `
+${sidebar(current.ajaxCalendar)}
+<div id="content">
+  <h3>Welcome, ${escapeHtml(username)}</h3>
+</div>${script}`));
+      }
+
+      if (url.pathname === '/ActivityCalendar.aspx') {
+        stats.calendarViews++;
+        const tables = calendarTables(activities, timezone);
+
+        if (url.searchParams.has('partial')) {
+          return send(res, 200, tables);
+        }
+        return send(res, 200, page('Activity Calendar', `
+${sidebar(current.ajaxCalendar)}
+<div id="content">${tables}
+</div>`));
+      }
+
+      if (SECTION_PAGES[url.pathname]) {
+        stats.sectionViews++;
+        return send(res, 200, await readFile(new URL(`./fixtures/${SECTION_PAGES[url.pathname]}`, import.meta.url), 'utf8'));
+      }
+
+      if (url.pathname === '/Logout.aspx') {
+        sessions.delete(sessionId);
+        stats.logouts++;
+        return redirect(res, '/', { 'Set-Cookie': `${SESSION_COOKIE}=; Path=/; Max-Age=0` });
+      }
+
+      send(res, 404, page('Not Found', '<h1>404</h1>'));
+    } catch (error) {
+      send(res, 500, page('Error', `<pre>${escapeHtml(error.message)}</pre>`));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  return {
+    url: `http://${host}:${server.address().port}/`,
+    stats,
+    setScenario(changes) {
+      current = { ...current, ...changes };
+    },
+    resetScenario() {
+      current = { ...DEFAULT_SCENARIO };
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Run standalone: node tests/mock-lms.js
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const flags = (process.env.MOCK_LMS_SCENARIO || '').split(',').map(flag => flag.trim());
+  const mock = await startMockLms({
+    port: parseInt(process.env.MOCK_LMS_PORT) || 4010,
+    host: process.env.MOCK_LMS_HOST || '127.0.0.1',
+    scenario: {
+      badCredentials: flags.includes('bad-credentials'),
+      locked: flags.includes('locked'),
+      captcha: flags.includes('captcha'),
+      maintenance: flags.includes('maintenance'),
+      slowMs: flags.includes('slow') ? parseInt(process.env.MOCK_LMS_SLOW_MS) || 5000 : 0,
+      ajaxCalendar: flags.includes('ajax-calendar')
+    }
+  });
+
+  console.log(`Mock LMS running at ${mock.url}`);
+  console.log(`Students: ${Object.entries(DEFAULT_STUDENTS).map(([id, pass]) => `${id} / ${pass}`).join(', ')}`);
+}
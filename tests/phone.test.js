@@ -0,0 +1,23 @@
+/**
+ * Phone number tests - normalizing WhatsApp numbers however they are typed
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhoneNumber } from '../src/lib/phone.js';
+
+describe('normalizePhoneNumber', () => {
+  it('keeps only the digits after a plus', () => {
+    assert.equal(normalizePhoneNumber('+92 300 1234567'), '+923001234567');
+    assert.equal(normalizePhoneNumber('923001234567'), '+923001234567');
+    assert.equal(normalizePhoneNumber('(+92) 300-123-4567'), '+923001234567');
+  });
+
+  it('rejects numbers without a country code or with too many digits', () => {
+    assert.equal(normalizePhoneNumber('3001234'), null);
+    assert.equal(normalizePhoneNumber('+1234567890123456'), null);
+    assert.equal(normalizePhoneNumber(''), null);
+    assert.equal(normalizePhoneNumber(undefined), null);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Rate limiter tests - sliding windows per key, client addresses behind
+ * trusted proxies and sign-in attempt limits
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, AttemptLimiter, getClientAddress } from '../src/lib/rateLimit.js';
+
+describe('RateLimiter', () => {
+  it('allows the limit per key within the window', () => {
+    const limiter = new RateLimiter(2, 60000);
+
+    assert.equal(limiter.take('a', 0), 0);
+    assert.equal(limiter.take('a', 10000), 0);
+    assert.equal(limiter.take('a', 20000), 40000);
+    assert.equal(limiter.take('b', 20000), 0);
+
+    // The first attempt leaves the window
+    assert.equal(limiter.take('a', 60001), 0);
+    assert.equal(limiter.take('a', 60002), 9998);
+  });
+
+  it('forgets keys once their window has passed', () => {
+    const limiter = new RateLimiter(1, 1000);
+    limiter.take('a', 0);
+    limiter.take('b', 500);
+
+    limiter.sweep(1200);
+    assert.deepEqual([...limiter.sent.keys()], ['b']);
+  });
+});
+
+describe('getClientAddress', () => {
+  const request = (headers) => ({ headers: new Headers(headers) });
+
+  afterEach(() => {
+    delete process.env.TRUST_PROXY;
+  });
+
+  it('ignores forwarded headers unless proxies are trusted', () => {
+    assert.equal(getClientAddress(request({ 'x-forwarded-for': '203.0.113.7' })), null);
+    assert.equal(getClientAddress(request({ 'x-real-ip': '203.0.113.8' })), null);
+  });
+
+  it('takes the address added by the outermost trusted proxy', () => {
+    process.env.TRUST_PROXY = 'true';
+    assert.equal(getClientAddress(request({ 'x-forwarded-for': '10.9.9.9, 203.0.113.7' })), '203.0.113.7');
+
+    process.env.TRUST_PROXY = '2';
+    assert.equal(getClientAddress(request({ 'x-forwarded-for': 'spoofed, 203.0.113.7, 10.0.0.2' })), '203.0.113.7');
+    assert.equal(getClientAddress(request({ 'x-forwarded-for': '10.0.0.2' })), null);
+  });
+});
+
+describe('AttemptLimiter', () => {
+  const randomAddress = () => `198.51.100.${Math.floor(Math.random() * 255)}, `;
+  const attemptFrom = (headers, username) => ({ address: getClientAddress({ headers: new Headers(headers) }), username });
+
+  afterEach(() => {
+    delete process.env.TRUST_PROXY;
+  });
+
+  it('limits each student id', () => {
+    const limiter = new AttemptLimiter({ limit: 2, globalLimit: 100, windowMs: 60000 });
+
+    assert.equal(limiter.take({ username: 'BC1' }, 0), 0);
+    assert.equal(limiter.take({ username: 'bc1 ' }, 1), 0);
+    assert.ok(limiter.take({ username: 'bc1' }, 2) > 0);
+    assert.equal(limiter.take({ username: 'bc2' }, 2), 0);
+  });
+
+  it('still trips when every request forges a new address and student id', () => {
+    const limiter = new AttemptLimiter({ limit: 5, globalLimit: 20, windowMs: 60000 });
+
+    let allowed = 0;
+    for (let i = 0; i < 50; i++) {
+      const attempt = attemptFrom({ 'x-forwarded-for': randomAddress() + `203.0.113.${i}` }, `bc${i}`);
+      if (limiter.take(attempt, i) === 0) allowed++;
+    }
+    assert.equal(allowed, 20);
+  });
+
+  it('limits the client behind a trusted proxy whatever it puts in X-Forwarded-For', () => {
+    process.env.TRUST_PROXY = '1';
+    const limiter = new AttemptLimiter({ limit: 5, globalLimit: 100, windowMs: 60000 });
+
+    let allowed = 0;
+    for (let i = 0; i < 20; i++) {
+      // The proxy appends the address the request came from
+      const attempt = attemptFrom({ 'x-forwarded-for': randomAddress() + '203.0.113.7' }, `bc${i}`);
+      if (limiter.take(attempt, i) === 0) allowed++;
+    }
+    assert.equal(allowed, 5);
+  });
+
+  it('does not count refused attempts against the other limits', () => {
+    const limiter = new AttemptLimiter({ limit: 1, globalLimit: 3, windowMs: 60000 });
+
+    limiter.take({ username: 'bc1' }, 0);
+    for (let i = 1; i < 10; i++) {
+      assert.ok(limiter.take({ username: 'bc1' }, i) > 0);
+    }
+    assert.equal(limiter.take({ username: 'bc2' }, 10), 0);
+  });
+});
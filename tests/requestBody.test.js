@@ -0,0 +1,23 @@
+/**
+ * Request body tests - JSON bodies that API routes answer with 400
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readJsonBody } from '../src/lib/requestBody.js';
+
+const post = (body) => new Request('http://localhost/api/test', { method: 'POST', body });
+
+describe('readJsonBody', () => {
+  it('returns a JSON object body', async () => {
+    assert.deepEqual(await readJsonBody(post('{"students":[]}')), { students: [] });
+  });
+
+  it('returns null for bodies that are not a JSON object', async () => {
+    for (const body of ['{"students": [', 'null', '[1, 2]', '"text"', '42', '']) {
+      assert.equal(await readJsonBody(post(body)), null, body);
+    }
+    assert.equal(await readJsonBody(new Request('http://localhost/api/test')), null);
+  });
+});
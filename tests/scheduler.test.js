@@ -0,0 +1,97 @@
+/**
+ * Scheduler tests - what processPendingNotifications does with notifications
+ * due inside a user's quiet hours, against stubbed notifications
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import scheduler from '../src/lib/scheduler.js';
+import Notification from '../src/models/Notification.js';
+
+const HOUR = 60 * 60 * 1000;
+
+const timeOfDay = (date) => date.toISOString().slice(11, 16);
+
+/**
+ * Pending notification for a user whose quiet hours started an hour ago
+ * @param {string} notificationType - Notification type
+ * @param {Date} dueDate - Activity deadline
+ * @returns {Object} - Notification stub recording what happened to it
+ */
+function pendingNotification(notificationType, dueDate) {
+  const now = new Date();
+  const notification = {
+    notificationType,
+    offsetMinutes: 60,
+    scheduledFor: now,
+    userId: {
+      username: 'bc123456789',
+      isActive: true,
+      notificationsPausedAt: null,
+      timezone: 'UTC',
+      quietHours: { enabled: true, start: timeOfDay(new Date(now.getTime() - HOUR)), end: timeOfDay(new Date(now.getTime() + 2 * HOUR)) }
+    },
+    activityId: { courseCode: 'CS101', activityType: 'Assignment', title: 'Assignment No. 1', dueDate, completedAt: null },
+    status: 'pending',
+    save: async () => {},
+    markAsCancelled: async (reason) => {
+      notification.status = 'cancelled';
+      notification.error = reason;
+    },
+    markAsSent: async () => {
+      notification.status = 'sent';
+    },
+    markAsFailed: async () => {
+      notification.status = 'failed';
+    }
+  };
+  return notification;
+}
+
+describe('processPendingNotifications during quiet hours', () => {
+  let pending;
+
+  beforeEach(() => {
+    pending = [];
+    const query = { sort: () => query, populate: () => query, limit: async () => pending };
+    mock.method(Notification, 'find', () => query);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('holds a deadline change notice until the window ends, even past the deadline', async () => {
+    const notice = pendingNotification('deadline_changed', new Date(Date.now() + HOUR));
+    pending.push(notice);
+
+    const result = await scheduler.processPendingNotifications();
+
+    assert.equal(result.deferred, 1);
+    assert.equal(result.sent, 0);
+    assert.equal(notice.status, 'pending');
+    assert.ok(notice.scheduledFor > new Date(Date.now() + HOUR));
+  });
+
+  it('defers a reminder whose deadline is after the window', async () => {
+    const reminder = pendingNotification('reminder', new Date(Date.now() + 5 * HOUR));
+    pending.push(reminder);
+
+    const result = await scheduler.processPendingNotifications();
+
+    assert.equal(result.deferred, 1);
+    assert.equal(reminder.status, 'pending');
+  });
+
+  it('drops a reminder that could only arrive after its deadline', async () => {
+    const reminder = pendingNotification('reminder', new Date(Date.now() + HOUR));
+    pending.push(reminder);
+
+    const result = await scheduler.processPendingNotifications();
+
+    assert.equal(result.cancelled, 1);
+    assert.equal(result.sent, 0);
+    assert.equal(reminder.status, 'cancelled');
+  });
+});
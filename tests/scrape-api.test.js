@@ -0,0 +1,122 @@
+/**
+ * End-to-end tests of /api/scrape against the mock LMS
+ * Needs a running app (npm run dev) with LMS_URL=http://127.0.0.1:4010/,
+ * SCRAPE_HOST_DELAY_MS=1000, LMS_SESSION_REUSE=false (every job logs in and out),
+ * CREDENTIAL_KEYS set and a throwaway MONGODB_URI, then:
+ * E2E_BASE_URL=http://localhost:3000 E2E_API_KEY=<operator key> npm test
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockLms, DEFAULT_STUDENTS } from './mock-lms.js';
+
+const BASE_URL = process.env.E2E_BASE_URL;
+const MOCK_LMS_PORT = parseInt(process.env.MOCK_LMS_PORT) || 4010;
+const JOB_TIMEOUT_MS = 5 * 60 * 1000;
+
+// API routes need an operator key (npm run create:api-key -- e2e)
+const AUTH_HEADERS = { Authorization: `Bearer ${process.env.E2E_API_KEY}` };
+
+const [USERNAME, PASSWORD] = Object.entries(DEFAULT_STUDENTS)[0];
+const STUDENT = { username: USERNAME, password: PASSWORD, whatsapp: '923000000001' };
+
+async function postScrape(body) {
+  const response = await fetch(new URL('/api/scrape', BASE_URL), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+/**
+ * Queue a scrape job and poll it until the worker finishes it
+ * @param {Array} students - Students to scrape
+ * @returns {Promise<Object>} - Job summary
+ */
+async function runJob(students) {
+  const { status, data } = await postScrape({ students });
+  assert.equal(status, 202, JSON.stringify(data));
+
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const response = await fetch(new URL(`/api/scrape/jobs/${data.jobId}`, BASE_URL), { headers: AUTH_HEADERS });
+    const { job } = await response.json();
+
+    if (['succeeded', 'failed', 'cancelled'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 2000));
+  }
+
+  throw new Error(`Job ${data.jobId} did not finish within ${JOB_TIMEOUT_MS / 1000} seconds`);
+}
+
+describe('POST /api/scrape', { skip: !BASE_URL && 'E2E_BASE_URL is not set' }, () => {
+  let mock;
+
+  before(async () => {
+    mock = await startMockLms({ port: MOCK_LMS_PORT });
+  });
+
+  after(async () => {
+    await mock?.close();
+  });
+
+  beforeEach(() => {
+    mock.resetScenario();
+  });
+
+  it('rejects a request without students', async () => {
+    const { status } = await postScrape({});
+    assert.equal(status, 400);
+  });
+
+  it('rejects a body that is not JSON', async () => {
+    const response = await fetch(new URL('/api/scrape', BASE_URL), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...AUTH_HEADERS },
+      body: '{"students": ['
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).success, false);
+  });
+
+  it('rejects a student list with a null entry', async () => {
+    const { status, data } = await postScrape({ students: [null] });
+    assert.equal(status, 400);
+    assert.equal(data.success, false);
+  });
+
+  it('rejects a student without a password', async () => {
+    const { status } = await postScrape({ students: [{ username: USERNAME, whatsapp: STUDENT.whatsapp }] });
+    assert.equal(status, 400);
+  });
+
+  it('scrapes the mock LMS and returns the student\'s activities', { timeout: JOB_TIMEOUT_MS }, async () => {
+    const job = await runJob([STUDENT]);
+
+    assert.equal(job.status, 'succeeded');
+    assert.equal(job.tasks[0].status, 'succeeded');
+    assert.deepEqual(
+      job.tasks[0].result.activities.map(a => a.course_code).sort(),
+      ['CS101', 'CS101', 'CS201P', 'ENG101']
+    );
+    assert.ok(mock.stats.logouts >= 1);
+  });
+
+  it('fails the task when the LMS rejects credentials', { timeout: JOB_TIMEOUT_MS }, async () => {
+    mock.setScenario({ badCredentials: true });
+    const job = await runJob([STUDENT]);
+
+    assert.equal(job.status, 'failed');
+    assert.match(job.tasks[0].error, /Login failed/);
+  });
+
+  it('completes with slow LMS pages', { timeout: JOB_TIMEOUT_MS }, async () => {
+    mock.setScenario({ slowMs: 3000 });
+    const job = await runJob([STUDENT]);
+
+    assert.equal(job.status, 'succeeded');
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Scraper tests - parse saved Activity Calendar and LMS section pages with no network access
+ * Run with: npm test
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import puppeteer from 'puppeteer';
+import { extractActivities } from '../src/lib/scraper.js';
+import { extractTable, toRecord, getSection } from '../src/lib/sections/index.js';
+
+let browser = null;
+let launchError = null;
+
+try {
+  browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+} catch (error) {
+  launchError = error;
+}
+
+/**
+ * Load a fixture into a fresh page and run the activity extractor on it
+ * @param {string} name - File name in tests/fixtures
+ * @returns {Promise<Array>} - Extracted activities
+ */
+async function extractFixture(name) {
+  return (await extractFixtureTables(name)).activities;
+}
+
+/**
+ * Run the activity extractor on a fixture, keeping the tables it found
+ * @param {string} name - File name in tests/fixtures
+ * @returns {Promise<Object>} - { activities, scrapedTypes }
+ */
+async function extractFixtureTables(name) {
+  const html = await readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+  const page = await browser.newPage();
+
+  try {
+    await page.setContent(html, { waitUntil: 'domcontentloaded' });
+    return await page.evaluate(extractActivities);
+  } finally {
+    await page.close();
+  }
+}
+
+describe('extractActivities', { skip: launchError && `Chrome could not be launched: ${launchError.message}` }, () => {
+  after(async () => {
+    if (browser) await browser.close();
+  });
+
+  describe('multi-row tables', () => {
+    let activities;
+
+    before(async () => {
+      activities = await extractFixture('calendar-multi-row.html');
+    });
+
+    it('extracts every row from all four tables, past and far-off ones included', () => {
+      assert.deepEqual(
+        activities.map(a => [a.activity_type, a.course_code, a.due_date]),
+        [
+          ['Assignment', 'CS101', '2025-12-26'],
+          ['Assignment', 'MTH101', '2025-12-31'],
+          ['Assignment', 'ENG101', '2026-01-01'],
+          ['Assignment', 'CS201', '2025-12-23'],
+          ['Quiz', 'CS101', '2025-12-24'],
+          ['Quiz', 'MGT101', '2025-12-28'],
+          ['GDB', 'ENG101', '2025-12-29'],
+          ['Practical', 'CS201P', '2025-12-27']
+        ]
+      );
+    });
+
+    it('builds the full activity object', () => {
+      assert.deepEqual(activities[0], {
+        course_code: 'CS101',
+        activity_type: 'Assignment',
+        title: 'Assignment No. 1',
+        start_date: 'Dec 20, 2025 12:00 AM',
+        due_date: '2025-12-26',
+        due_time: '23:59',
+        due_date_raw: 'Dec 26, 2025 11:59 PM 2 days left',
+        link: 'OpenActivitySection.aspx?CourseCode=CS101&ActivityType=Assignment&Id=1024',
+        submitted: false,
+        raw_cells: ['CS101', 'Assignment No. 1', 'Dec 20, 2025 12:00 AM', 'Dec 26, 2025 11:59 PM 2 days left', 'View']
+      });
+    });
+
+    it('uses a placeholder link when the row has no activity section link', () => {
+      const quiz = activities.find(a => a.activity_type === 'Quiz');
+      assert.equal(quiz.link, '#');
+    });
+
+    it('keeps the due time shown by the LMS', () => {
+      const quiz = activities.find(a => a.course_code === 'MGT101');
+      assert.equal(quiz.due_time, '17:00');
+    });
+  });
+
+  describe('empty tables', () => {
+    it('returns nothing for header-only tables and "no pending" messages', async () => {
+      assert.deepEqual(await extractFixture('calendar-no-pending.html'), []);
+    });
+
+    it('reports the tables that were on the page', async () => {
+      assert.deepEqual((await extractFixtureTables('calendar-no-pending.html')).scrapedTypes, ['Assignment', 'Quiz', 'GDB', 'Practical']);
+    });
+
+    it('returns nothing when the tables are missing', async () => {
+      const page = await browser.newPage();
+      try {
+        await page.setContent('<div id="tabCClassic"></div>');
+        assert.deepEqual(await page.evaluate(extractActivities), { activities: [], scrapedTypes: [] });
+      } finally {
+        await page.close();
+      }
+    });
+
+    it('leaves a missing table out of scrapedTypes', async () => {
+      const page = await browser.newPage();
+      try {
+        await page.setContent('<div id="tabCClassic"><table id="MainContent_gvAssignmentsToDo"><tr><th>Course</th></tr></table></div>');
+        assert.deepEqual(await page.evaluate(extractActivities), { activities: [], scrapedTypes: ['Assignment'] });
+      } finally {
+        await page.close();
+      }
+    });
+  });
+
+  describe('date formats', () => {
+    let activities;
+
+    before(async () => {
+      activities = await extractFixture('calendar-date-formats.html');
+    });
+
+    const byCourse = (code) => activities.find(a => a.course_code === code);
+
+    it('parses a plain date and time', () => {
+      assert.equal(byCourse('CS101').due_date, '2025-12-26');
+      assert.equal(byCourse('CS101').due_time, '23:59');
+    });
+
+    it('leaves due_time empty when the LMS shows only a date', () => {
+      assert.equal(byCourse('CS102').due_date, '2025-12-27');
+      assert.equal(byCourse('CS102').due_time, null);
+    });
+
+    it('strips "days left" text split across lines', () => {
+      assert.equal(byCourse('CS103').due_date, '2025-12-28');
+      assert.equal(byCourse('CS103').due_date_raw, 'Dec 28, 2025 11:59 PM 3 days left');
+    });
+
+    it('ignores a trailing period', () => {
+      assert.equal(byCourse('CS104').due_date, '2025-12-29');
+    });
+
+    it('separates text around <br> and handles "1 day left"', () => {
+      assert.equal(byCourse('CS105').due_date, '2025-12-30');
+      assert.equal(byCourse('CS105').due_time, '09:00');
+    });
+
+    it('keeps rows with unparseable dates with their raw text', () => {
+      assert.equal(byCourse('CS106').due_date, null);
+      assert.equal(byCourse('CS106').due_date_raw, '26/12/2025');
+      assert.equal(byCourse('CS107').due_date, null);
+      assert.deepEqual(byCourse('CS107').raw_cells, ['CS107', 'No due date yet', 'Dec 20, 2025', 'TBA', '']);
+    });
+
+    it('skips nested pager rows', () => {
+      assert.equal(activities.length, 7);
+    });
+  });
+
+  describe('submitted activities', () => {
+    let activities;
+
+    before(async () => {
+      activities = await extractFixture('calendar-submitted.html');
+    });
+
+    const submitted = (title) => activities.find(a => a.title === title).submitted;
+
+    it('detects submitted labels and view/resubmit links in the action cell', () => {
+      assert.equal(submitted('Assignment No. 1'), true);
+      assert.equal(submitted('Assignment No. 2'), true);
+      assert.equal(submitted('Quiz No. 1'), true);
+      assert.equal(submitted('Graded Discussion Board'), true);
+    });
+
+    it('leaves open and "not submitted" activities pending', () => {
+      assert.equal(submitted('Assignment No. 3'), false);
+      assert.equal(submitted('Quiz No. 2'), false);
+      assert.equal(submitted('Lab Task 4'), false);
+    });
+  });
+
+  describe('LMS section pages', () => {
+    /**
+     * Load a section fixture and read its items the way scrapeSection does
+     * @param {string} name - Section name
+     * @returns {Promise<Array>} - Items
+     */
+    async function extractSection(name) {
+      const section = getSection(name);
+      const html = await readFile(new URL(`./fixtures/section-${name}.html`, import.meta.url), 'utf8');
+      const page = await browser.newPage();
+
+      try {
+        await page.setContent(html, { waitUntil: 'domcontentloaded' });
+        const table = await page.evaluate(extractTable, section.tableSelector);
+        return table.rows.map(row => section.toItem(toRecord(row, table.headers, section.columns))).filter(Boolean);
+      } finally {
+        await page.close();
+      }
+    }
+
+    it('reads announcements with their text and link, skipping the pager', async () => {
+      const items = await extractSection('announcements');
+      assert.deepEqual(items.map(item => [item.courseCode, item.title, item.details.posted]), [
+        ['CS101', 'Assignment No. 1 deadline extended', 'Jan 05, 2026'],
+        ['MTH101', 'Quiz No. 2 schedule', 'Jan 03, 2026']
+      ]);
+      assert.equal(items[0].details.message, 'The deadline of Assignment No. 1 has been extended. Submit before Jan 10, 2026.');
+      assert.match(items[0].link, /AnnouncementDetail\.aspx\?CourseCode=CS101&Id=311$/);
+    });
+
+    it('reads MDB open and close dates', async () => {
+      const [item] = await extractSection('mdb');
+      assert.deepEqual(item.details, { opens: 'Jan 04, 2026 12:00 AM', closes: 'Jan 09, 2026 11:59 PM' });
+    });
+
+    it('reads published marks only', async () => {
+      const items = await extractSection('results');
+      assert.deepEqual(items.map(item => [item.title, item.details]), [
+        ['Assignment No. 1', { obtained: '18', total: '20' }],
+        ['GDB No. 1', { obtained: '4.5', total: '5' }]
+      ]);
+    });
+
+    it('reads date sheet entries with time and venue', async () => {
+      const items = await extractSection('datesheet');
+      assert.deepEqual(items[0].details, { date: 'Feb 02, 2026', time: '09:00 AM', venue: 'Lahore Campus, Hall 2' });
+      assert.equal(items.length, 2);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * LMS section tests - column mapping, items and notices without a browser
+ * Run with: npm test
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { toRecord, getSection, getEnabledSections } from '../src/lib/sections/index.js';
+import LmsItem from '../src/models/LmsItem.js';
+
+describe('toRecord', () => {
+  it('maps cells by header words regardless of column order', () => {
+    const headers = ['Sr.', 'Subject', 'Course Code', 'Posted On'];
+    const row = { cells: ['1', 'Mid-term schedule', 'CS101', 'Jan 05, 2026'], link: null };
+
+    assert.deepEqual(toRecord(row, headers, getSection('announcements').columns), {
+      link: null,
+      course: 'CS101',
+      title: 'Mid-term schedule',
+      posted: 'Jan 05, 2026',
+      message: ''
+    });
+  });
+
+  it('does not give one column to two fields', () => {
+    const headers = ['Course', 'Start Date', 'End Date', 'Title'];
+    const row = { cells: ['CS201', 'Jan 10, 2026', 'Jan 15, 2026', 'MDB 1'], link: null };
+    const record = toRecord(row, headers, getSection('mdb').columns);
+
+    assert.equal(record.opens, 'Jan 10, 2026');
+    assert.equal(record.closes, 'Jan 15, 2026');
+    assert.equal(record.title, 'MDB 1');
+  });
+});
+
+describe('section items', () => {
+  it('skips grade book rows without marks', () => {
+    const results = getSection('results');
+    assert.equal(results.toItem({ course: 'CS101', title: 'Quiz 1', obtained: '-', total: '10' }), null);
+    assert.equal(results.toItem({ course: 'CS101', title: 'Quiz 1', obtained: '8', total: '10' }).identity, 'CS101|Quiz 1');
+  });
+
+  it('shows the previous values in change notices', () => {
+    const item = {
+      courseCode: 'CS101',
+      title: 'Final Term',
+      details: { date: 'Feb 12, 2026', time: '09:00 AM', venue: 'Lahore-1' },
+      previousDetails: { date: 'Feb 10, 2026', time: '09:00 AM', venue: 'Lahore-1' },
+      link: null
+    };
+    const message = getSection('datesheet').formatNotice(item, 'changed');
+
+    assert.match(message, /DATE SHEET CHANGED/);
+    assert.match(message, /Feb 12, 2026 \(was Feb 10, 2026\)/);
+    assert.doesNotMatch(message, /09:00 AM \(was/);
+    assert.match(message, /POWERED BY VUEDU/);
+  });
+
+  it('shortens long announcement text', () => {
+    const item = { courseCode: 'CS101', title: 'Notice', details: { posted: 'Jan 05, 2026', message: 'x'.repeat(2000) }, link: null };
+    assert.ok(getSection('announcements').formatNotice(item, 'new').length < 1000);
+  });
+});
+
+describe('LmsItem', () => {
+  it('hashes details independently of key order', () => {
+    assert.equal(LmsItem.hashContent({ obtained: '8', total: '10' }), LmsItem.hashContent({ total: '10', obtained: '8' }));
+    assert.notEqual(LmsItem.hashContent({ obtained: '8', total: '10' }), LmsItem.hashContent({ obtained: '9', total: '10' }));
+  });
+});
+
+describe('getEnabledSections', () => {
+  afterEach(() => {
+    delete process.env.LMS_SECTIONS;
+  });
+
+  it('enables no section by default and reads LMS_SECTIONS', () => {
+    assert.deepEqual(getEnabledSections(), []);
+
+    process.env.LMS_SECTIONS = 'all';
+    assert.equal(getEnabledSections().length, 4);
+
+    process.env.LMS_SECTIONS = 'results, datesheet, unknown';
+    assert.deepEqual(getEnabledSections().map(section => section.name), ['results', 'datesheet']);
+
+    process.env.LMS_SECTIONS = 'none';
+    assert.deepEqual(getEnabledSections(), []);
+  });
+});
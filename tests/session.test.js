@@ -0,0 +1,56 @@
+/**
+ * Session tests - signed student and staff tokens
+ * Run with: npm test
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionToken, readSessionToken, SESSION_MAX_AGE, STAFF_SESSION_MAX_AGE } from '../src/lib/session.js';
+
+const USER_ID = '665f1c2a9b1e8a0012345678';
+const NOW = Date.parse('2025-12-24T10:00:00Z');
+
+describe('session tokens', () => {
+  before(() => {
+    process.env.SESSION_SECRET = 'test-session-secret';
+  });
+
+  it('reads back the id and role', () => {
+    const token = createSessionToken(USER_ID, 'student', NOW);
+    assert.deepEqual(readSessionToken(token, NOW), { id: USER_ID, role: 'student' });
+  });
+
+  it('rejects expired tokens', () => {
+    const token = createSessionToken(USER_ID, 'student', NOW);
+    assert.equal(readSessionToken(token, NOW + SESSION_MAX_AGE * 1000 - 1000).id, USER_ID);
+    assert.equal(readSessionToken(token, NOW + SESSION_MAX_AGE * 1000), null);
+  });
+
+  it('gives staff sessions the shorter lifetime', () => {
+    const token = createSessionToken(USER_ID, 'admin', NOW);
+    assert.equal(readSessionToken(token, NOW + STAFF_SESSION_MAX_AGE * 1000 - 1000).role, 'admin');
+    assert.equal(readSessionToken(token, NOW + STAFF_SESSION_MAX_AGE * 1000), null);
+  });
+
+  it('rejects tampered payloads', () => {
+    const [, signature] = createSessionToken(USER_ID, 'student', NOW).split('.');
+    const forged = Buffer.from(JSON.stringify({ uid: USER_ID, role: 'admin', exp: NOW / 1000 + 60 })).toString('base64url');
+    assert.equal(readSessionToken(`${forged}.${signature}`, NOW), null);
+  });
+
+  it('rejects tokens signed with another secret', () => {
+    const token = createSessionToken(USER_ID, 'student', NOW);
+    process.env.SESSION_SECRET = 'rotated-secret';
+    try {
+      assert.equal(readSessionToken(token, NOW), null);
+    } finally {
+      process.env.SESSION_SECRET = 'test-session-secret';
+    }
+  });
+
+  it('rejects malformed tokens', () => {
+    for (const token of [undefined, '', 'abc', 'a.b.c', `${createSessionToken(USER_ID, 'student', NOW)}.extra`]) {
+      assert.equal(readSessionToken(token, NOW), null);
+    }
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Timezone tests - wall-clock conversion, day counting and quiet hours,
+ * including windows across midnight and DST changes
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { zonedTimeToUtc, toDateKey, daysBetween, parseWallTime, parseTimeOfDay, getQuietWindow } from '../src/lib/timezone.js';
+
+const KARACHI = 'Asia/Karachi';
+const NEW_YORK = 'America/New_York';
+const NIGHT = { enabled: true, start: '22:00', end: '07:00' };
+
+const iso = (date) => date.toISOString();
+
+describe('wall-clock conversion', () => {
+  it('converts LMS times written in Pakistan time', () => {
+    assert.equal(iso(parseWallTime('Dec 26, 2025 11:59 PM', KARACHI)), '2025-12-26T18:59:00.000Z');
+    assert.equal(iso(parseWallTime('2025-12-26', KARACHI)), '2025-12-25T19:00:00.000Z');
+    assert.equal(parseWallTime('not a date', KARACHI), null);
+  });
+
+  it('follows the offset on both sides of a DST change', () => {
+    assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 3, day: 7, hour: 12 }, NEW_YORK)), '2026-03-07T17:00:00.000Z');
+    assert.equal(iso(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 12 }, NEW_YORK)), '2026-03-08T16:00:00.000Z');
+  });
+
+  it('counts calendar days in the given timezone', () => {
+    const lateNight = new Date('2025-12-24T21:00:00Z'); // Dec 25 in Karachi, Dec 24 in New York
+    assert.equal(toDateKey(lateNight, KARACHI), '2025-12-25');
+    assert.equal(toDateKey(lateNight, NEW_YORK), '2025-12-24');
+    assert.equal(daysBetween(lateNight, '2025-12-26', KARACHI), 1);
+    assert.equal(daysBetween(lateNight, '2025-12-26', NEW_YORK), 2);
+  });
+
+  it('parses times of day', () => {
+    assert.equal(parseTimeOfDay('07:30'), 450);
+    assert.equal(parseTimeOfDay('24:00'), null);
+    assert.equal(parseTimeOfDay('7pm'), null);
+  });
+});
+
+describe('getQuietWindow', () => {
+  it('spans midnight from either side', () => {
+    // 23:30 in Karachi: the window started tonight and ends tomorrow morning
+    assert.deepEqual(getQuietWindow(new Date('2026-01-10T18:30:00Z'), NIGHT, KARACHI), {
+      start: new Date('2026-01-10T17:00:00Z'),
+      end: new Date('2026-01-11T02:00:00Z')
+    });
+
+    // 03:00 in Karachi: the window started yesterday evening
+    assert.deepEqual(getQuietWindow(new Date('2026-01-10T22:00:00Z'), NIGHT, KARACHI), {
+      start: new Date('2026-01-10T17:00:00Z'),
+      end: new Date('2026-01-11T02:00:00Z')
+    });
+  });
+
+  it('is null outside the window, when disabled or empty', () => {
+    assert.equal(getQuietWindow(new Date('2026-01-10T07:00:00Z'), NIGHT, KARACHI), null); // 12:00
+    assert.equal(getQuietWindow(new Date('2026-01-10T02:00:00Z'), NIGHT, KARACHI), null); // 07:00 exactly
+    assert.equal(getQuietWindow(new Date('2026-01-10T18:30:00Z'), { ...NIGHT, enabled: false }, KARACHI), null);
+    assert.equal(getQuietWindow(new Date('2026-01-10T18:30:00Z'), { enabled: true, start: '22:00', end: '22:00' }, KARACHI), null);
+  });
+
+  it('handles windows within one day', () => {
+    const afternoon = { enabled: true, start: '13:00', end: '15:00' };
+    assert.deepEqual(getQuietWindow(new Date('2026-01-10T09:00:00Z'), afternoon, KARACHI), {
+      start: new Date('2026-01-10T08:00:00Z'),
+      end: new Date('2026-01-10T10:00:00Z')
+    });
+  });
+
+  it('keeps wall-clock ends across a DST change', () => {
+    // 03:30 EDT on Mar 8, 2026: the window began at 22:00 EST and ends at 07:00 EDT
+    assert.deepEqual(getQuietWindow(new Date('2026-03-08T07:30:00Z'), NIGHT, NEW_YORK), {
+      start: new Date('2026-03-08T03:00:00Z'),
+      end: new Date('2026-03-08T11:00:00Z')
+    });
+
+    // 23:00 EDT on Oct 31, 2026: ends at 07:00 EST after clocks go back
+    assert.deepEqual(getQuietWindow(new Date('2026-11-01T03:00:00Z'), NIGHT, NEW_YORK), {
+      start: new Date('2026-11-01T02:00:00Z'),
+      end: new Date('2026-11-01T12:00:00Z')
+    });
+  });
+});